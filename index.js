@@ -6,6 +6,7 @@ import { fileURLToPath } from "url";
 import {
     DEFAULT_SOURCE_LANGUAGE,
     DEFAULT_TARGET_LANGUAGE,
+    SUPPORTED_PROVIDERS,
     createRuntimeConfig,
 } from "./src/config.js";
 import {
@@ -15,7 +16,26 @@ import {
     installPdfRequirements,
     runDoctor,
 } from "./src/support/environment.js";
+import { parseNodeSelector } from "./src/support/nodeSelection.js";
 import { parsePageSelector } from "./src/support/pageSelection.js";
+import { resolveProjectProfile } from "./src/support/projectConfig.js";
+import { loadPromptTemplateFile } from "./src/translation/promptTemplates.js";
+import {
+    expandInputArguments,
+    findOutputNameConflicts,
+    formatBatchSummaryTable,
+    isBatchInputArgument,
+} from "./src/support/batchRun.js";
+import pLimit from "p-limit";
+import {
+    createUsageTracker,
+    isBudgetExceededError,
+    runUsageJob,
+} from "./src/support/usage.js";
+import {
+    GLOSSARY_FILE_FORMATS,
+    loadGlossaryFile,
+} from "./src/content/glossaryFile.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -26,12 +46,30 @@ const SUPPORTED_INPUT_EXTENSIONS = [
     ".htm",
     ".pdf",
     ".srt",
+    ".vtt",
+    ".ass",
+    ".ssa",
+    ".ttml",
+    ".dfxp",
     ".mkv",
     ".mp4",
     ".mov",
     ".m4v",
     ".webm",
 ];
+const VIDEO_INPUT_EXTENSIONS = new Set([".mkv", ".mp4", ".mov", ".m4v", ".webm"]);
+// retranslate 支持的已有译文，值为可作为原文的扩展名
+const RETRANSLATE_SOURCE_EXTENSIONS = {
+    ".epub": [".epub"],
+    ".html": [".html", ".htm"],
+    ".htm": [".html", ".htm"],
+    ".srt": [".srt"],
+};
+const BILINGUAL_ORDERS = new Set(["source-first", "translation-first"]);
+// 预算停止时的退出码（EX_TEMPFAIL），表示可以原样重跑继续
+const BUDGET_EXIT_CODE = 75;
+// 批量模式同时处理的文件数：模型请求由共享的 batch queue 限流，这里只限制同时解包 / 抽取的文件
+const BATCH_FILE_CONCURRENCY = 4;
 
 const printUsageAndExit = (message) => {
     if (message) {
@@ -41,16 +79,33 @@ const printUsageAndExit = (message) => {
 
     console.error("Usage:");
     console.error(
-        '  node index.js "your-book.epub|your-file.html|your-file.pdf|your-file.srt|your-video.mkv|your-video.mp4" [--chap "<selector>"] [--page "<selector>"] [--from "<lang>"] [--to "<lang>"] [--concurrency <n>] [--debug]',
+        '  node index.js "your-book.epub|your-file.html|your-file.pdf|your-file.srt|your-file.vtt|your-file.ass|your-file.ttml|your-video.mkv|your-video.mp4" [more files | "dir/" | "dir/*.srt"] [--recursive] [--chap "<selector>"] [--page "<selector>"] [--from "<lang>"] [--to "<lang>"] [--concurrency <n>] [--bilingual] [--bilingual-order <source-first|translation-first>] [--glossary <terms.csv|terms.tsv|terms.json>] [--enforce-glossary] [--no-memory] [--prompt <file>] [--style <file>] [--max-tokens <n>] [--max-cost <amount>] [--profile <name>] [--config <file>] [--dry-run] [--debug]',
+    );
+    console.error(
+        '  node index.js export-glossary "your-book.epub|your-file.html|your-file.srt" [--glossary <file>] [--format <csv|tsv|json>] [--from "<lang>"] [--to "<lang>"] [--max-tokens <n>] [--max-cost <amount>] [--profile <name>] [--config <file>] [--debug]',
+    );
+    console.error(
+        '  node index.js retranslate "output/your-book_zh.epub|your-file_zh.html|your-file_zh.srt" [--source <original file>] [--chap "<selector>"] [--nodes "<node ids>"] [--find "<text>"] [--model <[provider:]model>] [--instructions "<text>"] [--from "<lang>"] [--to "<lang>"] [--glossary <file>] [--enforce-glossary] [--prompt <file>] [--style <file>] [--max-tokens <n>] [--max-cost <amount>] [--profile <name>] [--config <file>] [--debug]',
     );
-    console.error("  node index.js doctor");
+    console.error("  node index.js doctor [--profile <name>] [--config <file>]");
     console.error("  node index.js setup --pdf");
     console.error("");
     console.error("Examples:");
     console.error('  node index.js "book.epub"');
     console.error('  node index.js "book.epub" --chap "1,3,5"');
+    console.error('  node index.js "book.epub" --bilingual');
     console.error('  node index.js "paper.pdf" --to "zh"');
-    console.error("  node index.js doctor");
+    console.error('  node index.js "lecture.mkv" --to "zh" --bilingual');
+    console.error('  node index.js "book.epub" --glossary "terms.csv"');
+    console.error('  node index.js "season1/*.srt" --to "zh"');
+    console.error('  node index.js input/ --recursive');
+    console.error('  node index.js "novel.epub" --profile novel-ja-zh');
+    console.error('  node index.js "big-book.pdf" --dry-run');
+    console.error('  node index.js "manual.html" --prompt "prompts/technical.txt" --style "styles/manual.txt"');
+    console.error('  node index.js export-glossary "book.epub" --format json');
+    console.error('  node index.js retranslate "book_zh.epub" --chap 3 --find "Mr. Darcy" --instructions "Keep honorifics"');
+    console.error('  node index.js retranslate "lecture_zh.srt" --nodes "12-15" --model "openrouter:anthropic/claude-sonnet-4"');
+    console.error("  node index.js doctor --profile novel-ja-zh");
     console.error("  node index.js setup --pdf");
     process.exit(1);
 };
@@ -108,14 +163,101 @@ const resolveTargetLanguage = (value) => {
     return TARGET_LANGUAGE_ALIASES[normalized] ?? value.trim();
 };
 
+// --profile / --config 在所有读取配置的命令里通用；返回消耗的参数个数，0 表示不是这两个选项
+const parseProjectConfigOption = (argv, index, result) => {
+    const arg = argv[index];
+    for (const [option, key] of [
+        ["--profile", "profileName"],
+        ["--config", "configPath"],
+    ]) {
+        if (arg === option) {
+            const nextValue = argv[index + 1];
+            if (!nextValue || nextValue.startsWith("--")) {
+                printUsageAndExit(`Missing value after ${option}.`);
+            }
+            result[key] = nextValue;
+            return 2;
+        }
+        if (arg.startsWith(`${option}=`)) {
+            result[key] = arg.slice(option.length + 1);
+            if (!result[key]) {
+                printUsageAndExit(`Missing value after ${option}=.`);
+            }
+            return 1;
+        }
+    }
+    return 0;
+};
+
+// --max-tokens / --max-cost；返回消耗的参数个数，0 表示不是这两个选项
+const parseBudgetOption = (argv, index, result) => {
+    const arg = argv[index];
+    for (const [option, key, integerOnly] of [
+        ["--max-tokens", "maxTokens", true],
+        ["--max-cost", "maxCost", false],
+    ]) {
+        const inline = arg.startsWith(`${option}=`);
+        if (arg !== option && !inline) continue;
+
+        const value = inline ? arg.slice(option.length + 1) : argv[index + 1];
+        const optionLabel = inline ? `${option}=` : option;
+        if (!value || value.startsWith("--")) {
+            printUsageAndExit(`Missing value after ${optionLabel}.`);
+        }
+        const parsed = Number(value);
+        if (!Number.isFinite(parsed) || parsed <= 0 || (integerOnly && !Number.isInteger(parsed))) {
+            printUsageAndExit(
+                `Invalid value for ${optionLabel}. Use a positive ${integerOnly ? "integer" : "number"}.`,
+            );
+        }
+        result.budget[key] = parsed;
+        return inline ? 1 : 2;
+    }
+    return 0;
+};
+
+// retranslate 专用选项；返回消耗的参数个数，0 表示不是这些选项
+const parseRetranslateOption = (argv, index, result) => {
+    const arg = argv[index];
+    for (const [option, key] of [
+        ["--source", "sourcePath"],
+        ["--nodes", "nodeSelector"],
+        ["--find", "searchText"],
+        ["--model", "modelOverride"],
+        ["--instructions", "instructions"],
+    ]) {
+        if (arg === option) {
+            const nextValue = argv[index + 1];
+            if (!nextValue || nextValue.startsWith("--")) {
+                printUsageAndExit(`Missing value after ${option}.`);
+            }
+            result[key] = nextValue;
+            return 2;
+        }
+        if (arg.startsWith(`${option}=`)) {
+            result[key] = arg.slice(option.length + 1);
+            if (!result[key]) {
+                printUsageAndExit(`Missing value after ${option}=.`);
+            }
+            return 1;
+        }
+    }
+    return 0;
+};
+
 const parseCliArgs = (argv) => {
     const firstArg = argv[0];
 
     if (firstArg === "doctor") {
-        if (argv.length !== 1) {
-            printUsageAndExit("`doctor` does not accept extra arguments.");
+        const result = { mode: "doctor", profileName: null, configPath: null };
+        for (let i = 1; i < argv.length; i++) {
+            const consumed = parseProjectConfigOption(argv, i, result);
+            if (consumed === 0) {
+                printUsageAndExit("`doctor` only accepts --profile and --config.");
+            }
+            i += consumed - 1;
         }
-        return { mode: "doctor" };
+        return result;
     }
 
     if (firstArg === "setup") {
@@ -126,15 +268,41 @@ const parseCliArgs = (argv) => {
         return { mode: "setup", setupTarget: "pdf" };
     }
 
+    const isGlossaryExport = firstArg === "export-glossary";
+    const isRetranslate = firstArg === "retranslate";
+    // 这两个命令只处理一个文件
+    const isSingleFileCommand = isGlossaryExport || isRetranslate;
+    if (isSingleFileCommand) {
+        argv = argv.slice(1);
+    }
+
     const result = {
-        mode: "translate",
+        mode: isGlossaryExport ? "export-glossary" : isRetranslate ? "retranslate" : "translate",
         inputFileName: null,
+        inputFileNames: [],
+        recursive: false,
         chapterSelector: null,
         pageSelector: null,
         sourceLanguage: DEFAULT_SOURCE_LANGUAGE,
         targetLanguage: DEFAULT_TARGET_LANGUAGE,
         sourceLanguageExplicit: false,
+        targetLanguageExplicit: false,
         concurrency: null,
+        bilingual: false,
+        bilingualOrder: null,
+        translationMemory: true,
+        glossaryPath: null,
+        glossaryFormat: "csv",
+        profileName: null,
+        configPath: null,
+        enforceGlossary: false,
+        budget: { maxTokens: null, maxCost: null },
+        sourcePath: null,
+        nodeSelector: null,
+        searchText: null,
+        modelOverride: null,
+        instructions: null,
+        dryRun: false,
         debug: false,
     };
 
@@ -204,6 +372,7 @@ const parseCliArgs = (argv) => {
                 printUsageAndExit("Missing value after --to.");
             }
             result.targetLanguage = resolveTargetLanguage(nextValue);
+            result.targetLanguageExplicit = true;
             i++;
             continue;
         }
@@ -214,6 +383,7 @@ const parseCliArgs = (argv) => {
                 printUsageAndExit("Missing value after --to=.");
             }
             result.targetLanguage = resolveTargetLanguage(value);
+            result.targetLanguageExplicit = true;
             continue;
         }
 
@@ -245,6 +415,128 @@ const parseCliArgs = (argv) => {
             continue;
         }
 
+        if (arg === "--bilingual") {
+            result.bilingual = true;
+            continue;
+        }
+
+        if (arg === "--bilingual-order") {
+            const nextValue = argv[i + 1];
+            if (!nextValue || nextValue.startsWith("--")) {
+                printUsageAndExit("Missing value after --bilingual-order.");
+            }
+            if (!BILINGUAL_ORDERS.has(nextValue)) {
+                printUsageAndExit(
+                    "Invalid value for --bilingual-order. Use source-first or translation-first.",
+                );
+            }
+            result.bilingual = true;
+            result.bilingualOrder = nextValue;
+            i++;
+            continue;
+        }
+
+        if (arg.startsWith("--bilingual-order=")) {
+            const value = arg.slice("--bilingual-order=".length);
+            if (!BILINGUAL_ORDERS.has(value)) {
+                printUsageAndExit(
+                    "Invalid value for --bilingual-order=. Use source-first or translation-first.",
+                );
+            }
+            result.bilingual = true;
+            result.bilingualOrder = value;
+            continue;
+        }
+
+        if (arg === "--glossary") {
+            const nextValue = argv[i + 1];
+            if (!nextValue || nextValue.startsWith("--")) {
+                printUsageAndExit("Missing value after --glossary.");
+            }
+            result.glossaryPath = nextValue;
+            i++;
+            continue;
+        }
+
+        if (arg.startsWith("--glossary=")) {
+            result.glossaryPath = arg.slice("--glossary=".length);
+            if (!result.glossaryPath) {
+                printUsageAndExit("Missing value after --glossary=.");
+            }
+            continue;
+        }
+
+        if (isGlossaryExport && arg === "--format") {
+            const nextValue = argv[i + 1];
+            if (!nextValue || nextValue.startsWith("--")) {
+                printUsageAndExit("Missing value after --format.");
+            }
+            if (!GLOSSARY_FILE_FORMATS.has(nextValue.toLowerCase())) {
+                printUsageAndExit("Invalid value for --format. Use csv, tsv, or json.");
+            }
+            result.glossaryFormat = nextValue.toLowerCase();
+            i++;
+            continue;
+        }
+
+        if (isGlossaryExport && arg.startsWith("--format=")) {
+            const value = arg.slice("--format=".length).toLowerCase();
+            if (!GLOSSARY_FILE_FORMATS.has(value)) {
+                printUsageAndExit("Invalid value for --format=. Use csv, tsv, or json.");
+            }
+            result.glossaryFormat = value;
+            continue;
+        }
+
+        if (arg === "--prompt" || arg === "--style") {
+            const nextValue = argv[i + 1];
+            if (!nextValue || nextValue.startsWith("--")) {
+                printUsageAndExit(`Missing value after ${arg}.`);
+            }
+            result[arg === "--prompt" ? "promptPath" : "stylePath"] = nextValue;
+            i++;
+            continue;
+        }
+
+        if (arg.startsWith("--prompt=") || arg.startsWith("--style=")) {
+            const option = arg.slice(0, arg.indexOf("="));
+            const value = arg.slice(option.length + 1);
+            if (!value) {
+                printUsageAndExit(`Missing value after ${option}=.`);
+            }
+            result[option === "--prompt" ? "promptPath" : "stylePath"] = value;
+            continue;
+        }
+
+        const consumed =
+            parseProjectConfigOption(argv, i, result) ||
+            parseBudgetOption(argv, i, result) ||
+            (isRetranslate ? parseRetranslateOption(argv, i, result) : 0);
+        if (consumed > 0) {
+            i += consumed - 1;
+            continue;
+        }
+
+        if (arg === "--enforce-glossary") {
+            result.enforceGlossary = true;
+            continue;
+        }
+
+        if (arg === "--no-memory") {
+            result.translationMemory = false;
+            continue;
+        }
+
+        if (arg === "--dry-run" && !isSingleFileCommand) {
+            result.dryRun = true;
+            continue;
+        }
+
+        if (arg === "--recursive" && !isSingleFileCommand) {
+            result.recursive = true;
+            continue;
+        }
+
         if (arg === "--debug") {
             result.debug = true;
             continue;
@@ -254,17 +546,44 @@ const parseCliArgs = (argv) => {
             printUsageAndExit(`Unknown option: ${arg}`);
         }
 
-        if (result.inputFileName) {
+        if (isSingleFileCommand && result.inputFileName) {
             printUsageAndExit(`Unexpected extra argument: ${arg}`);
         }
 
-        result.inputFileName = arg;
+        result.inputFileName ??= arg;
+        result.inputFileNames.push(arg);
     }
 
     if (!result.inputFileName) {
         printUsageAndExit();
     }
 
+    if (
+        isGlossaryExport &&
+        (result.chapterSelector ||
+            result.pageSelector ||
+            result.bilingual ||
+            result.enforceGlossary ||
+            result.promptPath ||
+            result.stylePath)
+    ) {
+        printUsageAndExit(
+            "`export-glossary` only accepts --glossary, --format, --from, --to, --max-tokens, --max-cost, --profile, --config, and --debug.",
+        );
+    }
+
+    if (isRetranslate) {
+        // 双语布局沿用已有译文，不能在重译时改变
+        if (result.pageSelector || result.bilingual || result.bilingualOrder) {
+            printUsageAndExit(
+                "`retranslate` does not accept --page, --bilingual, or --bilingual-order; the layout of the existing output is kept.",
+            );
+        }
+        if (!result.chapterSelector && !result.nodeSelector && !result.searchText) {
+            printUsageAndExit("`retranslate` needs --chap, --nodes, or --find to choose what to re-translate.");
+        }
+    }
+
     return result;
 };
 
@@ -284,7 +603,7 @@ const resolveInputPath = (inputFileName) => {
     const ext = path.extname(inputPath).toLowerCase();
     if (!SUPPORTED_INPUT_EXTENSIONS.includes(ext)) {
         printUsageAndExit(
-            `Input file must be an EPUB, HTML, PDF, SRT, or supported video file: ${inputFileName}`,
+            `Input file must be one of ${SUPPORTED_INPUT_EXTENSIONS.join(", ")}: ${inputFileName}`,
         );
     }
 
@@ -360,108 +679,548 @@ const maybeInstallMissingPdfDependencies = async (preflightReport) => {
     return true;
 };
 
-const runTranslation = async (cliArgs) => {
-    const inputPath = resolveInputPath(cliArgs.inputFileName);
-    const inputExt = path.extname(inputPath).toLowerCase();
-    let selectedPages = null;
-
-    if (cliArgs.pageSelector) {
+// 多个术语表按顺序合并，同一术语以后加载的为准（配置文件 defaults → profile → --glossary）
+const resolveUserGlossary = (glossaryPaths) => {
+    const byTerm = new Map();
+    for (const glossaryPath of glossaryPaths.filter(Boolean)) {
         try {
-            selectedPages = parsePageSelector(cliArgs.pageSelector);
+            const entries = loadGlossaryFile(path.resolve(process.cwd(), glossaryPath));
+            if (entries.length === 0) {
+                printUsageAndExit(`Glossary file has no usable entries: ${glossaryPath}`);
+            }
+            for (const entry of entries) {
+                byTerm.set(entry.term.toLowerCase(), entry);
+            }
         } catch (error) {
             printUsageAndExit(error.message);
         }
     }
+    return [...byTerm.values()];
+};
+
+// 自定义 prompt / 风格指南在创建 provider 之前读取并校验占位符
+const resolvePromptOverride = (filePath, kind) => {
+    if (!filePath) return null;
+    try {
+        return loadPromptTemplateFile(path.resolve(process.cwd(), filePath), kind);
+    } catch (error) {
+        printUsageAndExit(error.message);
+    }
+};
+
+const resolveCliProjectProfile = (cliArgs) => {
+    try {
+        return resolveProjectProfile({
+            projectRoot: __dirname,
+            configPath: cliArgs.configPath,
+            profileName: cliArgs.profileName,
+        });
+    } catch (error) {
+        printUsageAndExit(error.message);
+    }
+};
+
+// retranslate --model：「provider:model」同时切换 provider，只写模型名时沿用当前 provider
+const applyModelOverride = (settings, modelOverride, providers) => {
+    if (!modelOverride) return settings;
+    const separator = modelOverride.indexOf(":");
+    const providerName = separator > 0 ? modelOverride.slice(0, separator).trim().toLowerCase() : null;
+    if (providerName && [...SUPPORTED_PROVIDERS, ...Object.keys(providers || {})].includes(providerName)) {
+        const model = modelOverride.slice(separator + 1).trim();
+        if (!model) {
+            printUsageAndExit(`Missing model name in --model ${modelOverride}.`);
+        }
+        return { ...settings, provider: providerName, model };
+    }
+    return { ...settings, model: modelOverride };
+};
+
+// 优先级：内置默认值 < 环境变量 / .env < 配置文件 defaults < --profile < 命令行参数
+const createCliRuntimeConfig = (cliArgs) => {
+    const projectProfile = resolveCliProjectProfile(cliArgs);
+    const settings = applyModelOverride(
+        projectProfile?.settings || {},
+        cliArgs.modelOverride,
+        projectProfile?.providers,
+    );
+    const sourceLanguage =
+        cliArgs.sourceLanguageExplicit || !settings.from
+            ? cliArgs.sourceLanguage
+            : resolveSourceLanguage(settings.from);
+    const targetLanguage =
+        cliArgs.targetLanguageExplicit || !settings.to
+            ? cliArgs.targetLanguage
+            : resolveTargetLanguage(settings.to);
+    // profile 写明了源语言时，字幕任务不再按检测结果改写
+    if (settings.from) {
+        cliArgs.sourceLanguageExplicit = true;
+    }
 
     const runtimeConfig = createRuntimeConfig({
-        sourceLanguage: cliArgs.sourceLanguage,
-        targetLanguage: cliArgs.targetLanguage,
+        sourceLanguage,
+        targetLanguage,
         concurrency: cliArgs.concurrency,
+        bilingual: cliArgs.bilingual,
+        bilingualOrder: cliArgs.bilingualOrder,
+        translationMemory: cliArgs.translationMemory,
+        userGlossary: resolveUserGlossary([
+            ...(settings.glossary || []),
+            cliArgs.glossaryPath,
+        ]),
+        enforceGlossary: cliArgs.enforceGlossary,
+        profile: settings,
+        profileName: projectProfile?.profileName || null,
+        configFile: projectProfile?.configFile || null,
+        pricing: projectProfile?.pricing || null,
+        promptTemplate: resolvePromptOverride(cliArgs.promptPath, "prompt"),
+        styleGuide: resolvePromptOverride(cliArgs.stylePath, "style"),
+        budget: cliArgs.budget,
+        providers: projectProfile?.providers || null,
+        extraInstructions: cliArgs.instructions,
+    });
+
+    // 费用上限依赖价格表：主模型和 fallback 链上的模型都要有价格，否则无法判断何时停止；
+    // doctor 只展示配置。其他没有价格的模型（如俄语 / 日语术语表模型）由 usage tracker 拦下
+    if (cliArgs.mode !== "doctor" && runtimeConfig.budget.maxCost) {
+        const chainModels = [
+            runtimeConfig[runtimeConfig.provider]?.modelName,
+            ...runtimeConfig.fallbackChain.map(
+                (entry) => entry.model || runtimeConfig[entry.provider]?.modelName,
+            ),
+        ].filter(Boolean);
+        const unpricedModels = [...new Set(chainModels)].filter(
+            (model) => !runtimeConfig.pricing?.models?.[model],
+        );
+        if (unpricedModels.length > 0) {
+            printUsageAndExit(
+                `A cost limit needs a price for every model in the fallback chain; missing in the project config "pricing" table: ${unpricedModels.join(", ")}.`,
+            );
+        }
+    }
+
+    return runtimeConfig;
+};
+
+const runGlossaryExport = async (cliArgs) => {
+    const inputPath = resolveInputPath(cliArgs.inputFileName);
+    const runtimeConfig = createCliRuntimeConfig(cliArgs);
+
+    const { runGlossaryExportJob } = await import("./src/core.js");
+    await runGlossaryExportJob({
+        projectRoot: __dirname,
+        inputPath,
+        format: cliArgs.glossaryFormat,
+        debugMode: cliArgs.debug,
+        runtimeConfig,
     });
+};
+
+// =================== 重译 ===================
+const resolveRetranslateOutputPath = (outputFileName) => {
+    const outputPath = [
+        path.resolve(process.cwd(), outputFileName),
+        path.resolve(__dirname, outputFileName),
+        path.resolve(__dirname, "output", outputFileName),
+    ].find((candidate) => fs.existsSync(candidate));
 
-    let preflightReport = await getPreflightReport(inputExt, runtimeConfig);
+    if (!outputPath) {
+        printUsageAndExit(`Output file not found: ${outputFileName}`);
+    }
+    if (!RETRANSLATE_SOURCE_EXTENSIONS[path.extname(outputPath).toLowerCase()]) {
+        printUsageAndExit(`retranslate only supports EPUB, HTML, and SRT output: ${outputFileName}`);
+    }
+    return outputPath;
+};
+
+// 没有 --source 时在 input/ 里找原文：输出文件名以原文文件名开头（book_zh.epub ← book.epub），取最长的匹配
+const resolveRetranslateSourcePath = (outputPath, sourceFileName) => {
+    const compatibleExts = RETRANSLATE_SOURCE_EXTENSIONS[path.extname(outputPath).toLowerCase()];
+    if (sourceFileName) {
+        const sourcePath = [
+            path.resolve(process.cwd(), sourceFileName),
+            path.resolve(__dirname, sourceFileName),
+            path.resolve(__dirname, "input", sourceFileName),
+        ].find((candidate) => fs.existsSync(candidate));
+        if (!sourcePath) {
+            printUsageAndExit(`Source file not found: ${sourceFileName}`);
+        }
+        if (!compatibleExts.includes(path.extname(sourcePath).toLowerCase())) {
+            printUsageAndExit(
+                `The source of ${path.basename(outputPath)} must be a ${compatibleExts.join(" or ")} file: ${sourceFileName}`,
+            );
+        }
+        return sourcePath;
+    }
+
+    const outputName = path.parse(outputPath).name;
+    const inputDir = path.resolve(__dirname, "input");
+    const candidates = fs.existsSync(inputDir)
+        ? fs
+              .readdirSync(inputDir)
+              .filter((fileName) => compatibleExts.includes(path.extname(fileName).toLowerCase()))
+              .map((fileName) => ({ fileName, name: path.parse(fileName).name }))
+              .filter(({ name }) => outputName === name || outputName.startsWith(`${name}_`))
+              .sort((a, b) => b.name.length - a.name.length)
+        : [];
+    if (candidates.length === 0) {
+        printUsageAndExit(
+            `Could not find the original of ${path.basename(outputPath)} in input/. Pass it with --source <file>.`,
+        );
+    }
+    return path.join(inputDir, candidates[0].fileName);
+};
+
+const runRetranslation = async (cliArgs) => {
+    const outputPath = resolveRetranslateOutputPath(cliArgs.inputFileName);
+    const sourcePath = resolveRetranslateSourcePath(outputPath, cliArgs.sourcePath);
+    const outputExt = path.extname(outputPath).toLowerCase();
+    if (cliArgs.chapterSelector && outputExt !== ".epub") {
+        printUsageAndExit("--chap is only supported for EPUB output.");
+    }
+    // EPUB 的节点编号在每一章里各自从 0 开始
+    if (cliArgs.nodeSelector && outputExt === ".epub" && !cliArgs.chapterSelector) {
+        printUsageAndExit("--nodes needs --chap for EPUB output; node ids restart in every chapter.");
+    }
+
+    let nodeNumbers = null;
+    try {
+        nodeNumbers = cliArgs.nodeSelector ? new Set(parseNodeSelector(cliArgs.nodeSelector)) : null;
+    } catch (error) {
+        printUsageAndExit(error.message);
+    }
+
+    const runtimeConfig = createCliRuntimeConfig(cliArgs);
+    await ensurePreflightReady(
+        path.extname(sourcePath).toLowerCase(),
+        runtimeConfig,
+        cliArgs.inputFileName,
+        cliArgs,
+    );
+
+    const { runRetranslationJob } = await import("./src/core.js");
+    try {
+        await runRetranslationJob({
+            projectRoot: __dirname,
+            outputPath,
+            sourcePath,
+            chapterSelector: cliArgs.chapterSelector,
+            nodeNumbers,
+            searchText: cliArgs.searchText,
+            debugMode: cliArgs.debug,
+            runtimeConfig,
+            sourceLanguageExplicit: cliArgs.sourceLanguageExplicit,
+        });
+    } catch (error) {
+        // 重译不写缓存，预算停止时输出保持原样，不能“原样重跑继续”
+        if (isBudgetExceededError(error)) {
+            console.error(`\n⏸️  Stopped: ${error.message}`);
+            console.error("The output was left unchanged. Raise the limit and rerun to re-translate.");
+            process.exit(BUDGET_EXIT_CODE);
+        }
+        throw error;
+    }
+};
+
+const ensurePreflightReady = async (inputExt, runtimeConfig, inputLabel, cliArgs) => {
+    // dry-run 不调用模型，不需要 API key
+    const preflightOptions = { requireApiKey: !cliArgs.dryRun };
+    let preflightReport = await getPreflightReport(inputExt, runtimeConfig, preflightOptions);
     if (!preflightReport.ready) {
         const installed = await maybeInstallMissingPdfDependencies(preflightReport);
         if (installed) {
-            preflightReport = await getPreflightReport(inputExt, runtimeConfig);
+            preflightReport = await getPreflightReport(inputExt, runtimeConfig, preflightOptions);
         }
     }
 
     if (!preflightReport.ready) {
-        console.error(
-            formatPreflightFailureMessage(preflightReport, cliArgs.inputFileName),
-        );
+        console.error(formatPreflightFailureMessage(preflightReport, inputLabel));
         process.exit(1);
     }
+};
+
+const validateInputOptions = (inputExt, cliArgs) => {
+    if (cliArgs.chapterSelector && inputExt !== ".epub") {
+        printUsageAndExit("--chap is only supported for EPUB input.");
+    }
+    if (cliArgs.pageSelector && inputExt !== ".pdf") {
+        printUsageAndExit("--page is only supported for PDF input.");
+    }
+    if (cliArgs.bilingual && inputExt === ".pdf") {
+        printUsageAndExit(
+            "--bilingual is only supported for EPUB, HTML, subtitle, and video input.",
+        );
+    }
+};
 
+const runJobForInput = async ({
+    inputPath,
+    cliArgs,
+    runtimeConfig,
+    selectedPages = null,
+    services = null,
+    archiveInput = true,
+}) => {
+    const inputExt = path.extname(inputPath).toLowerCase();
     const {
+        runEstimateJob,
         runHtmlTranslationJob,
         runPdfTranslationJob,
         runSubtitleTranslationJob,
         runTranslationJob,
     } = await import("./src/core.js");
 
+    if (cliArgs.dryRun) {
+        return runEstimateJob({
+            projectRoot: __dirname,
+            inputPath,
+            chapterSelector: cliArgs.chapterSelector,
+            pageSelector: cliArgs.pageSelector,
+            selectedPages,
+            debugMode: cliArgs.debug,
+            runtimeConfig,
+            sourceLanguageExplicit: cliArgs.sourceLanguageExplicit,
+        });
+    }
+
     if (inputExt === ".epub") {
-        if (cliArgs.pageSelector) {
-            printUsageAndExit("--page is only supported for PDF input.");
-        }
-        await runTranslationJob({
+        return runTranslationJob({
             projectRoot: __dirname,
             inputPath,
             chapterSelector: cliArgs.chapterSelector,
             debugMode: cliArgs.debug,
             runtimeConfig,
+            services,
+            archiveInput,
         });
-        return;
     }
 
     if (inputExt === ".pdf") {
-        if (cliArgs.chapterSelector) {
-            printUsageAndExit("--chap is only supported for EPUB input.");
-        }
-
-        await runPdfTranslationJob({
+        return runPdfTranslationJob({
             projectRoot: __dirname,
             inputPath,
             pageSelector: cliArgs.pageSelector,
             selectedPages,
             debugMode: cliArgs.debug,
             runtimeConfig,
+            services,
+            archiveInput,
         });
-        return;
     }
 
     if (inputExt === ".html" || inputExt === ".htm") {
-        if (cliArgs.chapterSelector) {
-            printUsageAndExit("--chap is only supported for EPUB input.");
-        }
-        if (cliArgs.pageSelector) {
-            printUsageAndExit("--page is only supported for PDF input.");
-        }
-
-        await runHtmlTranslationJob({
+        return runHtmlTranslationJob({
             projectRoot: __dirname,
             inputPath,
             debugMode: cliArgs.debug,
             runtimeConfig,
+            services,
+            archiveInput,
         });
-        return;
     }
 
-    if (cliArgs.chapterSelector) {
-        printUsageAndExit("--chap is only supported for EPUB input.");
-    }
-    if (cliArgs.pageSelector) {
-        printUsageAndExit("--page is only supported for PDF input.");
-    }
-
-    await runSubtitleTranslationJob({
+    return runSubtitleTranslationJob({
         projectRoot: __dirname,
         inputPath,
         debugMode: cliArgs.debug,
         runtimeConfig,
         sourceLanguageExplicit: cliArgs.sourceLanguageExplicit,
+        services,
+        archiveInput,
+    });
+};
+
+// =================== 批量翻译 ===================
+const resolveBatchInputPaths = async (cliArgs) => {
+    const { inputPaths, problems } = expandInputArguments(cliArgs.inputFileNames, {
+        baseDirs: [__dirname, path.resolve(__dirname, "input")],
+        extensions: new Set(SUPPORTED_INPUT_EXTENSIONS),
+        recursive: cliArgs.recursive,
+    });
+    if (problems.length > 0) {
+        printUsageAndExit(problems.join("\n"));
+    }
+
+    // 视频旁边的外挂字幕会随视频一起处理，不再单独作为一个任务
+    const { detectExternalSubtitleFiles } = await import("./src/subtitle/video.js");
+    const sidecarOwners = new Map();
+    for (const inputPath of inputPaths) {
+        if (!VIDEO_INPUT_EXTENSIONS.has(path.extname(inputPath).toLowerCase())) continue;
+        for (const sidecar of detectExternalSubtitleFiles(inputPath)) {
+            sidecarOwners.set(path.resolve(sidecar.path), inputPath);
+        }
+    }
+
+    const jobInputPaths = inputPaths.filter((inputPath) => {
+        const owner = sidecarOwners.get(inputPath);
+        if (!owner) return true;
+        console.log(
+            `⏭️  Skipping ${path.basename(inputPath)} (external subtitle of ${path.basename(owner)})`,
+        );
+        return false;
+    });
+
+    const conflicts = findOutputNameConflicts(jobInputPaths);
+    if (conflicts.length > 0) {
+        printUsageAndExit(
+            [
+                "These inputs share a file name and would overwrite each other's output and cache. Translate them in separate runs or rename them:",
+                ...conflicts.map((group) =>
+                    `  - ${group.map((inputPath) => path.relative(process.cwd(), inputPath)).join(", ")}`,
+                ),
+            ].join("\n"),
+        );
+    }
+    return jobInputPaths;
+};
+
+const runBatchTranslation = async (cliArgs, inputPaths) => {
+    if (cliArgs.chapterSelector || cliArgs.pageSelector) {
+        printUsageAndExit("--chap and --page can only be used with a single input file.");
+    }
+
+    const runtimeConfig = createCliRuntimeConfig(cliArgs);
+    const inputExts = [...new Set(inputPaths.map((inputPath) => path.extname(inputPath).toLowerCase()))];
+    for (const inputExt of inputExts) {
+        validateInputOptions(inputExt, cliArgs);
+        await ensurePreflightReady(
+            inputExt,
+            runtimeConfig,
+            path.basename(inputPaths.find((inputPath) => path.extname(inputPath).toLowerCase() === inputExt)),
+            cliArgs,
+        );
+    }
+
+    const { createJobServices } = await import("./src/core.js");
+    const usageTracker = createUsageTracker({
+        pricing: runtimeConfig.pricing,
+        limits: runtimeConfig.budget,
     });
+    // dry-run 不创建 provider，每个文件的预估任务各自记录日志
+    const services = cliArgs.dryRun
+        ? null
+        : createJobServices({
+              projectRoot: __dirname,
+              runtimeConfig,
+              usageTracker,
+          });
+
+    console.log(`\n📚 Batch: ${inputPaths.length} file(s)`);
+    const batchStartedAt = Date.now();
+    // 文件并发开始，模型请求由共享的 batch queue / rate limiter 统一限流；汇总表按输入顺序排列
+    const rowsByIndex = new Array(inputPaths.length);
+    let budgetError = null;
+    const limitFiles = pLimit(BATCH_FILE_CONCURRENCY);
+    const runBatchItem = (inputPath, index) =>
+        runUsageJob(async () => {
+            // 预算是整个批次共用的，用完后还没开始的文件不再开始
+            if (budgetError) return;
+            const label = `[${index + 1}/${inputPaths.length}]`;
+            console.log(`\n▶️  ${label} ${path.basename(inputPath)}`);
+            // 在 runUsageJob 里打开，只统计这个文件发出的请求
+            const itemUsage = usageTracker.openScope();
+            const startedAt = Date.now();
+            const finishRow = (row) => {
+                itemUsage.close();
+                rowsByIndex[index] = {
+                    inputPath,
+                    usage: itemUsage.summarize().totals,
+                    elapsedMs: Date.now() - startedAt,
+                    ...row,
+                };
+            };
+            try {
+                // 字幕任务会按检测结果改写 sourceLanguage，每个文件用独立的副本
+                const result = await runJobForInput({
+                    inputPath,
+                    cliArgs,
+                    runtimeConfig: { ...runtimeConfig },
+                    services,
+                    archiveInput: false,
+                });
+                finishRow({
+                    status: "ok",
+                    outputPath: result?.outputPath,
+                    ...(cliArgs.dryRun && { usage: result?.estimate?.totals }),
+                });
+            } catch (error) {
+                if (isBudgetExceededError(error)) {
+                    console.error(`⏸️  ${label} Stopped: ${path.basename(inputPath)}: ${error.message}`);
+                    finishRow({ status: "stopped", error: error.message });
+                    budgetError ??= error;
+                    return;
+                }
+                services?.logger.write(
+                    "ERROR",
+                    `Batch item failed (${path.basename(inputPath)}): ${error.stack || error.message}`,
+                );
+                console.error(`❌ ${label} Failed: ${path.basename(inputPath)}: ${error.message}`);
+                finishRow({ status: "failed", error: String(error.message || error).split("\n")[0] });
+            }
+        });
+    await Promise.all(
+        inputPaths.map((inputPath, index) => limitFiles(() => runBatchItem(inputPath, index))),
+    );
+    const rows = rowsByIndex.filter(Boolean);
+
+    console.log(
+        cliArgs.dryRun ? "\n📋 Batch estimate (tokens are estimated):\n" : "\n📋 Batch summary:\n",
+    );
+    console.log(formatBatchSummaryTable(rows, { elapsedMs: Date.now() - batchStartedAt }));
+
+    const failedCount = rows.filter((row) => row.status === "failed").length;
+    if (services && failedCount === 0 && !budgetError && !cliArgs.debug) {
+        services.logger.remove();
+    }
+    if (failedCount > 0) {
+        console.error(
+            services
+                ? `\n⚠️ ${failedCount} file(s) failed. See ${path.basename(services.logger.logFile)} for details.`
+                : `\n⚠️ ${failedCount} file(s) failed. See the log files in log/ for details.`,
+        );
+        process.exitCode = 1;
+    }
+    if (budgetError) {
+        const notStarted = inputPaths.length - rows.length;
+        console.error(
+            `\n⏸️  ${budgetError.message} ${notStarted} file(s) not started. Finished work is cached; raise the limit and rerun the same command to resume.`,
+        );
+        process.exitCode = failedCount > 0 ? 1 : BUDGET_EXIT_CODE;
+    }
+};
+
+const runTranslation = async (cliArgs) => {
+    const isBatch =
+        cliArgs.inputFileNames.length > 1 ||
+        isBatchInputArgument(cliArgs.inputFileNames[0], [
+            __dirname,
+            path.resolve(__dirname, "input"),
+        ]);
+    if (isBatch) {
+        const inputPaths = await resolveBatchInputPaths(cliArgs);
+        if (inputPaths.length > 1) {
+            await runBatchTranslation(cliArgs, inputPaths);
+            return;
+        }
+        cliArgs.inputFileName = inputPaths[0];
+    }
+
+    const inputPath = resolveInputPath(cliArgs.inputFileName);
+    const inputExt = path.extname(inputPath).toLowerCase();
+    let selectedPages = null;
+
+    if (cliArgs.pageSelector) {
+        try {
+            selectedPages = parsePageSelector(cliArgs.pageSelector);
+        } catch (error) {
+            printUsageAndExit(error.message);
+        }
+    }
+
+    const runtimeConfig = createCliRuntimeConfig(cliArgs);
+    await ensurePreflightReady(inputExt, runtimeConfig, cliArgs.inputFileName, cliArgs);
+    validateInputOptions(inputExt, cliArgs);
+
+    await runJobForInput({ inputPath, cliArgs, runtimeConfig, selectedPages });
 };
 
 const main = async () => {
@@ -469,7 +1228,7 @@ const main = async () => {
 
     try {
         if (cliArgs.mode === "doctor") {
-            await runDoctor(createRuntimeConfig());
+            await runDoctor(createCliRuntimeConfig(cliArgs));
             return;
         }
 
@@ -478,8 +1237,25 @@ const main = async () => {
             return;
         }
 
+        if (cliArgs.mode === "export-glossary") {
+            await runGlossaryExport(cliArgs);
+            return;
+        }
+
+        if (cliArgs.mode === "retranslate") {
+            await runRetranslation(cliArgs);
+            return;
+        }
+
         await runTranslation(cliArgs);
     } catch (error) {
+        if (isBudgetExceededError(error)) {
+            console.error(`\n⏸️  Stopped: ${error.message}`);
+            console.error(
+                "Finished work is cached. Raise the limit and rerun the same command to resume.",
+            );
+            process.exit(BUDGET_EXIT_CODE);
+        }
         console.error("Fatal error occurred.", error.message);
         if (String(error?.message || "").includes("Configured fallback model is no longer available.")) {
             console.error("\nUpdate `.env` and retry.");
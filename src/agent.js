@@ -1,14 +1,8 @@
 import { callAIWithRetry } from "./utils.js";
+import { isBudgetExceededError } from "./support/usage.js";
+import { estimateRequestTokens } from "./support/estimate.js";
 
-export const planTranslationOrder = async (chapters, aiProvider, logger) => {
-    console.log("\n🕵️ Step 1: Agent is analyzing book structure...");
-
-    const simplifiedChapters = chapters.map((ch) => ({
-        id: ch.id,
-        title: ch.title,
-    }));
-
-    const agentPrompt = `
+const AGENT_PROMPT = `
 You are a "Translation Strategy Agent".
 
 I have an EPUB book to translate.
@@ -39,11 +33,24 @@ OUTPUT: A JSON object:
     "order": ["chapter_01", "chapter_02", ...]
 }`;
 
+const simplifyChapters = (chapters) =>
+    chapters.map((ch) => ({
+        id: ch.id,
+        title: ch.title,
+    }));
+
+export const planTranslationOrder = async (chapters, aiProvider, logger) => {
+    console.log("\n🕵️ Step 1: Agent is analyzing book structure...");
+
+    const simplifiedChapters = simplifyChapters(chapters);
+
     try {
         const result = await callAIWithRetry(
             aiProvider,
             JSON.stringify(simplifiedChapters),
-            agentPrompt,
+            AGENT_PROMPT,
+            3,
+            { step: "plan" },
         );
 
         const chapterMap = new Map(chapters.map((c) => [c.id, c]));
@@ -78,6 +85,7 @@ OUTPUT: A JSON object:
             tocId: result.tocId,
         };
     } catch (e) {
+        if (isBudgetExceededError(e)) throw e;
         logger.write(
             "ERROR",
             `Agent Plan Failed after retries: ${e.stack || e.message}`,
@@ -86,3 +94,13 @@ OUTPUT: A JSON object:
         return { sorted: chapters, tocId: null };
     }
 };
+
+// dry-run：按真实请求估算翻译计划的 token，回复按完整的章节 id 列表计
+export const estimatePlanRequest = (chapters) => {
+    const simplifiedChapters = simplifyChapters(chapters);
+    return estimateRequestTokens(
+        AGENT_PROMPT,
+        JSON.stringify(simplifiedChapters),
+        JSON.stringify({ tocId: null, order: simplifiedChapters.map((ch) => ch.id) }),
+    );
+};
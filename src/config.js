@@ -15,8 +15,12 @@ const envInt = (value, fallback) => {
     return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
 };
 
+// provider 名对应的环境变量前缀，例如 my-llm -> MY_LLM
+export const providerEnvPrefix = (providerName) =>
+    providerName.toUpperCase().replace(/[^A-Z0-9]/g, "_");
+
 const getProviderModel = (providerName, defaultModel) => {
-    const upper = providerName.toUpperCase();
+    const upper = providerEnvPrefix(providerName);
     const directEnvModel = env[`${upper}_MODEL`];
     if (directEnvModel) return directEnvModel;
 
@@ -32,13 +36,123 @@ const getProviderModel = (providerName, defaultModel) => {
 };
 
 const getProviderTimeoutMs = (providerName, defaultTimeoutMs = 90000) => {
-    const upper = providerName.toUpperCase();
+    const upper = providerEnvPrefix(providerName);
     return envInt(
         env[`${upper}_TIMEOUT_MS`] || env.PROVIDER_TIMEOUT_MS,
         defaultTimeoutMs,
     );
 };
 
+// 每分钟请求数 / token 数上限，未设置时只靠 429 自适应
+const getProviderRateLimits = (providerName) => {
+    const upper = providerEnvPrefix(providerName);
+    return {
+        requestsPerMinute: envInt(env[`${upper}_RPM`] || env.PROVIDER_RPM, null),
+        tokensPerMinute: envInt(env[`${upper}_TPM`] || env.PROVIDER_TPM, null),
+    };
+};
+
+// 客户端类型：gemini 用 Google SDK，anthropic 直接调用 Messages API，其余都走 OpenAI 兼容接口
+export const PROVIDER_TYPES = ["gemini", "anthropic", "openai-compatible"];
+
+// 正文 batch 的收发格式：xml 为 <node id> 标签；json 要求返回 JSON 对象；
+// json-schema 额外通过 response_format 提交 JSON Schema（structured outputs）
+export const BATCH_FORMATS = ["xml", "json", "json-schema"];
+
+const parseBatchFormat = (value, fallback) => {
+    const normalized = String(value || "").trim().toLowerCase();
+    return BATCH_FORMATS.includes(normalized) ? normalized : fallback;
+};
+
+const parseHeaders = (value) => {
+    if (!value) return {};
+    try {
+        const parsed = JSON.parse(value);
+        return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+        return {};
+    }
+};
+
+/**
+ * 创建一个 provider 的配置。
+ * local 为 true 的本地服务（Ollama、llama.cpp 等）不需要 API key，默认串行、超时更长。
+ * fromEnv 为 false 时（配置文件定义的 provider）只从环境变量读取 API key，其余以定义为准。
+ */
+export const createProviderSettings = (
+    providerName,
+    {
+        type = "openai-compatible",
+        label = providerName,
+        baseURL = null,
+        model = null,
+        apiKeyEnv = null,
+        headers = {},
+        local = false,
+        stream = false,
+        batchFormat = "xml",
+        concurrency = null,
+        timeoutMs = null,
+    } = {},
+    { fromEnv = true } = {},
+) => {
+    const upper = providerEnvPrefix(providerName);
+    const keyEnv = apiKeyEnv || `${upper}_API_KEY`;
+    const defaultTimeoutMs = local ? 600000 : 90000;
+    return {
+        type,
+        label,
+        local,
+        apiKeyEnv: local && !apiKeyEnv ? null : keyEnv,
+        apiKey: env[keyEnv] || null,
+        baseURL: (fromEnv && env[`${upper}_BASE_URL`]) || baseURL,
+        headers: fromEnv ? { ...headers, ...parseHeaders(env[`${upper}_HEADERS`]) } : { ...headers },
+        modelName: fromEnv ? getProviderModel(providerName, model) : model,
+        // 流式接收译文，正文 batch 中已完整返回的节点先写回（目前只有 OpenAI 兼容接口支持）
+        stream: fromEnv
+            ? envFlag(env[`${upper}_STREAM`] || env.PROVIDER_STREAM, stream)
+            : stream,
+        batchFormat: fromEnv
+            ? parseBatchFormat(env[`${upper}_BATCH_FORMAT`] || env.PROVIDER_BATCH_FORMAT, batchFormat)
+            : batchFormat,
+        concurrency: concurrency || (local ? 1 : 5),
+        timeoutMs:
+            timeoutMs ||
+            (fromEnv ? getProviderTimeoutMs(providerName, defaultTimeoutMs) : defaultTimeoutMs),
+        ...(fromEnv
+            ? getProviderRateLimits(providerName)
+            : { requestsPerMinute: null, tokensPerMinute: null }),
+    };
+};
+
+// 本地服务不需要 API key，其余 provider 有 key 才能使用
+export const isProviderConfigured = (providerConfig) =>
+    Boolean(providerConfig) && (providerConfig.local || Boolean(providerConfig.apiKey));
+
+// OPENAI_COMPATIBLE_PROVIDERS=deepseek,lmstudio 声明额外的 OpenAI 兼容 provider，
+// 各自从 <NAME>_BASE_URL、<NAME>_API_KEY、<NAME>_MODEL、<NAME>_HEADERS、<NAME>_LOCAL 读取设置
+const ENV_CUSTOM_PROVIDERS = (env.OPENAI_COMPATIBLE_PROVIDERS || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+export const BUILT_IN_PROVIDERS = [
+    "gemini",
+    "qwen",
+    "mimo",
+    "openrouter",
+    "anthropic",
+    "ollama",
+    "llamacpp",
+    "mock",
+];
+
+// 内置 provider 与环境变量声明的 provider；配置文件 providers 中的定义在 createRuntimeConfig 里追加
+export const SUPPORTED_PROVIDERS = [
+    ...BUILT_IN_PROVIDERS,
+    ...ENV_CUSTOM_PROVIDERS.filter((name) => !BUILT_IN_PROVIDERS.includes(name)),
+];
+
 export const CURRENT_PROVIDER = normalizeProvider(
     env.PRIMARY_PROVIDER || env.PROVIDER,
     "qwen",
@@ -48,6 +162,44 @@ export const FALLBACK_ON_CONTENT_POLICY = envFlag(
     env.FALLBACK_ON_CONTENT_POLICY || env.FALLBACK_ON_CONTENT_FILTER,
     true,
 );
+
+// fallback 链可以响应的错误类别，见 aiProvider.js 的 classifyProviderError
+export const FALLBACK_ERROR_CLASSES = [
+    "content-policy",
+    "timeout",
+    "server-error",
+    "rate-limit",
+    "quota",
+    "deprecated-model",
+];
+// fallback 条目没有写 on 时使用；限流由限流器处理，默认不切换 provider
+export const DEFAULT_FALLBACK_ON = FALLBACK_ERROR_CLASSES.filter(
+    (errorClass) => errorClass !== "rate-limit",
+);
+
+const envList = (value) =>
+    String(value || "")
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+
+const FALLBACK_ON = env.FALLBACK_ON
+    ? envList(env.FALLBACK_ON)
+          .map((item) => item.toLowerCase())
+          .filter((item) => FALLBACK_ERROR_CLASSES.includes(item))
+    : null;
+
+// FALLBACK_CHAIN=openrouter:x-ai/grok-4.3,gemini:gemini-2.5-flash；模型名可以省略，只按第一个冒号拆分。
+// 也可以引用配置文件 providers 里的名称，所以 provider 名到 createRuntimeConfig 里才校验
+const FALLBACK_CHAIN = envList(env.FALLBACK_CHAIN).map((item) => {
+    const separator = item.indexOf(":");
+    return {
+        provider: normalizeProvider(separator === -1 ? item : item.slice(0, separator)),
+        model: separator === -1 ? null : item.slice(separator + 1).trim() || null,
+        on: FALLBACK_ON || DEFAULT_FALLBACK_ON,
+    };
+});
+
 export const DEFAULT_SOURCE_LANGUAGE = "English";
 export const DEFAULT_TARGET_LANGUAGE = "Chinese (Simplified)";
 
@@ -69,65 +221,243 @@ export const JAPANESE_GLOSSARY_MODEL =
 export const CONFIG = {
     sourceLanguage: DEFAULT_SOURCE_LANGUAGE,
     targetLanguage: DEFAULT_TARGET_LANGUAGE,
-    gemini: {
-        apiKey: process.env.GEMINI_API_KEY,
-        modelName: getProviderModel("gemini", "gemini-2.5-pro"),
-        concurrency: 5,
-        timeoutMs: getProviderTimeoutMs("gemini"),
+    outputMode: "translated",
+    bilingualOrder: null,
+    translationMemory: {
+        enabled: envFlag(env.TRANSLATION_MEMORY, true),
+        path: env.TRANSLATION_MEMORY_PATH || null,
     },
-    qwen: {
-        apiKey: process.env.QWEN_API_KEY,
-        baseURL:
-            process.env.QWEN_BASE_URL ||
-            "https://dashscope.aliyuncs.com/compatible-mode/v1",
-        modelName: getProviderModel("qwen", "qwen-plus"),
-        concurrency: 5,
-        timeoutMs: getProviderTimeoutMs("qwen"),
+    glossaryCompliance: {
+        // 译后术语检查总会执行；enforce 开启时违规节点会用严格 prompt 重译一轮
+        enforce: envFlag(env.ENFORCE_GLOSSARY, false),
     },
-    mimo: {
-        apiKey: process.env.MIMO_API_KEY,
-        baseURL: process.env.MIMO_BASE_URL || "https://api.xiaomimimo.com/v1",
-        modelName: getProviderModel("mimo", "mimo-v2-pro"),
-        concurrency: 5,
-        timeoutMs: getProviderTimeoutMs("mimo"),
+    // 预算上限，任一达到后停止发出新请求；token / 费用上限通过命令行或配置文件设置
+    budget: {
+        maxTokens: null,
+        maxCost: null,
+        maxRequests: envInt(env.MAX_REQUESTS, null),
     },
+    gemini: createProviderSettings("gemini", {
+        type: "gemini",
+        label: "Gemini",
+        model: "gemini-2.5-pro",
+    }),
+    qwen: createProviderSettings("qwen", {
+        label: "Qwen",
+        baseURL: "https://dashscope.aliyuncs.com/compatible-mode/v1",
+        model: "qwen-plus",
+    }),
+    mimo: createProviderSettings("mimo", {
+        label: "Mimo",
+        baseURL: "https://api.xiaomimimo.com/v1",
+        model: "mimo-v2-pro",
+    }),
     openrouter: {
-        apiKey: process.env.OPENROUTER_API_KEY,
-        baseURL: process.env.OPENROUTER_BASE_URL || "https://openrouter.ai/api/v1",
-        modelName: getProviderModel("openrouter", "x-ai/grok-4.3"),
-        concurrency: 5,
-        timeoutMs: getProviderTimeoutMs("openrouter"),
+        ...createProviderSettings("openrouter", {
+            label: "OpenRouter",
+            baseURL: "https://openrouter.ai/api/v1",
+            model: "x-ai/grok-4.3",
+        }),
         requestOptions: {
             reasoning: {
                 enabled: envFlag(process.env.OPENROUTER_REASONING_ENABLED, true),
             },
         },
     },
+    anthropic: {
+        ...createProviderSettings("anthropic", {
+            type: "anthropic",
+            label: "Anthropic",
+            baseURL: "https://api.anthropic.com",
+            model: "claude-sonnet-4-5",
+        }),
+        // 每个请求的输出上限；回复达到上限时按截断处理，batch 会被拆小重发
+        maxTokens: envInt(env.ANTHROPIC_MAX_TOKENS, 8192),
+    },
+    // 本地服务使用各自的 OpenAI 兼容接口，稿件不会离开本机
+    ollama: createProviderSettings("ollama", {
+        label: "Ollama",
+        baseURL: "http://127.0.0.1:11434/v1",
+        model: "qwen2.5:14b",
+        local: true,
+    }),
+    llamacpp: createProviderSettings("llamacpp", {
+        label: "llama.cpp",
+        baseURL: "http://127.0.0.1:8080/v1",
+        model: "local-model",
+        local: true,
+    }),
+    // 离线伪翻译 / 回放日志，模型名即模式（bracket、reverse、replay），见 translation/mockProvider.js
+    mock: {
+        ...createProviderSettings("mock", {
+            type: "mock",
+            label: "Mock",
+            model: env.MOCK_REPLAY_LOG ? "replay" : "bracket",
+            local: true,
+        }),
+        replayLog: env.MOCK_REPLAY_LOG || null,
+    },
+    ...Object.fromEntries(
+        ENV_CUSTOM_PROVIDERS.filter((name) => !BUILT_IN_PROVIDERS.includes(name)).map((name) => [
+            name,
+            createProviderSettings(name, {
+                local: envFlag(env[`${providerEnvPrefix(name)}_LOCAL`], false),
+            }),
+        ]),
+    ),
+};
+
+// 优先级：配置文件 fallbacks > 配置文件 fallbackProvider 等旧写法 > FALLBACK_CHAIN > FALLBACK_PROVIDER 旧写法
+const resolveFallbackChain = (settings, provider, fallbackProvider) => {
+    if (settings.fallbacks) {
+        return settings.fallbacks.map((entry) => ({
+            provider: entry.provider,
+            model: entry.model || null,
+            on: entry.on || DEFAULT_FALLBACK_ON,
+        }));
+    }
+    const hasLegacyProfileFallback =
+        settings.fallbackProvider !== undefined ||
+        settings.fallbackModel !== undefined ||
+        settings.fallbackOnContentPolicy !== undefined;
+    if (!hasLegacyProfileFallback && FALLBACK_CHAIN.length > 0) {
+        return FALLBACK_CHAIN;
+    }
+
+    // 旧写法只有一个 fallback，默认只在内容审核拦截时切换
+    const fallbackOnContentPolicy =
+        settings.fallbackOnContentPolicy ?? FALLBACK_ON_CONTENT_POLICY;
+    const on = FALLBACK_ON || (fallbackOnContentPolicy ? ["content-policy"] : []);
+    if (!fallbackProvider || fallbackProvider === provider || on.length === 0) return [];
+    return [{ provider: fallbackProvider, model: null, on }];
 };
 
 export const createRuntimeConfig = ({
     sourceLanguage = DEFAULT_SOURCE_LANGUAGE,
     targetLanguage = DEFAULT_TARGET_LANGUAGE,
     concurrency = null,
+    bilingual = false,
+    bilingualOrder = null,
+    translationMemory = true,
+    userGlossary = null,
+    enforceGlossary = false,
+    // 项目配置文件解析后的 profile 设置（见 support/projectConfig.js）
+    profile = null,
+    profileName = null,
+    configFile = null,
+    // 命令行 --prompt / --style 读入的文本，覆盖配置文件中的同类设置
+    promptTemplate = null,
+    styleGuide = null,
+    // 项目配置文件的价格表，用于估算费用；为空时只统计 token
+    pricing = null,
+    // 命令行 --max-tokens / --max-cost，覆盖配置文件 budget 中的同名项
+    budget = null,
+    // 项目配置文件 providers 中定义的 provider { name: { type, baseURL, model, ... } }
+    providers = null,
+    // retranslate --instructions：追加在翻译 prompt 末尾的额外要求
+    extraInstructions = null,
 } = {}) => {
+    const settings = profile || {};
+    const provider = settings.provider || CURRENT_PROVIDER;
+    const fallbackProvider = settings.fallbackProvider || FALLBACK_PROVIDER;
+
     const runtimeConfig = {
         ...CONFIG,
+        provider,
+        fallbackChain: resolveFallbackChain(settings, provider, fallbackProvider),
+        profileName,
+        // 仅供 doctor 展示来源
+        projectConfig: {
+            file: configFile,
+            promptFiles: settings.promptFiles || {},
+            styleFile: settings.styleFile || null,
+            glossaryFiles: settings.glossary || [],
+        },
         sourceLanguage,
         targetLanguage,
-        gemini: { ...CONFIG.gemini },
-        qwen: { ...CONFIG.qwen },
-        mimo: { ...CONFIG.mimo },
-        openrouter: {
-            ...CONFIG.openrouter,
-            requestOptions: {
-                ...(CONFIG.openrouter.requestOptions || {}),
-            },
+        outputMode: bilingual ? "bilingual" : "translated",
+        bilingualOrder,
+        translationMemory: {
+            ...CONFIG.translationMemory,
+            // mock 的伪译文不能进入翻译记忆；回放时也要让每个请求都按录制时发出
+            enabled:
+                CONFIG.translationMemory.enabled && translationMemory && provider !== "mock",
+        },
+        // 用户提供的锁定术语 [{ term, translation, note }]
+        userGlossary: userGlossary || [],
+        glossaryCompliance: {
+            enforce: CONFIG.glossaryCompliance.enforce || enforceGlossary,
+        },
+        // 按模式覆盖 batchQueue 的默认分批上限 { epub: { sizeLimit, nodeLimit } }
+        batching: settings.batching || {},
+        // 按模式覆盖内置 prompt 模板 { epub: "<template text>" }；--prompt 对所有模式生效
+        promptTemplates: promptTemplate
+            ? { epub: promptTemplate, html: promptTemplate, pdf: promptTemplate, subtitle: promptTemplate }
+            : settings.promptTemplates || {},
+        // 替换 buildStyleGuide 的内置风格指南
+        styleGuide: styleGuide || settings.styleGuide || null,
+        extraInstructions: extraInstructions || null,
+        pricing,
+        budget: {
+            ...CONFIG.budget,
+            ...(settings.budget || {}),
+            ...Object.fromEntries(
+                Object.entries(budget || {}).filter(([, value]) => value != null),
+            ),
+        },
+        output: {
+            dir: settings.output?.dir || null,
+            pattern: settings.output?.pattern || null,
         },
     };
 
-    if (concurrency) {
-        for (const providerName of ["gemini", "qwen", "mimo", "openrouter"]) {
-            runtimeConfig[providerName].concurrency = concurrency;
+    // 每个 provider 的设置放在 runtimeConfig[providerName] 上，providerNames 记录全部名称
+    for (const providerName of SUPPORTED_PROVIDERS) {
+        runtimeConfig[providerName] = {
+            ...CONFIG[providerName],
+            headers: { ...CONFIG[providerName].headers },
+            ...(CONFIG[providerName].requestOptions && {
+                requestOptions: { ...CONFIG[providerName].requestOptions },
+            }),
+        };
+    }
+    for (const [providerName, definition] of Object.entries(providers || {})) {
+        if (providerName in runtimeConfig && !SUPPORTED_PROVIDERS.includes(providerName)) {
+            throw new Error(`Provider name "${providerName}" is reserved. Choose another name.`);
+        }
+        runtimeConfig[providerName] = createProviderSettings(providerName, definition, {
+            fromEnv: false,
+        });
+    }
+    runtimeConfig.providerNames = [
+        ...new Set([...SUPPORTED_PROVIDERS, ...Object.keys(providers || {})]),
+    ];
+    const unknownFallbacks = runtimeConfig.fallbackChain.filter(
+        (entry) => !runtimeConfig.providerNames.includes(entry.provider),
+    );
+    if (unknownFallbacks.length > 0) {
+        throw new Error(
+            `Unknown provider in FALLBACK_CHAIN: ${unknownFallbacks.map((entry) => entry.provider).join(", ")}. Use one of ${runtimeConfig.providerNames.join(", ")}.`,
+        );
+    }
+
+    if (settings.model) {
+        runtimeConfig[provider].modelName = settings.model;
+    }
+    if (settings.fallbackModel && fallbackProvider !== provider) {
+        runtimeConfig[fallbackProvider].modelName = settings.fallbackModel;
+    }
+
+    // 配置文件 rateLimits 按 provider 覆盖环境变量
+    for (const [providerName, limits] of Object.entries(settings.rateLimits || {})) {
+        Object.assign(runtimeConfig[providerName], limits);
+    }
+
+    // 命令行 --concurrency 优先于配置文件
+    const effectiveConcurrency = concurrency || settings.concurrency;
+    if (effectiveConcurrency) {
+        for (const providerName of runtimeConfig.providerNames) {
+            runtimeConfig[providerName].concurrency = effectiveConcurrency;
         }
     }
 
@@ -0,0 +1,137 @@
+import { getHtmlLanguageTag } from "../subtitle/language.js";
+
+// =================== 双语输出 ===================
+export const BILINGUAL_SOURCE_CLASS = "wasabi-source";
+export const BILINGUAL_TRANSLATION_CLASS = "wasabi-translation";
+const BILINGUAL_STYLE_ID = "wasabi-bilingual-style";
+
+// 这些块级节点直接复制一份原文作为兄弟节点；其余节点（li、td、caption 等）
+// 复制会破坏列表编号或表格结构，改为在节点内部包两层。
+const SIBLING_BILINGUAL_TAGS = new Set([
+    "p",
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "div",
+    "blockquote",
+    "pre",
+    "dt",
+    "dd",
+]);
+
+const INLINE_BILINGUAL_TAGS = new Set([
+    "span",
+    "a",
+    "em",
+    "strong",
+    "b",
+    "i",
+    "u",
+    "small",
+    "sup",
+    "sub",
+    "cite",
+    "q",
+    "abbr",
+    "label",
+]);
+
+export const getBilingualLanguageClass = (languageName) =>
+    `wasabi-lang-${getHtmlLanguageTag(languageName).toLowerCase()}`;
+
+const markSide = ($el, sideClass, languageName) =>
+    $el
+        .addClass(sideClass)
+        .addClass(getBilingualLanguageClass(languageName))
+        .attr("lang", getHtmlLanguageTag(languageName));
+
+// 原文副本不能保留 id，否则锚点和脚注会出现重复目标；id 统一留在译文一侧。
+const stripIds = ($el) => {
+    $el.removeAttr("id");
+    $el.find("[id]").removeAttr("id");
+};
+
+export const applyBilingualTranslation = (
+    $,
+    $target,
+    translatedHtml,
+    {
+        sourceLanguage,
+        targetLanguage,
+        order = "source-first",
+        markerAttrName = null,
+    },
+) => {
+    const tagName = String($target[0]?.name || "").toLowerCase();
+
+    if (tagName === "title") {
+        $target.html(translatedHtml);
+        return;
+    }
+
+    // 重新写回（例如重试或术语纠正）时只替换译文，不再复制原文
+    if ($target.hasClass(BILINGUAL_TRANSLATION_CLASS)) {
+        $target.html(translatedHtml);
+        return;
+    }
+    const $existingTranslation = $target.children(
+        `.${BILINGUAL_TRANSLATION_CLASS}`,
+    );
+    if ($existingTranslation.length > 0) {
+        $existingTranslation.first().html(translatedHtml);
+        return;
+    }
+
+    if (SIBLING_BILINGUAL_TAGS.has(tagName)) {
+        const $source = $target.clone();
+        if (markerAttrName) $source.removeAttr(markerAttrName);
+        stripIds($source);
+        markSide($source, BILINGUAL_SOURCE_CLASS, sourceLanguage);
+
+        $target.html(translatedHtml);
+        markSide($target, BILINGUAL_TRANSLATION_CLASS, targetLanguage);
+
+        if (order === "translation-first") {
+            $target.after($source);
+        } else {
+            $target.before($source);
+        }
+        return;
+    }
+
+    const wrapperTag = INLINE_BILINGUAL_TAGS.has(tagName) ? "span" : "div";
+    const $source = $(`<${wrapperTag}></${wrapperTag}>`).html($target.html());
+    stripIds($source);
+    markSide($source, BILINGUAL_SOURCE_CLASS, sourceLanguage);
+    const $translation = $(`<${wrapperTag}></${wrapperTag}>`).html(
+        translatedHtml,
+    );
+    markSide($translation, BILINGUAL_TRANSLATION_CLASS, targetLanguage);
+
+    const sides =
+        order === "translation-first"
+            ? [$translation, $source]
+            : [$source, $translation];
+    $target.empty().append(sides[0]);
+    if (wrapperTag === "span") $target.append("<br/>");
+    $target.append(sides[1]);
+};
+
+const buildBilingualStyleSheet = (sourceLanguage, targetLanguage) => `
+.${BILINGUAL_SOURCE_CLASS} { color: #6b6b6b; }
+.${BILINGUAL_TRANSLATION_CLASS} { color: inherit; }
+/* Hide either side, e.g. .${getBilingualLanguageClass(sourceLanguage)} or .${getBilingualLanguageClass(targetLanguage)} { display: none; } */
+`;
+
+export const injectBilingualStyles = ($, { sourceLanguage, targetLanguage }) => {
+    if ($(`.${BILINGUAL_TRANSLATION_CLASS}`).length === 0) return;
+    if ($(`#${BILINGUAL_STYLE_ID}`).length > 0) return;
+    const $head = $("head");
+    if ($head.length === 0) return;
+    $head.append(
+        `<style id="${BILINGUAL_STYLE_ID}" type="text/css">${buildBilingualStyleSheet(sourceLanguage, targetLanguage)}</style>`,
+    );
+};
@@ -235,6 +235,32 @@ export const classifyNode = (node) => {
     return classifyTextNode(node?.text || "");
 };
 
+// 表格单元格：数字、带单位的数值、公式和记号原样保留，只翻译有文字的格子
+const LATIN_WORD_REGEX = /[A-Za-z]{4,}/;
+const NON_ASCII_LETTER_REGEX = /(?![A-Za-z])\p{L}/u;
+
+export const classifyTableCell = (text) => {
+    const normalized = normalizeText(text);
+    if (!normalized) {
+        return { type: "TABLE_CELL_DATA", action: "SKIP", reason: "empty" };
+    }
+    if (!/\p{L}{2,}/u.test(normalized)) {
+        return { type: "TABLE_CELL_DATA", action: "SKIP", reason: "no_words" };
+    }
+    // 12 kg、USD 1,200、Q3 2021 这类数值：有数字，但没有完整的单词
+    if (
+        /\d/.test(normalized) &&
+        !LATIN_WORD_REGEX.test(normalized) &&
+        !NON_ASCII_LETTER_REGEX.test(normalized)
+    ) {
+        return { type: "TABLE_CELL_DATA", action: "SKIP", reason: "numeric_with_units" };
+    }
+    if (classifyTextNode(normalized).type === "FORMULA") {
+        return { type: "FORMULA", action: "SKIP", reason: "formula_like_cell" };
+    }
+    return { type: "TABLE_CELL_TEXT", action: "KEEP", reason: "cell_text" };
+};
+
 export const buildPlaceholderMarkup = (classification, tagName = "div") => {
     const labelMap = {
         TABLE_PSEUDO: "[Table omitted: non-text OCR grid]",
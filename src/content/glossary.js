@@ -8,6 +8,8 @@ import {
 import path from "path";
 import { fileURLToPath } from "url";
 import { callAIWithRetry, loadHtml } from "../utils.js";
+import { isBudgetExceededError } from "../support/usage.js";
+import { estimateRequestTokens, sumEstimates } from "../support/estimate.js";
 
 const { NGrams, WordTokenizer } = pkg;
 const __filename = fileURLToPath(import.meta.url);
@@ -415,6 +417,7 @@ const collectCandidates = async (chapterMap, translationConfig) => {
 
 // =================== 分批请求 AI ===================
 const CANDIDATE_BATCH_SIZE = 100;
+const GLOSSARY_SYSTEM_PROMPT = "You are a helpful assistant that outputs only JSON.";
 
 const buildPrompt = (candidateBatch, translationConfig) => `\
 I am translating an ebook from ${translationConfig.sourceLanguage} into ${translationConfig.targetLanguage}. \
@@ -471,11 +474,14 @@ const queryGlossaryBatch = async (
             const parsed = await callAIWithRetry(
                 aiProvider,
                 buildPrompt(batch, translationConfig),
-                "You are a helpful assistant that outputs only JSON.",
+                GLOSSARY_SYSTEM_PROMPT,
+                3,
+                { step: "glossary" },
             );
             const terms = parsed.glossary || [];
             results.push(...terms);
         } catch (e) {
+            if (isBudgetExceededError(e)) throw e;
             logger.write(
                 "ERROR",
                 `Glossary batch ${batchIndex} failed: ${e.stack || e.message}`,
@@ -528,6 +534,7 @@ export const generateInitialGlossary = async (
         );
         logger.write("GLOSSARY", JSON.stringify(dedupedTerms, null, 2));
     } catch (error) {
+        if (isBudgetExceededError(error)) throw error;
         console.error("    - ❌ Failed to generate glossary:", error.message);
         logger.write(
             "ERROR",
@@ -538,3 +545,22 @@ export const generateInitialGlossary = async (
     console.log("    - Glossary generation step completed.\n");
     return glossary;
 };
+
+// dry-run：候选词与正式运行相同，回复按每个候选都给出译名估算（上限）
+export const estimateGlossaryRequests = async (chapterMap, translationConfig) => {
+    const { candidates } = await collectCandidates(chapterMap, translationConfig);
+    const estimates = [];
+    for (let i = 0; i < candidates.length; i += CANDIDATE_BATCH_SIZE) {
+        const batch = candidates.slice(i, i + CANDIDATE_BATCH_SIZE);
+        estimates.push(
+            estimateRequestTokens(
+                GLOSSARY_SYSTEM_PROMPT,
+                buildPrompt(batch, translationConfig),
+                JSON.stringify({
+                    glossary: batch.map(({ term }) => ({ term, suggested: term })),
+                }),
+            ),
+        );
+    }
+    return sumEstimates(estimates);
+};
@@ -0,0 +1,114 @@
+import fs from "fs";
+import path from "path";
+
+// =================== 术语一致性检查 ===================
+const PREVIEW_LENGTH = 120;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const buildTermPattern = (term) => {
+    const escaped = escapeRegExp(term);
+    // 拉丁字母术语按词边界匹配，避免 "Art" 命中 "article"
+    return /^[\p{Script=Latin}\p{N}\s'-]+$/u.test(term)
+        ? new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, "iu")
+        : new RegExp(escaped, "iu");
+};
+
+const toPlainText = (html) =>
+    String(html ?? "")
+        .replace(/<[^>]+>/g, " ")
+        .replace(/&nbsp;/g, " ")
+        .replace(/&amp;/g, "&")
+        .replace(/\s+/g, " ")
+        .trim();
+
+const previewText = (html) => {
+    const text = toPlainText(html);
+    return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}...` : text;
+};
+
+/**
+ * 把 glossary 对象和锁定术语整理成带正则的条目列表，一章只构建一次。
+ * 返回的 matcher 负责"原文出现了哪些术语"和"译文是否用了约定译名"两个判断。
+ */
+export const createGlossaryMatcher = (glossary = {}, lockedEntries = []) => {
+    const lockedKeys = new Set(lockedEntries.map((entry) => entry.term.toLowerCase()));
+    const entries = Object.entries(glossary || {})
+        .filter(([term, translation]) => term && translation)
+        .map(([term, translation]) => ({
+            term,
+            translation: String(translation),
+            locked: lockedKeys.has(term.toLowerCase()),
+            pattern: buildTermPattern(term),
+        }));
+    // 未经 mergeLockedGlossary 合并的锁定术语也要参与检查
+    const knownKeys = new Set(entries.map((entry) => entry.term.toLowerCase()));
+    for (const entry of lockedEntries) {
+        if (knownKeys.has(entry.term.toLowerCase())) continue;
+        entries.push({
+            term: entry.term,
+            translation: entry.translation,
+            locked: true,
+            pattern: buildTermPattern(entry.term),
+        });
+    }
+
+    const findRelevant = (sourceHtml) => {
+        if (entries.length === 0) return [];
+        const sourceText = toPlainText(sourceHtml);
+        return entries.filter((entry) => entry.pattern.test(sourceText));
+    };
+
+    const findViolations = (sourceHtml, translatedHtml) => {
+        const translatedText = toPlainText(translatedHtml).toLowerCase();
+        return findRelevant(sourceHtml)
+            .filter((entry) => !translatedText.includes(entry.translation.toLowerCase()))
+            .map(({ term, translation, locked }) => ({ term, translation, locked }));
+    };
+
+    return { size: entries.length, findRelevant, findViolations };
+};
+
+// =================== 合规报告 ===================
+export const createGlossaryComplianceReport = () => {
+    const chapters = [];
+
+    const addChapter = (chapterTitle, { checkedNodes = 0, violations = [] } = {}) => {
+        chapters.push({ chapterTitle, checkedNodes, violations });
+    };
+
+    const summarize = () => {
+        const violations = chapters.flatMap((chapter) => chapter.violations);
+        return {
+            chapters: chapters.length,
+            checkedNodes: chapters.reduce((total, chapter) => total + chapter.checkedNodes, 0),
+            violations: violations.filter((violation) => !violation.corrected).length,
+            corrected: violations.filter((violation) => violation.corrected).length,
+            lockedViolations: violations.filter(
+                (violation) => violation.locked && !violation.corrected,
+            ).length,
+        };
+    };
+
+    const write = (filePath) => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const payload = {
+            generatedAt: new Date().toISOString(),
+            summary: summarize(),
+            chapters: chapters.filter((chapter) => chapter.violations.length > 0),
+        };
+        fs.writeFileSync(filePath, `${JSON.stringify(payload, null, 2)}\n`, "utf8");
+    };
+
+    return { chapters, addChapter, summarize, write };
+};
+
+export const buildViolationRecord = (node, translatedHtml, violation, corrected = false) => ({
+    nodeId: node.id,
+    term: violation.term,
+    expected: violation.translation,
+    locked: violation.locked,
+    corrected,
+    source: previewText(node.content),
+    translation: previewText(translatedHtml),
+});
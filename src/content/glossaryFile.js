@@ -0,0 +1,223 @@
+import fs from "fs";
+import path from "path";
+
+// =================== 用户术语表导入 / 导出 ===================
+export const GLOSSARY_FILE_FORMATS = new Set(["csv", "tsv", "json"]);
+
+const TERM_COLUMNS = ["term", "source", "original", "en"];
+const TRANSLATION_COLUMNS = ["translation", "target", "translated", "suggested"];
+
+// 支持带引号字段（含分隔符、换行与 "" 转义）的最小 CSV/TSV 解析
+const parseDelimited = (content, delimiter) => {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+    const text = String(content ?? "").replace(/^\uFEFF/, "");
+
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+        if (inQuotes) {
+            if (char === '"' && text[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+        if (char === '"' && field === "") {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[index + 1] === "\n") index++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
+        }
+    }
+    if (field !== "" || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows
+        .map((cells) => cells.map((cell) => cell.trim()))
+        .filter((cells) => cells.some(Boolean) && !cells[0].startsWith("#"));
+};
+
+const normalizeEntry = (term, translation, note = "") => {
+    const normalizedTerm = String(term ?? "").trim();
+    const normalizedTranslation = String(translation ?? "").trim();
+    if (!normalizedTerm || !normalizedTranslation) return null;
+    return {
+        term: normalizedTerm,
+        translation: normalizedTranslation,
+        note: String(note ?? "").trim(),
+    };
+};
+
+const parseDelimitedGlossary = (content, delimiter) => {
+    const rows = parseDelimited(content, delimiter);
+    if (rows.length === 0) return [];
+
+    const header = rows[0].map((cell) => cell.toLowerCase());
+    const termIndex = header.findIndex((cell) => TERM_COLUMNS.includes(cell));
+    const translationIndex = header.findIndex((cell) =>
+        TRANSLATION_COLUMNS.includes(cell),
+    );
+    const hasHeader = termIndex !== -1 && translationIndex !== -1;
+    const noteIndex = hasHeader ? header.indexOf("note") : 2;
+
+    return (hasHeader ? rows.slice(1) : rows)
+        .map((cells) =>
+            normalizeEntry(
+                cells[hasHeader ? termIndex : 0],
+                cells[hasHeader ? translationIndex : 1],
+                noteIndex === -1 ? "" : cells[noteIndex],
+            ),
+        )
+        .filter(Boolean);
+};
+
+const parseJsonGlossary = (content) => {
+    const payload = JSON.parse(String(content ?? "").replace(/^\uFEFF/, ""));
+    const items = Array.isArray(payload)
+        ? payload
+        : Array.isArray(payload?.terms)
+          ? payload.terms
+          : null;
+
+    if (items) {
+        return items
+            .map((item) =>
+                normalizeEntry(
+                    TERM_COLUMNS.map((key) => item?.[key]).find(Boolean),
+                    TRANSLATION_COLUMNS.map((key) => item?.[key]).find(Boolean),
+                    item?.note,
+                ),
+            )
+            .filter(Boolean);
+    }
+
+    if (payload && typeof payload === "object") {
+        return Object.entries(payload)
+            .map(([term, translation]) =>
+                normalizeEntry(term, typeof translation === "string" ? translation : translation?.translation),
+            )
+            .filter(Boolean);
+    }
+
+    throw new Error("Glossary JSON must be an object map or an array of entries.");
+};
+
+export const loadGlossaryFile = (filePath) => {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`Glossary file not found: ${filePath}`);
+    }
+    const ext = path.extname(filePath).toLowerCase();
+    const content = fs.readFileSync(filePath, "utf8");
+
+    let entries;
+    try {
+        if (ext === ".json") {
+            entries = parseJsonGlossary(content);
+        } else if (ext === ".tsv" || ext === ".tab") {
+            entries = parseDelimitedGlossary(content, "\t");
+        } else if (ext === ".csv" || ext === ".txt") {
+            entries = parseDelimitedGlossary(content, ext === ".txt" && content.includes("\t") ? "\t" : ",");
+        } else {
+            throw new Error("Use a .csv, .tsv, or .json file.");
+        }
+    } catch (error) {
+        throw new Error(`Invalid glossary file ${path.basename(filePath)}: ${error.message}`);
+    }
+
+    // 同一术语重复出现时以最后一条为准
+    const byTerm = new Map();
+    for (const entry of entries) {
+        byTerm.set(entry.term.toLowerCase(), entry);
+    }
+    return [...byTerm.values()];
+};
+
+// 锁定术语排在前面并覆盖 AI 给出的同名术语（不区分大小写）
+export const mergeLockedGlossary = (glossary, lockedEntries = []) => {
+    if (!lockedEntries?.length) return glossary || {};
+    const lockedKeys = new Set(lockedEntries.map((entry) => entry.term.toLowerCase()));
+    const merged = {};
+    for (const entry of lockedEntries) {
+        merged[entry.term] = entry.translation;
+    }
+    for (const [term, translation] of Object.entries(glossary || {})) {
+        if (!lockedKeys.has(term.toLowerCase())) merged[term] = translation;
+    }
+    return merged;
+};
+
+/**
+ * 读取翻译任务写在输出旁边的术语表（writeGlossaryFile 的 json 格式）。
+ * 返回 { filePath, glossary, lockedEntries }，文件不存在或格式不对时返回 null。
+ */
+export const readSavedGlossary = (filePath) => {
+    if (!fs.existsSync(filePath)) return null;
+    let rows;
+    try {
+        rows = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch {
+        return null;
+    }
+    if (!Array.isArray(rows)) return null;
+
+    const glossary = {};
+    const lockedEntries = [];
+    for (const row of rows) {
+        const entry = normalizeEntry(row?.term, row?.translation, row?.note);
+        if (!entry) continue;
+        glossary[entry.term] = entry.translation;
+        if (row.locked) lockedEntries.push(entry);
+    }
+    return Object.keys(glossary).length > 0 ? { filePath, glossary, lockedEntries } : null;
+};
+
+const escapeDelimitedCell = (value, delimiter) => {
+    const text = String(value ?? "");
+    return text.includes(delimiter) || /["\n\r]/.test(text)
+        ? `"${text.replace(/"/g, '""')}"`
+        : text;
+};
+
+export const writeGlossaryFile = (filePath, glossary, lockedEntries = [], format = "csv") => {
+    const lockedKeys = new Set(lockedEntries.map((entry) => entry.term.toLowerCase()));
+    const notes = new Map(lockedEntries.map((entry) => [entry.term.toLowerCase(), entry.note]));
+    const rows = Object.entries(glossary || {}).map(([term, translation]) => ({
+        term,
+        translation,
+        locked: lockedKeys.has(term.toLowerCase()),
+        note: notes.get(term.toLowerCase()) || "",
+    }));
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (format === "json") {
+        fs.writeFileSync(filePath, `${JSON.stringify(rows, null, 2)}\n`, "utf8");
+        return rows.length;
+    }
+
+    const delimiter = format === "tsv" ? "\t" : ",";
+    const lines = [
+        ["term", "translation", "locked", "note"].join(delimiter),
+        ...rows.map((row) =>
+            [row.term, row.translation, row.locked ? "true" : "false", row.note]
+                .map((cell) => escapeDelimitedCell(cell, delimiter))
+                .join(delimiter),
+        ),
+    ];
+    fs.writeFileSync(filePath, `${lines.join("\n")}\n`, "utf8");
+    return rows.length;
+};
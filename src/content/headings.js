@@ -6,18 +6,15 @@ import {
     callAIWithRetry,
 } from "../utils.js";
 import { splitIntoBatches } from "../translation/batchQueue.js";
+import { sleepBeforeRetry } from "../translation/rateLimiter.js";
+import { BILINGUAL_SOURCE_CLASS } from "./bilingual.js";
+import { isBudgetExceededError } from "../support/usage.js";
+import { estimateRequestTokens, sumEstimates } from "../support/estimate.js";
 
 export const HEADING_SELECTORS = "h1, h2, h3, h4, h5, h6";
 
 // =================== 标题格式分析 ===================
-export const analyzeHeadingFormats = async (
-    chapterMap,
-    aiProvider,
-    logger,
-    translationConfig,
-) => {
-    console.log("\n🔍 Step 2: Analyzing heading format examples...");
-
+const collectHeadingSamples = (chapterMap) => {
     const allHeadings = new Map(); // text -> level
     for (const data of chapterMap.values()) {
         const $ = loadHtml(data.html);
@@ -29,21 +26,13 @@ export const analyzeHeadingFormats = async (
             }
         });
     }
-
-    if (allHeadings.size === 0) {
-        console.log("  - No headings found, skipping.");
-        return [];
-    }
-
-    const samples = [...allHeadings.entries()].map(([text, level]) => ({
+    return [...allHeadings.entries()].map(([text, level]) => ({
         level,
         text,
     }));
-    console.log(
-        `  - Collected ${samples.length} unique headings, sending to AI...`,
-    );
+};
 
-    const systemPrompt = `You are an expert book translator (${translationConfig.sourceLanguage} → ${translationConfig.targetLanguage}).
+const buildHeadingAnalysisPrompt = (translationConfig) => `You are an expert book translator (${translationConfig.sourceLanguage} → ${translationConfig.targetLanguage}).
 Task: Review ALL the heading samples below. For headings that have a special prefix format requiring conversion, provide the translated version as a format example. For plain titles with no special prefix, do NOT include them in the output.
 
 A heading qualifies as a format example if it contains:
@@ -61,11 +50,32 @@ Output json example: { "examples": [ { "original": "Chapter I Mr. Market", "tran
 
 Translation rules for included headings: ...`;
 
+export const analyzeHeadingFormats = async (
+    chapterMap,
+    aiProvider,
+    logger,
+    translationConfig,
+) => {
+    console.log("\n🔍 Step 2: Analyzing heading format examples...");
+
+    const samples = collectHeadingSamples(chapterMap);
+    if (samples.length === 0) {
+        console.log("  - No headings found, skipping.");
+        return [];
+    }
+    console.log(
+        `  - Collected ${samples.length} unique headings, sending to AI...`,
+    );
+
+    const systemPrompt = buildHeadingAnalysisPrompt(translationConfig);
+
     try {
         const result = await callAIWithRetry(
             aiProvider,
             JSON.stringify(samples),
             systemPrompt,
+            3,
+            { step: "headings" },
         );
 
         const examples = result.examples || [];
@@ -75,6 +85,7 @@ Translation rules for included headings: ...`;
         logger.write("HEADING_EXAMPLES", JSON.stringify(examples, null, 2));
         return examples;
     } catch (e) {
+        if (isBudgetExceededError(e)) throw e;
         logger.write(
             "ERROR",
             `Heading format analysis failed: ${e.stack || e.message}`,
@@ -87,6 +98,33 @@ Translation rules for included headings: ...`;
 };
 
 // =================== 标题标准化 ===================
+const buildStandardizePrompt = (headingExamples) => {
+    const rulesDescription = headingExamples
+        .map((e) => `- "${e.original}" → "${e.translated}"`)
+        .join("\n");
+    return `Role: XHTML Copy Editor.
+Task: Standardize heading formats according to the format rules below.
+
+FORMAT RULES (apply strictly per heading level):
+${rulesDescription}
+
+🛑 RULES:
+1. Return each node as: <node id="std_x">standardized heading content</node>
+2. Keep inline tags (<node/>, </a>, <strong>, <em>, <sup>, <span> etc.) intact.
+3. Do NOT translate or rephrase any text content.
+4. Only adjust numbering prefixes, punctuation markers, or whitespace to match the format rule for that heading's level.
+5. Trim edges; collapse internal spaces to a single space; remove all newlines or tabs.`;
+};
+
+// 双语输出中的原文标题保持原样
+const forEachStandardizableHeading = ($, callback) =>
+    $(HEADING_SELECTORS).each((_, el) => {
+        const $el = $(el);
+        if ($el.hasClass(BILINGUAL_SOURCE_CLASS)) return;
+        const content = $el.html()?.trim();
+        if (content) callback($el, content);
+    });
+
 export const standardizeHeadingsByRules = async (
     chapterMap,
     headingExamples,
@@ -105,24 +143,9 @@ export const standardizeHeadingsByRules = async (
         "\n🧹 Step 5: Post-translation heading standardization (AI)...",
     );
 
-    const rulesDescription = headingExamples
-        .map((e) => `- "${e.original}" → "${e.translated}"`)
-        .join("\n");
-
     const standardizeProcessor = {
         attrName: "data-std-id",
-        prompt: `Role: XHTML Copy Editor.
-Task: Standardize heading formats according to the format rules below.
-
-FORMAT RULES (apply strictly per heading level):
-${rulesDescription}
-
-🛑 RULES:
-1. Return each node as: <node id="std_x">standardized heading content</node>
-2. Keep inline tags (<node/>, </a>, <strong>, <em>, <sup>, <span> etc.) intact.
-3. Do NOT translate or rephrase any text content.
-4. Only adjust numbering prefixes, punctuation markers, or whitespace to match the format rule for that heading's level.
-5. Trim edges; collapse internal spaces to a single space; remove all newlines or tabs.`,
+        prompt: buildStandardizePrompt(headingExamples),
     };
 
     let globalNodeIndex = 0;
@@ -133,11 +156,7 @@ ${rulesDescription}
         const $ = loadHtml(data.html);
         chapterDomMap.set(chapterId, $);
 
-        $(HEADING_SELECTORS).each((_, el) => {
-            const $el = $(el);
-            const content = $el.html()?.trim();
-            if (!content) return;
-
+        forEachStandardizableHeading($, ($el, content) => {
             const nodeId = `std_${globalNodeIndex++}`;
             $el.attr("data-std-id", nodeId);
             allNodes.push({ id: nodeId, content });
@@ -173,6 +192,7 @@ ${rulesDescription}
                             batchInput,
                             standardizeProcessor.prompt,
                             false,
+                            { step: "headings" },
                         ),
                     );
 
@@ -211,11 +231,11 @@ ${rulesDescription}
                         "ERROR",
                         `Standardize Batch Attempt ${attempts} Failed: ${e.stack || e.message}`,
                     );
-                    if (attempts >= MAX_ATTEMPTS) {
+                    if (attempts >= MAX_ATTEMPTS || isBudgetExceededError(e)) {
                         cb(e);
                         return;
                     }
-                    await new Promise((r) => setTimeout(r, 2000));
+                    await sleepBeforeRetry(attempts, e);
                 }
             }
         },
@@ -292,3 +312,48 @@ ${rulesDescription}
         `  - ✅ Standardized ${globalNodeIndex - remaining} / ${globalNodeIndex} headings.`,
     );
 };
+
+// =================== dry-run 估算 ===================
+/**
+ * 标题格式分析（没有缓存规则时）与译后标准化两类请求的 token 估算。
+ * 标准化按全部标题计；规则为空时正式运行会跳过这一步，所以是上限。
+ */
+export const estimateHeadingRequests = (
+    chapterMap,
+    translationConfig,
+    { headingExamples = null } = {},
+) => {
+    const samples = collectHeadingSamples(chapterMap);
+    if (samples.length === 0) return { analysis: null, standardization: null };
+
+    const analysis = headingExamples?.length
+        ? null
+        : estimateRequestTokens(
+              buildHeadingAnalysisPrompt(translationConfig),
+              JSON.stringify(samples),
+              // 每种前缀最多返回 2 条示例，按少量标题估算
+              JSON.stringify({
+                  examples: samples
+                      .slice(0, 10)
+                      .map(({ text }) => ({ original: text, translated: text })),
+              }),
+          );
+
+    const nodes = [];
+    for (const data of chapterMap.values()) {
+        forEachStandardizableHeading(loadHtml(data.html), (_, content) => {
+            nodes.push({ id: `std_${nodes.length}`, content });
+        });
+    }
+    const prompt = buildStandardizePrompt(headingExamples?.length ? headingExamples : []);
+    const standardization = sumEstimates(
+        splitIntoBatches(nodes).map((batch) => {
+            const batchInput = batch
+                .map((n) => `<node id="${n.id}">${n.content}</node>`)
+                .join("\n");
+            return estimateRequestTokens(prompt, batchInput, batchInput);
+        }),
+    );
+
+    return { analysis, standardization };
+};
@@ -0,0 +1,98 @@
+import { normalizeText } from "./content-classifier.js";
+
+// =================== 表格单元格 ===================
+// 单元格里有这些元素时由它们各自成为节点，单元格本身不再单独翻译
+const CELL_BLOCK_SELECTOR = "p, li, h1, h2, h3, h4, h5, h6, figcaption, table";
+const CONTEXT_LABEL_LIMIT = 60;
+const MAX_SPAN = 100;
+
+const ownRows = ($, table) =>
+    $(table)
+        .find("tr")
+        .filter((_, tr) => $(tr).closest("table").get(0) === table)
+        .toArray();
+
+const spanOf = (cell, name) =>
+    Math.min(Math.max(Number.parseInt(cell.attribs?.[name], 10) || 1, 1), MAX_SPAN);
+
+const labelOf = ($, cell) => {
+    const text = normalizeText($(cell).text());
+    return text.length > CONTEXT_LABEL_LIMIT ? `${text.slice(0, CONTEXT_LABEL_LIMIT)}…` : text;
+};
+
+// 表头行：<thead> 里的行；没有 <thead> 时取开头只由 <th> 组成的行
+const countHeaderRows = ($, rows) => {
+    const theadRows = rows.filter((tr) => $(tr).parent().is("thead")).length;
+    if (theadRows > 0) return theadRows;
+    let count = 0;
+    while (
+        count < rows.length - 1 &&
+        $(rows[count]).children("td").length === 0 &&
+        $(rows[count]).children("th").length > 0
+    ) {
+        count += 1;
+    }
+    return count;
+};
+
+/**
+ * 按 rowspan / colspan 把表格展开成网格，为每个可单独翻译的单元格找出列标题和行标题。
+ * 返回 Map<cell, { unit, table, column, row }>：unit 标识所属表格，分批时尽量不拆开同一张表；
+ * table 是 <caption> 文字，column / row 没有时为 null。
+ */
+export const describeTableCells = ($, table, unit) => {
+    const rows = ownRows($, table);
+    const grid = [];
+    const positions = new Map();
+    rows.forEach((tr, rowIndex) => {
+        grid[rowIndex] ||= [];
+        let col = 0;
+        $(tr)
+            .children("th, td")
+            .each((_, cell) => {
+                while (grid[rowIndex][col]) col += 1;
+                const colspan = spanOf(cell, "colspan");
+                const rowspan = spanOf(cell, "rowspan");
+                for (let dr = 0; dr < rowspan && rowIndex + dr < rows.length; dr++) {
+                    grid[rowIndex + dr] ||= [];
+                    for (let dc = 0; dc < colspan; dc++) {
+                        grid[rowIndex + dr][col + dc] = cell;
+                    }
+                }
+                positions.set(cell, { row: rowIndex, col });
+                col += colspan;
+            });
+    });
+
+    const headerRowCount = countHeaderRows($, rows);
+    const caption = labelOf($, $(table).children("caption").get(0)) || null;
+    const contexts = new Map();
+    for (const [cell, { row, col }] of positions) {
+        if ($(cell).find(CELL_BLOCK_SELECTOR).length > 0) continue;
+        const columnLabels = [];
+        for (let headerRow = 0; headerRow < Math.min(headerRowCount, row); headerRow++) {
+            const header = grid[headerRow]?.[col];
+            const label = header && header !== cell ? labelOf($, header) : "";
+            if (label && !columnLabels.includes(label)) columnLabels.push(label);
+        }
+        // 行标题：数据行的第一列（<th scope="row"> 或普通首列）
+        const rowHeader = row >= headerRowCount && col > 0 ? grid[row]?.[0] : null;
+        contexts.set(cell, {
+            unit,
+            table: caption,
+            column: columnLabels.join(" / ") || null,
+            row: rowHeader && rowHeader !== cell ? labelOf($, rowHeader) || null : null,
+        });
+    }
+    return contexts;
+};
+
+// 例：- node_12: table "Harvest by year", column "Crop", row "1846"
+export const formatTableCellContext = (nodeId, context) => {
+    const parts = [
+        context.table ? `table "${context.table}"` : null,
+        context.column ? `column "${context.column}"` : null,
+        context.row ? `row "${context.row}"` : null,
+    ].filter(Boolean);
+    return parts.length > 0 ? `- ${nodeId}: ${parts.join(", ")}` : null;
+};
@@ -1,43 +1,79 @@
 import AdmZip from "adm-zip";
 import * as cheerio from "cheerio";
 import fs from "fs";
+import os from "os";
 import path from "path";
 import {
-    CURRENT_PROVIDER,
-    FALLBACK_PROVIDER,
-    FALLBACK_ON_CONTENT_POLICY,
     JAPANESE_GLOSSARY_MODEL,
     JAPANESE_GLOSSARY_PROVIDER,
     RUSSIAN_GLOSSARY_MODEL,
     RUSSIAN_GLOSSARY_PROVIDER,
+    isProviderConfigured,
 } from "./config.js";
 import { createLogger } from "./support/logger.js";
+import { DEFAULT_OUTPUT_PATTERN } from "./support/projectConfig.js";
 import { createAIProvider } from "./translation/aiProvider.js";
 import { createProgressCache } from "./support/cache.js";
+import { createTranslationMemory } from "./support/translationMemory.js";
+import { createUsageTracker, isBudgetExceededError } from "./support/usage.js";
+import { createEstimateReport, sumEstimates } from "./support/estimate.js";
 import { selectChaptersBySpec } from "./support/chapterSelection.js";
 import { callAIWithRetry, extractFirstHeading, loadHtml } from "./utils.js";
 import { createBatchQueue } from "./translation/batchQueue.js";
-import { planTranslationOrder } from "./agent.js";
+import { estimatePlanRequest, planTranslationOrder } from "./agent.js";
 import {
     analyzeHeadingFormats,
+    estimateHeadingRequests,
     standardizeHeadingsByRules,
 } from "./content/headings.js";
-import { generateInitialGlossary } from "./content/glossary.js";
+import { estimateGlossaryRequests, generateInitialGlossary } from "./content/glossary.js";
+import {
+    mergeLockedGlossary,
+    readSavedGlossary,
+    writeGlossaryFile,
+} from "./content/glossaryFile.js";
 import {
     collectVisibleTextNodes,
     detectEpubBookStructuralMode,
+    estimateChapterTranslation,
     performTranslation,
+    translateHtmlContent,
 } from "./translation/translator.js";
-import { synchronizeTocHtml, synchronizeNcx } from "./epub/tocSync.js";
+import {
+    RETRANSLATION_MARKER,
+    createNodeSelector,
+    detectBilingualOrder,
+    findElementByPath,
+    getElementPath,
+    loadRetranslationOutput,
+    mergeRetranslatedNodes,
+    readTranslationText,
+    spliceMergedElements,
+} from "./translation/retranslation.js";
+import {
+    estimateNavLabelRequest,
+    synchronizeTocHtml,
+    synchronizeNcx,
+    synchronizeNavDocument,
+} from "./epub/tocSync.js";
 import { saveEpub } from "./epub/epubSaver.js";
+import { validateEpubOutput } from "./epub/epubValidator.js";
+import { buildFootnoteIndex, verifyFootnoteLinks } from "./epub/footnotes.js";
+import {
+    applyDocumentLanguage,
+    estimatePackageMetadataRequest,
+    findNavDocumentId,
+    synchronizePackageMetadata,
+} from "./epub/packageMetadata.js";
 import {
     extractPdfToJson,
     fillPdfFromJson,
     validatePdfOutput,
 } from "./pdf/pdfBridge.js";
 import { applyTranslatedHtmlToPdfJson, pdfJsonToHtml } from "./pdf/pdfHtml.js";
-import { applyTranslatedHtmlToSubtitleJson, buildSubtitleJson, parseSrt, serializeSrt, subtitleJsonToHtml } from "./subtitle/srt.js";
-import { convertExternalSubtitleToSrt, detectExternalSubtitleFiles, extractSubtitleStreamToSrt, inferSubtitleLanguageFromFile, muxTranslatedSubtitleIntoVideo, probeSubtitleStreams, selectSubtitleStream, assertSubtitleCodecSupported } from "./subtitle/video.js";
+import { applyTranslatedHtmlToSubtitleJson, buildSubtitleJson, replaceSrtCueTexts, subtitleJsonToHtml } from "./subtitle/srt.js";
+import { getSubtitleFormatExtension, getSubtitleFormatFromCodec, getSubtitleFormatFromPath, getSubtitleMuxCodec, parseSubtitleDocument, serializeSubtitleDocument } from "./subtitle/formats.js";
+import { detectExternalSubtitleFiles, extractSubtitleStream, inferSubtitleLanguageFromFile, muxTranslatedSubtitleIntoVideo, probeSubtitleStreams, selectSubtitleStream, assertSubtitleCodecSupported } from "./subtitle/video.js";
 
 const sanitizeFileToken = (value) =>
     value.replace(/['"]/g, "").replace(/[<>:"/\\|?*\s]+/g, "_");
@@ -64,6 +100,66 @@ const getLanguageFileCode = (languageName) => {
     );
 };
 
+// =================== 输出命名 ===================
+const resolveOutputDir = (projectRoot, runtimeConfig) =>
+    runtimeConfig.output?.dir || path.resolve(projectRoot, "output");
+
+// selection 形如 "_chap-1-3" / "_page-2"；占位符为空时连同它前面的分隔符一起去掉
+const buildOutputStem = (
+    runtimeConfig,
+    { name, selection = "", bilingual = runtimeConfig.outputMode === "bilingual" },
+) => {
+    const values = {
+        name,
+        selection,
+        lang: getLanguageFileCode(runtimeConfig.targetLanguage),
+        bilingual: bilingual ? "_bilingual" : "",
+        profile: runtimeConfig.profileName
+            ? sanitizeFileToken(runtimeConfig.profileName)
+            : "",
+    };
+    const pattern = runtimeConfig.output?.pattern || DEFAULT_OUTPUT_PATTERN;
+    const stem = pattern.replace(/([_\-. ]*)\{(\w+)\}/g, (match, separator, key) =>
+        values[key] ? `${separator}${values[key]}` : "",
+    );
+    if (pattern === DEFAULT_OUTPUT_PATTERN) return stem;
+    return stem.replace(/[<>:"/\\|?*]+/g, "_").replace(/^[_\-. ]+/, "") || name;
+};
+
+// 各任务的进度缓存目录；dry-run 也按同样的规则找到已完成的章节和术语表
+const resolveJobCacheDir = (
+    projectRoot,
+    inputPath,
+    runtimeConfig,
+    { chapterSelector = null, pageSelector = null } = {},
+) => {
+    const fileInfo = path.parse(inputPath);
+    const inputExt = fileInfo.ext.toLowerCase();
+    const bilingualSuffix =
+        runtimeConfig.outputMode === "bilingual" ? "_bilingual" : "";
+
+    if (inputExt === ".epub") {
+        return path.resolve(
+            projectRoot,
+            chapterSelector
+                ? `.cache_${fileInfo.name}_chap-${createSelectionSlug(chapterSelector)}${bilingualSuffix}`
+                : `.cache_${fileInfo.name}${bilingualSuffix}`,
+        );
+    }
+    if (inputExt === ".html" || inputExt === ".htm") {
+        return path.resolve(projectRoot, `.cache_${fileInfo.name}_html${bilingualSuffix}`);
+    }
+    if (inputExt === ".pdf") {
+        return path.resolve(
+            projectRoot,
+            pageSelector
+                ? `.cache_${fileInfo.name}_page-${createSelectionSlug(pageSelector)}_pdf`
+                : `.cache_${fileInfo.name}_pdf`,
+        );
+    }
+    return path.resolve(projectRoot, `.cache_${fileInfo.name}_subtitle`);
+};
+
 const countCachedChapters = (cache, chapters) =>
     chapters.reduce(
         (count, chapter) => count + (cache.load(chapter.id) ? 1 : 0),
@@ -296,6 +392,7 @@ const repairPdfMergedTranslationRuns = async (
                 JSON.stringify(payload, null, 2),
                 buildPdfRepairPrompt(targetLanguage),
                 2,
+                { step: "pdf-repair", chapter: `Page ${run[0].page ?? "?"}` },
             );
             const repairedBlocks = repaired?.blocks;
             if (!validatePdfRepairResult(run, repairedBlocks)) {
@@ -317,6 +414,7 @@ const repairPdfMergedTranslationRuns = async (
             repairedRunCount += 1;
             index = cursor;
         } catch (error) {
+            if (isBudgetExceededError(error)) throw error;
             logger.write(
                 "WARN",
                 `PDF repair failed for run ${run.map((block) => block.id).join(", ")}: ${error.stack || error.message}`,
@@ -354,13 +452,104 @@ const ensureDir = (dirPath) => {
     }
 };
 
+const createJobTranslationMemory = (projectRoot, runtimeConfig) =>
+    createTranslationMemory({
+        filePath:
+            runtimeConfig.translationMemory?.path ||
+            path.resolve(projectRoot, ".wasabi_memory", "translation_memory.jsonl"),
+        enabled: runtimeConfig.translationMemory?.enabled !== false,
+    });
+
+const printTranslationMemorySummary = (translationMemory, statsAtStart = {}) => {
+    if (!translationMemory.enabled) return;
+    // 批量模式共用同一份记忆，只统计本任务的增量
+    const exactHits = translationMemory.stats.exactHits - (statsAtStart.exactHits || 0);
+    const recorded = translationMemory.stats.recorded - (statsAtStart.recorded || 0);
+    console.log(
+        `🧠 Translation memory: reused ${exactHits} segment(s), saved ${recorded} new segment(s) (${path.basename(translationMemory.filePath)})`,
+    );
+};
+
+// 单文件任务各自创建；批量模式下由调用方创建一次，多个任务共用同一个
+// provider、队列、翻译记忆和日志，全局并发因此只受一个队列约束
+export const createJobServices = ({
+    projectRoot,
+    runtimeConfig,
+    usageTracker = createUsageTracker({
+        pricing: runtimeConfig.pricing,
+        limits: runtimeConfig.budget,
+    }),
+}) => {
+    const logger = createLogger(path.resolve(projectRoot, "log"));
+    const aiProvider = createAIProvider(
+        runtimeConfig.provider,
+        runtimeConfig,
+        logger,
+        runtimeConfig.fallbackChain,
+        usageTracker,
+    );
+    const translationMemory = createJobTranslationMemory(projectRoot, runtimeConfig);
+    const batchQueue = createBatchQueue(aiProvider, logger, { translationMemory });
+    return { logger, aiProvider, translationMemory, batchQueue, usageTracker };
+};
+
+// 用户术语表只在内存中合并，缓存里保留 AI 生成的原始术语，便于更换术语表后重跑
+const applyLockedGlossary = (glossary, runtimeConfig) => {
+    const lockedEntries = runtimeConfig.userGlossary || [];
+    if (lockedEntries.length === 0) return glossary;
+    console.log(`🔒 Locked terms: ${lockedEntries.length} from user glossary`);
+    return mergeLockedGlossary(glossary, lockedEntries);
+};
+
+// 只有出现过违规（含已纠正）时才在输出旁边写报告
+const writeGlossaryComplianceReport = (glossaryCompliance, outputPath) => {
+    if (!glossaryCompliance) return null;
+    const summary = glossaryCompliance.summarize();
+    if (summary.violations === 0 && summary.corrected === 0) return null;
+    const reportPath = outputPath.replace(/\.[^.\\/]+$/, ".glossary_report.json");
+    glossaryCompliance.write(reportPath);
+    console.log(
+        `📘 Glossary check: ${summary.violations} violation(s) remaining, ${summary.corrected} corrected (${path.basename(reportPath)})`,
+    );
+    return reportPath;
+};
+
+// 任务实际使用的术语表（含锁定术语）写在输出旁边：缓存目录在成功后会删除，
+// export-glossary 和 retranslate 之后从这里读取同一份术语表
+const resolveOutputGlossaryPath = (outputPath) =>
+    outputPath.replace(/\.[^.\\/]+$/, ".glossary.json");
+
+const saveOutputGlossary = (glossary, runtimeConfig, outputPath) => {
+    if (Object.keys(glossary || {}).length === 0) return null;
+    const glossaryPath = resolveOutputGlossaryPath(outputPath);
+    writeGlossaryFile(glossaryPath, glossary, runtimeConfig.userGlossary || [], "json");
+    return glossaryPath;
+};
+
+// 打印本任务的 token 用量；有请求且给了输出路径时在输出旁边写 *.usage.json
+const finishJobUsage = (jobUsage, outputPath = null) => {
+    jobUsage.close();
+    console.log("");
+    for (const line of jobUsage.formatLines()) console.log(line);
+    const summary = jobUsage.summarize();
+    if (!outputPath || summary.totals.requests === 0) return summary;
+    const reportPath = outputPath.replace(/\.[^.\\/]+$/, ".usage.json");
+    jobUsage.write(reportPath);
+    console.log(`   - Report: ${path.basename(reportPath)}`);
+    return summary;
+};
+
+// input/ 里已有同名文件时保留两者，输入文件留在原处
 const moveFileIfNeeded = (sourcePath, targetPath) => {
     const resolvedSource = path.resolve(sourcePath);
     const resolvedTarget = path.resolve(targetPath);
     if (resolvedSource === resolvedTarget) return;
     ensureDir(path.dirname(resolvedTarget));
     if (fs.existsSync(resolvedTarget)) {
-        fs.unlinkSync(resolvedTarget);
+        console.warn(
+            `⚠️  ${path.basename(resolvedTarget)} already exists in input/; the input file was left in place.`,
+        );
+        return;
     }
     try {
         fs.renameSync(resolvedSource, resolvedTarget);
@@ -406,19 +595,16 @@ const collectDefinedClasses = (zipEntries) => {
     return definedClasses;
 };
 
-const hasUsableProviderConfig = (providerName, config) => {
-    const providerConfig = config?.[providerName];
-    if (!providerConfig) return false;
-    return Boolean(providerConfig.apiKey);
-};
+const hasUsableProviderConfig = (providerName, config) =>
+    isProviderConfigured(config?.[providerName]);
 
-const createGlossaryProvider = (logger, runtimeConfig) => {
+const createGlossaryProvider = (logger, runtimeConfig, usageTracker = null) => {
     const primaryProvider = createAIProvider(
-        CURRENT_PROVIDER,
+        runtimeConfig.provider,
         runtimeConfig,
         logger,
-        FALLBACK_PROVIDER,
-        FALLBACK_ON_CONTENT_POLICY,
+        runtimeConfig.fallbackChain,
+        usageTracker,
     );
 
     let glossaryProviderName = null;
@@ -448,7 +634,13 @@ const createGlossaryProvider = (logger, runtimeConfig) => {
         return primaryProvider;
     }
 
-    return createAIProvider(glossaryProviderName, glossaryConfig, logger);
+    return createAIProvider(
+        glossaryProviderName,
+        glossaryConfig,
+        logger,
+        [],
+        usageTracker,
+    );
 };
 
 const createChapterMap = (zipEntries) => {
@@ -574,38 +766,34 @@ export const runTranslationJob = async ({
     chapterSelector = null,
     debugMode = false,
     runtimeConfig,
+    services = null,
+    // 批量模式不移动输入文件：不同目录里的同名文件会互相覆盖
+    archiveInput = true,
 }) => {
     const logDir = path.resolve(projectRoot, "log");
     const inputDir = path.resolve(projectRoot, "input");
-    const outputDir = path.resolve(projectRoot, "output");
+    const outputDir = resolveOutputDir(projectRoot, runtimeConfig);
     ensureDir(logDir);
     ensureDir(inputDir);
     ensureDir(outputDir);
 
-    const logger = createLogger(logDir);
-    const aiProvider = createAIProvider(
-        CURRENT_PROVIDER,
-        runtimeConfig,
-        logger,
-        FALLBACK_PROVIDER,
-        FALLBACK_ON_CONTENT_POLICY,
-    );
-    const glossaryProvider = createGlossaryProvider(logger, runtimeConfig);
-    const batchQueue = createBatchQueue(aiProvider, logger);
+    const { logger, aiProvider, translationMemory, batchQueue, usageTracker } =
+        services || createJobServices({ projectRoot, runtimeConfig });
+    const memoryStatsAtStart = { ...translationMemory.stats };
+    const jobUsage = usageTracker.openScope();
+    const glossaryProvider = createGlossaryProvider(logger, runtimeConfig, usageTracker);
 
     const fileInfo = path.parse(inputPath);
     const selectionSlug = createSelectionSlug(chapterSelector);
-    const targetLanguageSlug = getLanguageFileCode(runtimeConfig.targetLanguage);
-    const outputStem = chapterSelector
-        ? `${fileInfo.name}_chap-${selectionSlug}_${targetLanguageSlug}`
-        : `${fileInfo.name}_${targetLanguageSlug}`;
+    const outputStem = buildOutputStem(runtimeConfig, {
+        name: fileInfo.name,
+        selection: chapterSelector ? `_chap-${selectionSlug}` : "",
+    });
     const outputPath = path.resolve(outputDir, `${outputStem}.epub`);
-    const cacheDir = path.resolve(
-        projectRoot,
-        chapterSelector
-            ? `.cache_${fileInfo.name}_chap-${selectionSlug}`
-            : `.cache_${fileInfo.name}`,
-    );
+    const validationJsonPath = path.resolve(outputDir, `${outputStem}.validation.json`);
+    const cacheDir = resolveJobCacheDir(projectRoot, inputPath, runtimeConfig, {
+        chapterSelector,
+    });
     const cache = createProgressCache(cacheDir);
 
     console.log(`\n========================================`);
@@ -615,28 +803,38 @@ export const runTranslationJob = async ({
     console.log(`🐞 Debug: ${debugMode ? "on" : "off"}`);
     console.log(`🗣️ Source: ${runtimeConfig.sourceLanguage}`);
     console.log(`🌐 Target: ${runtimeConfig.targetLanguage}`);
-    if (runtimeConfig[CURRENT_PROVIDER]?.concurrency) {
+    if (runtimeConfig.outputMode === "bilingual") {
+        console.log(`📑 Output mode: bilingual`);
+    }
+    if (runtimeConfig.profileName) {
+        console.log(`🧩 Profile: ${runtimeConfig.profileName}`);
+    }
+    if (runtimeConfig[runtimeConfig.provider]?.concurrency) {
         console.log(
-            `⚙️ Concurrency: ${runtimeConfig[CURRENT_PROVIDER].concurrency}`,
+            `⚙️ Concurrency: ${runtimeConfig[runtimeConfig.provider].concurrency}`,
         );
     }
     console.log(`🤖 Provider: ${aiProvider.providerName} (${aiProvider.modelName})`);
-    if (aiProvider.fallbackProviderName) {
-        console.log(`🛟 Fallback: ${aiProvider.fallbackProviderName}`);
+    if (aiProvider.fallbackLabels.length > 0) {
+        console.log(`🛟 Fallback: ${aiProvider.fallbackLabels.join(" → ")}`);
     }
     if (chapterSelector) {
         console.log(`🎯 Chapters: ${chapterSelector}`);
     }
     console.log(`========================================\n`);
 
-    let completed = false;
+    let shouldKeepArtifacts = debugMode;
 
     try {
-        const zip = new AdmZip(inputPath);
+        // 保持原有条目顺序：adm-zip 默认按文件名排序，会把 mimetype 排到 META-INF 之后
+        const zip = new AdmZip(inputPath, { noSort: true });
         const zipEntries = zip.getEntries();
         const chapterMap = createChapterMap(zipEntries);
         const referencedIds = collectReferencedIds(chapterMap);
         const definedClasses = collectDefinedClasses(zipEntries);
+        // 译前按原文建立脚注索引，注释的上下文句子和链接检查都以原文为准
+        const footnoteIndex = buildFootnoteIndex(chapterMap, referencedIds);
+        const navId = findNavDocumentId(zipEntries);
 
         let plan = { sorted: [], tocId: null };
         let headingFormatRules = [];
@@ -665,9 +863,12 @@ export const runTranslationJob = async ({
             cache.savePlan(plan);
         }
 
-        const selectedChapters = chapterSelector
-            ? selectChaptersBySpec(plan.sorted, chapterSelector)
-            : plan.sorted;
+        // nav.xhtml 不按正文翻译，译完后按章节标题同步
+        const selectedChapters = (
+            chapterSelector
+                ? selectChaptersBySpec(plan.sorted, chapterSelector)
+                : plan.sorted
+        ).filter((chapter) => chapter.id !== navId);
         const selectedChapterMap = new Map(
             selectedChapters.map((chapter) => [
                 chapter.id,
@@ -718,6 +919,7 @@ export const runTranslationJob = async ({
             );
             cache.saveGlossary(glossary);
         }
+        glossary = applyLockedGlossary(glossary, runtimeConfig);
 
         if (selectedCachedChapterCount > 0) {
             console.log(
@@ -732,7 +934,7 @@ export const runTranslationJob = async ({
             );
         }
 
-        await performTranslation(
+        const { glossaryCompliance, budgetError } = await performTranslation(
             selectedChapters,
             chapterMap,
             glossary,
@@ -745,10 +947,11 @@ export const runTranslationJob = async ({
             definedClasses,
             "epub",
             debugMode,
-            epubStructuralMode,
+            { ...epubStructuralMode, footnotes: footnoteIndex },
         );
 
         await batchQueue.drainQueue();
+        if (budgetError) throw budgetError;
 
         await standardizeHeadingsByRules(
             selectedChapterMap,
@@ -757,9 +960,28 @@ export const runTranslationJob = async ({
             batchQueue,
             logger,
         );
+        verifyFootnoteLinks(chapterMap, footnoteIndex, logger);
 
-        await synchronizeTocHtml(chapterMap, plan.tocId);
+        await synchronizeTocHtml(chapterMap, plan.tocId === navId ? null : plan.tocId);
+        await synchronizeNavDocument(chapterMap, navId, aiProvider, logger, runtimeConfig);
         ({ ncxEntry, ncxContent } = await synchronizeNcx(chapterMap, zipEntries));
+        const packageMetadata = await synchronizePackageMetadata(
+            zipEntries,
+            aiProvider,
+            runtimeConfig,
+            logger,
+        );
+        const translatedIds = new Set(
+            [...selectedChapters.map((chapter) => chapter.id), plan.tocId, navId].filter(Boolean),
+        );
+        applyDocumentLanguage(chapterMap, {
+            targetLanguage: runtimeConfig.targetLanguage,
+            sourceLanguage: runtimeConfig.sourceLanguage,
+            // 不选章节时封面、版权页等页面也算在译本里
+            untranslatedIds: chapterSelector
+                ? new Set([...chapterMap.keys()].filter((id) => !translatedIds.has(id)))
+                : new Set(),
+        });
 
         await saveEpub(
             zip,
@@ -768,15 +990,41 @@ export const runTranslationJob = async ({
             ncxContent ?? null,
             outputPath,
             logger,
+            packageMetadata,
+        );
+
+        console.log("\n🔎 Step 9: Validating EPUB output...");
+        const validationReport = await validateEpubOutput(outputPath, validationJsonPath, logger);
+        console.log(
+            `   Validation: status=${validationReport.status} issues=${validationReport.issues.length}`,
         );
 
-        const finalInputPath = path.resolve(inputDir, path.basename(inputPath));
-        moveFileIfNeeded(inputPath, finalInputPath);
+        if (archiveInput) {
+            moveFileIfNeeded(inputPath, path.resolve(inputDir, path.basename(inputPath)));
+        }
+        writeGlossaryComplianceReport(glossaryCompliance, outputPath);
+        saveOutputGlossary(glossary, runtimeConfig, outputPath);
+        finishJobUsage(jobUsage, outputPath);
 
-        console.log(`\n✅ All done! Output: ${path.basename(outputPath)}`);
-        return { outputPath, cacheDir, logFile: logger.logFile };
+        printTranslationMemorySummary(translationMemory, memoryStatsAtStart);
+        if (validationReport.status === "ok") {
+            console.log(`\n✅ All done! Output: ${path.basename(outputPath)}`);
+        } else {
+            console.log(
+                `\n⚠️ Saved with review required. Validation: ${path.basename(validationJsonPath)}`,
+            );
+        }
+        return {
+            outputPath,
+            cacheDir,
+            logFile: logger.logFile,
+            validationPath: validationJsonPath,
+            validationStatus: validationReport.status,
+        };
     } catch (error) {
-        shouldKeepArtifacts = debugMode;
+        finishJobUsage(jobUsage);
+        // 预算停止时保留缓存，下次运行从已完成的章节继续
+        shouldKeepArtifacts = debugMode || isBudgetExceededError(error);
         logger.write(
             "ERROR",
             `Main Process Fatal Error: ${error.stack || error.message}`,
@@ -785,7 +1033,7 @@ export const runTranslationJob = async ({
     } finally {
         if (!shouldKeepArtifacts) {
             cache.removeDir();
-            logger.remove();
+            if (!services) logger.remove();
         }
     }
 };
@@ -795,32 +1043,29 @@ export const runHtmlTranslationJob = async ({
     inputPath,
     debugMode = false,
     runtimeConfig,
+    services = null,
+    // 批量模式不移动输入文件：不同目录里的同名文件会互相覆盖
+    archiveInput = true,
 }) => {
     const logDir = path.resolve(projectRoot, "log");
     const inputDir = path.resolve(projectRoot, "input");
-    const outputDir = path.resolve(projectRoot, "output");
+    const outputDir = resolveOutputDir(projectRoot, runtimeConfig);
     ensureDir(logDir);
     ensureDir(inputDir);
     ensureDir(outputDir);
 
-    const logger = createLogger(logDir);
-    const aiProvider = createAIProvider(
-        CURRENT_PROVIDER,
-        runtimeConfig,
-        logger,
-        FALLBACK_PROVIDER,
-        FALLBACK_ON_CONTENT_POLICY,
-    );
-    const glossaryProvider = createGlossaryProvider(logger, runtimeConfig);
-    const batchQueue = createBatchQueue(aiProvider, logger);
+    const { logger, aiProvider, translationMemory, batchQueue, usageTracker } =
+        services || createJobServices({ projectRoot, runtimeConfig });
+    const memoryStatsAtStart = { ...translationMemory.stats };
+    const jobUsage = usageTracker.openScope();
+    const glossaryProvider = createGlossaryProvider(logger, runtimeConfig, usageTracker);
 
     const fileInfo = path.parse(inputPath);
-    const targetLanguageSlug = getLanguageFileCode(runtimeConfig.targetLanguage);
     const outputPath = path.resolve(
         outputDir,
-        `${fileInfo.name}_${targetLanguageSlug}.html`,
+        `${buildOutputStem(runtimeConfig, { name: fileInfo.name })}.html`,
     );
-    const cacheDir = path.resolve(projectRoot, `.cache_${fileInfo.name}_html`);
+    const cacheDir = resolveJobCacheDir(projectRoot, inputPath, runtimeConfig);
     const cache = createProgressCache(cacheDir);
 
     console.log(`\n========================================`);
@@ -830,18 +1075,24 @@ export const runHtmlTranslationJob = async ({
     console.log(`🐞 Debug: ${debugMode ? "on" : "off"}`);
     console.log(`🗣️ Source: ${runtimeConfig.sourceLanguage}`);
     console.log(`🌐 Target: ${runtimeConfig.targetLanguage}`);
-    if (runtimeConfig[CURRENT_PROVIDER]?.concurrency) {
+    if (runtimeConfig.outputMode === "bilingual") {
+        console.log(`📑 Output mode: bilingual`);
+    }
+    if (runtimeConfig.profileName) {
+        console.log(`🧩 Profile: ${runtimeConfig.profileName}`);
+    }
+    if (runtimeConfig[runtimeConfig.provider]?.concurrency) {
         console.log(
-            `⚙️ Concurrency: ${runtimeConfig[CURRENT_PROVIDER].concurrency}`,
+            `⚙️ Concurrency: ${runtimeConfig[runtimeConfig.provider].concurrency}`,
         );
     }
     console.log(`🤖 Provider: ${aiProvider.providerName} (${aiProvider.modelName})`);
-    if (aiProvider.fallbackProviderName) {
-        console.log(`🛟 Fallback: ${aiProvider.fallbackProviderName}`);
+    if (aiProvider.fallbackLabels.length > 0) {
+        console.log(`🛟 Fallback: ${aiProvider.fallbackLabels.join(" → ")}`);
     }
     console.log(`========================================\n`);
 
-    let completed = false;
+    let shouldKeepArtifacts = debugMode;
 
     try {
         const chapterMap = createSingleHtmlChapterMap(inputPath);
@@ -881,13 +1132,16 @@ export const runHtmlTranslationJob = async ({
             );
             cache.saveGlossary(glossary);
         }
+        glossary = applyLockedGlossary(glossary, runtimeConfig);
 
+        let glossaryCompliance = null;
         const cachedHtml = cache.load("document");
         if (cachedHtml) {
             console.log(`\n📑 Found cached translated HTML, reusing it.`);
             chapterMap.get("document").html = cachedHtml;
         } else {
-            await performTranslation(
+            let budgetError;
+            ({ glossaryCompliance, budgetError } = await performTranslation(
                 chapters,
                 chapterMap,
                 glossary,
@@ -900,8 +1154,9 @@ export const runHtmlTranslationJob = async ({
                 definedClasses,
                 "html",
                 debugMode,
-            );
+            ));
             await batchQueue.drainQueue();
+            if (budgetError) throw budgetError;
         }
 
         await standardizeHeadingsByRules(
@@ -918,13 +1173,20 @@ export const runHtmlTranslationJob = async ({
             logger,
         );
 
-        const finalInputPath = path.resolve(inputDir, path.basename(inputPath));
-        moveFileIfNeeded(inputPath, finalInputPath);
+        if (archiveInput) {
+            moveFileIfNeeded(inputPath, path.resolve(inputDir, path.basename(inputPath)));
+        }
+        writeGlossaryComplianceReport(glossaryCompliance, outputPath);
+        saveOutputGlossary(glossary, runtimeConfig, outputPath);
+        finishJobUsage(jobUsage, outputPath);
 
+        printTranslationMemorySummary(translationMemory, memoryStatsAtStart);
         console.log(`\n✅ All done! Output: ${path.basename(outputPath)}`);
         return { outputPath, cacheDir, logFile: logger.logFile };
     } catch (error) {
-        shouldKeepArtifacts = debugMode;
+        finishJobUsage(jobUsage);
+        // 预算停止时保留缓存，下次运行从已完成的章节继续
+        shouldKeepArtifacts = debugMode || isBudgetExceededError(error);
         logger.write(
             "ERROR",
             `Main Process Fatal Error: ${error.stack || error.message}`,
@@ -933,7 +1195,7 @@ export const runHtmlTranslationJob = async ({
     } finally {
         if (!shouldKeepArtifacts) {
             cache.removeDir();
-            logger.remove();
+            if (!services) logger.remove();
         }
     }
 };
@@ -945,46 +1207,39 @@ export const runPdfTranslationJob = async ({
     selectedPages = null,
     debugMode = false,
     runtimeConfig,
+    services = null,
+    // 批量模式不移动输入文件：不同目录里的同名文件会互相覆盖
+    archiveInput = true,
 }) => {
     const logDir = path.resolve(projectRoot, "log");
     const inputDir = path.resolve(projectRoot, "input");
-    const outputDir = path.resolve(projectRoot, "output");
+    const outputDir = resolveOutputDir(projectRoot, runtimeConfig);
     ensureDir(logDir);
     ensureDir(inputDir);
     ensureDir(outputDir);
 
-    const logger = createLogger(logDir);
-    const aiProvider = createAIProvider(
-        CURRENT_PROVIDER,
-        runtimeConfig,
-        logger,
-        FALLBACK_PROVIDER,
-        FALLBACK_ON_CONTENT_POLICY,
-    );
-    const glossaryProvider = createGlossaryProvider(logger, runtimeConfig);
-    const batchQueue = createBatchQueue(aiProvider, logger);
+    const { logger, aiProvider, translationMemory, batchQueue, usageTracker } =
+        services || createJobServices({ projectRoot, runtimeConfig });
+    const memoryStatsAtStart = { ...translationMemory.stats };
+    const jobUsage = usageTracker.openScope();
+    const glossaryProvider = createGlossaryProvider(logger, runtimeConfig, usageTracker);
 
     const fileInfo = path.parse(inputPath);
     const selectionSlug = createSelectionSlug(pageSelector);
-    const targetLanguageSlug = getLanguageFileCode(runtimeConfig.targetLanguage);
-    const outputPdfPath = path.resolve(
-        outputDir,
-        pageSelector
-            ? `${fileInfo.name}_page-${selectionSlug}_${targetLanguageSlug}.pdf`
-            : `${fileInfo.name}_${targetLanguageSlug}.pdf`,
-    );
+    // PDF 只输出译文版，没有双语后缀
+    const outputStem = buildOutputStem(runtimeConfig, {
+        name: fileInfo.name,
+        selection: pageSelector ? `_page-${selectionSlug}` : "",
+        bilingual: false,
+    });
+    const outputPdfPath = path.resolve(outputDir, `${outputStem}.pdf`);
     const validationJsonPath = path.resolve(
         outputDir,
-        pageSelector
-            ? `${fileInfo.name}_page-${selectionSlug}_${targetLanguageSlug}.validation.json`
-            : `${fileInfo.name}_${targetLanguageSlug}.validation.json`,
-    );
-    const cacheDir = path.resolve(
-        projectRoot,
-        pageSelector
-            ? `.cache_${fileInfo.name}_page-${selectionSlug}_pdf`
-            : `.cache_${fileInfo.name}_pdf`,
+        `${outputStem}.validation.json`,
     );
+    const cacheDir = resolveJobCacheDir(projectRoot, inputPath, runtimeConfig, {
+        pageSelector,
+    });
     const cache = createProgressCache(cacheDir);
     const extractedJsonPath = path.resolve(cacheDir, "pdf_blocks.json");
     const translatedJsonPath = path.resolve(cacheDir, "pdf_blocks_translated.json");
@@ -994,29 +1249,27 @@ export const runPdfTranslationJob = async ({
     console.log(`📕 Input:  ${path.basename(inputPath)}`);
     console.log(`💾 Output: ${path.basename(outputPdfPath)}`);
     if (debugMode) {
-        const outputHtmlPath = path.resolve(
-            outputDir,
-            pageSelector
-                ? `${fileInfo.name}_page-${selectionSlug}_${targetLanguageSlug}.html`
-                : `${fileInfo.name}_${targetLanguageSlug}.html`,
-        );
+        const outputHtmlPath = path.resolve(outputDir, `${outputStem}.html`);
         console.log(`📄 HTML:   ${path.basename(outputHtmlPath)}`);
     }
     console.log(`📦 Cache:  ${path.basename(cacheDir)}`);
     console.log(`🐞 Debug: ${debugMode ? "on" : "off"}`);
     console.log(`🗣️ Source: ${runtimeConfig.sourceLanguage}`);
     console.log(`🌐 Target: ${runtimeConfig.targetLanguage}`);
-    if (runtimeConfig[CURRENT_PROVIDER]?.concurrency) {
+    if (runtimeConfig.profileName) {
+        console.log(`🧩 Profile: ${runtimeConfig.profileName}`);
+    }
+    if (runtimeConfig[runtimeConfig.provider]?.concurrency) {
         console.log(
-            `⚙️ Concurrency: ${runtimeConfig[CURRENT_PROVIDER].concurrency}`,
+            `⚙️ Concurrency: ${runtimeConfig[runtimeConfig.provider].concurrency}`,
         );
     }
     if (pageSelector) {
         console.log(`📄 Pages: ${pageSelector}`);
     }
     console.log(`🤖 Provider: ${aiProvider.providerName} (${aiProvider.modelName})`);
-    if (aiProvider.fallbackProviderName) {
-        console.log(`🛟 Fallback: ${aiProvider.fallbackProviderName}`);
+    if (aiProvider.fallbackLabels.length > 0) {
+        console.log(`🛟 Fallback: ${aiProvider.fallbackLabels.join(" → ")}`);
     }
     console.log(`========================================\n`);
 
@@ -1088,13 +1341,16 @@ export const runPdfTranslationJob = async ({
             );
             cache.saveGlossary(glossary);
         }
+        glossary = applyLockedGlossary(glossary, runtimeConfig);
 
+        let glossaryCompliance = null;
         const cachedHtml = cache.load("document");
         if (cachedHtml) {
             console.log(`\n📑 Found cached translated PDF HTML, reusing it.`);
             chapterMap.get("document").html = cachedHtml;
         } else {
-            await performTranslation(
+            let budgetError;
+            ({ glossaryCompliance, budgetError } = await performTranslation(
                 chapters,
                 chapterMap,
                 glossary,
@@ -1107,19 +1363,15 @@ export const runPdfTranslationJob = async ({
                 definedClasses,
                 "pdf",
                 debugMode,
-            );
+            ));
             await batchQueue.drainQueue();
+            if (budgetError) throw budgetError;
         }
 
         const translatedHtml = chapterMap.get("document").html;
         let outputHtmlPath = null;
         if (debugMode) {
-            outputHtmlPath = path.resolve(
-                outputDir,
-                pageSelector
-                    ? `${fileInfo.name}_page-${selectionSlug}_${targetLanguageSlug}.html`
-                    : `${fileInfo.name}_${targetLanguageSlug}.html`,
-            );
+            outputHtmlPath = path.resolve(outputDir, `${outputStem}.html`);
             console.log(`\n💾 Step 4: Saving translated HTML snapshot...`);
             fs.writeFileSync(outputHtmlPath, translatedHtml, "utf8");
         }
@@ -1178,10 +1430,15 @@ export const runPdfTranslationJob = async ({
             `   Validation: status=${validationReport.status} issues=${validationReport.issues?.length || 0}`,
         );
 
-        const finalInputPath = path.resolve(inputDir, path.basename(inputPath));
-        moveFileIfNeeded(inputPath, finalInputPath);
+        if (archiveInput) {
+            moveFileIfNeeded(inputPath, path.resolve(inputDir, path.basename(inputPath)));
+        }
+        writeGlossaryComplianceReport(glossaryCompliance, outputPdfPath);
+        saveOutputGlossary(glossary, runtimeConfig, outputPdfPath);
+        finishJobUsage(jobUsage, outputPdfPath);
 
         if (validationReport.status === "ok") {
+            printTranslationMemorySummary(translationMemory, memoryStatsAtStart);
             console.log(`\n✅ All done! Output: ${path.basename(outputPdfPath)}`);
         } else {
             console.log(
@@ -1198,6 +1455,7 @@ export const runPdfTranslationJob = async ({
             validationStatus: validationReport.status,
         };
     } catch (error) {
+        finishJobUsage(jobUsage);
         logger.write(
             "ERROR",
             `PDF Process Fatal Error: ${error.stack || error.message}`,
@@ -1206,7 +1464,7 @@ export const runPdfTranslationJob = async ({
     } finally {
         if (completed && !debugMode) {
             cache.removeDir();
-            logger.remove();
+            if (!services) logger.remove();
         } else if (!completed) {
             logger.write(
                 "WARN",
@@ -1216,51 +1474,134 @@ export const runPdfTranslationJob = async ({
     }
 };
 
+// 确定字幕来源：字幕文件直接使用；视频先探测字幕轨，外挂字幕原生解析，内嵌字幕用 ffmpeg 抽取
+const resolveSubtitleSource = async ({
+    inputPath,
+    isVideoInput,
+    extractedSubtitleBasePath,
+    streamProbePath,
+    logger,
+    runtimeConfig,
+    sourceLanguageExplicit = false,
+    debugMode = false,
+}) => {
+    let sourceSubtitlePath = inputPath;
+    let subtitleFormat = getSubtitleFormatFromPath(inputPath);
+    let subtitleTrack = null;
+    let subtitleStreamCount = 0;
+    let preservedExternalSubtitleFiles = [];
+
+    if (isVideoInput) {
+        console.log("\n🎞️ Step 1: Probing subtitle tracks...");
+        const embeddedStreams = await probeSubtitleStreams(inputPath, logger);
+        const externalSubtitleFiles = detectExternalSubtitleFiles(inputPath);
+        const streams = [...embeddedStreams, ...externalSubtitleFiles];
+        subtitleStreamCount = embeddedStreams.length;
+        preservedExternalSubtitleFiles = externalSubtitleFiles;
+        if (debugMode) {
+            fs.writeFileSync(streamProbePath, JSON.stringify(streams, null, 2), "utf8");
+        }
+        const selectedStream = selectSubtitleStream({
+            streams,
+            preferredLanguage: sourceLanguageExplicit
+                ? runtimeConfig.sourceLanguage
+                : null,
+            fallbackLanguage: "English",
+        });
+        assertSubtitleCodecSupported(selectedStream);
+        subtitleTrack = {
+            kind: selectedStream.kind || "embedded",
+            streamIndex:
+                selectedStream.kind === "external"
+                    ? null
+                    : Number(selectedStream.index || 0),
+            codecName: selectedStream.codec_name || null,
+            language:
+                selectedStream.resolvedLanguage ||
+                selectedStream.tags?.language ||
+                null,
+            title: selectedStream.tags?.title || null,
+            path: selectedStream.path || null,
+        };
+        console.log(
+            subtitleTrack.kind === "external"
+                ? `   Selected external subtitle: ${path.basename(subtitleTrack.path)}${subtitleTrack.language ? ` (${subtitleTrack.language})` : ""}`
+                : `   Selected subtitle stream #${subtitleTrack.streamIndex} (${subtitleTrack.codecName}${subtitleTrack.language ? `, ${subtitleTrack.language}` : ""})`,
+        );
+        if (subtitleTrack.kind === "external") {
+            // 外挂字幕直接原生解析，不再经 ffmpeg 转成 SRT
+            subtitleFormat = getSubtitleFormatFromPath(subtitleTrack.path);
+            sourceSubtitlePath = subtitleTrack.path;
+        } else {
+            subtitleFormat = getSubtitleFormatFromCodec(subtitleTrack.codecName);
+            const extractedSubtitlePath = `${extractedSubtitleBasePath}_${subtitleTrack.streamIndex}${getSubtitleFormatExtension(subtitleFormat)}`;
+            if (fs.existsSync(extractedSubtitlePath)) {
+                console.log(
+                    `   Using cached subtitle extraction: ${path.basename(extractedSubtitlePath)}`,
+                );
+            } else {
+                console.log(
+                    `\n📤 Step 2: Extracting subtitle track (${subtitleFormat.toUpperCase()})...`,
+                );
+                await extractSubtitleStream(
+                    inputPath,
+                    subtitleTrack.streamIndex,
+                    extractedSubtitlePath,
+                    logger,
+                );
+            }
+            sourceSubtitlePath = extractedSubtitlePath;
+        }
+    }
+
+    return {
+        sourceSubtitlePath,
+        subtitleFormat,
+        subtitleTrack,
+        subtitleStreamCount,
+        preservedExternalSubtitleFiles,
+    };
+};
+
 export const runSubtitleTranslationJob = async ({
     projectRoot,
     inputPath,
     debugMode = false,
     runtimeConfig,
     sourceLanguageExplicit = false,
+    services = null,
+    // 批量模式不移动输入文件：不同目录里的同名文件会互相覆盖
+    archiveInput = true,
 }) => {
     const logDir = path.resolve(projectRoot, "log");
     const inputDir = path.resolve(projectRoot, "input");
-    const outputDir = path.resolve(projectRoot, "output");
+    const outputDir = resolveOutputDir(projectRoot, runtimeConfig);
     ensureDir(logDir);
     ensureDir(inputDir);
     ensureDir(outputDir);
 
-    const logger = createLogger(logDir);
-    const aiProvider = createAIProvider(
-        CURRENT_PROVIDER,
-        runtimeConfig,
-        logger,
-        FALLBACK_PROVIDER,
-        FALLBACK_ON_CONTENT_POLICY,
-    );
-    const batchQueue = createBatchQueue(aiProvider, logger);
+    const { logger, aiProvider, translationMemory, batchQueue, usageTracker } =
+        services || createJobServices({ projectRoot, runtimeConfig });
+    const memoryStatsAtStart = { ...translationMemory.stats };
+    const jobUsage = usageTracker.openScope();
 
     const fileInfo = path.parse(inputPath);
     const inputExt = fileInfo.ext.toLowerCase();
     const isVideoInput = VIDEO_INPUT_EXTENSIONS.has(inputExt);
-    const targetLanguageSlug = getLanguageFileCode(runtimeConfig.targetLanguage);
+    const bilingualOutput = runtimeConfig.outputMode === "bilingual";
+    const bilingualOrder = runtimeConfig.bilingualOrder || "translation-first";
     const outputPath = path.resolve(
         outputDir,
-        isVideoInput
-            ? `${fileInfo.name}_${targetLanguageSlug}.mkv`
-            : `${fileInfo.name}_${targetLanguageSlug}.srt`,
+        `${buildOutputStem(runtimeConfig, { name: fileInfo.name })}${isVideoInput ? ".mkv" : inputExt}`,
     );
-    const cacheDir = path.resolve(projectRoot, `.cache_${fileInfo.name}_subtitle`);
+    const cacheDir = resolveJobCacheDir(projectRoot, inputPath, runtimeConfig);
     const cache = createProgressCache(cacheDir);
-    const extractedSrtBasePath = path.resolve(cacheDir, "source_subtitle");
+    const extractedSubtitleBasePath = path.resolve(cacheDir, "source_subtitle");
     const sourceJsonPath = path.resolve(cacheDir, "subtitle_cues.json");
     const translatedJsonPath = path.resolve(
         cacheDir,
         "subtitle_cues_translated.json",
     );
-    const translatedSrtPath = isVideoInput
-        ? path.resolve(cacheDir, "translated_subtitle.srt")
-        : outputPath;
     const streamProbePath = path.resolve(cacheDir, "subtitle_streams.json");
 
     console.log(`\n========================================`);
@@ -1272,108 +1613,69 @@ export const runSubtitleTranslationJob = async ({
     console.log(`🐞 Debug: ${debugMode ? "on" : "off"}`);
     console.log(`🗣️ Source: ${runtimeConfig.sourceLanguage}`);
     console.log(`🌐 Target: ${runtimeConfig.targetLanguage}`);
-    if (runtimeConfig[CURRENT_PROVIDER]?.concurrency) {
+    if (bilingualOutput) {
+        console.log(`📑 Output mode: bilingual (${bilingualOrder})`);
+    }
+    if (runtimeConfig.profileName) {
+        console.log(`🧩 Profile: ${runtimeConfig.profileName}`);
+    }
+    if (runtimeConfig[runtimeConfig.provider]?.concurrency) {
         console.log(
-            `⚙️ Concurrency: ${runtimeConfig[CURRENT_PROVIDER].concurrency}`,
+            `⚙️ Concurrency: ${runtimeConfig[runtimeConfig.provider].concurrency}`,
         );
     }
     console.log(`🤖 Provider: ${aiProvider.providerName} (${aiProvider.modelName})`);
-    if (aiProvider.fallbackProviderName) {
-        console.log(`🛟 Fallback: ${aiProvider.fallbackProviderName}`);
+    if (aiProvider.fallbackLabels.length > 0) {
+        console.log(`🛟 Fallback: ${aiProvider.fallbackLabels.join(" → ")}`);
     }
     console.log(`========================================\n`);
 
     let shouldKeepArtifacts = debugMode;
 
     try {
-        let sourceSrtPath = inputPath;
-        let subtitleTrack = null;
-        let subtitleStreamCount = 0;
-        let preservedExternalSubtitleFiles = [];
-
-        if (isVideoInput) {
-            console.log("\n🎞️ Step 1: Probing subtitle tracks...");
-            const embeddedStreams = await probeSubtitleStreams(inputPath, logger);
-            const externalSubtitleFiles = detectExternalSubtitleFiles(inputPath);
-            const streams = [...embeddedStreams, ...externalSubtitleFiles];
-            subtitleStreamCount = embeddedStreams.length;
-            preservedExternalSubtitleFiles = externalSubtitleFiles;
-            if (debugMode) {
-                fs.writeFileSync(streamProbePath, JSON.stringify(streams, null, 2), "utf8");
-            }
-            const selectedStream = selectSubtitleStream({
-                streams,
-                preferredLanguage: sourceLanguageExplicit
-                    ? runtimeConfig.sourceLanguage
-                    : null,
-                fallbackLanguage: "English",
-            });
-            assertSubtitleCodecSupported(selectedStream);
-            subtitleTrack = {
-                kind: selectedStream.kind || "embedded",
-                streamIndex:
-                    selectedStream.kind === "external"
-                        ? null
-                        : Number(selectedStream.index || 0),
-                codecName: selectedStream.codec_name || null,
-                language:
-                    selectedStream.resolvedLanguage ||
-                    selectedStream.tags?.language ||
-                    null,
-                title: selectedStream.tags?.title || null,
-                path: selectedStream.path || null,
-            };
-            console.log(
-                subtitleTrack.kind === "external"
-                    ? `   Selected external subtitle: ${path.basename(subtitleTrack.path)}${subtitleTrack.language ? ` (${subtitleTrack.language})` : ""}`
-                    : `   Selected subtitle stream #${subtitleTrack.streamIndex} (${subtitleTrack.codecName}${subtitleTrack.language ? `, ${subtitleTrack.language}` : ""})`,
-            );
-            const extractedSrtPath =
-                subtitleTrack.kind === "external"
-                    ? `${extractedSrtBasePath}_external.srt`
-                    : `${extractedSrtBasePath}_${subtitleTrack.streamIndex}.srt`;
-
-            if (fs.existsSync(extractedSrtPath)) {
-                console.log(
-                    `   Using cached subtitle extraction: ${path.basename(extractedSrtPath)}`,
-                );
-            } else {
-                console.log("\n📤 Step 2: Extracting subtitle track to SRT...");
-                if (subtitleTrack.kind === "external") {
-                    await convertExternalSubtitleToSrt(
-                        subtitleTrack.path,
-                        extractedSrtPath,
-                        logger,
-                    );
-                } else {
-                    await extractSubtitleStreamToSrt(
-                        inputPath,
-                        subtitleTrack.streamIndex,
-                        extractedSrtPath,
-                        logger,
-                    );
-                }
-            }
-            sourceSrtPath = extractedSrtPath;
-        }
+        const {
+            sourceSubtitlePath,
+            subtitleFormat,
+            subtitleTrack,
+            subtitleStreamCount,
+            preservedExternalSubtitleFiles,
+        } = await resolveSubtitleSource({
+            inputPath,
+            isVideoInput,
+            extractedSubtitleBasePath,
+            streamProbePath,
+            logger,
+            runtimeConfig,
+            sourceLanguageExplicit,
+            debugMode,
+        });
 
-        const srtContent = fs.readFileSync(sourceSrtPath, "utf8");
+        console.log(
+            `\n🧩 Step 3: Parsing ${subtitleFormat.toUpperCase()} subtitle cues to JSON...`,
+        );
+        const { cues, formatMeta } = parseSubtitleDocument(
+            fs.readFileSync(sourceSubtitlePath, "utf8"),
+            subtitleFormat,
+        );
         if (!sourceLanguageExplicit) {
             runtimeConfig.sourceLanguage =
                 subtitleTrack?.language ||
-                inferSubtitleLanguageFromFile(srtContent) ||
+                inferSubtitleLanguageFromFile(
+                    cues.map((cue) => cue.sourceText).join("\n"),
+                ) ||
                 runtimeConfig.sourceLanguage;
         }
-        const glossaryProvider = createGlossaryProvider(logger, runtimeConfig);
+        const glossaryProvider = createGlossaryProvider(logger, runtimeConfig, usageTracker);
 
-        console.log("\n🧩 Step 3: Parsing subtitle cues to JSON...");
         const subtitleJson = buildSubtitleJson({
             sourceFile: path.basename(inputPath),
-            sourceType: isVideoInput ? "video" : "srt",
+            sourceType: isVideoInput ? "video" : subtitleFormat,
             sourceLanguage: runtimeConfig.sourceLanguage,
             targetLanguage: runtimeConfig.targetLanguage,
-            cues: parseSrt(srtContent),
+            cues,
             subtitleTrack,
+            format: subtitleFormat,
+            formatMeta,
         });
         fs.writeFileSync(sourceJsonPath, JSON.stringify(subtitleJson, null, 2), "utf8");
 
@@ -1408,14 +1710,17 @@ export const runSubtitleTranslationJob = async ({
             );
             cache.saveGlossary(glossary);
         }
+        glossary = applyLockedGlossary(glossary, runtimeConfig);
 
+        let glossaryCompliance = null;
         const cachedHtml = cache.load("document");
         if (cachedHtml) {
             console.log(`\n📑 Found cached translated subtitle HTML, reusing it.`);
             chapterMap.get("document").html = cachedHtml;
         } else {
             console.log("\n✍️ Step 5: Translating subtitle content...");
-            await performTranslation(
+            let budgetError;
+            ({ glossaryCompliance, budgetError } = await performTranslation(
                 chapters,
                 chapterMap,
                 glossary,
@@ -1428,8 +1733,9 @@ export const runSubtitleTranslationJob = async ({
                 definedClasses,
                 "subtitle",
                 debugMode,
-            );
+            ));
             await batchQueue.drainQueue();
+            if (budgetError) throw budgetError;
         }
 
         console.log("\n🧱 Step 6: Writing translated subtitle artifacts...");
@@ -1442,16 +1748,37 @@ export const runSubtitleTranslationJob = async ({
             JSON.stringify(translatedSubtitleJson, null, 2),
             "utf8",
         );
-        const translatedSrtContent = serializeSrt(translatedSubtitleJson);
-        parseSrt(translatedSrtContent);
-        fs.writeFileSync(translatedSrtPath, translatedSrtContent, "utf8");
+        const subtitleExt = getSubtitleFormatExtension(subtitleFormat);
+        const translatedSubtitlePath = isVideoInput
+            ? path.resolve(cacheDir, `translated_subtitle${subtitleExt}`)
+            : outputPath;
+        const bilingualSubtitlePath = isVideoInput
+            ? path.resolve(cacheDir, `translated_subtitle_bilingual${subtitleExt}`)
+            : outputPath;
+        const writeSubtitle = (targetPath, options) => {
+            const content = serializeSubtitleDocument(translatedSubtitleJson, options);
+            // 回读一遍，确保输出仍是合法的字幕文件
+            parseSubtitleDocument(content, subtitleFormat);
+            fs.writeFileSync(targetPath, content, "utf8");
+        };
+
+        // 字幕输入的双语模式直接输出双语字幕；视频输入同时封装纯译文和双语两条轨道
+        if (isVideoInput || !bilingualOutput) {
+            writeSubtitle(translatedSubtitlePath);
+        }
+        if (bilingualOutput) {
+            writeSubtitle(bilingualSubtitlePath, { bilingual: true, bilingualOrder });
+        }
 
         if (isVideoInput) {
             console.log("\n📥 Step 7: Muxing translated subtitle into output video...");
             await muxTranslatedSubtitleIntoVideo({
                 inputPath,
-                translatedSrtPath,
+                translatedSubtitlePath,
+                bilingualSubtitlePath: bilingualOutput ? bilingualSubtitlePath : null,
                 outputPath,
+                subtitleCodec: getSubtitleMuxCodec(subtitleFormat) || "srt",
+                sourceLanguage: runtimeConfig.sourceLanguage,
                 targetLanguage: runtimeConfig.targetLanguage,
                 existingSubtitleCount: subtitleStreamCount,
                 externalSubtitleFiles: preservedExternalSubtitleFiles,
@@ -1459,18 +1786,26 @@ export const runSubtitleTranslationJob = async ({
             });
         }
 
-        const finalInputPath = path.resolve(inputDir, path.basename(inputPath));
-        moveFileIfNeeded(inputPath, finalInputPath);
+        if (archiveInput) {
+            moveFileIfNeeded(inputPath, path.resolve(inputDir, path.basename(inputPath)));
+        }
+        writeGlossaryComplianceReport(glossaryCompliance, outputPath);
+        saveOutputGlossary(glossary, runtimeConfig, outputPath);
+        finishJobUsage(jobUsage, outputPath);
 
+        printTranslationMemorySummary(translationMemory, memoryStatsAtStart);
         console.log(`\n✅ All done! Output: ${path.basename(outputPath)}`);
         return {
             outputPath,
             cacheDir,
             logFile: logger.logFile,
             translatedJsonPath,
-            translatedSrtPath,
+            translatedSubtitlePath:
+                isVideoInput || !bilingualOutput ? translatedSubtitlePath : null,
+            bilingualSubtitlePath: bilingualOutput ? bilingualSubtitlePath : null,
         };
     } catch (error) {
+        finishJobUsage(jobUsage);
         shouldKeepArtifacts = true;
         logger.write(
             "ERROR",
@@ -1480,6 +1815,939 @@ export const runSubtitleTranslationJob = async ({
     } finally {
         if (!shouldKeepArtifacts) {
             cache.removeDir();
+            if (!services) logger.remove();
+        }
+    }
+};
+
+// =================== 费用预估（dry-run） ===================
+// 与正式任务相同的本地步骤：EPUB 解包、HTML 读取、PDF 抽取、字幕解析；不创建 provider
+const createEstimateSource = async ({
+    inputPath,
+    translationMode,
+    chapterSelector,
+    selectedPages,
+    cache,
+    cacheDir,
+    tempDir,
+    logger,
+    runtimeConfig,
+    sourceLanguageExplicit,
+}) => {
+    const fileInfo = path.parse(inputPath);
+
+    if (translationMode === "epub") {
+        const zipEntries = new AdmZip(inputPath).getEntries();
+        const chapterMap = createChapterMap(zipEntries);
+        const referencedIds = collectReferencedIds(chapterMap);
+        const definedClasses = collectDefinedClasses(zipEntries);
+        // 有缓存的翻译计划时沿用它的顺序和目录页；否则按 spine 顺序，--chap 序号也以此为准
+        const cachedPlan = sanitizeCachedPlan(cache?.loadPlan(), chapterMap, logger);
+        if (cachedPlan) {
+            console.log("🕵️ Using cached translation plan for chapter order.");
+        }
+        const ordered = cachedPlan
+            ? cachedPlan.sorted.map((chapter) => ({
+                  ...chapterMap.get(chapter.id),
+                  isTOC: chapter.id === cachedPlan.tocId,
+              }))
+            : [...chapterMap.values()];
+        // nav.xhtml 不按正文翻译，它的标签单独计入辅助请求
+        const navId = findNavDocumentId(zipEntries);
+        const chapters = (
+            chapterSelector ? selectChaptersBySpec(ordered, chapterSelector) : ordered
+        ).filter((chapter) => chapter.id !== navId);
+        return {
+            chapters,
+            referencedIds,
+            definedClasses,
+            chapterModes:
+                detectEpubBookStructuralMode(chapters, referencedIds, definedClasses)
+                    ?.chapterModes || {},
+            epub: { chapterMap, zipEntries, navId, planCached: Boolean(cachedPlan) },
+        };
+    }
+
+    if (translationMode === "html") {
+        const chapterMap = createSingleHtmlChapterMap(inputPath);
+        return {
+            chapters: [...chapterMap.values()],
+            referencedIds: collectReferencedIds(chapterMap),
+            definedClasses: new Set(),
+        };
+    }
+
+    if (translationMode === "pdf") {
+        const cachedJsonPath = path.resolve(cacheDir, "pdf_blocks.json");
+        const cachedPdfJson = fs.existsSync(cachedJsonPath)
+                ? JSON.parse(fs.readFileSync(cachedJsonPath, "utf8"))
+                : null;
+        let pdfJson;
+        if (Number(cachedPdfJson?.version || 0) >= PDF_BLOCKS_SCHEMA_VERSION) {
+            console.log(`📤 Using cached extraction: ${path.basename(cachedJsonPath)}`);
+            pdfJson = cachedPdfJson;
+        } else {
+            console.log("📤 Extracting PDF text blocks...");
+            pdfJson = await extractPdfToJson(
+                inputPath,
+                path.resolve(tempDir, "pdf_blocks.json"),
+                logger,
+                selectedPages,
+            );
+        }
+        logPdfDoclingSummary(pdfJson);
+        const chapterMap = new Map([
+            [
+                "document",
+                {
+                    id: "document",
+                    html: pdfJsonToHtml(pdfJson),
+                    title: pdfJson.title || fileInfo.name || "PDF Document",
+                },
+            ],
+        ]);
+        return {
+            chapters: [...chapterMap.values()],
+            referencedIds: collectReferencedIds(chapterMap),
+            definedClasses: new Set(),
+            groupOf: ($, el) => Number($(el).closest("[data-page]").attr("data-page")) || 0,
+        };
+    }
+
+    const isVideoInput = VIDEO_INPUT_EXTENSIONS.has(fileInfo.ext.toLowerCase());
+    const { sourceSubtitlePath, subtitleFormat, subtitleTrack } =
+        await resolveSubtitleSource({
+            inputPath,
+            isVideoInput,
+            extractedSubtitleBasePath: path.resolve(tempDir, "source_subtitle"),
+            streamProbePath: path.resolve(tempDir, "subtitle_streams.json"),
+            logger,
+            runtimeConfig,
+            sourceLanguageExplicit,
+        });
+    const { cues, formatMeta } = parseSubtitleDocument(
+        fs.readFileSync(sourceSubtitlePath, "utf8"),
+        subtitleFormat,
+    );
+    if (!sourceLanguageExplicit) {
+        runtimeConfig.sourceLanguage =
+            subtitleTrack?.language ||
+            inferSubtitleLanguageFromFile(cues.map((cue) => cue.sourceText).join("\n")) ||
+            runtimeConfig.sourceLanguage;
+    }
+    const subtitleJson = buildSubtitleJson({
+        sourceFile: path.basename(inputPath),
+        sourceType: isVideoInput ? "video" : subtitleFormat,
+        sourceLanguage: runtimeConfig.sourceLanguage,
+        targetLanguage: runtimeConfig.targetLanguage,
+        cues,
+        subtitleTrack,
+        format: subtitleFormat,
+        formatMeta,
+    });
+    return {
+        chapters: [
+            {
+                id: "document",
+                html: subtitleJsonToHtml(subtitleJson),
+                title: subtitleJson.sourceFile || fileInfo.name || "Subtitle Document",
+            },
+        ],
+        referencedIds: new Set(),
+        definedClasses: new Set(),
+    };
+};
+
+// dry-run 的辅助请求：已有缓存的翻译计划、标题规则、术语表不会重新请求，不计入
+const estimateAuxiliaryRequests = async ({ translationMode, chapters, epub, cache, runtimeConfig }) => {
+    const rows = [];
+    const add = (label, estimate) => {
+        if (estimate?.requests) rows.push({ label, ...estimate });
+    };
+    const chapterMap = new Map(chapters.map((chapter) => [chapter.id, chapter]));
+
+    if (epub && !epub.planCached) {
+        add("Translation plan", estimatePlanRequest([...epub.chapterMap.values()]));
+    }
+    if (translationMode === "epub" || translationMode === "html") {
+        const { analysis, standardization } = estimateHeadingRequests(chapterMap, runtimeConfig, {
+            headingExamples: cache?.loadHeadingRules(),
+        });
+        add("Heading format rules", analysis);
+        add("Heading standardization", standardization);
+    }
+    const cachedGlossary = cache?.loadGlossary();
+    if (!cachedGlossary || Object.keys(cachedGlossary).length === 0) {
+        add(
+            "Glossary extraction",
+            await estimateGlossaryRequests(
+                translationMode === "html" ? createHtmlGlossarySourceMap(chapterMap) : chapterMap,
+                runtimeConfig,
+            ),
+        );
+    }
+    if (epub) {
+        add("Nav labels", estimateNavLabelRequest(epub.chapterMap, epub.navId, runtimeConfig));
+        add("Package metadata", estimatePackageMetadataRequest(epub.zipEntries, runtimeConfig));
+    }
+    return rows;
+};
+
+/**
+ * dry-run：统计每章（PDF 为每页）的节点数、被分类器跳过的节点数、batch 数、字符数，
+ * 并估算 token 与费用；翻译计划、标题、术语表、导航与元数据标签、术语纠正轮次另列几行。
+ * 报告写到输出目录的 *.estimate.json。不会发出任何 API 请求。
+ */
+export const runEstimateJob = async ({
+    projectRoot,
+    inputPath,
+    chapterSelector = null,
+    pageSelector = null,
+    selectedPages = null,
+    debugMode = false,
+    runtimeConfig,
+    sourceLanguageExplicit = false,
+}) => {
+    const logDir = path.resolve(projectRoot, "log");
+    const outputDir = resolveOutputDir(projectRoot, runtimeConfig);
+    ensureDir(logDir);
+    ensureDir(outputDir);
+
+    const logger = createLogger(logDir);
+    const translationMemory = createJobTranslationMemory(projectRoot, runtimeConfig);
+    const fileInfo = path.parse(inputPath);
+    const inputExt = fileInfo.ext.toLowerCase();
+    const translationMode =
+        inputExt === ".epub"
+            ? "epub"
+            : inputExt === ".pdf"
+              ? "pdf"
+              : inputExt === ".html" || inputExt === ".htm"
+                ? "html"
+                : "subtitle";
+    const selection = chapterSelector
+        ? `_chap-${createSelectionSlug(chapterSelector)}`
+        : pageSelector
+          ? `_page-${createSelectionSlug(pageSelector)}`
+          : "";
+    const outputStem = buildOutputStem(runtimeConfig, {
+        name: fileInfo.name,
+        selection,
+        ...(translationMode === "pdf" ? { bilingual: false } : {}),
+    });
+    const reportPath = path.resolve(outputDir, `${outputStem}.estimate.json`);
+    const cacheDir = resolveJobCacheDir(projectRoot, inputPath, runtimeConfig, {
+        chapterSelector,
+        pageSelector,
+    });
+    // 只读取已有缓存，dry-run 不创建缓存目录
+    const cache = fs.existsSync(cacheDir) ? createProgressCache(cacheDir) : null;
+    const modelName = runtimeConfig[runtimeConfig.provider]?.modelName || "unknown";
+    const report = createEstimateReport({
+        pricing: runtimeConfig.pricing,
+        provider: runtimeConfig.provider,
+        model: modelName,
+        unit: translationMode === "pdf" ? "Page" : "Chapter",
+    });
+
+    console.log(`\n========================================`);
+    console.log(`🧮 Dry run: ${path.basename(inputPath)}`);
+    console.log(`💾 Report: ${path.basename(reportPath)}`);
+    if (cache) {
+        console.log(`📦 Cache:  ${path.basename(cacheDir)}`);
+    }
+    console.log(`🗣️ Source: ${runtimeConfig.sourceLanguage}`);
+    console.log(`🌐 Target: ${runtimeConfig.targetLanguage}`);
+    if (runtimeConfig.profileName) {
+        console.log(`🧩 Profile: ${runtimeConfig.profileName}`);
+    }
+    console.log(`🤖 Provider: ${runtimeConfig.provider} (${modelName})`);
+    if (chapterSelector) {
+        console.log(`🎯 Chapters: ${chapterSelector}`);
+    }
+    if (pageSelector) {
+        console.log(`📄 Pages: ${pageSelector}`);
+    }
+    console.log(`========================================\n`);
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "wasabi-estimate-"));
+    let shouldKeepArtifacts = debugMode;
+
+    try {
+        const {
+            chapters,
+            referencedIds,
+            definedClasses,
+            chapterModes = {},
+            groupOf = null,
+            epub = null,
+        } = await createEstimateSource({
+                inputPath,
+                translationMode,
+                chapterSelector,
+                selectedPages,
+                cache,
+                cacheDir,
+                tempDir,
+                logger,
+                runtimeConfig,
+                sourceLanguageExplicit,
+            });
+        // 正式翻译时术语表由模型生成；这里只能用缓存里已有的那份和用户术语表
+        const glossary = cache?.loadGlossary() || {};
+        const corrections = [];
+
+        for (const chapter of chapters) {
+            if (chapter.isTOC) continue;
+            if (cache?.load(chapter.id)) {
+                report.add({ label: chapter.title, cached: true });
+                continue;
+            }
+            const { groups, correction } = estimateChapterTranslation(
+                chapter.html,
+                chapter.title,
+                glossary,
+                runtimeConfig,
+                {
+                    referencedIds,
+                    definedClasses,
+                    translationMode,
+                    chapterTranslationOptions: chapterModes[chapter.id] || {},
+                    translationMemory,
+                    groupOf,
+                },
+            );
+            if (correction?.requests) corrections.push(correction);
+            if (groups.length === 0) {
+                report.add({ label: chapter.title });
+                continue;
+            }
+            if (groupOf) groups.sort((a, b) => a.key - b.key);
+            for (const group of groups) {
+                report.add({
+                    ...group,
+                    label: groupOf ? `Page ${group.key || "?"}` : chapter.title,
+                });
+            }
+        }
+
+        const auxiliaryRows = await estimateAuxiliaryRequests({
+            translationMode,
+            chapters,
+            epub,
+            cache,
+            runtimeConfig,
+        });
+        if (corrections.length > 0) {
+            auxiliaryRows.push({ label: "Glossary corrections", ...sumEstimates(corrections) });
+        }
+        for (const row of auxiliaryRows) {
+            report.add({ ...row, auxiliary: true });
+        }
+
+        console.log("");
+        for (const line of report.formatLines()) console.log(line);
+        report.write(reportPath);
+        console.log(`\n✅ Dry run finished, no API requests were made: ${path.basename(reportPath)}`);
+        return { outputPath: reportPath, estimate: report.summarize(), logFile: logger.logFile };
+    } catch (error) {
+        shouldKeepArtifacts = true;
+        logger.write("ERROR", `Dry Run Fatal Error: ${error.stack || error.message}`);
+        throw error;
+    } finally {
+        if (shouldKeepArtifacts) {
+            console.log(`🧾 Kept temporary files for inspection: ${tempDir}`);
+        } else {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+            logger.remove();
+        }
+    }
+};
+
+// =================== 术语表导出 ===================
+const readCachedGlossary = (cacheDirs) => {
+    for (const cacheDir of cacheDirs) {
+        const glossaryPath = path.join(cacheDir, "glossary.json");
+        if (!fs.existsSync(glossaryPath)) continue;
+        const glossary = JSON.parse(fs.readFileSync(glossaryPath, "utf8"));
+        if (glossary && Object.keys(glossary).length > 0) {
+            return { glossary, cacheDir };
+        }
+    }
+    return null;
+};
+
+const createGlossaryExportSource = (inputPath, runtimeConfig) => {
+    const fileInfo = path.parse(inputPath);
+    const inputExt = fileInfo.ext.toLowerCase();
+
+    if (inputExt === ".epub") {
+        const zip = new AdmZip(inputPath);
+        return {
+            cacheName: `.cache_${fileInfo.name}`,
+            chapterMap: createChapterMap(zip.getEntries()),
+        };
+    }
+
+    if (inputExt === ".html" || inputExt === ".htm") {
+        return {
+            cacheName: `.cache_${fileInfo.name}_html`,
+            chapterMap: createHtmlGlossarySourceMap(
+                createSingleHtmlChapterMap(inputPath),
+            ),
+        };
+    }
+
+    const subtitleFormat = getSubtitleFormatFromPath(inputPath);
+    if (subtitleFormat) {
+        const { cues, formatMeta } = parseSubtitleDocument(
+            fs.readFileSync(inputPath, "utf8"),
+            subtitleFormat,
+        );
+        const subtitleJson = buildSubtitleJson({
+            sourceFile: path.basename(inputPath),
+            sourceType: subtitleFormat,
+            sourceLanguage: runtimeConfig.sourceLanguage,
+            targetLanguage: runtimeConfig.targetLanguage,
+            cues,
+            format: subtitleFormat,
+            formatMeta,
+        });
+        return {
+            cacheName: `.cache_${fileInfo.name}_subtitle`,
+            chapterMap: new Map([
+                [
+                    "document",
+                    {
+                        id: "document",
+                        href: `${fileInfo.name}.html`,
+                        html: subtitleJsonToHtml(subtitleJson),
+                        entryName: `${fileInfo.name}.html`,
+                        title: path.basename(inputPath),
+                    },
+                ],
+            ]),
+        };
+    }
+
+    throw new Error(
+        `export-glossary supports EPUB, HTML, and subtitle files, got ${inputExt || "unknown"}.`,
+    );
+};
+
+export const runGlossaryExportJob = async ({
+    projectRoot,
+    inputPath,
+    format = "csv",
+    debugMode = false,
+    runtimeConfig,
+}) => {
+    const logDir = path.resolve(projectRoot, "log");
+    const outputDir = resolveOutputDir(projectRoot, runtimeConfig);
+    ensureDir(logDir);
+    ensureDir(outputDir);
+
+    const logger = createLogger(logDir);
+    const usageTracker = createUsageTracker({
+        pricing: runtimeConfig.pricing,
+        limits: runtimeConfig.budget,
+    });
+    const jobUsage = usageTracker.openScope();
+    const fileInfo = path.parse(inputPath);
+    const outputStem = buildOutputStem(runtimeConfig, {
+        name: fileInfo.name,
+        bilingual: false,
+    });
+    const outputPath = path.resolve(outputDir, `${outputStem}.glossary.${format}`);
+
+    console.log(`\n========================================`);
+    console.log(`📖 Input:  ${path.basename(inputPath)}`);
+    console.log(`💾 Output: ${path.basename(outputPath)}`);
+    console.log(`🗣️ Source: ${runtimeConfig.sourceLanguage}`);
+    console.log(`🌐 Target: ${runtimeConfig.targetLanguage}`);
+    console.log(`========================================\n`);
+
+    let shouldKeepArtifacts = debugMode;
+
+    try {
+        const { cacheName, chapterMap } = createGlossaryExportSource(
+            inputPath,
+            runtimeConfig,
+        );
+        // 优先导出翻译任务写在输出旁边的术语表，其次是未清理的缓存，保证导出的就是实际使用的那一份
+        const saved = [false, true]
+            .map((bilingual) =>
+                path.resolve(
+                    outputDir,
+                    `${buildOutputStem(runtimeConfig, { name: fileInfo.name, bilingual })}.glossary.json`,
+                ),
+            )
+            .map((glossaryPath) => readSavedGlossary(glossaryPath))
+            .find(Boolean);
+        const cached = saved
+            ? null
+            : readCachedGlossary([
+                  path.resolve(projectRoot, cacheName),
+                  path.resolve(projectRoot, `${cacheName}_bilingual`),
+              ]);
+
+        let glossary = {};
+        let lockedEntries = runtimeConfig.userGlossary || [];
+        if (saved) {
+            console.log(`\n📊 Loading glossary saved with the output (${path.basename(saved.filePath)})...`);
+            glossary = saved.glossary;
+            lockedEntries = [...saved.lockedEntries, ...lockedEntries];
+        } else if (cached) {
+            console.log(
+                `\n📊 Loading glossary from cache (${path.basename(cached.cacheDir)})...`,
+            );
+            glossary = cached.glossary;
+        } else {
+            glossary = await generateInitialGlossary(
+                chapterMap,
+                createGlossaryProvider(logger, runtimeConfig, usageTracker),
+                logger,
+                runtimeConfig,
+            );
+        }
+        glossary = applyLockedGlossary(glossary, runtimeConfig);
+
+        const termCount = writeGlossaryFile(outputPath, glossary, lockedEntries, format);
+        finishJobUsage(jobUsage, outputPath);
+        console.log(
+            `\n✅ All done! Exported ${termCount} term(s): ${path.basename(outputPath)}`,
+        );
+        return { outputPath, termCount, logFile: logger.logFile };
+    } catch (error) {
+        finishJobUsage(jobUsage);
+        shouldKeepArtifacts = true;
+        logger.write(
+            "ERROR",
+            `Glossary Export Fatal Error: ${error.stack || error.message}`,
+        );
+        throw error;
+    } finally {
+        if (!shouldKeepArtifacts) {
+            logger.remove();
+        }
+    }
+};
+
+// =================== 重译 ===================
+const RETRANSLATION_MODES = {
+    ".epub": "epub",
+    ".html": "html",
+    ".htm": "html",
+    ".srt": "subtitle",
+};
+
+// EPUB / HTML 的节点 id 形如 node_12；字幕按字幕序号（cue id node_00012）选择
+const nodeNumberOf = (el, node) => Number.parseInt(node.id.replace(/\D/g, ""), 10);
+const cueIdOf = (el) => el.attribs?.["data-subtitle-id"] || null;
+const cueNumberOf = (el) => Number.parseInt(String(cueIdOf(el)).replace(/\D/g, ""), 10);
+
+/**
+ * 读取原文和已有译文，返回 { documents, referencedIds, definedClasses, ... }。
+ * documents: [{ id, title, html, entryName, outputText, options }]，html 是原文（字幕为 subtitleJsonToHtml 的结果），
+ * outputText 是输出里对应的译文，找不到时为 null。
+ */
+const loadRetranslationSource = ({
+    outputPath,
+    sourcePath,
+    translationMode,
+    chapterSelector,
+    cache,
+    logger,
+    runtimeConfig,
+    sourceLanguageExplicit,
+}) => {
+    if (translationMode === "epub") {
+        const sourceEntries = new AdmZip(sourcePath).getEntries();
+        const outputZip = new AdmZip(outputPath, { noSort: true });
+        const chapterMap = createChapterMap(sourceEntries);
+        const referencedIds = collectReferencedIds(chapterMap);
+        const definedClasses = collectDefinedClasses(sourceEntries);
+        const footnoteIndex = buildFootnoteIndex(chapterMap, referencedIds);
+        const navId = findNavDocumentId(sourceEntries);
+        // 与 dry-run 相同：有缓存的翻译计划时沿用它的顺序，否则按 OPF 顺序，--chap 序号以此为准
+        const cachedPlan = sanitizeCachedPlan(cache?.loadPlan(), chapterMap, logger);
+        const ordered = (
+            cachedPlan
+                ? cachedPlan.sorted.map((chapter) => chapterMap.get(chapter.id))
+                : [...chapterMap.values()]
+        ).filter((chapter) => chapter.id !== navId && chapter.id !== cachedPlan?.tocId);
+        const chapters = chapterSelector
+            ? selectChaptersBySpec(ordered, chapterSelector)
+            : ordered;
+        const chapterModes =
+            detectEpubBookStructuralMode(ordered, referencedIds, definedClasses)?.chapterModes || {};
+        return {
+            outputZip,
+            referencedIds,
+            definedClasses,
+            documents: chapters.map((chapter) => ({
+                id: chapter.id,
+                title: chapter.title,
+                html: chapter.html,
+                entryName: chapter.entryName,
+                outputText: outputZip.getEntry(chapter.entryName)?.getData().toString("utf8") ?? null,
+                options: {
+                    ...chapterModes[chapter.id],
+                    noteContexts: footnoteIndex.contextsFor(chapter.id),
+                },
+            })),
+        };
+    }
+
+    const outputText = fs.readFileSync(outputPath, "utf8");
+    if (translationMode === "html") {
+        const chapterMap = createSingleHtmlChapterMap(sourcePath);
+        const chapter = chapterMap.get("document");
+        return {
+            referencedIds: collectReferencedIds(chapterMap),
+            definedClasses: new Set(),
+            documents: [{ ...chapter, outputText, options: {} }],
+        };
+    }
+
+    const { cues, formatMeta } = parseSubtitleDocument(fs.readFileSync(sourcePath, "utf8"), "srt");
+    if (!sourceLanguageExplicit) {
+        runtimeConfig.sourceLanguage =
+            inferSubtitleLanguageFromFile(cues.map((cue) => cue.sourceText).join("\n")) ||
+            runtimeConfig.sourceLanguage;
+    }
+    const subtitleJson = buildSubtitleJson({
+        sourceFile: path.basename(sourcePath),
+        sourceType: "srt",
+        sourceLanguage: runtimeConfig.sourceLanguage,
+        targetLanguage: runtimeConfig.targetLanguage,
+        cues,
+        format: "srt",
+        formatMeta,
+    });
+    return {
+        subtitleJson,
+        // 输出里每条字幕现在的文字，供 --find 查找
+        outputCueTexts: new Map(
+            parseSubtitleDocument(outputText, "srt").cues.map((cue) => [cue.id, cue.sourceText]),
+        ),
+        referencedIds: new Set(),
+        definedClasses: new Set(),
+        documents: [
+            {
+                id: "document",
+                title: subtitleJson.sourceFile,
+                html: subtitleJsonToHtml(subtitleJson),
+                entryName: path.basename(outputPath),
+                outputText,
+                options: {},
+            },
+        ],
+    };
+};
+
+/**
+ * 重译已有译文（EPUB / HTML / SRT）里的部分章节或节点：用原文重新收集节点，只翻译
+ * --chap / --nodes / --find 选中的那些（不复用翻译记忆里的旧译文），再按位置写回输出，
+ * 其余章节、节点和文件条目保持不变。每个节点的新旧译文写入 *.retranslate.json。
+ */
+export const runRetranslationJob = async ({
+    projectRoot,
+    outputPath,
+    sourcePath,
+    chapterSelector = null,
+    nodeNumbers = null,
+    searchText = null,
+    debugMode = false,
+    runtimeConfig,
+    sourceLanguageExplicit = false,
+}) => {
+    const logDir = path.resolve(projectRoot, "log");
+    ensureDir(logDir);
+
+    const translationMode = RETRANSLATION_MODES[path.extname(outputPath).toLowerCase()];
+    if (!translationMode) {
+        throw new Error(
+            `retranslate supports EPUB, HTML, and SRT output, got ${path.extname(outputPath) || "unknown"}.`,
+        );
+    }
+
+    const { logger, aiProvider, translationMemory, batchQueue, usageTracker } =
+        createJobServices({ projectRoot, runtimeConfig });
+    const memoryStatsAtStart = { ...translationMemory.stats };
+    const jobUsage = usageTracker.openScope();
+    const reportPath = outputPath.replace(/\.[^.\\/]+$/, ".retranslate.json");
+    // 只读取翻译任务留下的缓存（--debug 或预算停止时才有），不创建缓存目录
+    const cacheDirs = ["translated", "bilingual"].map((outputMode) =>
+        resolveJobCacheDir(projectRoot, sourcePath, { ...runtimeConfig, outputMode }),
+    );
+    const cacheDir = cacheDirs.find((dir) => fs.existsSync(dir)) || null;
+    const cache = cacheDir ? createProgressCache(cacheDir) : null;
+
+    console.log(`\n========================================`);
+    console.log(`🔁 Retranslate: ${path.basename(outputPath)}`);
+    console.log(`📖 Source: ${path.basename(sourcePath)}`);
+    console.log(`🗣️ Source: ${runtimeConfig.sourceLanguage}`);
+    console.log(`🌐 Target: ${runtimeConfig.targetLanguage}`);
+    if (runtimeConfig.profileName) {
+        console.log(`🧩 Profile: ${runtimeConfig.profileName}`);
+    }
+    console.log(`🤖 Provider: ${aiProvider.providerName} (${aiProvider.modelName})`);
+    if (chapterSelector) {
+        console.log(`🎯 Chapters: ${chapterSelector}`);
+    }
+    if (nodeNumbers) {
+        console.log(`🔢 Nodes: ${[...nodeNumbers].join(", ")}`);
+    }
+    if (searchText) {
+        console.log(`🔍 Find: "${searchText}"`);
+    }
+    if (runtimeConfig.extraInstructions) {
+        console.log(`📝 Instructions: ${runtimeConfig.extraInstructions}`);
+    }
+    console.log(`========================================\n`);
+
+    let shouldKeepArtifacts = debugMode;
+
+    try {
+        const source = loadRetranslationSource({
+            outputPath,
+            sourcePath,
+            translationMode,
+            chapterSelector,
+            cache,
+            logger,
+            runtimeConfig,
+            sourceLanguageExplicit,
+        });
+        // 翻译任务把实际使用的术语表存在输出旁边；缓存目录只在 --debug 或中途停止时留下
+        const savedGlossary = readSavedGlossary(resolveOutputGlossaryPath(outputPath));
+        const cachedGlossary = savedGlossary ? null : readCachedGlossary(cacheDirs);
+        if (savedGlossary) {
+            console.log(
+                `📊 Loading glossary saved with the output (${path.basename(savedGlossary.filePath)})...`,
+            );
+            // 原任务的锁定术语仍然锁定，本次 --glossary 给出的同名术语优先
+            runtimeConfig.userGlossary = [
+                ...savedGlossary.lockedEntries,
+                ...(runtimeConfig.userGlossary || []),
+            ];
+        } else if (cachedGlossary) {
+            console.log(
+                `📊 Loading glossary from cache (${path.basename(cachedGlossary.cacheDir)})...`,
+            );
+        } else {
+            const message = `No glossary found for ${path.basename(outputPath)} (expected ${path.basename(resolveOutputGlossaryPath(outputPath))} next to it); re-translated nodes may not use the same terms as the rest of the output.`;
+            logger.write("WARN", `Retranslate: ${message}`);
+            console.log(`⚠️ ${message}`);
+        }
+        const glossary = applyLockedGlossary(
+            savedGlossary?.glossary || cachedGlossary?.glossary || {},
+            runtimeConfig,
+        );
+
+        console.log("\n🔎 Step 1: Selecting nodes...");
+        const isSubtitle = translationMode === "subtitle";
+        const selections = [];
+        for (const doc of source.documents) {
+            if (doc.outputText == null) {
+                logger.write("WARN", `Retranslate: ${doc.entryName} is missing from ${path.basename(outputPath)}.`);
+                console.log(`  - ⚠️ "${doc.title}": not found in the output, skipped.`);
+                continue;
+            }
+            const $output = isSubtitle ? null : loadRetranslationOutput(doc.outputText);
+            const bilingualOrder = $output ? detectBilingualOrder($output) : null;
+            const selector = createNodeSelector({
+                nodeNumbers,
+                searchText,
+                numberOf: isSubtitle ? cueNumberOf : nodeNumberOf,
+                currentTextOf: (el) => {
+                    if (isSubtitle) return source.outputCueTexts.get(cueIdOf(el)) || "";
+                    const target = findElementByPath($output, getElementPath(el));
+                    return target ? readTranslationText($output, target) : "";
+                },
+            });
+            const selectedIds = [];
+            const translation = translateHtmlContent(
+                doc.html,
+                doc.title,
+                glossary,
+                {
+                    ...runtimeConfig,
+                    // 双语输出按已有的双语顺序写回
+                    outputMode: bilingualOrder ? "bilingual" : "translated",
+                    bilingualOrder,
+                },
+                aiProvider,
+                batchQueue,
+                logger,
+                source.referencedIds,
+                source.definedClasses,
+                translationMode,
+                debugMode,
+                {
+                    ...doc.options,
+                    selectNode: ($, el, node) => {
+                        // 字幕文档的 <title> 是文件名，不属于任何字幕
+                        if (isSubtitle && !cueIdOf(el)) return false;
+                        if (!selector($, el, node)) return false;
+                        selectedIds.push(isSubtitle ? cueIdOf(el) : node.id);
+                        return true;
+                    },
+                },
+            );
+            selections.push({ doc, $output, selectedIds, translation });
+            if (selectedIds.length > 0) {
+                console.log(`  - "${doc.title}": ${selectedIds.length} node(s)`);
+            }
+        }
+
+        const selectedCount = selections.reduce((sum, entry) => sum + entry.selectedIds.length, 0);
+        if (selectedCount === 0) {
+            await Promise.all(selections.map((entry) => entry.translation));
+            finishJobUsage(jobUsage);
+            console.log("\n🤷 No nodes matched the selection; the output was left unchanged.");
+            return { outputPath, reportPath: null, replacedCount: 0, logFile: logger.logFile };
+        }
+
+        console.log(`\n✍️ Step 2: Re-translating ${selectedCount} node(s)...`);
+        const translatedHtml = await Promise.all(selections.map((entry) => entry.translation));
+        await batchQueue.drainQueue();
+
+        console.log("\n💾 Step 3: Writing re-translated nodes into the output...");
+        const documents = [];
+        selections.forEach(({ doc, $output, selectedIds }, index) => {
+            if (selectedIds.length === 0) return;
+            const $retranslated = loadHtml(translatedHtml[index]);
+            let replaced;
+            let unmatched = [];
+            if (isSubtitle) {
+                const translatedJson = applyTranslatedHtmlToSubtitleJson(
+                    structuredClone(source.subtitleJson),
+                    translatedHtml[index],
+                );
+                const retranslatedIds = new Set(
+                    $retranslated(`[${RETRANSLATION_MARKER}]`)
+                        .toArray()
+                        .map((el) => cueIdOf(el)),
+                );
+                const translations = new Map(
+                    translatedJson.cues
+                        .filter((cue) => retranslatedIds.has(cue.id))
+                        .map((cue) => [cue.id, cue.translatedText]),
+                );
+                let content;
+                ({ content, replaced } = replaceSrtCueTexts(
+                    doc.outputText,
+                    source.subtitleJson.cues,
+                    translations,
+                ));
+                doc.updatedText = content;
+            } else {
+                let targets;
+                ({ replaced, unmatched, targets } = mergeRetranslatedNodes($output, $retranslated));
+                // 只替换写回的元素，文档其余部分（声明、空白、实体写法）逐字节保留
+                doc.updatedText = spliceMergedElements(doc.outputText, $output, targets);
+            }
+            const done = new Set([...replaced.map((entry) => entry.nodeId), ...unmatched]);
+            const untranslated = selectedIds.filter((nodeId) => !done.has(nodeId));
+            if (unmatched.length > 0 || untranslated.length > 0) {
+                logger.write(
+                    "WARN",
+                    `Retranslate "${doc.title}": kept the previous translation of ${[...unmatched, ...untranslated].join(", ")} (unmatched in output: ${unmatched.length}, not translated: ${untranslated.length}).`,
+                );
+            }
+            documents.push({
+                doc,
+                record: {
+                    title: doc.title,
+                    entry: doc.entryName,
+                    selected: selectedIds.length,
+                    replaced,
+                    unmatched,
+                    untranslated,
+                },
+            });
+        });
+
+        const updated = documents.filter(({ record }) => record.replaced.length > 0);
+        if (translationMode === "epub") {
+            for (const { doc } of updated) {
+                source.outputZip.updateFile(doc.entryName, Buffer.from(doc.updatedText, "utf8"));
+            }
+            if (updated.length > 0) source.outputZip.writeZip(outputPath);
+        } else if (updated.length > 0) {
+            fs.writeFileSync(outputPath, updated[0].doc.updatedText, "utf8");
+        }
+
+        const replacedCount = documents.reduce((sum, { record }) => sum + record.replaced.length, 0);
+        const keptCount = selectedCount - replacedCount;
+        fs.writeFileSync(
+            reportPath,
+            JSON.stringify(
+                {
+                    output: outputPath,
+                    source: sourcePath,
+                    provider: aiProvider.providerName,
+                    model: aiProvider.modelName,
+                    instructions: runtimeConfig.extraInstructions || null,
+                    selection: {
+                        chapters: chapterSelector,
+                        nodes: nodeNumbers ? [...nodeNumbers] : null,
+                        find: searchText,
+                    },
+                    replaced: replacedCount,
+                    kept: keptCount,
+                    documents: documents.map(({ record }) => record),
+                },
+                null,
+                2,
+            ),
+            "utf8",
+        );
+        console.log(
+            `  - 🔁 Re-translated ${replacedCount}/${selectedCount} node(s) in ${updated.length} document(s).`,
+        );
+        if (keptCount > 0) {
+            console.log(`  - ⚠️ ${keptCount} node(s) kept their previous translation.`);
+        }
+
+        let validationStatus = null;
+        if (translationMode === "epub" && updated.length > 0) {
+            console.log("\n🔎 Step 4: Validating EPUB output...");
+            const validationReport = await validateEpubOutput(
+                outputPath,
+                outputPath.replace(/\.[^.\\/]+$/, ".validation.json"),
+                logger,
+            );
+            validationStatus = validationReport.status;
+            console.log(
+                `   Validation: status=${validationReport.status} issues=${validationReport.issues.length}`,
+            );
+        }
+
+        finishJobUsage(jobUsage, reportPath);
+        printTranslationMemorySummary(translationMemory, memoryStatsAtStart);
+        console.log(
+            `\n✅ All done! Output: ${path.basename(outputPath)}, report: ${path.basename(reportPath)}`,
+        );
+        return {
+            outputPath,
+            reportPath,
+            replacedCount,
+            validationStatus,
+            logFile: logger.logFile,
+        };
+    } catch (error) {
+        finishJobUsage(jobUsage);
+        shouldKeepArtifacts = true;
+        logger.write(
+            "ERROR",
+            `Retranslate Fatal Error: ${error.stack || error.message}`,
+        );
+        throw error;
+    } finally {
+        if (!shouldKeepArtifacts) {
             logger.remove();
         }
     }
@@ -7,6 +7,7 @@ export const saveEpub = async (
     ncxContent,
     outputPath,
     logger,
+    { opfEntry = null, opfContent = null } = {},
 ) => {
     console.log(`\n💾 Step 8: Finalizing and Saving...`);
     try {
@@ -16,6 +17,9 @@ export const saveEpub = async (
         if (ncxEntry && ncxContent) {
             zip.updateFile(ncxEntry.entryName, Buffer.from(ncxContent, "utf8"));
         }
+        if (opfEntry && opfContent) {
+            zip.updateFile(opfEntry.entryName, Buffer.from(opfContent, "utf8"));
+        }
         zip.writeZip(outputPath);
         console.log(`🎉 Done! Output: ${path.basename(outputPath)}`);
     } catch (e) {
@@ -0,0 +1,243 @@
+import fs from "fs";
+import path from "path";
+import AdmZip from "adm-zip";
+import * as cheerio from "cheerio";
+
+// =================== EPUB 输出校验 ===================
+// 保存后重新读取输出文件做 epubcheck 式的基础检查，结果写入 *.validation.json
+const XHTML_ENTRY_PATTERN = /\.x?html?$/i;
+const XML_ENTRY_PATTERN = /\.(?:x?html?|opf|ncx)$/i;
+const LEAKED_ATTRIBUTES = ["data-t-id", "data-std-id"];
+const EXTERNAL_REF_PATTERN = /^(?:[a-z][a-z\d+.-]*:|\/\/)/i;
+
+const validationIssue = (type, fields) => ({ type, ...fields });
+
+// =================== XML 良构检查 ===================
+const COMMENT_PATTERN = /<!--[\s\S]*?-->/y;
+const CDATA_PATTERN = /<!\[CDATA\[[\s\S]*?\]\]>/y;
+const PI_PATTERN = /<\?[\s\S]*?\?>/y;
+const DOCTYPE_PATTERN = /<!DOCTYPE(?:[^>[]|\[[\s\S]*?\])*>/iy;
+const TAG_PATTERN =
+    /<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>/y;
+const ATTRIBUTE_NAME_PATTERN = /([A-Za-z_][\w.:-]*)\s*=\s*(?:"[^"]*"|'[^']*')/g;
+const ENTITY_PATTERN = /&(?:#\d+|#x[\da-f]+|([A-Za-z_][\w.-]*));/iy;
+const XML_ENTITIES = new Set(["amp", "lt", "gt", "quot", "apos"]);
+
+const matchAt = (pattern, text, index) => {
+    pattern.lastIndex = index;
+    return pattern.exec(text);
+};
+
+const lineAt = (text, index) => text.slice(0, index).split("\n").length;
+
+/**
+ * 返回第一处不合 XML 语法的位置描述，良构时返回 null。
+ * 不校验 DTD，只检查标签配对、属性引号与重复、实体写法；
+ * 声明了 DTD 的文档（XHTML 1.1 等）允许 &nbsp; 这类命名实体。
+ */
+export const findXmlSyntaxError = (xml) => {
+    const allowNamedEntities = /<!DOCTYPE[^>]*DTD/i.test(xml);
+    const special = /[<&]/g;
+    const stack = [];
+    let match;
+
+    while ((match = special.exec(xml))) {
+        const index = match.index;
+        const fail = (message) => `line ${lineAt(xml, index)}: ${message}`;
+
+        if (match[0] === "&") {
+            const entity = matchAt(ENTITY_PATTERN, xml, index);
+            if (!entity) return fail("unescaped '&'");
+            if (entity[1] && !XML_ENTITIES.has(entity[1]) && !allowNamedEntities) {
+                return fail(`undefined entity &${entity[1]};`);
+            }
+            special.lastIndex = index + entity[0].length;
+            continue;
+        }
+
+        const markup = [COMMENT_PATTERN, CDATA_PATTERN, PI_PATTERN, DOCTYPE_PATTERN]
+            .map((pattern) => matchAt(pattern, xml, index))
+            .find(Boolean);
+        if (markup) {
+            special.lastIndex = index + markup[0].length;
+            continue;
+        }
+
+        const tag = matchAt(TAG_PATTERN, xml, index);
+        if (!tag) return fail("malformed tag or unescaped '<'");
+        const [token, closing, name, attributes, selfClosing] = tag;
+        if (closing) {
+            if (attributes || selfClosing) return fail(`malformed closing tag </${name}>`);
+            const expected = stack.pop();
+            if (expected !== name) {
+                return fail(expected ? `</${name}> does not close <${expected}>` : `unexpected </${name}>`);
+            }
+        } else {
+            if (/&(?!#\d+;|#x[\da-f]+;|[A-Za-z_][\w.-]*;)/i.test(attributes)) {
+                return fail(`unescaped '&' in an attribute of <${name}>`);
+            }
+            const names = [...attributes.matchAll(ATTRIBUTE_NAME_PATTERN)].map((entry) => entry[1]);
+            const duplicate = names.find((attrName, position) => names.indexOf(attrName) !== position);
+            if (duplicate) return fail(`duplicate attribute ${duplicate} on <${name}>`);
+            if (!selfClosing) stack.push(name);
+        }
+        special.lastIndex = index + token.length;
+    }
+
+    return stack.length > 0 ? `unclosed <${stack[stack.length - 1]}>` : null;
+};
+
+// =================== 引用解析 ===================
+const safeDecode = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch {
+        return value;
+    }
+};
+
+// 相对于所在文件解析 href / src，返回 { target, fragment }；外部链接返回 null
+const resolveReference = (entryName, value) => {
+    const reference = String(value || "").trim();
+    if (!reference || EXTERNAL_REF_PATTERN.test(reference)) return null;
+    const [pathPart, fragment = ""] = reference.split("#");
+    const file = pathPart.split("?")[0];
+    const target = file
+        ? path.posix.normalize(path.posix.join(path.posix.dirname(entryName), safeDecode(file)))
+        : entryName;
+    return { target, fragment: safeDecode(fragment) };
+};
+
+const loadXml = (content) => cheerio.load(content, { xmlMode: true, decodeEntities: false });
+
+/**
+ * 校验保存好的 EPUB：XML 良构、manifest 条目存在、mimetype 为第一个且不压缩、
+ * 内部 href / src / 锚点可解析、没有残留 data-t-id / data-std-id。
+ * 报告写入 validationPath 并返回；status 为 ok 或 needs_review。
+ */
+export const validateEpubOutput = async (outputPath, validationPath, logger) => {
+    const issues = [];
+    const entries = new AdmZip(outputPath).getEntries();
+    const entryNames = new Set(entries.map((entry) => entry.entryName));
+    const textOf = new Map(
+        entries
+            .filter((entry) => XML_ENTRY_PATTERN.test(entry.entryName))
+            .map((entry) => [entry.entryName, entry.getData().toString("utf8")]),
+    );
+
+    // mimetype：必须是第一个条目且以 stored 方式存放
+    const firstEntry = entries[0];
+    if (!firstEntry || firstEntry.entryName !== "mimetype") {
+        issues.push(validationIssue("mimetype_not_first", { entry: firstEntry?.entryName || null }));
+    } else {
+        if (firstEntry.header.method !== 0) {
+            issues.push(validationIssue("mimetype_compressed", { entry: "mimetype" }));
+        }
+        if (firstEntry.getData().toString("utf8") !== "application/epub+zip") {
+            issues.push(validationIssue("mimetype_content", { entry: "mimetype" }));
+        }
+    }
+
+    // XML 良构
+    const documents = new Map();
+    for (const [entryName, content] of textOf) {
+        const error = findXmlSyntaxError(content);
+        if (error) {
+            issues.push(validationIssue("malformed_xml", { entry: entryName, message: error }));
+        }
+        documents.set(entryName, loadXml(content));
+    }
+
+    // manifest 条目
+    let manifestCount = 0;
+    for (const [entryName, $opf] of documents) {
+        if (!entryName.endsWith(".opf")) continue;
+        $opf("manifest > item").each((_, el) => {
+            manifestCount += 1;
+            const resolved = resolveReference(entryName, el.attribs.href);
+            if (resolved && !entryNames.has(resolved.target)) {
+                issues.push(
+                    validationIssue("missing_manifest_item", {
+                        entry: entryName,
+                        id: el.attribs.id || null,
+                        href: el.attribs.href,
+                    }),
+                );
+            }
+        });
+    }
+
+    // 内部链接与锚点；锚点只对 XHTML 目标检查
+    const idCache = new Map();
+    const idsOf = (entryName) => {
+        if (!idCache.has(entryName)) {
+            const $doc = documents.get(entryName);
+            idCache.set(
+                entryName,
+                new Set($doc ? $doc("[id]").toArray().map((el) => el.attribs.id) : []),
+            );
+        }
+        return idCache.get(entryName);
+    };
+    let referenceCount = 0;
+    const checkReference = (entryName, attribute, value) => {
+        const resolved = resolveReference(entryName, value);
+        if (!resolved) return;
+        referenceCount += 1;
+        if (!entryNames.has(resolved.target)) {
+            issues.push(validationIssue("broken_reference", { entry: entryName, attribute, value }));
+        } else if (
+            resolved.fragment &&
+            XHTML_ENTRY_PATTERN.test(resolved.target) &&
+            !idsOf(resolved.target).has(resolved.fragment)
+        ) {
+            issues.push(validationIssue("broken_anchor", { entry: entryName, attribute, value }));
+        }
+    };
+
+    let xhtmlCount = 0;
+    for (const [entryName, $doc] of documents) {
+        if (entryName.endsWith(".ncx")) {
+            $doc("content[src]").each((_, el) => checkReference(entryName, "src", el.attribs.src));
+            continue;
+        }
+        if (!XHTML_ENTRY_PATTERN.test(entryName)) continue;
+        xhtmlCount += 1;
+        $doc("[href], [src], [xlink\\:href]").each((_, el) => {
+            for (const attribute of ["href", "src", "xlink:href"]) {
+                if (el.attribs[attribute] !== undefined) {
+                    checkReference(entryName, attribute, el.attribs[attribute]);
+                }
+            }
+        });
+        for (const attribute of LEAKED_ATTRIBUTES) {
+            const count = $doc(`[${attribute}]`).length;
+            if (count > 0) {
+                issues.push(validationIssue("leaked_attribute", { entry: entryName, attribute, count }));
+            }
+        }
+    }
+
+    const report = {
+        status: issues.length === 0 ? "ok" : "needs_review",
+        outputEpub: outputPath,
+        checked: {
+            entries: entries.length,
+            xhtmlDocuments: xhtmlCount,
+            manifestItems: manifestCount,
+            references: referenceCount,
+        },
+        issues,
+    };
+    fs.mkdirSync(path.dirname(validationPath), { recursive: true });
+    fs.writeFileSync(validationPath, JSON.stringify(report, null, 2), "utf8");
+    if (issues.length > 0) {
+        logger.write(
+            "WARN",
+            `EPUB validation found ${issues.length} issue(s):\n${issues
+                .map((entry) => JSON.stringify(entry))
+                .join("\n")}`,
+        );
+    }
+    return report;
+};
@@ -0,0 +1,203 @@
+import path from "path";
+import { loadHtml, normalizeHref, buildHrefIndex } from "../utils.js";
+import { decodeInlineText } from "../translation/inlineMarkup.js";
+
+// =================== 脚注 / 尾注 ===================
+// 建立 noteref → note 的对应关系：翻译注释时附上它所注释的那句正文，译完后检查双向链接。
+const NOTEREF_TYPES = new Set(["noteref", "doc-noteref"]);
+// 通用的 role="note"（提示框、旁注）不是脚注，不算在内
+const NOTE_TYPES = new Set(["footnote", "endnote", "rearnote", "doc-footnote", "doc-endnote"]);
+// 整组注释的容器（<section epub:type="endnotes">、role="doc-endnotes"）
+const NOTE_COLLECTION_TYPES = new Set(["footnotes", "endnotes", "rearnotes", "doc-endnotes"]);
+// 没有 epub:type 的书：链接文字是 1、[12]、*、† 这类记号，且位于 <sup> 内或包着 <sup>
+const NOTE_MARKER_PATTERN = /^[[(]?\s*(?:\d{1,4}|[*†‡§¶]{1,3}|[ivxlc]{1,6})\s*[\])]?\.?$/i;
+const SENTENCE_BLOCK_SELECTOR = "p, li, dd, td, th, blockquote, h1, h2, h3, h4, h5, h6, div";
+const REF_MARKER = "\u0000";
+const CONTEXT_MAX_LENGTH = 400;
+const CONTEXTS_PER_NOTE = 2;
+
+const semanticTypes = (el) =>
+    `${el?.attribs?.["epub:type"] || ""} ${el?.attribs?.role || ""}`
+        .toLowerCase()
+        .split(/\s+/)
+        .filter(Boolean);
+
+export const isNoteElement = (el) =>
+    semanticTypes(el).some((type) => NOTE_TYPES.has(type) || NOTE_COLLECTION_TYPES.has(type));
+
+const isInsideNoteElement = ($, el) =>
+    $(el)
+        .parents()
+        .toArray()
+        .some((parent) => isNoteElement(parent));
+
+const isNoteRefAnchor = ($, el) => {
+    if (semanticTypes(el).some((type) => NOTEREF_TYPES.has(type))) return true;
+    if (isInsideNoteElement($, el)) return false;
+    const $el = $(el);
+    if (!NOTE_MARKER_PATTERN.test($el.text().trim())) return false;
+    if ($el.closest("sup").length === 0 && $el.find("sup").length === 0) return false;
+    // 注释里开头的回链同样是 <sup>1</sup>，正文里的注释记号前面总有文字
+    const $block = $el.closest(SENTENCE_BLOCK_SELECTOR);
+    if ($block.length === 0) return false;
+    const blockHtml = $block.html() || "";
+    const anchorHtml = $.html(el);
+    const before = blockHtml.slice(0, blockHtml.indexOf(anchorHtml));
+    return /[\p{L}\p{N}]/u.test(before.replace(/<[^>]*>/g, ""));
+};
+
+// 记号所在的那句：把记号换成占位字符，按句末标点切分后取包含它的句子
+const extractReferencingSentence = ($, el) => {
+    const $block = $(el).closest(SENTENCE_BLOCK_SELECTOR);
+    if ($block.length === 0) return "";
+    $(el).attr("data-wasabi-noteref", "");
+    const $copy = $block.clone();
+    $(el).removeAttr("data-wasabi-noteref");
+    $copy.find("[data-wasabi-noteref]").replaceWith(REF_MARKER);
+    const text = decodeInlineText($copy.text())
+        .replace(/&nbsp;/g, " ")
+        .replace(/\s+/g, " ")
+        .trim();
+    const sentence =
+        text
+            .split(/(?<=[.!?。！？；;])\s+|(?<=[。！？])/u)
+            .find((part) => part.includes(REF_MARKER)) || text;
+    const cleaned = sentence.replace(REF_MARKER, "").trim();
+    return cleaned.length > CONTEXT_MAX_LENGTH
+        ? `${cleaned.slice(0, CONTEXT_MAX_LENGTH)}…`
+        : cleaned;
+};
+
+// 链接路径相对于所在章节；先按完整路径查找，找不到再按文件名匹配
+const resolveTargetChapter = (hrefIndex, chapter, rawFile) => {
+    if (!rawFile) return chapter;
+    const baseDir = path.posix.dirname(normalizeHref(chapter.href));
+    const resolved = normalizeHref(path.posix.normalize(path.posix.join(baseDir, normalizeHref(rawFile))));
+    if (hrefIndex.has(resolved)) return hrefIndex.get(resolved);
+    const fileName = path.posix.basename(resolved);
+    for (const [key, target] of hrefIndex.entries()) {
+        if (path.posix.basename(key) === fileName) return target;
+    }
+    return null;
+};
+
+/**
+ * 扫描全书（原文）建立脚注索引。
+ * links：[{ refChapterId, refId, noteChapterId, noteId }]，译后检查双向链接用
+ * contextsFor(chapterId)：Map<noteId, string[]>，注释 id → 引用它的正文句子
+ */
+export const buildFootnoteIndex = (chapterMap, referencedIds = new Set()) => {
+    const hrefIndex = buildHrefIndex(chapterMap);
+    const links = [];
+    const contexts = new Map();
+
+    for (const chapter of chapterMap.values()) {
+        if (!chapter.html) continue;
+        const $ = loadHtml(chapter.html);
+        $("a[href*='#']").each((_, el) => {
+            const [rawFile, noteId] = String($(el).attr("href")).split("#");
+            if (!noteId || !referencedIds.has(noteId)) return;
+            if (!isNoteRefAnchor($, el)) return;
+            const target = resolveTargetChapter(hrefIndex, chapter, rawFile);
+            if (!target) return;
+
+            links.push({
+                refChapterId: chapter.id,
+                refId: $(el).attr("id") || null,
+                refHref: $(el).attr("href"),
+                noteChapterId: target.id,
+                noteId,
+            });
+            const sentence = extractReferencingSentence($, el);
+            if (!sentence) return;
+            if (!contexts.has(target.id)) contexts.set(target.id, new Map());
+            const byNote = contexts.get(target.id);
+            const sentences = byNote.get(noteId) || [];
+            if (sentences.length < CONTEXTS_PER_NOTE && !sentences.includes(sentence)) {
+                sentences.push(sentence);
+            }
+            byNote.set(noteId, sentences);
+        });
+    }
+
+    return {
+        links,
+        size: links.length,
+        contextsFor: (chapterId) => contexts.get(chapterId) || new Map(),
+    };
+};
+
+/**
+ * 找出节点所属注释的正文句子。注释 id 可能在节点自身、祖先（<aside id>、<li id>）
+ * 或节点内部（Calibre 常见的 <p><a id="fn1" href="…">1</a> 注释</p>）。
+ */
+export const findNoteContexts = ($, el, noteContexts) => {
+    if (!el || !noteContexts?.size) return [];
+    const $el = $(el);
+    const candidates = [
+        el,
+        ...$el.parents().toArray(),
+        ...$el.find("[id]").toArray(),
+    ];
+    for (const candidate of candidates) {
+        const id = candidate?.attribs?.id;
+        if (id && noteContexts.has(id)) return noteContexts.get(id);
+    }
+    return [];
+};
+
+/**
+ * 译后检查注释记号与注释之间的链接。
+ * 记号丢了 id 时按原来的 href 找回并补上，回链才不会断；注释目标 id 缺失只能报告。
+ */
+export const verifyFootnoteLinks = (chapterMap, footnoteIndex, logger) => {
+    if (!footnoteIndex?.size) return { linked: 0, repaired: 0, broken: 0 };
+    console.log("\n🔗 Checking footnote links...");
+    const documents = new Map();
+    const documentOf = (chapterId) => {
+        if (!documents.has(chapterId)) {
+            const chapter = chapterMap.get(chapterId);
+            documents.set(chapterId, chapter?.html ? { $: loadHtml(chapter.html), dirty: false } : null);
+        }
+        return documents.get(chapterId);
+    };
+    const hasId = ($, id) => $("[id]").filter((_, node) => node.attribs.id === id).length > 0;
+
+    let linked = 0;
+    let repaired = 0;
+    const broken = [];
+    for (const link of footnoteIndex.links) {
+        const noteDoc = documentOf(link.noteChapterId);
+        const refDoc = documentOf(link.refChapterId);
+        if (!noteDoc || !refDoc) continue;
+
+        if (!hasId(noteDoc.$, link.noteId)) {
+            broken.push(`${link.noteChapterId}#${link.noteId}: note target missing`);
+            continue;
+        }
+        if (link.refId && !hasId(refDoc.$, link.refId)) {
+            const $ref = refDoc.$("a[href]")
+                .filter((_, node) => node.attribs.href === link.refHref && !node.attribs.id)
+                .first();
+            if ($ref.length === 0) {
+                broken.push(`${link.refChapterId}#${link.refId}: note reference missing`);
+                continue;
+            }
+            $ref.attr("id", link.refId);
+            refDoc.dirty = true;
+            repaired += 1;
+        }
+        linked += 1;
+    }
+
+    for (const [chapterId, doc] of documents) {
+        if (doc?.dirty) chapterMap.get(chapterId).html = doc.$.xml();
+    }
+    if (broken.length > 0) {
+        logger.write("WARN", `Footnote links broken after translation:\n${broken.join("\n")}`);
+    }
+    console.log(
+        `  - ${broken.length > 0 ? "⚠️" : "✅"} Footnotes: ${linked} linked${repaired > 0 ? `, ${repaired} reference id(s) restored` : ""}${broken.length > 0 ? `, ${broken.length} broken (see log)` : ""}.`,
+    );
+    return { linked, repaired, broken: broken.length };
+};
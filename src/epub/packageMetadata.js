@@ -0,0 +1,209 @@
+import * as cheerio from "cheerio";
+import { loadHtml, callAIWithRetry } from "../utils.js";
+import { isBudgetExceededError } from "../support/usage.js";
+import { estimateRequestTokens } from "../support/estimate.js";
+import { getHtmlLanguageTag } from "../subtitle/language.js";
+import { decodeInlineText, escapeInlineText } from "../translation/inlineMarkup.js";
+
+// =================== OPF 包文档 ===================
+const CONTRIBUTOR_ID = "wasabi-translator";
+
+export const findOpfEntry = (zipEntries) =>
+    zipEntries.find((entry) => entry.entryName.endsWith(".opf")) || null;
+
+const loadOpf = (opfEntry) =>
+    cheerio.load(opfEntry.getData().toString("utf8"), { xmlMode: true, decodeEntities: false });
+
+// EPUB3 导航文档：manifest 里 properties 含 nav 的条目，其 id 与 chapterMap 的章节 id 一致
+export const findNavDocumentId = (zipEntries) => {
+    const opfEntry = findOpfEntry(zipEntries);
+    if (!opfEntry) return null;
+    const $opf = loadOpf(opfEntry);
+    const navItem = $opf("manifest > item")
+        .filter((_, el) => String(el.attribs.properties || "").split(/\s+/).includes("nav"))
+        .first();
+    return navItem.attr("id") || null;
+};
+
+// =================== 短文本翻译 ===================
+const buildLabelPrompt = (runtimeConfig) => `Translate each string from ${runtimeConfig.sourceLanguage} into ${runtimeConfig.targetLanguage}. The strings are book metadata and navigation labels (titles, subtitles, descriptions, subject headings, landmark names).
+Keep proper nouns, numbers and any HTML tags. Do not add explanations.
+Return a JSON object {"translations": ["..."]} with exactly one string per input string, in the same order.`;
+
+/**
+ * 一次请求翻译书名、简介、主题词、导航标签等短文本，返回同样顺序的译文。
+ * 失败或返回条数不符时原样返回，不影响成书；预算用完的错误照常抛出。
+ */
+export const translateLabels = async (texts, aiProvider, runtimeConfig, logger) => {
+    if (texts.length === 0) return [];
+    try {
+        const result = await callAIWithRetry(
+            aiProvider,
+            JSON.stringify(texts),
+            buildLabelPrompt(runtimeConfig),
+            3,
+            { step: "metadata" },
+        );
+        const translations = Array.isArray(result) ? result : result?.translations;
+        if (
+            Array.isArray(translations) &&
+            translations.length === texts.length &&
+            translations.every((value) => typeof value === "string" && value.trim())
+        ) {
+            return translations.map((value) => value.trim());
+        }
+        logger.write("WARN", `Label translation returned an unexpected shape: ${JSON.stringify(result)}`);
+    } catch (e) {
+        if (isBudgetExceededError(e)) throw e;
+        logger.write("ERROR", `Label translation failed: ${e.stack || e.message}`);
+    }
+    return texts;
+};
+
+// dry-run：译文长度按与原文相当估算
+export const estimateLabelRequest = (texts, runtimeConfig) =>
+    texts.length === 0
+        ? null
+        : estimateRequestTokens(
+              buildLabelPrompt(runtimeConfig),
+              JSON.stringify(texts),
+              JSON.stringify({ translations: texts }),
+          );
+
+// =================== 元数据同步 ===================
+const collectMetadataFields = ($opf) =>
+    $opf("dc\\:title, dc\\:description, dc\\:subject")
+        .toArray()
+        .filter((el) => $opf(el).text().trim());
+
+const buildTimestamp = () => new Date().toISOString().replace(/\.\d+Z$/, "Z");
+
+// EPUB3 用 refines 标注角色，EPUB2 用 opf:role；重复运行时更新同一条记录
+const upsertTranslatorContributor = ($opf, $metadata, isEpub3, name) => {
+    $opf(`[id="${CONTRIBUTOR_ID}"]`).remove();
+    $opf(`meta[refines="#${CONTRIBUTOR_ID}"]`).remove();
+    if (isEpub3) {
+        $metadata.append(
+            `<dc:contributor id="${CONTRIBUTOR_ID}">${escapeInlineText(name)}</dc:contributor>`,
+            `<meta refines="#${CONTRIBUTOR_ID}" property="role" scheme="marc:relators">trl</meta>`,
+        );
+    } else {
+        if (!$opf("package").attr("xmlns:opf") && !$metadata.attr("xmlns:opf")) {
+            $metadata.attr("xmlns:opf", "http://www.idpf.org/2007/opf");
+        }
+        $metadata.append(
+            `<dc:contributor id="${CONTRIBUTOR_ID}" opf:role="trl">${escapeInlineText(name)}</dc:contributor>`,
+        );
+    }
+};
+
+/**
+ * 翻译 dc:title / dc:description / dc:subject，把 dc:language 与 xml:lang 改成目标语言，
+ * 并加上译者（contributor, role=trl）。双语输出保留源语言作为第二个 dc:language。
+ * 返回 { opfEntry, opfContent }，由 saveEpub 写回。
+ */
+export const synchronizePackageMetadata = async (
+    zipEntries,
+    aiProvider,
+    runtimeConfig,
+    logger,
+) => {
+    console.log("\n🏷️ Updating package metadata (title, language, translator)...");
+    const opfEntry = findOpfEntry(zipEntries);
+    if (!opfEntry) return { opfEntry: null, opfContent: null };
+    try {
+        const $opf = loadOpf(opfEntry);
+        const $metadata = $opf("metadata").first();
+        const isEpub3 = String($opf("package").attr("version") || "").startsWith("3");
+        const targetTag = getHtmlLanguageTag(runtimeConfig.targetLanguage);
+        const sourceTag = getHtmlLanguageTag(runtimeConfig.sourceLanguage);
+
+        const fields = collectMetadataFields($opf);
+        const translations = await translateLabels(
+            fields.map((el) => decodeInlineText($opf(el).text()).trim()),
+            aiProvider,
+            runtimeConfig,
+            logger,
+        );
+        fields.forEach((el, index) => {
+            $opf(el).text(escapeInlineText(translations[index]));
+            if (targetTag !== "und" && $opf(el).attr("xml:lang")) $opf(el).attr("xml:lang", targetTag);
+        });
+
+        if (targetTag === "und") {
+            logger.write(
+                "WARN",
+                `No language tag known for "${runtimeConfig.targetLanguage}"; dc:language left unchanged.`,
+            );
+        } else {
+            const languageMarkup =
+                runtimeConfig.outputMode === "bilingual" && sourceTag !== "und" && sourceTag !== targetTag
+                    ? `<dc:language>${targetTag}</dc:language><dc:language>${sourceTag}</dc:language>`
+                    : `<dc:language>${targetTag}</dc:language>`;
+            const $languages = $opf("dc\\:language");
+            if ($languages.length > 0) {
+                $languages.first().replaceWith(languageMarkup);
+                $languages.slice(1).remove();
+            } else {
+                $metadata.prepend(languageMarkup);
+            }
+            if ($opf("package").attr("xml:lang")) $opf("package").attr("xml:lang", targetTag);
+        }
+
+        upsertTranslatorContributor(
+            $opf,
+            $metadata,
+            isEpub3,
+            `Wasabi EPUB (${aiProvider.providerName}/${aiProvider.modelName})`,
+        );
+        if (isEpub3) {
+            const $modified = $opf('meta[property="dcterms:modified"]');
+            if ($modified.length > 0) {
+                $modified.text(buildTimestamp());
+            } else {
+                $metadata.append(`<meta property="dcterms:modified">${buildTimestamp()}</meta>`);
+            }
+        }
+
+        console.log(`  - ✅ Metadata updated: ${fields.length} field(s) translated, language ${targetTag}.`);
+        return { opfEntry, opfContent: $opf.xml() };
+    } catch (e) {
+        if (isBudgetExceededError(e)) throw e;
+        logger.write("ERROR", `Package metadata update failed: ${e.stack || e.message}`);
+        console.error(`Package Metadata Update Failed: ${e.message}`);
+        return { opfEntry: null, opfContent: null };
+    }
+};
+
+export const estimatePackageMetadataRequest = (zipEntries, runtimeConfig) => {
+    const opfEntry = findOpfEntry(zipEntries);
+    if (!opfEntry) return null;
+    const $opf = loadOpf(opfEntry);
+    return estimateLabelRequest(
+        collectMetadataFields($opf).map((el) => decodeInlineText($opf(el).text()).trim()),
+        runtimeConfig,
+    );
+};
+
+/**
+ * 把 manifest 中每个 XHTML 文档（含封面、版权页等不翻译正文的页面）根元素的 lang / xml:lang
+ * 改成目标语言，阅读器据此选择字体与朗读语音。
+ * untranslatedIds：--chap 没选中、仍是原文的章节，标成源语言。
+ */
+export const applyDocumentLanguage = (
+    chapterMap,
+    { targetLanguage, sourceLanguage, untranslatedIds = new Set() },
+) => {
+    const targetTag = getHtmlLanguageTag(targetLanguage);
+    const sourceTag = getHtmlLanguageTag(sourceLanguage);
+    for (const chapter of chapterMap.values()) {
+        const languageTag = untranslatedIds.has(chapter.id) ? sourceTag : targetTag;
+        if (languageTag === "und" || !chapter.html) continue;
+        const $ = loadHtml(chapter.html);
+        const $root = $("html").first();
+        if ($root.length === 0) continue;
+        $root.attr("lang", languageTag);
+        $root.attr("xml:lang", languageTag);
+        chapter.html = $.xml();
+    }
+};
@@ -1,9 +1,13 @@
+import path from "path";
 import {
     loadHtml,
     normalizeHref,
     buildHrefIndex,
     resolveAnchorTitle,
 } from "../utils.js";
+import { decodeInlineText, escapeInlineText } from "../translation/inlineMarkup.js";
+import { estimateLabelRequest, translateLabels } from "./packageMetadata.js";
+import { isBudgetExceededError } from "../support/usage.js";
 
 // =================== 共用工具 ===================
 const findBySrc = (hrefIndex, src) => {
@@ -75,3 +79,103 @@ export const synchronizeNcx = async (chapterMap, zipEntries) => {
         return { ncxEntry: null, ncxContent: "" };
     }
 };
+
+// =================== EPUB3 导航文档同步 ===================
+// nav 里的链接相对于 nav 自身所在目录
+const resolveNavTarget = (hrefIndex, navData, rawFile) => {
+    if (!rawFile) return null;
+    const baseDir = path.posix.dirname(normalizeHref(navData.href));
+    const resolved = normalizeHref(path.posix.normalize(path.posix.join(baseDir, normalizeHref(rawFile))));
+    return findBySrc(hrefIndex, resolved) || findBySrc(hrefIndex, rawFile);
+};
+
+const navTypeOf = (el) =>
+    String(el.attribs?.["epub:type"] || el.attribs?.role || "")
+        .toLowerCase()
+        .split(/\s+/)
+        .map((type) => type.replace(/^doc-/, ""));
+
+const navLabelText = ($nav, el) => decodeInlineText($nav(el).text()).replace(/\s+/g, " ").trim();
+
+// toc 条目能在目标章节找到标题的直接取标题（linkedTitles），其余标签需要翻译
+const collectNavLabels = ($nav, navData, chapterMap, navId) => {
+    const hrefIndex = buildHrefIndex(chapterMap);
+    const pendingLabels = [];
+    const linkedTitles = [];
+
+    $nav("title").each((_, el) => pendingLabels.push(el));
+    $nav("nav").each((_, navEl) => {
+        const types = navTypeOf(navEl);
+        if (types.includes("page-list")) return;
+        const $section = $nav(navEl);
+        $section.children("h1, h2, h3, h4, h5, h6").each((_, el) => pendingLabels.push(el));
+
+        $section.find("li > a, li > span").each((_, el) => {
+            if (types.includes("toc") && el.name === "a") {
+                const [rawFile, anchor] = String($nav(el).attr("href") || "").split("#");
+                const target = resolveNavTarget(hrefIndex, navData, rawFile);
+                if (target && target.id !== navId) {
+                    const title = resolveAnchorTitle(loadHtml(target.html), anchor);
+                    if (title) {
+                        linkedTitles.push([el, title]);
+                        return;
+                    }
+                }
+            }
+            pendingLabels.push(el);
+        });
+    });
+
+    return { labels: pendingLabels.filter((el) => $nav(el).text().trim()), linkedTitles };
+};
+
+/**
+ * 同步 nav.xhtml：toc 的条目取目标章节的译后标题；
+ * 找不到标题的条目、landmarks 等其他导航的标签、各导航的标题和 <title> 一次请求翻译；
+ * page-list 是页码，保持不变。
+ */
+export const synchronizeNavDocument = async (
+    chapterMap,
+    navId,
+    aiProvider,
+    logger,
+    runtimeConfig,
+) => {
+    if (!navId || !chapterMap.has(navId)) return;
+    console.log("\n🔗 Synchronizing EPUB3 nav document...");
+    try {
+        const navData = chapterMap.get(navId);
+        const $nav = loadHtml(navData.html);
+        const { labels, linkedTitles } = collectNavLabels($nav, navData, chapterMap, navId);
+        for (const [el, title] of linkedTitles) $nav(el).text(title);
+
+        const translations = await translateLabels(
+            labels.map((el) => navLabelText($nav, el)),
+            aiProvider,
+            runtimeConfig,
+            logger,
+        );
+        labels.forEach((el, index) => $nav(el).text(escapeInlineText(translations[index])));
+
+        navData.html = $nav.xml();
+        console.log(
+            `  - ✅ Nav document synchronized: ${linkedTitles.length} linked title(s), ${labels.length} label(s) translated.`,
+        );
+    } catch (e) {
+        if (isBudgetExceededError(e)) throw e;
+        logger.write("ERROR", `Nav Document Sync Failed: ${e.stack || e.message}`);
+        console.error(`Nav Document Sync Failed: ${e.message}`);
+    }
+};
+
+// dry-run：译前的章节标题同样能解析出来，需要翻译的标签与正式运行一致
+export const estimateNavLabelRequest = (chapterMap, navId, runtimeConfig) => {
+    if (!navId || !chapterMap.has(navId)) return null;
+    const navData = chapterMap.get(navId);
+    const $nav = loadHtml(navData.html);
+    const { labels } = collectNavLabels($nav, navData, chapterMap, navId);
+    return estimateLabelRequest(
+        labels.map((el) => navLabelText($nav, el)),
+        runtimeConfig,
+    );
+};
@@ -0,0 +1,232 @@
+import {
+    formatSrtTimestamp,
+    isSourceCueOutput,
+    parseSrtTimestamp,
+    resolveCueOutputText,
+} from "./srt.js";
+
+const ASS_TIME_REGEX = /^(\d+):(\d{2}):(\d{2})[.:](\d{1,3})$/;
+const ASS_OVERRIDE_BLOCK_REGEX = /\{[^}]*\}/g;
+const ASS_LEADING_OVERRIDES_REGEX = /^(?:\{[^}]*\})+/;
+const ASS_KARAOKE_TAG_REGEX = /\\(kf|ko|k|K)(\d+)/g;
+const ASS_DRAWING_TAG_REGEX = /\\p[1-9]/;
+
+const parseAssTimestamp = (timestamp) => {
+    const match = String(timestamp ?? "").trim().match(ASS_TIME_REGEX);
+    if (!match) return null;
+    const fraction = match[4].padEnd(3, "0").slice(0, 3);
+    return (
+        Number(match[1]) * 3600000 +
+        Number(match[2]) * 60000 +
+        Number(match[3]) * 1000 +
+        Number(fraction)
+    );
+};
+
+const formatAssTimestamp = (milliseconds) => {
+    const centiseconds = Math.max(Math.round(Number(milliseconds) / 10), 0);
+    const hours = Math.floor(centiseconds / 360000);
+    const minutes = Math.floor((centiseconds % 360000) / 6000);
+    const seconds = Math.floor((centiseconds % 6000) / 100);
+    const fraction = centiseconds % 100;
+    return `${hours}:${String(minutes).padStart(2, "0")}:${String(seconds).padStart(2, "0")}.${String(fraction).padStart(2, "0")}`;
+};
+
+const assTextToPlainText = (text) =>
+    String(text ?? "")
+        .replace(ASS_OVERRIDE_BLOCK_REGEX, "")
+        .replace(/\\[Nn]/g, "\n")
+        .replace(/\\h/g, " ")
+        .trim();
+
+// 卡拉 OK 标签按音节计时，译文无法逐字对应；输出时合并为一个覆盖整行的标签
+const extractKaraoke = (text) => {
+    let tag = null;
+    let duration = 0;
+    for (const match of String(text ?? "").matchAll(ASS_KARAOKE_TAG_REGEX)) {
+        tag ??= match[1];
+        duration += Number(match[2]);
+    }
+    return tag ? { tag, duration } : null;
+};
+
+const extractLeadingOverrides = (text) => {
+    const leading = String(text ?? "").match(ASS_LEADING_OVERRIDES_REGEX)?.[0] || "";
+    return leading
+        .replace(ASS_KARAOKE_TAG_REGEX, "")
+        .replace(/\{\}/g, "");
+};
+
+const splitDialogueValues = (value, fieldCount) => {
+    const values = [];
+    let rest = value;
+    for (let index = 0; index < fieldCount - 1; index++) {
+        const commaIndex = rest.indexOf(",");
+        if (commaIndex === -1) break;
+        values.push(rest.slice(0, commaIndex));
+        rest = rest.slice(commaIndex + 1);
+    }
+    values.push(rest);
+    return values;
+};
+
+// =================== ASS/SSA 解析 ===================
+export const parseAss = (content) => {
+    const lines = String(content ?? "")
+        .replace(/^\uFEFF/, "")
+        .replace(/\r\n/g, "\n")
+        .replace(/\r/g, "\n")
+        .split("\n");
+
+    const formatMeta = {
+        preamble: [],
+        formatLine: null,
+        // 事件区按原顺序记录：字符串为原样保留的行（Comment 等），{ cue } 为对应字幕
+        eventLayout: [],
+        postamble: [],
+    };
+    const cues = [];
+    let section = null;
+    let eventFields = null;
+    let seenEvents = false;
+
+    for (const line of lines) {
+        const sectionMatch = line.trim().match(/^\[(.+)\]$/);
+        if (sectionMatch) {
+            section = sectionMatch[1].trim().toLowerCase();
+            if (section === "events") {
+                seenEvents = true;
+                formatMeta.preamble.push(line);
+                continue;
+            }
+        }
+
+        if (section !== "events") {
+            (seenEvents ? formatMeta.postamble : formatMeta.preamble).push(line);
+            continue;
+        }
+
+        const fieldMatch = line.match(/^([A-Za-z]+):\s?(.*)$/);
+        if (fieldMatch?.[1] === "Format") {
+            formatMeta.formatLine = line;
+            eventFields = fieldMatch[2].split(",").map((field) => field.trim());
+            continue;
+        }
+
+        if (fieldMatch?.[1] !== "Dialogue") {
+            if (line.trim()) formatMeta.eventLayout.push(line);
+            continue;
+        }
+
+        if (!eventFields) {
+            throw new Error("Invalid ASS file: Dialogue line before Format line.");
+        }
+
+        const values = splitDialogueValues(fieldMatch[2], eventFields.length);
+        const fieldValue = (name) => values[eventFields.indexOf(name)];
+        const startMs = parseAssTimestamp(fieldValue("Start"));
+        const endMs = parseAssTimestamp(fieldValue("End"));
+        if (startMs === null || endMs === null) {
+            throw new Error(`Invalid ASS time range at event ${cues.length + 1}.`);
+        }
+
+        const rawText = fieldValue("Text") ?? "";
+        const isDrawing = ASS_DRAWING_TAG_REGEX.test(
+            (rawText.match(ASS_OVERRIDE_BLOCK_REGEX) || []).join(""),
+        );
+
+        formatMeta.eventLayout.push({ cue: cues.length });
+        cues.push({
+            id: `node_${String(cues.length + 1).padStart(5, "0")}`,
+            sequence: cues.length + 1,
+            cueIdentifier: null,
+            start: formatSrtTimestamp(startMs),
+            end: formatSrtTimestamp(endMs),
+            settings: "",
+            // 绘图指令不是文字，保持为空让翻译流程跳过
+            sourceText: isDrawing ? "" : assTextToPlainText(rawText),
+            translatedText: "",
+            ass: {
+                values,
+                style: fieldValue("Style") ?? null,
+                name: fieldValue("Name") ?? null,
+                leadingOverrides: extractLeadingOverrides(rawText),
+                karaoke: extractKaraoke(rawText),
+                rawText,
+            },
+        });
+    }
+
+    if (!seenEvents) {
+        throw new Error("Invalid ASS file: missing [Events] section.");
+    }
+
+    // 去掉事件区末尾空行带来的空尾巴，序列化时统一补换行
+    while (formatMeta.postamble.length && !formatMeta.postamble.at(-1).trim()) {
+        formatMeta.postamble.pop();
+    }
+
+    return { cues, formatMeta };
+};
+
+// =================== ASS/SSA 序列化 ===================
+const buildAssText = (cue, text) => {
+    if (!cue.ass || isSourceCueOutput(cue, text)) {
+        return cue.ass?.rawText ?? text.replace(/\n/g, "\\N");
+    }
+    const karaoke = cue.ass.karaoke
+        ? `{\\${cue.ass.karaoke.tag}${cue.ass.karaoke.duration}}`
+        : "";
+    return `${cue.ass.leadingOverrides || ""}${karaoke}${text.replace(/\n/g, "\\N")}`;
+};
+
+export const serializeAss = (subtitleJson, options = {}) => {
+    const formatMeta = subtitleJson?.formatMeta || {};
+    const cues = Array.isArray(subtitleJson?.cues) ? subtitleJson.cues : [];
+    const formatLine =
+        formatMeta.formatLine ||
+        "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text";
+    const eventFields = formatLine
+        .replace(/^Format:\s?/, "")
+        .split(",")
+        .map((field) => field.trim());
+
+    const buildDialogueLine = (cue) => {
+        const values = cue.ass?.values
+            ? [...cue.ass.values]
+            : eventFields.map((field) =>
+                  field === "Layer" ? "0" : field === "Style" ? "Default" : field.startsWith("Margin") ? "0" : "",
+              );
+        const setField = (name, value) => {
+            const fieldIndex = eventFields.indexOf(name);
+            if (fieldIndex !== -1) values[fieldIndex] = value;
+        };
+        // 时间未变时沿用原值，避免厘秒换算带来的抖动
+        const originalStart = parseAssTimestamp(values[eventFields.indexOf("Start")]);
+        const originalEnd = parseAssTimestamp(values[eventFields.indexOf("End")]);
+        if (originalStart === null || formatSrtTimestamp(originalStart) !== cue.start) {
+            setField("Start", formatAssTimestamp(parseSrtTimestamp(cue.start)));
+        }
+        if (originalEnd === null || formatSrtTimestamp(originalEnd) !== cue.end) {
+            setField("End", formatAssTimestamp(parseSrtTimestamp(cue.end)));
+        }
+        setField("Text", buildAssText(cue, resolveCueOutputText(cue, options)));
+        return `Dialogue: ${values.join(",")}`;
+    };
+
+    const eventLayout = formatMeta.eventLayout?.length
+        ? formatMeta.eventLayout
+        : cues.map((_, index) => ({ cue: index }));
+    const eventLines = eventLayout.map((entry) =>
+        typeof entry === "string" ? entry : buildDialogueLine(cues[entry.cue]),
+    );
+
+    const preamble = formatMeta.preamble?.length
+        ? formatMeta.preamble
+        : ["[Script Info]", "ScriptType: v4.00+", "", "[Events]"];
+    const postamble = formatMeta.postamble?.length
+        ? ["", ...formatMeta.postamble]
+        : [];
+
+    return `${[...preamble, formatLine, ...eventLines, ...postamble].join("\n")}\n`;
+};
@@ -0,0 +1,87 @@
+import path from "path";
+import { parseAss, serializeAss } from "./ass.js";
+import { parseSrt, serializeSrt } from "./srt.js";
+import { parseTtml, serializeTtml } from "./ttml.js";
+import { parseVtt, serializeVtt } from "./vtt.js";
+
+// =================== 字幕格式分派 ===================
+const SUBTITLE_FORMATS = {
+    srt: {
+        extension: ".srt",
+        muxCodec: "srt",
+        parse: (content) => ({ cues: parseSrt(content), formatMeta: null }),
+        serialize: serializeSrt,
+    },
+    vtt: {
+        extension: ".vtt",
+        muxCodec: "webvtt",
+        parse: parseVtt,
+        serialize: serializeVtt,
+    },
+    ass: {
+        extension: ".ass",
+        muxCodec: "ass",
+        parse: parseAss,
+        serialize: serializeAss,
+    },
+    ssa: {
+        extension: ".ssa",
+        muxCodec: "ass",
+        parse: parseAss,
+        serialize: serializeAss,
+    },
+    ttml: {
+        extension: ".ttml",
+        // Matroska 不支持 TTML 轨道
+        muxCodec: null,
+        parse: parseTtml,
+        serialize: serializeTtml,
+    },
+};
+
+const SUBTITLE_EXTENSION_FORMATS = {
+    ".srt": "srt",
+    ".vtt": "vtt",
+    ".ass": "ass",
+    ".ssa": "ssa",
+    ".ttml": "ttml",
+    ".dfxp": "ttml",
+};
+
+// ffprobe codec_name → 抽取时使用的格式，其余文本轨道统一转为 SRT
+const SUBTITLE_CODEC_FORMATS = {
+    ass: "ass",
+    ssa: "ass",
+    webvtt: "vtt",
+};
+
+export const SUBTITLE_INPUT_EXTENSIONS = new Set(
+    Object.keys(SUBTITLE_EXTENSION_FORMATS),
+);
+
+export const getSubtitleFormatFromPath = (filePath) =>
+    SUBTITLE_EXTENSION_FORMATS[path.extname(filePath || "").toLowerCase()] ||
+    null;
+
+export const getSubtitleFormatFromCodec = (codecName) =>
+    SUBTITLE_CODEC_FORMATS[String(codecName || "").toLowerCase()] || "srt";
+
+export const getSubtitleFormatExtension = (format) =>
+    SUBTITLE_FORMATS[format]?.extension || ".srt";
+
+export const getSubtitleMuxCodec = (format) =>
+    SUBTITLE_FORMATS[format]?.muxCodec || null;
+
+const resolveFormat = (format) => {
+    const handler = SUBTITLE_FORMATS[format];
+    if (!handler) {
+        throw new Error(`Unsupported subtitle format "${format || "unknown"}".`);
+    }
+    return handler;
+};
+
+export const parseSubtitleDocument = (content, format) =>
+    resolveFormat(format).parse(content);
+
+export const serializeSubtitleDocument = (subtitleJson, options = {}) =>
+    resolveFormat(subtitleJson?.format || "srt").serialize(subtitleJson, options);
@@ -2,18 +2,22 @@ const CANONICAL_LANGUAGES = {
     English: {
         aliases: ["en", "eng", "english"],
         subtitleCode: "eng",
+        htmlLang: "en",
     },
     Spanish: {
         aliases: ["es", "spa", "spanish", "espanol", "español"],
         subtitleCode: "spa",
+        htmlLang: "es",
     },
     French: {
         aliases: ["fr", "fra", "fre", "french", "francais", "français"],
         subtitleCode: "fra",
+        htmlLang: "fr",
     },
     Russian: {
         aliases: ["ru", "rus", "russian"],
         subtitleCode: "rus",
+        htmlLang: "ru",
     },
     "Chinese (Simplified)": {
         aliases: [
@@ -27,14 +31,17 @@ const CANONICAL_LANGUAGES = {
             "simplified chinese",
         ],
         subtitleCode: "zho",
+        htmlLang: "zh-Hans",
     },
     Korean: {
         aliases: ["ko", "kor", "korean"],
         subtitleCode: "kor",
+        htmlLang: "ko",
     },
     Japanese: {
         aliases: ["ja", "jpn", "jp", "japanese"],
         subtitleCode: "jpn",
+        htmlLang: "ja",
     },
 };
 
@@ -62,6 +69,10 @@ export const normalizeLanguageName = (value, fallback = null) => {
 export const getSubtitleLanguageCode = (languageName) =>
     CANONICAL_LANGUAGES[languageName]?.subtitleCode || "und";
 
+export const getHtmlLanguageTag = (languageName) =>
+    CANONICAL_LANGUAGES[normalizeLanguageName(languageName, languageName)]
+        ?.htmlLang || "und";
+
 export const languageMatches = (languageValue, expectedLanguageName) => {
     if (!languageValue || !expectedLanguageName) return false;
     return (
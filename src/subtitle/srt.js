@@ -17,7 +17,27 @@ const decodeHtml = (value) =>
 const SRT_TIME_RANGE_REGEX =
     /^(\d{2}:\d{2}:\d{2},\d{3})\s+-->\s+(\d{2}:\d{2}:\d{2},\d{3})(?:\s+(.*))?$/;
 
-const sanitizeCueText = (value, fallback = "") => {
+export const formatSrtTimestamp = (milliseconds) => {
+    const total = Math.max(Math.round(Number(milliseconds) || 0), 0);
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor((total % 3600000) / 60000);
+    const seconds = Math.floor((total % 60000) / 1000);
+    const millis = total % 1000;
+    return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(2, "0")}:${String(seconds).padStart(2, "0")},${String(millis).padStart(3, "0")}`;
+};
+
+export const parseSrtTimestamp = (timestamp) => {
+    const match = String(timestamp ?? "").match(/^(\d+):(\d{2}):(\d{2}),(\d{3})$/);
+    if (!match) return 0;
+    return (
+        Number(match[1]) * 3600000 +
+        Number(match[2]) * 60000 +
+        Number(match[3]) * 1000 +
+        Number(match[4])
+    );
+};
+
+export const sanitizeCueText = (value, fallback = "") => {
     const normalized = String(value ?? "")
         .replace(/\r\n/g, "\n")
         .replace(/\r/g, "\n")
@@ -30,7 +50,7 @@ const sanitizeCueText = (value, fallback = "") => {
     return normalized || String(fallback ?? "").trim();
 };
 
-const splitCueBlocks = (content) =>
+export const splitCueBlocks = (content) =>
     content
         .replace(/^\uFEFF/, "")
         .replace(/\r\n/g, "\n")
@@ -88,6 +108,8 @@ export const buildSubtitleJson = ({
     targetLanguage,
     cues,
     subtitleTrack = null,
+    format = "srt",
+    formatMeta = null,
 }) => ({
     version: 1,
     sourceFile,
@@ -95,6 +117,8 @@ export const buildSubtitleJson = ({
     sourceLanguage,
     targetLanguage,
     subtitleTrack,
+    format,
+    formatMeta,
     cues,
 });
 
@@ -149,16 +173,43 @@ export const applyTranslatedHtmlToSubtitleJson = (subtitleJson, translatedHtml)
     return subtitleJson;
 };
 
-export const serializeSrt = (subtitleJson, { preferTranslated = true } = {}) => {
+const buildBilingualCueText = (cue, order) => {
+    const sourceText = sanitizeCueText(cue.sourceText || "");
+    const translatedText = sanitizeCueText(cue.translatedText || "");
+    if (!translatedText || translatedText === sourceText) return sourceText;
+    if (!sourceText) return translatedText;
+    return order === "source-first"
+        ? `${sourceText}\n${translatedText}`
+        : `${translatedText}\n${sourceText}`;
+};
+
+// 各格式序列化共用：决定一条字幕最终输出的纯文本（换行用 \n）
+export const resolveCueOutputText = (
+    cue,
+    {
+        preferTranslated = true,
+        bilingual = false,
+        bilingualOrder = "translation-first",
+    } = {},
+) =>
+    bilingual
+        ? buildBilingualCueText(cue, bilingualOrder)
+        : sanitizeCueText(
+              preferTranslated && cue.translatedText
+                  ? cue.translatedText
+                  : cue.sourceText || "",
+              cue.sourceText || "",
+          );
+
+// 输出内容与原文一致时，调用方可以直接写回原始格式文本（保留内联样式）
+export const isSourceCueOutput = (cue, text) =>
+    text === sanitizeCueText(cue.sourceText || "");
+
+export const serializeSrt = (subtitleJson, options = {}) => {
     const cues = Array.isArray(subtitleJson?.cues) ? subtitleJson.cues : [];
     return cues
         .map((cue, index) => {
-            const text = sanitizeCueText(
-                preferTranslated && cue.translatedText
-                    ? cue.translatedText
-                    : cue.sourceText || "",
-                cue.sourceText || "",
-            );
+            const text = resolveCueOutputText(cue, options);
             const lines = [
                 String(index + 1),
                 `${cue.start} --> ${cue.end}${cue.settings ? ` ${cue.settings}` : ""}`,
@@ -171,3 +222,56 @@ export const serializeSrt = (subtitleJson, { preferTranslated = true } = {}) =>
         })
         .join("\n\n");
 };
+
+// 已有输出里这条字幕的双语顺序：原文在前 / 在后，单语时返回 null
+const detectCueBilingualOrder = (sourceText, currentText) => {
+    if (!sourceText || currentText === sourceText) return null;
+    if (currentText.startsWith(`${sourceText}\n`)) return "source-first";
+    if (currentText.endsWith(`\n${sourceText}`)) return "translation-first";
+    return null;
+};
+
+/**
+ * 在已有的 SRT 输出里替换部分字幕的译文（重译用），序号、时间轴、空行和其余字幕逐字节保留；
+ * 双语字幕保持原来的双语顺序。输出的第 n 个字幕块对应 cues[n - 1]，translations: Map<cue.id, 译文>。
+ * 返回 { content, replaced: [{ nodeId, before, after }] }。
+ */
+export const replaceSrtCueTexts = (content, cues, translations) => {
+    const parts = content.split(/((?:\r?\n)[ \t]*(?:\r?\n)\s*)/);
+    const blockCount = parts.filter((part, index) => index % 2 === 0 && part.trim()).length;
+    if (blockCount !== cues.length) {
+        const error = new Error(
+            `The translated SRT has ${blockCount} cue(s) but the source has ${cues.length}; they do not belong together.`,
+        );
+        error.code = "SUBTITLE_CUE_MISMATCH";
+        throw error;
+    }
+
+    const replaced = [];
+    let cueIndex = 0;
+    for (let index = 0; index < parts.length; index += 2) {
+        if (!parts[index].trim()) continue;
+        const cue = cues[cueIndex++];
+        if (!translations.has(cue.id)) continue;
+
+        // 文件末尾的换行留在原处
+        const block = parts[index].trimEnd();
+        const trailing = parts[index].slice(block.length);
+        const eol = block.includes("\r\n") ? "\r\n" : "\n";
+        const lines = block.split(/\r?\n/);
+        const timeLineIndex = lines.findIndex((line) => line.includes("-->"));
+        const currentText = lines.slice(timeLineIndex + 1).join("\n");
+        const bilingualOrder = detectCueBilingualOrder(
+            sanitizeCueText(cue.sourceText || ""),
+            currentText,
+        );
+        const text = resolveCueOutputText(
+            { ...cue, translatedText: translations.get(cue.id) },
+            { bilingual: Boolean(bilingualOrder), bilingualOrder: bilingualOrder || undefined },
+        );
+        parts[index] = `${[...lines.slice(0, timeLineIndex + 1), ...text.split("\n")].join(eol)}${trailing}`;
+        replaced.push({ nodeId: cue.id, before: currentText, after: text });
+    }
+
+    return { content: parts.join(""), replaced };
+};
@@ -0,0 +1,184 @@
+import * as cheerio from "cheerio";
+import { getHtmlLanguageTag } from "./language.js";
+import {
+    formatSrtTimestamp,
+    isSourceCueOutput,
+    resolveCueOutputText,
+} from "./srt.js";
+
+const TTML_CLOCK_TIME_REGEX = /^(\d+):(\d{2}):(\d{2})(?:(\.\d+)|:(\d+)(?:\.(\d+))?)?$/;
+const TTML_OFFSET_TIME_REGEX = /^(\d+(?:\.\d+)?)(h|ms|m|s|f|t)$/;
+
+const escapeXml = (value) =>
+    String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;");
+
+const decodeXml = (value) =>
+    String(value ?? "")
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, "&");
+
+const getLocalName = (name) => String(name || "").split(":").pop().toLowerCase();
+
+const getPrefix = (name) => {
+    const parts = String(name || "").split(":");
+    return parts.length > 1 ? `${parts[0]}:` : "";
+};
+
+const getTimingParams = ($root) => {
+    const frameRate = Number($root.attr("ttp:frameRate")) || 30;
+    const multiplier = String($root.attr("ttp:frameRateMultiplier") || "1 1")
+        .split(/\s+/)
+        .map(Number);
+    const effectiveFrameRate =
+        frameRate * ((multiplier[0] || 1) / (multiplier[1] || 1));
+    const tickRate = Number($root.attr("ttp:tickRate")) || 1;
+    return { frameRate: effectiveFrameRate, tickRate };
+};
+
+const parseTtmlTime = (value, { frameRate, tickRate }) => {
+    const text = String(value ?? "").trim();
+    if (!text) return null;
+
+    const clock = text.match(TTML_CLOCK_TIME_REGEX);
+    if (clock) {
+        const base =
+            Number(clock[1]) * 3600 + Number(clock[2]) * 60 + Number(clock[3]);
+        const fraction = clock[4] ? Number(`0${clock[4]}`) : 0;
+        const frames = clock[5] ? Number(clock[5]) / frameRate : 0;
+        return Math.round((base + fraction + frames) * 1000);
+    }
+
+    const offset = text.match(TTML_OFFSET_TIME_REGEX);
+    if (offset) {
+        const amount = Number(offset[1]);
+        const unitMs = {
+            h: 3600000,
+            m: 60000,
+            s: 1000,
+            ms: 1,
+            f: 1000 / frameRate,
+            t: 1000 / tickRate,
+        }[offset[2]];
+        return Math.round(amount * unitMs);
+    }
+
+    return null;
+};
+
+const findElements = ($, localName) =>
+    $("*").filter((_, el) => getLocalName(el.name) === localName);
+
+// p 上的时间是相对父级 begin 的，逐级累加得到绝对时间
+const getInheritedOffset = ($, el, timing) => {
+    let offset = 0;
+    for (const ancestor of $(el).parents().toArray()) {
+        offset += parseTtmlTime($(ancestor).attr("begin"), timing) || 0;
+    }
+    return offset;
+};
+
+const extractParagraphText = ($, el) => {
+    let text = "";
+    for (const child of el.children || []) {
+        if (child.type === "text") {
+            text += decodeXml(child.data).replace(/\s+/g, " ");
+        } else if (child.type === "tag") {
+            text +=
+                getLocalName(child.name) === "br"
+                    ? "\n"
+                    : extractParagraphText($, child);
+        }
+    }
+    return text;
+};
+
+const loadTtml = (content) =>
+    cheerio.load(String(content ?? "").replace(/^\uFEFF/, ""), {
+        xmlMode: true,
+        decodeEntities: false,
+    });
+
+// =================== TTML 解析 ===================
+export const parseTtml = (content) => {
+    const $ = loadTtml(content);
+    const $root = findElements($, "tt").first();
+    if ($root.length === 0) {
+        throw new Error("Invalid TTML file: missing <tt> root element.");
+    }
+
+    const timing = getTimingParams($root);
+    const cues = [];
+
+    findElements($, "p").each((index, el) => {
+        const $p = $(el);
+        const offset = getInheritedOffset($, el, timing);
+        const begin = parseTtmlTime($p.attr("begin"), timing);
+        const end = parseTtmlTime($p.attr("end"), timing);
+        const dur = parseTtmlTime($p.attr("dur"), timing);
+        if (begin === null || (end === null && dur === null)) {
+            throw new Error(`Invalid TTML timing at paragraph ${index + 1}.`);
+        }
+
+        cues.push({
+            id: `node_${String(cues.length + 1).padStart(5, "0")}`,
+            sequence: cues.length + 1,
+            cueIdentifier: $p.attr("xml:id") || null,
+            start: formatSrtTimestamp(offset + begin),
+            end: formatSrtTimestamp(offset + (end ?? begin + dur)),
+            settings: "",
+            sourceText: extractParagraphText($, el)
+                .split("\n")
+                .map((line) => line.trim())
+                .join("\n")
+                .trim(),
+            translatedText: "",
+            ttml: {
+                paragraphIndex: index,
+                style: $p.attr("style") || null,
+                region: $p.attr("region") || null,
+            },
+        });
+    });
+
+    return {
+        cues,
+        // 原文档整体保留，序列化时只替换 <p> 内的文字，样式、区域和时间属性保持不变
+        formatMeta: { document: $.xml() },
+    };
+};
+
+// =================== TTML 序列化 ===================
+export const serializeTtml = (subtitleJson, options = {}) => {
+    const document = subtitleJson?.formatMeta?.document;
+    if (!document) {
+        throw new Error("Cannot serialize TTML without the source document.");
+    }
+
+    const $ = loadTtml(document);
+    const paragraphs = findElements($, "p").toArray();
+
+    for (const cue of subtitleJson.cues || []) {
+        const el = paragraphs[cue.ttml?.paragraphIndex ?? cue.sequence - 1];
+        if (!el) continue;
+        const text = resolveCueOutputText(cue, options);
+        if (isSourceCueOutput(cue, text)) continue;
+        const br = `<${getPrefix(el.name)}br/>`;
+        $(el).html(text.split("\n").map(escapeXml).join(br));
+    }
+
+    if (options.preferTranslated !== false && !options.bilingual) {
+        findElements($, "tt")
+            .first()
+            .attr("xml:lang", getHtmlLanguageTag(subtitleJson.targetLanguage));
+    }
+
+    return $.xml();
+};
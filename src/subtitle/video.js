@@ -7,6 +7,7 @@ import {
     languageMatches,
     normalizeLanguageName,
 } from "./language.js";
+import { getSubtitleFormatFromPath, getSubtitleMuxCodec } from "./formats.js";
 
 const SUPPORTED_TEXT_SUBTITLE_CODECS = new Set([
     "subrip",
@@ -187,13 +188,14 @@ export const assertSubtitleCodecSupported = (stream) => {
     );
 };
 
-export const extractSubtitleStreamToSrt = async (
+// 输出格式由扩展名决定：ASS/WebVTT 轨道按原格式抽取，保留样式与定位
+export const extractSubtitleStream = async (
     inputPath,
     streamIndex,
-    outputSrtPath,
+    outputPath,
     logger,
 ) => {
-    fs.mkdirSync(path.dirname(outputSrtPath), { recursive: true });
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
     await runProcess(
         "ffmpeg",
         [
@@ -202,31 +204,20 @@ export const extractSubtitleStreamToSrt = async (
             inputPath,
             "-map",
             `0:${streamIndex}`,
-            outputSrtPath,
+            outputPath,
         ],
         logger,
     );
-    return outputSrtPath;
-};
-
-export const convertExternalSubtitleToSrt = async (
-    subtitlePath,
-    outputSrtPath,
-    logger,
-) => {
-    fs.mkdirSync(path.dirname(outputSrtPath), { recursive: true });
-    await runProcess(
-        "ffmpeg",
-        ["-y", "-i", subtitlePath, outputSrtPath],
-        logger,
-    );
-    return outputSrtPath;
+    return outputPath;
 };
 
 export const muxTranslatedSubtitleIntoVideo = async ({
     inputPath,
-    translatedSrtPath,
+    translatedSubtitlePath,
+    bilingualSubtitlePath = null,
     outputPath,
+    subtitleCodec = "srt",
+    sourceLanguage = null,
     targetLanguage,
     existingSubtitleCount,
     externalSubtitleFiles = [],
@@ -245,12 +236,20 @@ export const muxTranslatedSubtitleIntoVideo = async ({
     for (const subtitleFile of preservedExternalInputs) {
         args.push("-i", subtitleFile.path);
     }
-    args.push("-i", translatedSrtPath, "-map", "0");
+    args.push("-i", translatedSubtitlePath);
+    if (bilingualSubtitlePath) {
+        args.push("-i", bilingualSubtitlePath);
+    }
+    args.push("-map", "0");
 
     for (let index = 0; index < preservedExternalInputs.length; index++) {
         args.push("-map", `${index + 1}:0`);
     }
-    args.push("-map", `${preservedExternalInputs.length + 1}:0`, "-c", "copy");
+    args.push("-map", `${preservedExternalInputs.length + 1}:0`);
+    if (bilingualSubtitlePath) {
+        args.push("-map", `${preservedExternalInputs.length + 2}:0`);
+    }
+    args.push("-c", "copy");
 
     for (let index = 0; index < Number(existingSubtitleCount || 0); index++) {
         args.push(`-disposition:s:${index}`, "0");
@@ -260,7 +259,7 @@ export const muxTranslatedSubtitleIntoVideo = async ({
         const subtitleFile = preservedExternalInputs[index];
         args.push(
             `-c:s:${subtitleIndex}`,
-            "srt",
+            getSubtitleMuxCodec(getSubtitleFormatFromPath(subtitleFile.path)) || "srt",
             `-metadata:s:s:${subtitleIndex}`,
             `language=${getSubtitleLanguageCode(subtitleFile.resolvedLanguage || "English")}`,
             `-metadata:s:s:${subtitleIndex}`,
@@ -272,15 +271,28 @@ export const muxTranslatedSubtitleIntoVideo = async ({
 
     args.push(
         `-c:s:${newSubtitleIndex}`,
-        "srt",
+        subtitleCodec,
         `-metadata:s:s:${newSubtitleIndex}`,
         `language=${getSubtitleLanguageCode(targetLanguage)}`,
         `-metadata:s:s:${newSubtitleIndex}`,
         `title=${targetLanguage} (Translated)`,
         `-disposition:s:${newSubtitleIndex}`,
         "default",
-        outputPath,
     );
+    if (bilingualSubtitlePath) {
+        const bilingualSubtitleIndex = newSubtitleIndex + 1;
+        args.push(
+            `-c:s:${bilingualSubtitleIndex}`,
+            subtitleCodec,
+            `-metadata:s:s:${bilingualSubtitleIndex}`,
+            `language=${getSubtitleLanguageCode(targetLanguage)}`,
+            `-metadata:s:s:${bilingualSubtitleIndex}`,
+            `title=${targetLanguage} + ${sourceLanguage || "Source"} (Bilingual)`,
+            `-disposition:s:${bilingualSubtitleIndex}`,
+            "0",
+        );
+    }
+    args.push(outputPath);
 
     await runProcess("ffmpeg", args, logger);
     return outputPath;
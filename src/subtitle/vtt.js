@@ -0,0 +1,118 @@
+import {
+    formatSrtTimestamp,
+    isSourceCueOutput,
+    resolveCueOutputText,
+    splitCueBlocks,
+} from "./srt.js";
+
+const VTT_TIME_RANGE_REGEX =
+    /^((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})(?:\s+(.*))?$/;
+const VTT_INLINE_TIMESTAMP_REGEX = /<(?:\d+:)?\d{2}:\d{2}\.\d{3}>/g;
+const VTT_VOICE_REGEX = /^<v(?:\.[^\s>]+)?\s+([^>]*)>/;
+
+const parseVttTimestamp = (timestamp) => {
+    const parts = String(timestamp).split(":");
+    const [seconds, millis] = parts.pop().split(".");
+    const minutes = parts.pop() || "0";
+    const hours = parts.pop() || "0";
+    return (
+        Number(hours) * 3600000 +
+        Number(minutes) * 60000 +
+        Number(seconds) * 1000 +
+        Number(millis)
+    );
+};
+
+const toVttTimestamp = (srtTimestamp) => String(srtTimestamp).replace(",", ".");
+
+// =================== WebVTT 解析 ===================
+export const parseVtt = (content) => {
+    const blocks = splitCueBlocks(content);
+    if (!/^WEBVTT(?:[ \t].*)?$/.test(blocks[0]?.split("\n")[0] || "")) {
+        throw new Error("Invalid WebVTT file: missing WEBVTT header.");
+    }
+
+    const [headerLine, ...headerRest] = blocks[0].split("\n");
+    const formatMeta = {
+        header: headerLine.trim(),
+        headerLines: headerRest,
+        // STYLE / REGION / NOTE 等头部块原样保留，输出时写回
+        blocks: [],
+    };
+    const cues = [];
+
+    for (let index = 1; index < blocks.length; index++) {
+        const block = blocks[index];
+        const lines = block.split("\n").map((line) => line.replace(/\u0000/g, ""));
+
+        if (/^(STYLE|REGION|NOTE)(?:[ \t\n]|$)/.test(lines[0])) {
+            // cue 之间的 NOTE 只是注释，不保留
+            if (cues.length === 0) formatMeta.blocks.push(block);
+            continue;
+        }
+
+        let cueIdentifier = null;
+        let timeLineIndex = 0;
+        if (!lines[0].includes("-->")) {
+            cueIdentifier = lines[0].trim() || null;
+            timeLineIndex = 1;
+        }
+
+        const match = lines[timeLineIndex]?.trim().match(VTT_TIME_RANGE_REGEX);
+        if (!match) {
+            throw new Error(`Invalid WebVTT time range at block ${index + 1}.`);
+        }
+
+        const rawText = lines.slice(timeLineIndex + 1).join("\n").trim();
+        const voiceMatch = rawText.match(VTT_VOICE_REGEX);
+        const sourceText = rawText
+            .replace(VTT_VOICE_REGEX, "")
+            .replace(/<\/v>/g, "")
+            .replace(VTT_INLINE_TIMESTAMP_REGEX, "")
+            .trim();
+
+        cues.push({
+            id: `node_${String(cues.length + 1).padStart(5, "0")}`,
+            sequence: cues.length + 1,
+            cueIdentifier,
+            start: formatSrtTimestamp(parseVttTimestamp(match[1])),
+            end: formatSrtTimestamp(parseVttTimestamp(match[2])),
+            settings: match[3] || "",
+            sourceText,
+            translatedText: "",
+            vtt: {
+                voice: voiceMatch ? voiceMatch[1].trim() : null,
+                rawText,
+            },
+        });
+    }
+
+    return { cues, formatMeta };
+};
+
+// =================== WebVTT 序列化 ===================
+export const serializeVtt = (subtitleJson, options = {}) => {
+    const formatMeta = subtitleJson?.formatMeta || {};
+    const cues = Array.isArray(subtitleJson?.cues) ? subtitleJson.cues : [];
+    const header = [formatMeta.header || "WEBVTT", ...(formatMeta.headerLines || [])]
+        .join("\n")
+        .trimEnd();
+
+    const cueBlocks = cues.map((cue) => {
+        const text = resolveCueOutputText(cue, options);
+        let body = text;
+        if (cue.vtt?.rawText && isSourceCueOutput(cue, text)) {
+            body = cue.vtt.rawText;
+        } else if (cue.vtt?.voice) {
+            body = `<v ${cue.vtt.voice}>${text}`;
+        }
+        const lines = [
+            `${toVttTimestamp(cue.start)} --> ${toVttTimestamp(cue.end)}${cue.settings ? ` ${cue.settings}` : ""}`,
+            body,
+        ];
+        if (cue.cueIdentifier) lines.unshift(cue.cueIdentifier);
+        return lines.join("\n").trimEnd();
+    });
+
+    return `${[header, ...(formatMeta.blocks || []), ...cueBlocks].join("\n\n")}\n`;
+};
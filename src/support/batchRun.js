@@ -0,0 +1,227 @@
+import fs from "fs";
+import path from "path";
+
+// =================== 批量输入展开 ===================
+const GLOB_PATTERN = /[*?[]/;
+
+const compareNatural = (a, b) =>
+    a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" });
+
+// 支持 *、?、[abc] 和 **/，足够覆盖 "season1/*.srt"、"input/**/*.epub" 这类用法
+const globToRegExp = (pattern) => {
+    let source = "";
+    for (let index = 0; index < pattern.length; index++) {
+        const char = pattern[index];
+        if (char === "*" && pattern[index + 1] === "*") {
+            index++;
+            if (pattern[index + 1] === "/") {
+                index++;
+                source += "(?:.*/)?";
+            } else {
+                source += ".*";
+            }
+        } else if (char === "*") {
+            source += "[^/]*";
+        } else if (char === "?") {
+            source += "[^/]";
+        } else if (char === "[" && pattern.indexOf("]", index) > index + 1) {
+            const end = pattern.indexOf("]", index);
+            source += `[${pattern.slice(index + 1, end).replace(/^!/, "^").replace(/\\/g, "\\\\")}]`;
+            index = end;
+        } else {
+            source += char.replace(/[.+^${}()|\\\]]/g, "\\$&");
+        }
+    }
+    return new RegExp(`^${source}$`, process.platform === "win32" ? "i" : "");
+};
+
+// 隐藏目录（包括 .cache_*、.wasabi_memory）一律跳过
+const walkFiles = (dirPath, recursive) => {
+    const files = [];
+    for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+        if (entry.name.startsWith(".")) continue;
+        const fullPath = path.join(dirPath, entry.name);
+        if (entry.isDirectory()) {
+            if (recursive) files.push(...walkFiles(fullPath, true));
+        } else if (entry.isFile()) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+};
+
+const isDirectory = (candidate) =>
+    fs.existsSync(candidate) && fs.statSync(candidate).isDirectory();
+
+const expandGlob = (pattern, baseDirs, extensions) => {
+    const segments = pattern.split(/[\\/]/);
+    const firstGlobIndex = segments.findIndex((segment) => GLOB_PATTERN.test(segment));
+    const basePart = segments.slice(0, firstGlobIndex).join("/") || ".";
+    const globPart = segments.slice(firstGlobIndex).join("/");
+    const matcher = globToRegExp(globPart);
+    const deep = globPart.includes("/") || globPart.includes("**");
+
+    for (const baseDir of baseDirs) {
+        const root = path.resolve(baseDir, basePart);
+        if (!isDirectory(root)) continue;
+        const matches = walkFiles(root, deep).filter(
+            (filePath) =>
+                extensions.has(path.extname(filePath).toLowerCase()) &&
+                matcher.test(path.relative(root, filePath).split(path.sep).join("/")),
+        );
+        if (matches.length > 0) return matches.sort(compareNatural);
+    }
+    return [];
+};
+
+/**
+ * 把命令行里的文件、目录和 glob 展开成去重后的绝对路径列表。
+ * 相对路径依次在 baseDirs 中查找，与单文件模式的查找顺序一致。
+ * 返回 { inputPaths, problems }，problems 为无法解析的参数说明。
+ */
+export const expandInputArguments = (
+    args,
+    { baseDirs, extensions, recursive = false },
+) => {
+    const inputPaths = [];
+    const problems = [];
+    const seen = new Set();
+    const add = (filePath) => {
+        if (seen.has(filePath)) return;
+        seen.add(filePath);
+        inputPaths.push(filePath);
+    };
+
+    for (const arg of args) {
+        if (GLOB_PATTERN.test(arg)) {
+            const matches = expandGlob(arg, baseDirs, extensions);
+            if (matches.length === 0) problems.push(`No supported files match: ${arg}`);
+            matches.forEach(add);
+            continue;
+        }
+
+        const candidate = baseDirs
+            .map((baseDir) => path.resolve(baseDir, arg))
+            .find((resolved) => fs.existsSync(resolved));
+        if (!candidate) {
+            problems.push(`Input file not found: ${arg}`);
+            continue;
+        }
+
+        if (isDirectory(candidate)) {
+            const files = walkFiles(candidate, recursive)
+                .filter((filePath) => extensions.has(path.extname(filePath).toLowerCase()))
+                .sort(compareNatural);
+            if (files.length === 0) {
+                problems.push(
+                    `No supported files in directory: ${arg}${recursive ? "" : " (use --recursive for subdirectories)"}`,
+                );
+            }
+            files.forEach(add);
+            continue;
+        }
+
+        if (!extensions.has(path.extname(candidate).toLowerCase())) {
+            problems.push(`Unsupported input file: ${arg}`);
+            continue;
+        }
+        add(candidate);
+    }
+
+    return { inputPaths, problems };
+};
+
+/**
+ * 输出、缓存和报告都按不带扩展名的文件名命名（book.epub → book_zh.epub、.cache_book），
+ * 文件名相同的输入会写到同一处。返回这样的冲突组 [[path, path, ...], ...]。
+ */
+export const findOutputNameConflicts = (inputPaths) => {
+    const byName = new Map();
+    for (const inputPath of inputPaths) {
+        const key = path.parse(inputPath).name.toLowerCase();
+        if (!byName.has(key)) byName.set(key, []);
+        byName.get(key).push(inputPath);
+    }
+    return [...byName.values()].filter((group) => group.length > 1);
+};
+
+export const isBatchInputArgument = (arg, baseDirs) =>
+    GLOB_PATTERN.test(arg) ||
+    baseDirs.some((baseDir) => isDirectory(path.resolve(baseDir, arg)));
+
+// =================== 批量结果汇总 ===================
+const formatDuration = (ms) => {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m${String(seconds % 60).padStart(2, "0")}s`;
+    return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, "0")}m`;
+};
+
+const formatTokens = (usage) =>
+    usage?.totalTokens ? usage.totalTokens.toLocaleString("en-US") : "-";
+
+const truncateCell = (value, maxLength) => {
+    const text = String(value ?? "");
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+};
+
+// 等宽纯文本表格：表头、分隔线、数据行、分隔线、合计行
+export const formatTextTable = (header, body, footer) => {
+    const table = [header, ...body, footer];
+    const widths = header.map((_, column) =>
+        Math.max(...table.map((cells) => cells[column].length)),
+    );
+    const formatRow = (cells) =>
+        cells.map((cell, column) => cell.padEnd(widths[column])).join("  ").trimEnd();
+    const separator = widths.map((width) => "-".repeat(width)).join("  ");
+
+    return [
+        formatRow(header),
+        separator,
+        ...body.map(formatRow),
+        separator,
+        formatRow(footer),
+    ].join("\n");
+};
+
+const STATUS_LABELS = { ok: "ok", failed: "FAILED", stopped: "STOPPED" };
+
+/**
+ * rows: [{ inputPath, status: "ok" | "failed" | "stopped", outputPath, error, usage, elapsedMs }]
+ * stopped 表示该文件因预算上限中途停止，缓存已保留。
+ * elapsedMs 为整个批次的实际耗时：文件并发运行，合计行不能把各行耗时相加。
+ * 返回可直接打印的多行字符串。
+ */
+export const formatBatchSummaryTable = (rows, { elapsedMs = 0 } = {}) => {
+    const header = ["#", "Input", "Status", "Output / Error", "Tokens", "Time"];
+    const body = rows.map((row, index) => [
+        String(index + 1),
+        truncateCell(path.basename(row.inputPath), 40),
+        STATUS_LABELS[row.status],
+        truncateCell(
+            row.status === "ok" ? path.basename(row.outputPath || "") : row.error,
+            60,
+        ),
+        formatTokens(row.usage),
+        formatDuration(row.elapsedMs || 0),
+    ]);
+
+    const totalUsage = rows.reduce(
+        (total, row) => total + (row.usage?.totalTokens || 0),
+        0,
+    );
+    const okCount = rows.filter((row) => row.status === "ok").length;
+    const stoppedCount = rows.filter((row) => row.status === "stopped").length;
+    const failedCount = rows.length - okCount - stoppedCount;
+    const footer = [
+        "",
+        `Total (${okCount} ok, ${failedCount} failed${stoppedCount > 0 ? `, ${stoppedCount} stopped` : ""})`,
+        "",
+        "",
+        formatTokens({ totalTokens: totalUsage }),
+        formatDuration(elapsedMs),
+    ];
+
+    return formatTextTable(header, body, footer);
+};
@@ -1,7 +1,14 @@
 import { spawn } from "child_process";
 import fs from "fs";
 import path from "path";
-import { CURRENT_PROVIDER } from "../config.js";
+import {
+    CONFIG,
+    CURRENT_PROVIDER,
+    SUPPORTED_PROVIDERS,
+    isProviderConfigured,
+} from "../config.js";
+import { DEFAULT_OUTPUT_PATTERN } from "./projectConfig.js";
+import { SUBTITLE_INPUT_EXTENSIONS } from "../subtitle/formats.js";
 
 const MINIMUM_PYTHON_VERSION = {
     major: 3,
@@ -19,13 +26,6 @@ const PYTHON_CANDIDATES = () => {
     ];
 };
 
-const TRANSLATION_ENV_CHECKS = [
-    { label: "Gemini API Key", envVar: "GEMINI_API_KEY" },
-    { label: "Qwen API Key", envVar: "QWEN_API_KEY" },
-    { label: "Mimo API Key", envVar: "MIMO_API_KEY" },
-    { label: "OpenRouter API Key", envVar: "OPENROUTER_API_KEY" },
-];
-
 const PYTHON_MODULE_CHECKS = [
     {
         key: "fitz",
@@ -284,13 +284,21 @@ const checkExternalCommand = async (command, args = ["-version"]) => {
     }
 };
 
+// 每个 provider 一项：需要 key 的检查对应环境变量，本地服务不需要 key
 export const getTranslationEnvReport = (runtimeConfig) => {
-    const checks = TRANSLATION_ENV_CHECKS.map((check) => ({
-        ...check,
-        ok: Boolean(process.env[check.envVar]),
-        relevant:
-            check.envVar === `${String(CURRENT_PROVIDER).toUpperCase()}_API_KEY`,
-    }));
+    const primaryProvider = runtimeConfig?.provider || CURRENT_PROVIDER;
+    const providerNames = runtimeConfig?.providerNames || SUPPORTED_PROVIDERS;
+    const checks = providerNames.map((providerName) => {
+        const providerConfig = runtimeConfig?.[providerName] || CONFIG[providerName];
+        return {
+            label: providerConfig?.apiKeyEnv
+                ? `${providerConfig.label} API Key`
+                : `${providerConfig?.label || providerName} (local)`,
+            envVar: providerConfig?.apiKeyEnv || null,
+            ok: isProviderConfigured(providerConfig),
+            relevant: providerName === primaryProvider,
+        };
+    });
 
     return {
         checks,
@@ -368,6 +376,98 @@ const printSection = (title) => {
     console.log("-".repeat(title.length));
 };
 
+const formatProviderLine = (runtimeConfig, providerName) =>
+    `${providerName} (${runtimeConfig[providerName]?.modelName || "unknown model"})`;
+
+// 只打印合并后的结果，不输出 API Key 等敏感值
+const printEffectiveConfig = (runtimeConfig) => {
+    const projectConfig = runtimeConfig.projectConfig || {};
+    const label = (name) => name.padEnd(19);
+
+    printSection("Effective Config");
+    console.log(`${label("Config File")}${projectConfig.file || "none"}`);
+    console.log(`${label("Profile")}${runtimeConfig.profileName || "none"}`);
+    console.log(`${label("Provider")}${formatProviderLine(runtimeConfig, runtimeConfig.provider)}`);
+    const primaryConfig = runtimeConfig[runtimeConfig.provider] || {};
+    const endpoint =
+        primaryConfig.type === "mock"
+            ? primaryConfig.replayLog
+                ? `replay ${primaryConfig.replayLog}`
+                : "offline"
+            : primaryConfig.baseURL || "SDK default";
+    console.log(
+        `${label("Endpoint")}${endpoint} (${primaryConfig.type || "unknown"}${primaryConfig.local ? ", local" : ""}${primaryConfig.stream ? ", streaming" : ""}${primaryConfig.batchFormat && primaryConfig.batchFormat !== "xml" ? `, ${primaryConfig.batchFormat} batches` : ""})`,
+    );
+    const fallbackChain = runtimeConfig.fallbackChain || [];
+    if (fallbackChain.length === 0) {
+        console.log(`${label("Fallback")}none`);
+    }
+    fallbackChain.forEach((entry, index) => {
+        const model = entry.model || runtimeConfig[entry.provider]?.modelName || "unknown model";
+        console.log(
+            `${label(fallbackChain.length > 1 ? `Fallback ${index + 1}` : "Fallback")}${entry.provider} (${model}), on: ${entry.on.join(", ")}${isProviderConfigured(runtimeConfig[entry.provider]) ? "" : " [no API key, skipped]"}`,
+        );
+    });
+    console.log(`${label("Concurrency")}${runtimeConfig[runtimeConfig.provider]?.concurrency ?? "-"}`);
+    const providerConfig = runtimeConfig[runtimeConfig.provider] || {};
+    const rateParts = [
+        providerConfig.requestsPerMinute && `${providerConfig.requestsPerMinute.toLocaleString("en-US")} requests/min`,
+        providerConfig.tokensPerMinute && `${providerConfig.tokensPerMinute.toLocaleString("en-US")} tokens/min`,
+    ].filter(Boolean);
+    console.log(
+        `${label("Rate Limit")}${rateParts.length > 0 ? rateParts.join(", ") : "none"} (adaptive on 429)`,
+    );
+    console.log(`${label("Languages")}${runtimeConfig.sourceLanguage} -> ${runtimeConfig.targetLanguage}`);
+    for (const mode of ["epub", "html", "pdf", "subtitle"]) {
+        console.log(
+            `${label(`Prompt (${mode})`)}${
+                projectConfig.promptFiles?.[mode] ||
+                (runtimeConfig.promptTemplates?.[mode] ? "custom" : "built-in")
+            }`,
+        );
+    }
+    console.log(
+        `${label("Style Guide")}${
+            projectConfig.styleFile || (runtimeConfig.styleGuide ? "custom" : "built-in")
+        }`,
+    );
+    console.log(
+        `${label("Glossary")}${
+            runtimeConfig.userGlossary?.length
+                ? `${runtimeConfig.userGlossary.length} locked term(s) from ${projectConfig.glossaryFiles?.length || 0} file(s)`
+                : "none"
+        }`,
+    );
+    console.log(
+        `${label("Pricing")}${
+            runtimeConfig.pricing
+                ? `${Object.keys(runtimeConfig.pricing.models).length} model(s), ${runtimeConfig.pricing.currency || "USD"} per 1M tokens`
+                : "none (token counts only)"
+        }`,
+    );
+    const budget = runtimeConfig.budget || {};
+    const budgetParts = [
+        budget.maxTokens && `${budget.maxTokens.toLocaleString("en-US")} tokens`,
+        budget.maxCost && `${budget.maxCost} ${runtimeConfig.pricing?.currency || "USD"}`,
+        budget.maxRequests && `${budget.maxRequests.toLocaleString("en-US")} requests`,
+    ].filter(Boolean);
+    console.log(`${label("Budget")}${budgetParts.length > 0 ? budgetParts.join(", ") : "none"}`);
+    console.log(`${label("Output Dir")}${runtimeConfig.output?.dir || "output/"}`);
+    console.log(`${label("Output Pattern")}${runtimeConfig.output?.pattern || DEFAULT_OUTPUT_PATTERN}`);
+    const batchingEntries = Object.entries(runtimeConfig.batching || {});
+    if (batchingEntries.length === 0) {
+        console.log(`${label("Batching")}built-in`);
+    }
+    for (const [mode, limits] of batchingEntries) {
+        console.log(
+            `${label(`Batching (${mode})`)}${Object.entries(limits)
+                .map(([key, value]) => `${key}=${value}`)
+                .join(", ")}`,
+        );
+    }
+    console.log("");
+};
+
 export const runDoctor = async (runtimeConfig) => {
     const pdfReport = await getPdfDependencyReport();
     const videoReport = await getVideoDependencyReport();
@@ -420,6 +520,8 @@ export const runDoctor = async (runtimeConfig) => {
     }
     console.log("");
 
+    printEffectiveConfig(runtimeConfig);
+
     printSection("Summary");
     if (allRequiredReady) {
         console.log("Environment looks ready.");
@@ -428,7 +530,12 @@ export const runDoctor = async (runtimeConfig) => {
     }
 };
 
-export const getPreflightReport = async (inputExt, runtimeConfig) => {
+// requireApiKey 为 false 时（dry-run）只检查本地依赖
+export const getPreflightReport = async (
+    inputExt,
+    runtimeConfig,
+    { requireApiKey = true } = {},
+) => {
     const translationReport = getTranslationEnvReport(runtimeConfig);
     const report = {
         inputExt,
@@ -440,7 +547,7 @@ export const getPreflightReport = async (inputExt, runtimeConfig) => {
         videoReport: null,
     };
 
-    if (!translationReport.primaryProviderReady) {
+    if (requireApiKey && !translationReport.primaryProviderReady) {
         report.missing.push(
             "Translation provider API key for the selected configuration",
         );
@@ -465,7 +572,7 @@ export const getPreflightReport = async (inputExt, runtimeConfig) => {
         report.videoReport = await getVideoDependencyReport();
         if (!report.videoReport.ffmpeg.ok) report.missing.push("ffmpeg");
         if (!report.videoReport.ffprobe.ok) report.missing.push("ffprobe");
-    } else if (inputExt === ".srt") {
+    } else if (SUBTITLE_INPUT_EXTENSIONS.has(inputExt)) {
         report.backendName = "Subtitle";
     } else if (inputExt === ".epub") {
         report.backendName = "EPUB";
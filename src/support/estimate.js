@@ -0,0 +1,156 @@
+import fs from "fs";
+import path from "path";
+import { formatTextTable } from "./batchRun.js";
+import { estimateCost, estimateTokenCount, roundCost } from "./usage.js";
+
+// =================== 费用预估报告 ===================
+const COUNT_FIELDS = [
+    "nodes",
+    "skippedNodes",
+    "memoryHits",
+    "requests",
+    "characters",
+    "promptTokens",
+    "completionTokens",
+];
+
+const formatCount = (value) => value.toLocaleString("en-US");
+
+const truncateCell = (value, maxLength) => {
+    const text = String(value ?? "");
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+};
+
+/**
+ * 按一次请求的真实输入估算 token；expectedOutput 是对回复内容的粗略替身。
+ * 供各辅助步骤（翻译计划、术语表、标题规则、标签翻译）的 dry-run 估算使用。
+ */
+export const estimateRequestTokens = (systemPrompt, userContent, expectedOutput = "") => ({
+    requests: 1,
+    promptTokens: estimateTokenCount(systemPrompt) + estimateTokenCount(userContent),
+    completionTokens: estimateTokenCount(expectedOutput),
+});
+
+export const sumEstimates = (estimates) =>
+    Object.fromEntries(
+        COUNT_FIELDS.map((field) => [
+            field,
+            estimates.reduce((total, estimate) => total + (estimate?.[field] || 0), 0),
+        ]),
+    );
+
+/**
+ * dry-run 的预估明细，每行是一个章节（PDF 为一页）。
+ * 翻译计划、术语表、标题规则、导航与元数据标签、术语纠正轮次记为 auxiliary 行，排在最后。
+ * unit: "Chapter" | "Page"，仅影响表头。
+ */
+export const createEstimateReport = ({ pricing = null, provider, model, unit = "Chapter" }) => {
+    const rows = [];
+
+    // row: { label, cached, auxiliary, ...COUNT_FIELDS }
+    const add = (row) => {
+        rows.push({
+            label: row.label,
+            cached: Boolean(row.cached),
+            auxiliary: Boolean(row.auxiliary),
+            ...Object.fromEntries(COUNT_FIELDS.map((field) => [field, row[field] || 0])),
+        });
+    };
+
+    const withCost = (row) => {
+        const totalTokens = row.promptTokens + row.completionTokens;
+        const cost = pricing
+            ? estimateCost(pricing, model, row.promptTokens, row.completionTokens)
+            : null;
+        return { ...row, totalTokens, cost: cost === null ? null : roundCost(cost) };
+    };
+
+    const summarize = () => {
+        const totals = Object.fromEntries(
+            COUNT_FIELDS.map((field) => [
+                field,
+                rows.reduce((total, row) => total + row[field], 0),
+            ]),
+        );
+        return {
+            provider,
+            model,
+            currency: pricing ? pricing.currency || "USD" : null,
+            priced: Boolean(pricing?.models?.[model]),
+            unit: unit.toLowerCase(),
+            cachedCount: rows.filter((row) => row.cached).length,
+            auxiliaryCount: rows.filter((row) => row.auxiliary).length,
+            totals: withCost(totals),
+            rows: rows.map(withCost),
+        };
+    };
+
+    const write = (filePath) => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const payload = { generatedAt: new Date().toISOString(), ...summarize() };
+        fs.writeFileSync(filePath, `${JSON.stringify(payload, null, 2)}\n`, "utf8");
+    };
+
+    const formatLines = () => {
+        const summary = summarize();
+        const formatCost = (row) => (row.cost === null ? "-" : row.cost.toFixed(4));
+        const header = [
+            "#",
+            unit,
+            "Nodes",
+            "Skipped",
+            "Memory",
+            "Batches",
+            "Chars",
+            "Est. tokens",
+            `Est. cost${summary.currency ? ` (${summary.currency})` : ""}`,
+        ];
+        // 辅助请求不按节点统计，节点与字符列留空
+        const formatNodeCount = (row, field) => (row.auxiliary ? "-" : formatCount(row[field]));
+        const body = summary.rows.map((row, index) => [
+            String(index + 1),
+            truncateCell(row.cached ? `${row.label} (cached)` : row.label, 48),
+            formatNodeCount(row, "nodes"),
+            formatNodeCount(row, "skippedNodes"),
+            formatNodeCount(row, "memoryHits"),
+            formatCount(row.requests),
+            formatNodeCount(row, "characters"),
+            formatCount(row.totalTokens),
+            formatCost(row),
+        ]);
+        const { totals } = summary;
+        const unitCount = summary.rows.length - summary.auxiliaryCount;
+        const footer = [
+            "",
+            `Total (${unitCount} ${unit.toLowerCase()}${unitCount === 1 ? "" : "s"}${summary.auxiliaryCount > 0 ? ` + ${summary.auxiliaryCount} auxiliary` : ""})`,
+            formatCount(totals.nodes),
+            formatCount(totals.skippedNodes),
+            formatCount(totals.memoryHits),
+            formatCount(totals.requests),
+            formatCount(totals.characters),
+            formatCount(totals.totalTokens),
+            formatCost(totals),
+        ];
+
+        const lines = [
+            formatTextTable(header, body, footer),
+            "",
+            `📊 Estimate: ~${formatCount(totals.totalTokens)} tokens (prompt ~${formatCount(totals.promptTokens)} / completion ~${formatCount(totals.completionTokens)}) in ${formatCount(totals.requests)} request(s) with ${provider} (${model})${totals.cost === null ? "" : ` ≈ ${totals.cost.toFixed(4)} ${summary.currency}`}`,
+        ];
+        if (!pricing) {
+            lines.push("   - ℹ️ No pricing table configured; add \"pricing\" to the project config to estimate cost.");
+        } else if (!summary.priced) {
+            lines.push(`   - ⚠️ No price for: ${model}`);
+        }
+        if (summary.cachedCount > 0) {
+            lines.push(`   - ⏭️ ${summary.cachedCount} ${unit.toLowerCase()}(s) already translated in cache; not counted.`);
+        }
+        if (summary.auxiliaryCount > 0) {
+            lines.push("   - Auxiliary rows are upper bounds: glossary replies and correction rounds are usually smaller.");
+        }
+        lines.push("   - Retries are not included.");
+        return lines;
+    };
+
+    return { add, summarize, write, formatLines };
+};
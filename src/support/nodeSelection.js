@@ -0,0 +1,51 @@
+const parseNodeNumber = (value, token) => {
+    // 只接受纯数字：parseInt 会把 "12abc"、"1.5" 读成 12、1
+    const parsed = /^\d+$/.test(value) ? Number.parseInt(value, 10) : NaN;
+    if (!Number.isInteger(parsed)) {
+        throw new Error(
+            `Invalid node selector segment: "${token}". Use node ids like node_12,node_15 or ranges like 10-14.`,
+        );
+    }
+    return parsed;
+};
+
+// "node_12" / "node_00012" / "12" 都取编号 12
+const NODE_TOKEN_PATTERN = /^(?:node_)?(\d+)$/i;
+const NODE_RANGE_PATTERN = /^(?:node_)?(\d+)\s*-\s*(?:node_)?(\d+)$/i;
+
+export const parseNodeSelector = (rawSpec) => {
+    if (!rawSpec) return null;
+
+    const spec = rawSpec.trim();
+    if (!spec) {
+        throw new Error("No node selector was provided after --nodes.");
+    }
+
+    const selectedNodes = new Set();
+    for (const part of spec.split(",")) {
+        const token = part.trim();
+        if (!token) {
+            throw new Error("Empty node selector segment.");
+        }
+
+        const rangeMatch = token.match(NODE_RANGE_PATTERN);
+        if (rangeMatch) {
+            const start = parseNodeNumber(rangeMatch[1], token);
+            const end = parseNodeNumber(rangeMatch[2], token);
+            if (start > end) {
+                throw new Error(
+                    `Invalid node range: "${token}". Start must be less than or equal to end.`,
+                );
+            }
+            for (let node = start; node <= end; node++) {
+                selectedNodes.add(node);
+            }
+            continue;
+        }
+
+        const match = token.match(NODE_TOKEN_PATTERN);
+        selectedNodes.add(parseNodeNumber(match ? match[1] : token, token));
+    }
+
+    return [...selectedNodes].sort((a, b) => a - b);
+};
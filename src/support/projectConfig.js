@@ -0,0 +1,443 @@
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import {
+    BATCH_FORMATS,
+    BUILT_IN_PROVIDERS,
+    FALLBACK_ERROR_CLASSES,
+    PROVIDER_TYPES,
+    SUPPORTED_PROVIDERS,
+} from "../config.js";
+import { loadPromptTemplateFile } from "../translation/promptTemplates.js";
+
+// =================== 项目配置文件 ===================
+// 优先级（低 → 高）：内置默认值 < 环境变量 / .env < 配置文件 defaults < --profile < 命令行参数
+export const PROJECT_CONFIG_FILE_NAMES = [
+    "wasabi.config.json",
+    "wasabi.config.yaml",
+    "wasabi.config.yml",
+];
+
+export const DEFAULT_OUTPUT_PATTERN = "{name}{selection}_{lang}{bilingual}";
+
+const TRANSLATION_MODES = ["epub", "html", "pdf", "subtitle"];
+// PDF 每个文本块单独请求，不参与分批
+const BATCHING_MODES = ["epub", "html", "subtitle"];
+const OUTPUT_PATTERN_PLACEHOLDERS = new Set([
+    "name",
+    "selection",
+    "lang",
+    "bilingual",
+    "profile",
+]);
+
+const PROFILE_KEYS = new Set([
+    "provider",
+    "model",
+    "fallbackProvider",
+    "fallbackModel",
+    "fallbackOnContentPolicy",
+    "fallbacks",
+    "concurrency",
+    "from",
+    "to",
+    "prompts",
+    "style",
+    "glossary",
+    "output",
+    "batching",
+    "budget",
+    "rateLimits",
+]);
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+
+const fail = (where, message) => {
+    throw new Error(`Invalid project config (${where}): ${message}`);
+};
+
+const expectString = (where, key, value) => {
+    if (typeof value !== "string" || !value.trim()) {
+        fail(where, `"${key}" must be a non-empty string.`);
+    }
+};
+
+const expectPositiveInteger = (where, key, value) => {
+    if (!Number.isInteger(value) || value <= 0) {
+        fail(where, `"${key}" must be a positive integer.`);
+    }
+};
+
+// providerNames：内置 provider 加上配置文件 providers 中定义的名称
+const validateProfile = (where, profile, providerNames = SUPPORTED_PROVIDERS) => {
+    if (!isPlainObject(profile)) fail(where, "must be an object.");
+
+    for (const key of Object.keys(profile)) {
+        if (!PROFILE_KEYS.has(key)) {
+            fail(where, `unknown key "${key}". Allowed: ${[...PROFILE_KEYS].join(", ")}.`);
+        }
+    }
+
+    for (const key of ["provider", "fallbackProvider"]) {
+        if (profile[key] === undefined) continue;
+        expectString(where, key, profile[key]);
+        if (!providerNames.includes(profile[key].trim().toLowerCase())) {
+            fail(where, `"${key}" must be one of ${providerNames.join(", ")}.`);
+        }
+    }
+    for (const key of ["model", "fallbackModel", "from", "to", "style"]) {
+        if (profile[key] !== undefined) expectString(where, key, profile[key]);
+    }
+    if (
+        profile.fallbackOnContentPolicy !== undefined &&
+        typeof profile.fallbackOnContentPolicy !== "boolean"
+    ) {
+        fail(where, `"fallbackOnContentPolicy" must be true or false.`);
+    }
+    if (profile.fallbacks !== undefined) {
+        if (!Array.isArray(profile.fallbacks)) fail(where, `"fallbacks" must be a list.`);
+        profile.fallbacks.forEach((entry, index) => {
+            const at = `fallbacks[${index}]`;
+            if (!isPlainObject(entry)) fail(where, `"${at}" must be an object.`);
+            for (const key of Object.keys(entry)) {
+                if (!["provider", "model", "on"].includes(key)) {
+                    fail(where, `unknown key "${at}.${key}". Allowed: provider, model, on.`);
+                }
+            }
+            expectString(where, `${at}.provider`, entry.provider);
+            if (!providerNames.includes(entry.provider.trim().toLowerCase())) {
+                fail(where, `"${at}.provider" must be one of ${providerNames.join(", ")}.`);
+            }
+            if (entry.model !== undefined) expectString(where, `${at}.model`, entry.model);
+            if (entry.on !== undefined) {
+                if (!Array.isArray(entry.on) || entry.on.length === 0) {
+                    fail(where, `"${at}.on" must be a non-empty list.`);
+                }
+                for (const errorClass of entry.on) {
+                    if (!FALLBACK_ERROR_CLASSES.includes(errorClass)) {
+                        fail(where, `"${at}.on" has unknown error class "${errorClass}". Use ${FALLBACK_ERROR_CLASSES.join(", ")}.`);
+                    }
+                }
+            }
+        });
+    }
+    if (profile.concurrency !== undefined) {
+        expectPositiveInteger(where, "concurrency", profile.concurrency);
+    }
+
+    if (profile.prompts !== undefined) {
+        if (!isPlainObject(profile.prompts)) fail(where, `"prompts" must map modes to files.`);
+        for (const [mode, file] of Object.entries(profile.prompts)) {
+            if (!TRANSLATION_MODES.includes(mode)) {
+                fail(where, `"prompts.${mode}" is not a mode. Use ${TRANSLATION_MODES.join(", ")}.`);
+            }
+            expectString(where, `prompts.${mode}`, file);
+        }
+    }
+
+    if (profile.glossary !== undefined) {
+        const files = Array.isArray(profile.glossary) ? profile.glossary : [profile.glossary];
+        files.forEach((file, index) => expectString(where, `glossary[${index}]`, file));
+    }
+
+    if (profile.output !== undefined) {
+        if (!isPlainObject(profile.output)) fail(where, `"output" must be an object.`);
+        for (const key of Object.keys(profile.output)) {
+            if (key !== "dir" && key !== "pattern") {
+                fail(where, `unknown key "output.${key}". Allowed: dir, pattern.`);
+            }
+            expectString(where, `output.${key}`, profile.output[key]);
+        }
+        for (const [, placeholder] of String(profile.output.pattern || "").matchAll(/\{(\w+)\}/g)) {
+            if (!OUTPUT_PATTERN_PLACEHOLDERS.has(placeholder)) {
+                fail(
+                    where,
+                    `"output.pattern" uses unknown placeholder {${placeholder}}. Allowed: ${[...OUTPUT_PATTERN_PLACEHOLDERS].map((name) => `{${name}}`).join(", ")}.`,
+                );
+            }
+        }
+    }
+
+    if (profile.batching !== undefined) {
+        if (!isPlainObject(profile.batching)) fail(where, `"batching" must map modes to limits.`);
+        for (const [mode, limits] of Object.entries(profile.batching)) {
+            if (!BATCHING_MODES.includes(mode)) {
+                fail(where, `"batching.${mode}" is not supported. Use ${BATCHING_MODES.join(", ")}.`);
+            }
+            if (!isPlainObject(limits)) fail(where, `"batching.${mode}" must be an object.`);
+            for (const [key, value] of Object.entries(limits)) {
+                if (key !== "sizeLimit" && key !== "nodeLimit") {
+                    fail(where, `unknown key "batching.${mode}.${key}". Allowed: sizeLimit, nodeLimit.`);
+                }
+                expectPositiveInteger(where, `batching.${mode}.${key}`, value);
+            }
+        }
+    }
+
+    if (profile.budget !== undefined) {
+        if (!isPlainObject(profile.budget)) fail(where, `"budget" must be an object.`);
+        for (const [key, value] of Object.entries(profile.budget)) {
+            if (key === "maxTokens" || key === "maxRequests") {
+                expectPositiveInteger(where, `budget.${key}`, value);
+            } else if (key === "maxCost") {
+                if (typeof value !== "number" || !Number.isFinite(value) || value <= 0) {
+                    fail(where, `"budget.maxCost" must be a positive number.`);
+                }
+            } else {
+                fail(where, `unknown key "budget.${key}". Allowed: maxTokens, maxCost, maxRequests.`);
+            }
+        }
+    }
+
+    if (profile.rateLimits !== undefined) {
+        if (!isPlainObject(profile.rateLimits)) fail(where, `"rateLimits" must map providers to limits.`);
+        for (const [providerName, limits] of Object.entries(profile.rateLimits)) {
+            if (!providerNames.includes(providerName)) {
+                fail(where, `"rateLimits.${providerName}" is not a provider. Use ${providerNames.join(", ")}.`);
+            }
+            if (!isPlainObject(limits)) fail(where, `"rateLimits.${providerName}" must be an object.`);
+            for (const [key, value] of Object.entries(limits)) {
+                if (key !== "requestsPerMinute" && key !== "tokensPerMinute") {
+                    fail(where, `unknown key "rateLimits.${providerName}.${key}". Allowed: requestsPerMinute, tokensPerMinute.`);
+                }
+                expectPositiveInteger(where, `rateLimits.${providerName}.${key}`, value);
+            }
+        }
+    }
+};
+
+// 自定义 provider：{ "<name>": { type, baseURL, model, apiKeyEnv, headers, local, stream, batchFormat, concurrency, timeoutMs } }
+// API key 不写在配置文件里，只从 apiKeyEnv（默认 <NAME>_API_KEY）指定的环境变量读取
+const PROVIDER_DEFINITION_KEYS = new Set([
+    "type",
+    "label",
+    "baseURL",
+    "model",
+    "apiKeyEnv",
+    "headers",
+    "local",
+    "stream",
+    "batchFormat",
+    "concurrency",
+    "timeoutMs",
+]);
+
+const validateProviders = (where, providers) => {
+    if (!isPlainObject(providers)) fail(where, "must map provider names to definitions.");
+    for (const [name, definition] of Object.entries(providers)) {
+        if (!/^[a-z][a-z0-9_-]*$/.test(name)) {
+            fail(where, `"${name}" must use lowercase letters, digits, "-" or "_".`);
+        }
+        if (BUILT_IN_PROVIDERS.includes(name)) {
+            fail(where, `"${name}" is a built-in provider; pick another name.`);
+        }
+        if (!isPlainObject(definition)) fail(where, `"${name}" must be an object.`);
+        for (const key of Object.keys(definition)) {
+            if (!PROVIDER_DEFINITION_KEYS.has(key)) {
+                fail(where, `unknown key "${name}.${key}". Allowed: ${[...PROVIDER_DEFINITION_KEYS].join(", ")}.`);
+            }
+        }
+        const type = definition.type ?? "openai-compatible";
+        if (!PROVIDER_TYPES.includes(type)) {
+            fail(where, `"${name}.type" must be one of ${PROVIDER_TYPES.join(", ")}.`);
+        }
+        if (type === "gemini") {
+            if (definition.baseURL !== undefined) fail(where, `"${name}.baseURL" is not supported for gemini.`);
+        } else {
+            expectString(where, `${name}.baseURL`, definition.baseURL);
+        }
+        expectString(where, `${name}.model`, definition.model);
+        for (const key of ["label", "apiKeyEnv"]) {
+            if (definition[key] !== undefined) expectString(where, `${name}.${key}`, definition[key]);
+        }
+        if (definition.headers !== undefined) {
+            if (!isPlainObject(definition.headers)) fail(where, `"${name}.headers" must be an object.`);
+            for (const [header, value] of Object.entries(definition.headers)) {
+                expectString(where, `${name}.headers.${header}`, value);
+            }
+        }
+        for (const key of ["local", "stream"]) {
+            if (definition[key] !== undefined && typeof definition[key] !== "boolean") {
+                fail(where, `"${name}.${key}" must be true or false.`);
+            }
+        }
+        if (definition.batchFormat !== undefined && !BATCH_FORMATS.includes(definition.batchFormat)) {
+            fail(where, `"${name}.batchFormat" must be one of ${BATCH_FORMATS.join(", ")}.`);
+        }
+        for (const key of ["concurrency", "timeoutMs"]) {
+            if (definition[key] !== undefined) expectPositiveInteger(where, `${name}.${key}`, definition[key]);
+        }
+    }
+};
+
+// 价格表：{ currency, models: { "<model name>": { input, output } } }，单位为每百万 token
+const validatePricing = (where, pricing) => {
+    if (!isPlainObject(pricing)) fail(where, "must be an object.");
+    for (const key of Object.keys(pricing)) {
+        if (key !== "currency" && key !== "models") {
+            fail(where, `unknown key "${key}". Allowed: currency, models.`);
+        }
+    }
+    if (pricing.currency !== undefined) expectString(where, "currency", pricing.currency);
+    if (!isPlainObject(pricing.models)) fail(where, `"models" must map model names to prices.`);
+    for (const [model, price] of Object.entries(pricing.models)) {
+        if (!isPlainObject(price)) fail(where, `"models.${model}" must be an object.`);
+        for (const [key, value] of Object.entries(price)) {
+            if (key !== "input" && key !== "output") {
+                fail(where, `unknown key "models.${model}.${key}". Allowed: input, output.`);
+            }
+            if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+                fail(where, `"models.${model}.${key}" must be a non-negative number.`);
+            }
+        }
+    }
+};
+
+export const findProjectConfigFile = (projectRoot, explicitPath = null) => {
+    if (explicitPath) {
+        const resolved = path.resolve(process.cwd(), explicitPath);
+        if (!fs.existsSync(resolved)) {
+            throw new Error(`Config file not found: ${explicitPath}`);
+        }
+        return resolved;
+    }
+    return (
+        PROJECT_CONFIG_FILE_NAMES.map((name) => path.resolve(projectRoot, name)).find(
+            (candidate) => fs.existsSync(candidate),
+        ) || null
+    );
+};
+
+export const loadProjectConfig = (filePath) => {
+    const content = fs.readFileSync(filePath, "utf8");
+    let parsed;
+    try {
+        parsed = /\.ya?ml$/i.test(filePath) ? YAML.parse(content) : JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Cannot parse ${path.basename(filePath)}: ${error.message}`);
+    }
+
+    const where = path.basename(filePath);
+    if (!isPlainObject(parsed)) fail(where, "top level must be an object.");
+    for (const key of Object.keys(parsed)) {
+        if (!["defaults", "profiles", "pricing", "providers"].includes(key)) {
+            fail(where, `unknown top-level key "${key}". Use "defaults", "profiles", "pricing", and "providers".`);
+        }
+    }
+    if (parsed.providers !== undefined) validateProviders(`${where} providers`, parsed.providers);
+    const providerNames = [...SUPPORTED_PROVIDERS, ...Object.keys(parsed.providers || {})];
+    if (parsed.defaults !== undefined) {
+        validateProfile(`${where} defaults`, parsed.defaults, providerNames);
+    }
+    if (parsed.profiles !== undefined) {
+        if (!isPlainObject(parsed.profiles)) fail(where, `"profiles" must be an object.`);
+        for (const [name, profile] of Object.entries(parsed.profiles)) {
+            validateProfile(`${where} profiles.${name}`, profile, providerNames);
+        }
+    }
+
+    if (parsed.pricing !== undefined) validatePricing(`${where} pricing`, parsed.pricing);
+
+    return {
+        filePath,
+        defaults: parsed.defaults || {},
+        profiles: parsed.profiles || {},
+        pricing: parsed.pricing || null,
+        providers: parsed.providers || {},
+    };
+};
+
+const toList = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+// defaults 与 profile 合并：标量以 profile 为准，prompts / output / batching / budget / rateLimits 按键合并，glossary 依次叠加
+const mergeProfiles = (base, override) => {
+    const batching = { ...(base.batching || {}) };
+    for (const [mode, limits] of Object.entries(override.batching || {})) {
+        batching[mode] = { ...(batching[mode] || {}), ...limits };
+    }
+    const rateLimits = { ...(base.rateLimits || {}) };
+    for (const [providerName, limits] of Object.entries(override.rateLimits || {})) {
+        rateLimits[providerName] = { ...(rateLimits[providerName] || {}), ...limits };
+    }
+    return {
+        ...base,
+        ...override,
+        prompts: { ...(base.prompts || {}), ...(override.prompts || {}) },
+        output: { ...(base.output || {}), ...(override.output || {}) },
+        batching,
+        rateLimits,
+        budget: { ...(base.budget || {}), ...(override.budget || {}) },
+        glossary: [...toList(base.glossary), ...toList(override.glossary)],
+    };
+};
+
+/**
+ * 读取配置文件并解析出最终生效的 profile 设置。
+ * 文件中的相对路径（prompts、style、glossary、output.dir）以配置文件所在目录为基准。
+ * 没有配置文件且未指定 --profile 时返回 null。
+ */
+export const resolveProjectProfile = ({
+    projectRoot,
+    configPath = null,
+    profileName = null,
+}) => {
+    const configFile = findProjectConfigFile(projectRoot, configPath);
+    if (!configFile) {
+        if (profileName) {
+            throw new Error(
+                `--profile "${profileName}" needs a project config file (${PROJECT_CONFIG_FILE_NAMES.join(", ")}).`,
+            );
+        }
+        return null;
+    }
+
+    const projectConfig = loadProjectConfig(configFile);
+    if (profileName && !projectConfig.profiles[profileName]) {
+        const available = Object.keys(projectConfig.profiles);
+        throw new Error(
+            `Unknown profile "${profileName}" in ${path.basename(configFile)}. Available: ${available.length > 0 ? available.join(", ") : "none"}.`,
+        );
+    }
+
+    const merged = mergeProfiles(
+        projectConfig.defaults,
+        profileName ? projectConfig.profiles[profileName] : {},
+    );
+    const configDir = path.dirname(configFile);
+    const resolveFile = (file) => path.resolve(configDir, file);
+
+    // prompt 与风格指南在这里就完成读取和占位符校验，保证出错时还没有发出任何请求
+    const promptTemplates = {};
+    for (const [mode, file] of Object.entries(merged.prompts)) {
+        promptTemplates[mode] = loadPromptTemplateFile(resolveFile(file));
+    }
+    const styleFile = merged.style ? resolveFile(merged.style) : null;
+
+    return {
+        configFile,
+        profileName,
+        pricing: projectConfig.pricing,
+        providers: projectConfig.providers,
+        settings: {
+            ...merged,
+            provider: merged.provider?.trim().toLowerCase(),
+            fallbackProvider: merged.fallbackProvider?.trim().toLowerCase(),
+            fallbacks: merged.fallbacks?.map((entry) => ({
+                ...entry,
+                provider: entry.provider.trim().toLowerCase(),
+            })),
+            promptFiles: Object.fromEntries(
+                Object.entries(merged.prompts).map(([mode, file]) => [mode, resolveFile(file)]),
+            ),
+            promptTemplates,
+            styleFile,
+            styleGuide: styleFile ? loadPromptTemplateFile(styleFile, "style") : null,
+            glossary: merged.glossary.map(resolveFile),
+            output: {
+                ...merged.output,
+                ...(merged.output.dir ? { dir: resolveFile(merged.output.dir) } : {}),
+            },
+        },
+    };
+};
@@ -0,0 +1,164 @@
+import fs from "fs";
+import path from "path";
+
+// =================== 翻译记忆 ===================
+// 追加写入的 JSONL 文件，跨任务保留。每行一条 { src, tgt, from, to, mode, ts }，
+// 同一 key 以最后一行为准，因此修订后的译文会自然覆盖旧记录。
+
+const NEAR_MATCH_MIN_LENGTH = 20;
+const NEAR_MATCH_MIN_SCORE = 0.75;
+const NEAR_MATCH_LIMIT = 3;
+
+export const normalizeMemorySegment = (value) =>
+    String(value ?? "").replace(/\s+/g, " ").trim();
+
+const buildScopeKey = ({ sourceLanguage, targetLanguage, mode }) =>
+    `${sourceLanguage}|${targetLanguage}|${mode}`;
+
+// 拉丁文字按词切分，CJK 等无空格文字按相邻字符二元组切分
+const tokenizeSegment = (value) => {
+    const text = String(value ?? "")
+        .replace(/<[^>]+>/g, " ")
+        .toLowerCase();
+    const tokens = new Set();
+    for (const word of text.match(/[\p{L}\p{N}]+/gu) || []) {
+        if (/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(word)) {
+            for (let index = 0; index < word.length - 1; index++) {
+                tokens.add(word.slice(index, index + 2));
+            }
+            if (word.length === 1) tokens.add(word);
+        } else if (word.length > 1) {
+            tokens.add(word);
+        }
+    }
+    return tokens;
+};
+
+export const createTranslationMemory = ({ filePath, enabled = true } = {}) => {
+    // scopeKey -> { entries: Map<src, entry>, index: Map<token, Set<src>>, tokenCounts: Map<src, number> }
+    const scopes = new Map();
+    const stats = { exactHits: 0, nearHits: 0, recorded: 0 };
+
+    const getScope = (scope) => {
+        const scopeKey = buildScopeKey(scope);
+        if (!scopes.has(scopeKey)) {
+            scopes.set(scopeKey, {
+                entries: new Map(),
+                index: new Map(),
+                tokenCounts: new Map(),
+            });
+        }
+        return scopes.get(scopeKey);
+    };
+
+    const indexEntry = (scopeData, entry) => {
+        const previous = scopeData.entries.get(entry.src);
+        scopeData.entries.set(entry.src, entry);
+        if (previous) return;
+        const tokens = tokenizeSegment(entry.src);
+        scopeData.tokenCounts.set(entry.src, tokens.size);
+        for (const token of tokens) {
+            if (!scopeData.index.has(token)) scopeData.index.set(token, new Set());
+            scopeData.index.get(token).add(entry.src);
+        }
+    };
+
+    if (enabled && filePath && fs.existsSync(filePath)) {
+        const lines = fs.readFileSync(filePath, "utf8").split("\n");
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                if (!entry?.src || !entry?.tgt) continue;
+                indexEntry(
+                    getScope({
+                        sourceLanguage: entry.from,
+                        targetLanguage: entry.to,
+                        mode: entry.mode,
+                    }),
+                    entry,
+                );
+            } catch {
+                // 跳过写坏的行（例如进程中断时写了一半）
+            }
+        }
+    }
+
+    const lookupExact = (scope, source) => {
+        if (!enabled) return null;
+        const entry = getScope(scope).entries.get(normalizeMemorySegment(source));
+        if (!entry) return null;
+        stats.exactHits++;
+        return entry.tgt;
+    };
+
+    const findSimilar = (
+        scope,
+        source,
+        { limit = NEAR_MATCH_LIMIT, minScore = NEAR_MATCH_MIN_SCORE } = {},
+    ) => {
+        if (!enabled) return [];
+        const normalized = normalizeMemorySegment(source);
+        if (normalized.length < NEAR_MATCH_MIN_LENGTH) return [];
+
+        const scopeData = getScope(scope);
+        const tokens = tokenizeSegment(normalized);
+        if (tokens.size === 0) return [];
+        const sharedCounts = new Map();
+        for (const token of tokens) {
+            for (const src of scopeData.index.get(token) || []) {
+                sharedCounts.set(src, (sharedCounts.get(src) || 0) + 1);
+            }
+        }
+
+        // Dice 系数：2 × 共有词数 / 两边词数之和
+        const matches = [];
+        for (const [src, shared] of sharedCounts) {
+            if (src === normalized) continue;
+            const score =
+                (2 * shared) / (tokens.size + scopeData.tokenCounts.get(src));
+            if (score >= minScore) {
+                matches.push({ source: src, translation: scopeData.entries.get(src).tgt, score });
+            }
+        }
+        matches.sort((a, b) => b.score - a.score);
+        if (matches.length > 0) stats.nearHits++;
+        return matches.slice(0, limit);
+    };
+
+    const record = (scope, source, translation) => {
+        if (!enabled || !filePath) return;
+        const src = normalizeMemorySegment(source);
+        const tgt = String(translation ?? "").trim();
+        if (!src || !tgt) return;
+
+        const scopeData = getScope(scope);
+        if (scopeData.entries.get(src)?.tgt === tgt) return;
+
+        const entry = {
+            src,
+            tgt,
+            from: scope.sourceLanguage,
+            to: scope.targetLanguage,
+            mode: scope.mode,
+            ts: new Date().toISOString(),
+        };
+        indexEntry(scopeData, entry);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.appendFileSync(filePath, `${JSON.stringify(entry)}\n`, "utf8");
+        stats.recorded++;
+    };
+
+    const size = () =>
+        [...scopes.values()].reduce((total, scopeData) => total + scopeData.entries.size, 0);
+
+    return {
+        enabled: Boolean(enabled && filePath),
+        filePath,
+        lookupExact,
+        findSimilar,
+        record,
+        size,
+        stats,
+    };
+};
@@ -0,0 +1,254 @@
+import { AsyncLocalStorage } from "async_hooks";
+import fs from "fs";
+import path from "path";
+
+// =================== Token 用量统计 ===================
+const EMPTY_USAGE = {
+    requests: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0,
+};
+
+// 价格单位：每百万 token，币种由价格表的 currency 决定
+const TOKENS_PER_PRICE_UNIT = 1_000_000;
+
+const createBucket = () => ({ ...EMPTY_USAGE, cost: 0, unpricedRequests: 0 });
+
+const addToBucket = (bucket, entry) => {
+    bucket.requests += 1;
+    bucket.promptTokens += entry.promptTokens;
+    bucket.completionTokens += entry.completionTokens;
+    bucket.totalTokens += entry.totalTokens;
+    if (entry.cost === null) {
+        bucket.unpricedRequests += 1;
+    } else {
+        bucket.cost += entry.cost;
+    }
+};
+
+export const estimateCost = (pricing, modelName, promptTokens, completionTokens) => {
+    const price = pricing?.models?.[modelName];
+    if (!price) return null;
+    return (
+        (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) /
+        TOKENS_PER_PRICE_UNIT
+    );
+};
+
+// dry-run 预估用：CJK / 假名 / 谚文大约一字一个 token，其余字符按 4 个一个 token 粗算
+const WIDE_CHAR_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+
+export const estimateTokenCount = (text) => {
+    const value = String(text ?? "");
+    const wideChars = value.match(WIDE_CHAR_PATTERN)?.length || 0;
+    return wideChars + Math.ceil((value.length - wideChars) / 4);
+};
+
+export const roundCost = (value) => Math.round(value * 1_000_000) / 1_000_000;
+
+const formatTokenCount = (value) => value.toLocaleString("en-US");
+
+// 批量模式下各文件的任务并发运行，每个任务在 runUsageJob 里执行并带一个独立标记；
+// 任务内打开的 scope 只接收同一标记的请求。经由批处理队列发出的请求不在任务的异步上下文里，
+// 由调用方在 usageContext.job 里带上 currentUsageJob()
+const usageJobStorage = new AsyncLocalStorage();
+
+export const runUsageJob = (fn) => usageJobStorage.run(Symbol("usage-job"), fn);
+
+export const currentUsageJob = () => usageJobStorage.getStore() ?? null;
+
+/**
+ * 单个任务的用量明细，按步骤、章节、provider 三个维度汇总。
+ * 批量模式下每个文件各开一个 scope，共用的 tracker 负责把记录分发给发出请求的任务的 scope。
+ */
+const createUsageReport = (pricing) => {
+    const totals = createBucket();
+    const byStep = new Map();
+    const byChapter = new Map();
+    const byProvider = new Map();
+    const unpricedModels = new Set();
+    let requestsWithoutUsage = 0;
+
+    const bucketFor = (map, key) => {
+        if (!map.has(key)) map.set(key, createBucket());
+        return map.get(key);
+    };
+
+    const add = (entry) => {
+        addToBucket(totals, entry);
+        addToBucket(bucketFor(byStep, entry.step), entry);
+        addToBucket(bucketFor(byProvider, `${entry.provider}/${entry.model}`), entry);
+        if (entry.chapter) addToBucket(bucketFor(byChapter, entry.chapter), entry);
+        if (entry.cost === null) unpricedModels.add(entry.model);
+        if (!entry.reported) requestsWithoutUsage += 1;
+    };
+
+    const toPlain = (bucket) => ({
+        ...bucket,
+        cost: pricing ? roundCost(bucket.cost) : null,
+    });
+    const mapToPlain = (map) =>
+        Object.fromEntries(
+            [...map.entries()]
+                .sort((a, b) => b[1].totalTokens - a[1].totalTokens)
+                .map(([key, bucket]) => [key, toPlain(bucket)]),
+        );
+
+    const summarize = () => ({
+        currency: pricing ? pricing.currency || "USD" : null,
+        totals: toPlain(totals),
+        byStep: mapToPlain(byStep),
+        byProvider: mapToPlain(byProvider),
+        byChapter: Object.fromEntries(
+            [...byChapter.entries()].map(([key, bucket]) => [key, toPlain(bucket)]),
+        ),
+        unpricedModels: pricing ? [...unpricedModels] : [],
+        requestsWithoutUsage,
+    });
+
+    const write = (filePath) => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const payload = { generatedAt: new Date().toISOString(), ...summarize() };
+        fs.writeFileSync(filePath, `${JSON.stringify(payload, null, 2)}\n`, "utf8");
+    };
+
+    const formatCost = (bucket) =>
+        pricing && bucket.requests > bucket.unpricedRequests
+            ? ` ≈ ${roundCost(bucket.cost).toFixed(4)} ${pricing.currency || "USD"}${bucket.unpricedRequests > 0 ? " (partial)" : ""}`
+            : "";
+
+    const formatLines = () => {
+        if (totals.requests === 0) return ["📊 Token usage: no API requests"];
+        const lines = [
+            `📊 Token usage: ${formatTokenCount(totals.totalTokens)} tokens (prompt ${formatTokenCount(totals.promptTokens)} / completion ${formatTokenCount(totals.completionTokens)}) in ${totals.requests} request(s)${formatCost(totals)}`,
+        ];
+        const formatBreakdown = (map) =>
+            [...map.entries()]
+                .sort((a, b) => b[1].totalTokens - a[1].totalTokens)
+                .map(([key, bucket]) => `${key} ${formatTokenCount(bucket.totalTokens)}${formatCost(bucket)}`)
+                .join(" · ");
+        lines.push(`   - By step: ${formatBreakdown(byStep)}`);
+        lines.push(`   - By provider: ${formatBreakdown(byProvider)}`);
+        if (pricing && unpricedModels.size > 0) {
+            lines.push(`   - ⚠️ No price for: ${[...unpricedModels].join(", ")}`);
+        }
+        if (requestsWithoutUsage > 0) {
+            lines.push(`   - ⚠️ ${requestsWithoutUsage} response(s) did not report token usage`);
+        }
+        return lines;
+    };
+
+    return { add, summarize, write, formatLines };
+};
+
+// =================== 预算上限 ===================
+const BUDGET_EXCEEDED = "BUDGET_EXCEEDED";
+
+export const isBudgetExceededError = (error) => error?.code === BUDGET_EXCEEDED;
+
+const formatBudgetLimit = (name, limit, currency) =>
+    name === "maxCost"
+        ? `cost limit ${limit} ${currency}`
+        : name === "unpricedModel"
+          ? `cost limit cannot be tracked, no price for ${limit}`
+        : name === "maxTokens"
+          ? `token limit ${formatTokenCount(limit)}`
+          : `request limit ${formatTokenCount(limit)}`;
+
+/**
+ * limits: { maxTokens, maxCost, maxRequests }，任一达到后拒绝发出新请求。
+ * 请求数在发出时计数（失败的请求也算），token 与费用在响应返回后累计，
+ * 所以已经在途的请求会照常完成，总量可能略超上限。
+ * 设了 maxCost 时，没有价格的模型产生的用量无法计费，视同预算用完。
+ */
+export const createUsageTracker = ({ pricing = null, limits = null } = {}) => {
+    const totals = { ...EMPTY_USAGE, cost: 0 };
+    const openScopes = new Set();
+    let startedRequests = 0;
+    let budgetReason = null;
+
+    const checkLimits = () => {
+        if (budgetReason || !limits) return;
+        const currency = pricing?.currency || "USD";
+        if (limits.maxTokens && totals.totalTokens >= limits.maxTokens) {
+            budgetReason = formatBudgetLimit("maxTokens", limits.maxTokens, currency);
+        } else if (limits.maxCost && totals.cost >= limits.maxCost) {
+            budgetReason = formatBudgetLimit("maxCost", limits.maxCost, currency);
+        } else if (limits.maxRequests && startedRequests >= limits.maxRequests) {
+            budgetReason = formatBudgetLimit("maxRequests", limits.maxRequests, currency);
+        }
+    };
+
+    // provider 每次发请求前调用；预算已用完时抛出 code 为 BUDGET_EXCEEDED 的错误
+    const acquireRequest = () => {
+        checkLimits();
+        if (budgetReason) {
+            const error = new Error(`Budget reached: ${budgetReason}.`);
+            error.code = BUDGET_EXCEEDED;
+            throw error;
+        }
+        startedRequests += 1;
+    };
+
+    const budgetStatus = () => ({
+        exceeded: Boolean(budgetReason),
+        reason: budgetReason,
+        limits,
+        startedRequests,
+        used: { ...totals, cost: roundCost(totals.cost) },
+    });
+
+    // usage: { promptTokens, completionTokens, totalTokens }；context: { provider, model, step, chapter, job }
+    const record = (usage, context = {}) => {
+        const promptTokens = usage?.promptTokens || 0;
+        const completionTokens = usage?.completionTokens || 0;
+        const totalTokens = usage?.totalTokens ?? promptTokens + completionTokens;
+        totals.requests += 1;
+        totals.promptTokens += promptTokens;
+        totals.completionTokens += completionTokens;
+        totals.totalTokens += totalTokens;
+        const cost = pricing
+            ? estimateCost(pricing, context.model, promptTokens, completionTokens)
+            : null;
+        totals.cost += cost || 0;
+        if (limits?.maxCost && cost === null && !budgetReason) {
+            budgetReason = formatBudgetLimit("unpricedModel", context.model || "unknown");
+        }
+        checkLimits();
+
+        if (openScopes.size === 0) return;
+        const entry = {
+            provider: context.provider || "unknown",
+            model: context.model || "unknown",
+            step: context.step || "other",
+            chapter: context.chapter || null,
+            promptTokens,
+            completionTokens,
+            totalTokens,
+            reported: Boolean(usage),
+            cost,
+        };
+        const job = context.job ?? currentUsageJob();
+        for (const scope of openScopes) {
+            if (!scope.owner || scope.owner === job) scope.report.add(entry);
+        }
+    };
+
+    const snapshot = () => ({ ...totals });
+
+    // 打开一个任务级统计；close 之后不再接收记录。在 runUsageJob 里打开时只统计该任务的请求
+    const openScope = () => {
+        const report = createUsageReport(pricing);
+        const scope = { report, owner: currentUsageJob() };
+        openScopes.add(scope);
+        return { ...report, close: () => openScopes.delete(scope) };
+    };
+
+    return { record, snapshot, openScope, acquireRequest, budgetStatus };
+};
+
+export const diffUsage = (before = EMPTY_USAGE, after = EMPTY_USAGE) =>
+    Object.fromEntries(
+        Object.keys(EMPTY_USAGE).map((key) => [key, (after[key] || 0) - (before[key] || 0)]),
+    );
@@ -1,5 +1,46 @@
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import OpenAI from "openai";
+import { isProviderConfigured } from "../config.js";
+import { estimateTokenCount, isBudgetExceededError } from "../support/usage.js";
+import { createCircuitBreaker } from "./circuitBreaker.js";
+import { createMockCall } from "./mockProvider.js";
+import {
+    computeBackoffMs,
+    createRateLimiter,
+    isRateLimitError,
+} from "./rateLimiter.js";
+
+// 同一 provider 的限流器在整个进程内共用（主 provider、术语表 provider、批量模式的各个任务）
+const rateLimiters = new Map();
+
+const getRateLimiter = (providerName, providerConfig) => {
+    if (!rateLimiters.has(providerName)) {
+        rateLimiters.set(
+            providerName,
+            createRateLimiter({
+                concurrency: providerConfig.concurrency,
+                requestsPerMinute: providerConfig.requestsPerMinute,
+                tokensPerMinute: providerConfig.tokensPerMinute,
+            }),
+        );
+    }
+    return rateLimiters.get(providerName);
+};
+
+// 熔断器按 provider + 模型区分，同样在进程内共用
+const circuitBreakers = new Map();
+
+const getCircuitBreaker = (providerName, modelName) => {
+    const key = `${providerName}:${modelName}`;
+    if (!circuitBreakers.has(key)) circuitBreakers.set(key, createCircuitBreaker());
+    return circuitBreakers.get(key);
+};
+
+// 日志里 REQUEST 与 RESPONSE 条目用同一个编号配对，mock provider 回放日志时依赖它
+let nextRequestId = 1;
+
+// 429 在 callAI 内部按退避重试，不占用调用方（batch 队列、callAIWithRetry）的重试次数
+const MAX_RATE_LIMIT_RETRIES = 4;
 
 export const isContentPolicyError = (err) => {
     const message = String(err?.message || "").toLowerCase();
@@ -29,17 +70,64 @@ export const isContentPolicyError = (err) => {
     return !excludedSignals.some((token) => message.includes(token));
 };
 
-const buildDeprecatedModelGuidance = (client, err) => {
-    const message = String(err?.message || "");
-    const normalized = message.toLowerCase();
-    const isDeprecatedModelError =
+const isDeprecatedModelError = (err) => {
+    const normalized = String(err?.message || "").toLowerCase();
+    return (
         normalized.includes("deprecated") ||
         normalized.includes("decommissioned") ||
         normalized.includes("no longer available") ||
         normalized.includes("model not found") ||
-        normalized.includes("unknown model");
+        normalized.includes("unknown model")
+    );
+};
+
+const isQuotaError = (err) => {
+    if (err?.status === 402) return true;
+    const normalized = `${err?.code || ""} ${err?.message || ""}`.toLowerCase();
+    return (
+        normalized.includes("insufficient_quota") ||
+        normalized.includes("exceeded your current quota") ||
+        normalized.includes("quota exceeded") ||
+        normalized.includes("insufficient balance") ||
+        normalized.includes("insufficient credits") ||
+        normalized.includes("arrearage")
+    );
+};
 
-    if (!isDeprecatedModelError) return null;
+const isTimeoutError = (err) =>
+    err?.code === "ETIMEDOUT" ||
+    err?.name === "APIConnectionTimeoutError" ||
+    /timed out|timeout/i.test(String(err?.message || ""));
+
+const isServerError = (err) => {
+    if (Number(err?.status) >= 500) return true;
+    if (err?.name === "APIConnectionError") return true;
+    if (["ECONNRESET", "ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"].includes(err?.code)) return true;
+    const normalized = String(err?.message || "").toLowerCase();
+    return (
+        normalized.includes("socket hang up") ||
+        normalized.includes("fetch failed") ||
+        normalized.includes("service unavailable") ||
+        normalized.includes("overloaded")
+    );
+};
+
+/**
+ * 把 provider 错误归类，用于 fallback 链路由和熔断。
+ * 返回 FALLBACK_ERROR_CLASSES 之一；请求本身有问题（如 400、返回格式不对）时返回 null。
+ */
+export const classifyProviderError = (err) => {
+    if (isContentPolicyError(err)) return "content-policy";
+    if (isDeprecatedModelError(err)) return "deprecated-model";
+    if (isQuotaError(err)) return "quota";
+    if (isRateLimitError(err)) return "rate-limit";
+    if (isTimeoutError(err)) return "timeout";
+    if (isServerError(err)) return "server-error";
+    return null;
+};
+
+const buildDeprecatedModelGuidance = (client, err) => {
+    if (!isDeprecatedModelError(err)) return null;
 
     const providerLine = `Provider: ${client.providerName}`;
     const modelLine = `Model: ${client.modelName}`;
@@ -65,7 +153,8 @@ const buildDeprecatedModelGuidance = (client, err) => {
     ].join("\n");
 };
 
-const withTimeout = async (promise, timeoutMs, timeoutLabel) => {
+// onTimeout 用于中止底层请求，避免超时后流式响应仍在后台写回节点
+const withTimeout = async (promise, timeoutMs, timeoutLabel, onTimeout = null) => {
     if (!Number.isFinite(timeoutMs) || timeoutMs <= 0) {
         return await promise;
     }
@@ -80,6 +169,7 @@ const withTimeout = async (promise, timeoutMs, timeoutLabel) => {
                         `${timeoutLabel} timed out after ${timeoutMs}ms`,
                     );
                     error.code = "ETIMEDOUT";
+                    onTimeout?.();
                     reject(error);
                 }, timeoutMs);
             }),
@@ -89,43 +179,200 @@ const withTimeout = async (promise, timeoutMs, timeoutLabel) => {
     }
 };
 
-const buildProviderClient = (providerName, config) => {
-    const providerConfig = config[providerName];
-    if (!providerConfig) throw new Error(`Unknown provider: ${providerName}`);
+// Anthropic Messages API 要求显式给出输出上限；ANTHROPIC_MAX_TOKENS 可覆盖
+const ANTHROPIC_MAX_TOKENS = 8192;
+const ANTHROPIC_VERSION = "2023-06-01";
 
-    let _callRaw;
+// 回复被输出上限截断：最后一个节点只有半截译文。批处理队列遇到它会把 batch 拆小再请求
+const OUTPUT_TRUNCATED = "OUTPUT_TRUNCATED";
 
-    if (providerName === "gemini") {
-        const genAI = new GoogleGenerativeAI(providerConfig.apiKey);
-        const model = genAI.getGenerativeModel({
-            model: providerConfig.modelName,
+export const isOutputTruncatedError = (error) => error?.code === OUTPUT_TRUNCATED;
+
+const createGeminiCall = (providerConfig) => {
+    const genAI = new GoogleGenerativeAI(providerConfig.apiKey);
+    const model = genAI.getGenerativeModel({
+        model: providerConfig.modelName,
+    });
+    // JSON 批量格式下要求返回 JSON；Gemini 的 schema 写法与 JSON Schema 不同，不提交 schema
+    return async (systemInstruction, userContent, forceJson, { responseSchema } = {}) => {
+        const prompt = `${systemInstruction}\n\nUser Input:\n${userContent}`;
+        const result = await model.generateContent(
+            forceJson && responseSchema
+                ? {
+                      contents: [{ role: "user", parts: [{ text: prompt }] }],
+                      generationConfig: { responseMimeType: "application/json" },
+                  }
+                : prompt,
+        );
+        const response = await result.response;
+        const usage = response.usageMetadata;
+        return {
+            text: response.text().trim(),
+            usage: usage
+                ? {
+                      promptTokens: usage.promptTokenCount || 0,
+                      completionTokens: usage.candidatesTokenCount || 0,
+                      totalTokens: usage.totalTokenCount ?? null,
+                  }
+                : null,
+        };
+    };
+};
+
+// 没有官方 SDK 依赖，直接请求 /v1/messages；错误对象带上 status 与 headers，供限流和 fallback 分类
+const createAnthropicCall = (providerConfig) => {
+    const endpoint = `${String(providerConfig.baseURL).replace(/\/+$/, "")}/v1/messages`;
+    const maxTokens = providerConfig.maxTokens || ANTHROPIC_MAX_TOKENS;
+    return async (systemInstruction, userContent, forceJson, { signal } = {}) => {
+        const response = await fetch(endpoint, {
+            method: "POST",
+            headers: {
+                "content-type": "application/json",
+                "x-api-key": providerConfig.apiKey,
+                "anthropic-version": ANTHROPIC_VERSION,
+                ...providerConfig.headers,
+            },
+            body: JSON.stringify({
+                model: providerConfig.modelName,
+                max_tokens: maxTokens,
+                // Messages API 没有 JSON 模式，只能在 system 里要求
+                system: forceJson
+                    ? `${systemInstruction}\n\nRespond with a single valid JSON object and nothing else.`
+                    : systemInstruction,
+                messages: [{ role: "user", content: userContent }],
+            }),
+            signal,
         });
-        _callRaw = async (systemInstruction, userContent) => {
-            const result = await model.generateContent(
-                `${systemInstruction}\n\nUser Input:\n${userContent}`,
+        const payload = await response.json().catch(() => null);
+        const usage = payload?.usage
+            ? {
+                  promptTokens: payload.usage.input_tokens || 0,
+                  completionTokens: payload.usage.output_tokens || 0,
+                  totalTokens: null,
+              }
+            : null;
+        if (!response.ok) {
+            const error = new Error(
+                `${response.status} ${payload?.error?.type || response.statusText}: ${payload?.error?.message || "Anthropic request failed"}`,
+            );
+            error.status = response.status;
+            error.headers = response.headers;
+            throw error;
+        }
+        // 拒答和截断的回复同样已经计费，错误带上 usage，由 callWithClient 计入用量与预算
+        if (payload?.stop_reason === "refusal") {
+            const error = new Error("Anthropic declined the request (content policy refusal).");
+            error.usage = usage;
+            throw error;
+        }
+        if (payload?.stop_reason === "max_tokens") {
+            const error = new Error(
+                `Anthropic response was cut off at max_tokens (${maxTokens}); raise ANTHROPIC_MAX_TOKENS or use smaller batches.`,
             );
-            return (await result.response).text().trim();
+            error.code = OUTPUT_TRUNCATED;
+            error.usage = usage;
+            throw error;
+        }
+        return {
+            text: (payload?.content || [])
+                .filter((block) => block.type === "text")
+                .map((block) => block.text)
+                .join("")
+                .trim(),
+            usage,
         };
-    } else {
-        const client = new OpenAI({
-            apiKey: providerConfig.apiKey,
-            baseURL: providerConfig.baseURL,
-            timeout: providerConfig.timeoutMs,
-        });
-        _callRaw = async (systemInstruction, userContent, forceJson) => {
-            const options = {
-                model: providerConfig.modelName,
-                messages: [
-                    { role: "system", content: systemInstruction },
-                    { role: "user", content: userContent },
-                ],
-                ...(providerConfig.requestOptions || {}),
-                ...(forceJson && { response_format: { type: "json_object" } }),
-            };
-            const completion = await client.chat.completions.create(options);
-            return completion.choices[0].message.content.trim();
+    };
+};
+
+const createOpenAICompatibleCall = (providerConfig) => {
+    const client = new OpenAI({
+        // 本地服务不校验 key，但 SDK 要求必须有值
+        apiKey: providerConfig.apiKey || (providerConfig.local ? "not-needed" : undefined),
+        baseURL: providerConfig.baseURL,
+        defaultHeaders: providerConfig.headers,
+        timeout: providerConfig.timeoutMs,
+        // SDK 自带的重试看不到限流器，统一由 callAI 与调用方重试
+        maxRetries: 0,
+    });
+    const toUsage = (usage) =>
+        usage
+            ? {
+                  promptTokens: usage.prompt_tokens || 0,
+                  completionTokens: usage.completion_tokens || 0,
+                  totalTokens: usage.total_tokens ?? null,
+              }
+            : null;
+
+    // batchFormat 为 json-schema 时，带 responseSchema 的请求走 structured outputs，其余 JSON 请求用 json_object
+    const toResponseFormat = (responseSchema) =>
+        responseSchema && providerConfig.batchFormat === "json-schema"
+            ? {
+                  type: "json_schema",
+                  json_schema: { name: "translations", strict: true, schema: responseSchema },
+              }
+            : { type: "json_object" };
+
+    // onPartialText 存在且 provider 开启 stream 时流式接收，每收到一段就把累计文本交给调用方
+    return async (
+        systemInstruction,
+        userContent,
+        forceJson,
+        { signal, onPartialText, responseSchema } = {},
+    ) => {
+        const options = {
+            model: providerConfig.modelName,
+            messages: [
+                { role: "system", content: systemInstruction },
+                { role: "user", content: userContent },
+            ],
+            ...(providerConfig.requestOptions || {}),
+            ...(forceJson && { response_format: toResponseFormat(responseSchema) }),
         };
+        if (!providerConfig.stream || !onPartialText) {
+            const completion = await client.chat.completions.create(options, { signal });
+            return {
+                text: completion.choices[0].message.content.trim(),
+                usage: toUsage(completion.usage),
+            };
+        }
+
+        const stream = await client.chat.completions.create(
+            { ...options, stream: true, stream_options: { include_usage: true } },
+            { signal },
+        );
+        let text = "";
+        let usage = null;
+        for await (const chunk of stream) {
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (delta) {
+                text += delta;
+                onPartialText(text);
+            }
+            // 用量在最后一个 chunk 里返回，不是所有兼容服务都支持
+            if (chunk.usage) usage = chunk.usage;
+        }
+        return { text: text.trim(), usage: toUsage(usage) };
+    };
+};
+
+const CALL_FACTORIES = {
+    gemini: createGeminiCall,
+    anthropic: createAnthropicCall,
+    "openai-compatible": createOpenAICompatibleCall,
+    mock: createMockCall,
+};
+
+const buildProviderClient = (providerName, config) => {
+    const providerConfig = config[providerName];
+    if (!providerConfig) throw new Error(`Unknown provider: ${providerName}`);
+    if (!providerConfig.modelName) {
+        throw new Error(`No model configured for provider ${providerName}.`);
+    }
+    const createCall = CALL_FACTORIES[providerConfig.type || "openai-compatible"];
+    if (!createCall) {
+        throw new Error(`Unknown provider type for ${providerName}: ${providerConfig.type}`);
     }
+    const _callRaw = createCall(providerConfig);
 
     return {
         providerName,
@@ -133,102 +380,234 @@ const buildProviderClient = (providerName, config) => {
         modelName: providerConfig.modelName,
         concurrency: providerConfig.concurrency,
         callRaw: _callRaw,
+        rateLimiter: getRateLimiter(providerName, providerConfig),
     };
 };
 
+const describeClient = (client) => `${client.providerName} (${client.modelName})`;
+
+/**
+ * fallbackChain: [{ provider, model, on: ["content-policy", "timeout", ...] }]，按顺序尝试。
+ * 当前 provider 出错时，跳到下一个 on 包含该错误类别的条目；处于熔断期的条目直接跳过。
+ */
 export const createAIProvider = (
     providerName,
     config,
     logger,
-    fallbackProviderName = null,
-    fallbackOnContentPolicy = false,
+    fallbackChain = [],
+    usageTracker = null,
 ) => {
     const primaryClient = buildProviderClient(providerName, config);
-    const shouldEnableFallback =
-        Boolean(fallbackOnContentPolicy) &&
-        Boolean(fallbackProviderName) &&
-        fallbackProviderName !== providerName;
-    const fallbackClient = shouldEnableFallback
-        ? buildProviderClient(fallbackProviderName, config)
-        : null;
+    const chain = [{ client: primaryClient, on: null }];
+    for (const entry of fallbackChain || []) {
+        const entryConfig = config[entry.provider];
+        if (!isProviderConfigured(entryConfig)) {
+            logger.write(
+                "WARN",
+                `Fallback ${entry.provider} (${entry.model || entryConfig?.modelName}) skipped: no API key configured.`,
+            );
+            continue;
+        }
+        const client = buildProviderClient(entry.provider, {
+            ...config,
+            [entry.provider]: {
+                ...entryConfig,
+                modelName: entry.model || entryConfig.modelName,
+            },
+        });
+        if (client.providerName === providerName && client.modelName === primaryClient.modelName) {
+            continue;
+        }
+        chain.push({ client, on: new Set(entry.on) });
+    }
+    for (const { client } of chain) {
+        client.circuitBreaker = getCircuitBreaker(client.providerName, client.modelName);
+    }
 
     const callWithClient = async (
         client,
         userContent,
         systemInstruction,
         forceJsonMode,
+        usageContext,
+        callOptions,
     ) => {
-        logger.write(
-            "REQUEST",
-            `PROVIDER: ${client.providerName}\nMODEL: ${client.modelName}\nTIMEOUT_MS: ${client.providerConfig.timeoutMs ?? "none"}\nSYSTEM:\n${systemInstruction}\n\nUSER:\n${userContent}`,
-        );
-        const startedAt = Date.now();
-        const responseText = await withTimeout(
-            client.callRaw(
-                systemInstruction,
-                userContent,
-                forceJsonMode,
-            ),
-            client.providerConfig.timeoutMs,
-            `${client.providerName}:${client.modelName}`,
-        );
+        // 输出长度按与输入相当预占 TPM
+        const estimatedTokens =
+            estimateTokenCount(systemInstruction) + 2 * estimateTokenCount(userContent);
+        let startedAt;
+        let requestId;
+        // 流式响应中断（连接断开、超时）时没有 usage，按已收到的文本估算
+        let partialText = "";
+        const onPartialText =
+            callOptions?.onPartialText &&
+            ((text) => {
+                partialText = text;
+                callOptions.onPartialText(text);
+            });
+        const recordUsage = (usage) =>
+            usageTracker?.record(usage, {
+                ...usageContext,
+                provider: client.providerName,
+                model: client.modelName,
+            });
+        let result;
+        try {
+            result = await client.rateLimiter.schedule(estimatedTokens, () => {
+                // 预算用完时在发出请求之前就停下
+                usageTracker?.acquireRequest();
+                requestId = nextRequestId++;
+                logger.write(
+                    "REQUEST",
+                    `PROVIDER: ${client.providerName}\nMODEL: ${client.modelName}\nREQUEST_ID: ${requestId}\nTIMEOUT_MS: ${client.providerConfig.timeoutMs ?? "none"}\nSYSTEM:\n${systemInstruction}\n\nUSER:\n${userContent}`,
+                );
+                startedAt = Date.now();
+                const controller = new AbortController();
+                return withTimeout(
+                    client.callRaw(systemInstruction, userContent, forceJsonMode, {
+                        usageContext,
+                        signal: controller.signal,
+                        onPartialText,
+                        responseSchema: callOptions?.responseSchema,
+                    }),
+                    client.providerConfig.timeoutMs,
+                    `${client.providerName}:${client.modelName}`,
+                    () => controller.abort(),
+                );
+            });
+        } catch (error) {
+            // 请求已经发出、并且产生了用量（截断、拒答、流式中途失败）时照样计入预算
+            const billedUsage =
+                error?.usage ??
+                (partialText
+                    ? {
+                          promptTokens:
+                              estimateTokenCount(systemInstruction) + estimateTokenCount(userContent),
+                          completionTokens: estimateTokenCount(partialText),
+                          totalTokens: null,
+                      }
+                    : null);
+            if (requestId !== undefined && billedUsage) recordUsage(billedUsage);
+            throw error;
+        }
+        const { text: responseText, usage } = result;
+        recordUsage(usage);
         logger.write(
             "RESPONSE",
-            `PROVIDER: ${client.providerName}\nMODEL: ${client.modelName}\nELAPSED_MS: ${Date.now() - startedAt}\n${responseText}`,
+            `PROVIDER: ${client.providerName}\nMODEL: ${client.modelName}\nREQUEST_ID: ${requestId}\nELAPSED_MS: ${Date.now() - startedAt}${usage ? `\nTOKENS: prompt=${usage.promptTokens} completion=${usage.completionTokens}` : ""}\n${responseText}`,
         );
         return responseText;
     };
 
+    const callWithRateLimitRetry = async (client, ...args) => {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await callWithClient(client, ...args);
+            } catch (e) {
+                // 额度用尽同样返回 429，但等待没有意义
+                if (classifyProviderError(e) !== "rate-limit" || attempt > MAX_RATE_LIMIT_RETRIES) {
+                    throw e;
+                }
+                const { previousLimit, concurrencyLimit } = client.rateLimiter.recordThrottle(e);
+                const delayMs = computeBackoffMs(attempt, e);
+                logger.write(
+                    "WARN",
+                    `Rate limited by ${client.providerName} (attempt ${attempt}/${MAX_RATE_LIMIT_RETRIES}), retrying in ${Math.round(delayMs)}ms${concurrencyLimit < previousLimit ? `; concurrency ${previousLimit} -> ${concurrencyLimit}` : ""}: ${e.message}`,
+                );
+                await new Promise((r) => setTimeout(r, delayMs));
+            }
+        }
+    };
+
+    const callThroughChain = async (args) => {
+        let lastError = null;
+        let lastErrorClass = null;
+        let attempted = false;
+
+        for (const [index, { client, on }] of chain.entries()) {
+            if (index > 0 && !on.has(lastErrorClass)) continue;
+            if (!client.circuitBreaker.allowRequest()) {
+                lastErrorClass ??= client.circuitBreaker.snapshot().lastErrorClass;
+                logger.write(
+                    "WARN",
+                    `Skipping ${describeClient(client)}: circuit open after repeated ${client.circuitBreaker.snapshot().lastErrorClass} errors.`,
+                );
+                continue;
+            }
+
+            attempted = true;
+            // allowRequest 放行时 probing 为 true，说明这次就是半开状态下的试探请求
+            const isProbe = client.circuitBreaker.snapshot().probing;
+            try {
+                const text = await callWithRateLimitRetry(client, ...args);
+                client.circuitBreaker.recordSuccess();
+                return text;
+            } catch (e) {
+                if (isBudgetExceededError(e)) throw e;
+                const errorClass = classifyProviderError(e);
+                if (client.circuitBreaker.recordFailure(errorClass)) {
+                    console.warn(
+                        `⚠️  ${describeClient(client)} keeps failing (${errorClass}); ${chain.length > 1 ? "routing requests to fallbacks for a while" : "pausing it briefly"}.`,
+                    );
+                }
+                const guidance = buildDeprecatedModelGuidance(client, e);
+                if (guidance) {
+                    e.message = `${e.message}\n\n${guidance}`;
+                }
+                lastError = e;
+                lastErrorClass = errorClass;
+                // 与 provider 可用性无关的错误交给调用方重试
+                if (!errorClass) break;
+                logger.write(
+                    "WARN",
+                    `${index === 0 ? "Primary" : "Fallback"} ${describeClient(client)} failed (${errorClass}): ${e.message}`,
+                );
+            } finally {
+                if (isProbe) client.circuitBreaker.releaseProbe();
+            }
+        }
+
+        // 整条链都在熔断期时仍然试一次主 provider，不因熔断本身而失败
+        if (!attempted) {
+            try {
+                const text = await callWithRateLimitRetry(primaryClient, ...args);
+                primaryClient.circuitBreaker.recordSuccess();
+                return text;
+            } catch (e) {
+                if (isBudgetExceededError(e)) throw e;
+                primaryClient.circuitBreaker.recordFailure(classifyProviderError(e));
+                lastError = e;
+            }
+        }
+        throw lastError;
+    };
+
+    // usageContext: { step, chapter }，用于按步骤 / 章节汇总 token 用量
+    // callOptions.onPartialText(text)：流式响应时收到的累计文本；重试或切换 fallback 后从头开始
+    // callOptions.responseSchema：JSON 批量格式的输出结构，支持 structured outputs 的 provider 会提交给接口
     const callAI = async (
         userContent,
         systemInstruction,
         forceJsonMode = false,
+        usageContext = null,
+        callOptions = null,
     ) => {
         if (!userContent?.trim()) return "";
         try {
-            return await callWithClient(
-                primaryClient,
+            return await callThroughChain([
                 userContent,
                 systemInstruction,
                 forceJsonMode,
-            );
+                usageContext,
+                callOptions,
+            ]);
         } catch (e) {
-            if (fallbackClient && isContentPolicyError(e)) {
+            if (!isBudgetExceededError(e)) {
                 logger.write(
-                    "WARN",
-                    `Content policy triggered on provider "${primaryClient.providerName}". Falling back to "${fallbackClient.providerName}". Original error: ${e.message}`,
+                    "ERROR",
+                    `callAI Failed: ${e.stack || e.message}`,
                 );
-                try {
-                    return await callWithClient(
-                        fallbackClient,
-                        userContent,
-                        systemInstruction,
-                        forceJsonMode,
-                    );
-                } catch (fallbackError) {
-                    const guidance = buildDeprecatedModelGuidance(
-                        fallbackClient,
-                        fallbackError,
-                    );
-                    if (guidance) {
-                        fallbackError.message = `${fallbackError.message}\n\n${guidance}`;
-                    }
-                    logger.write(
-                        "ERROR",
-                        `Fallback callAI Failed: ${fallbackError.stack || fallbackError.message}`,
-                    );
-                    throw fallbackError;
-                }
             }
-
-            const guidance = buildDeprecatedModelGuidance(primaryClient, e);
-            if (guidance) {
-                e.message = `${e.message}\n\n${guidance}`;
-            }
-            logger.write(
-                "ERROR",
-                `callAI Failed: ${e.stack || e.message}`,
-            );
             throw e;
         }
     };
@@ -238,6 +617,10 @@ export const createAIProvider = (
         concurrency: primaryClient.concurrency,
         modelName: primaryClient.modelName,
         providerName: primaryClient.providerName,
-        fallbackProviderName: fallbackClient?.providerName ?? null,
+        // 正文 batch 的收发格式由主 provider 决定，fallback 按各自能力提交 JSON 请求
+        batchFormat: primaryClient.providerConfig.batchFormat || "xml",
+        // 展示用，例如 "openrouter (x-ai/grok-4.3)"
+        fallbackLabels: chain.slice(1).map(({ client }) => describeClient(client)),
+        rateLimiter: primaryClient.rateLimiter,
     };
 };
@@ -0,0 +1,100 @@
+import { loadHtml } from "../utils.js";
+import { BILINGUAL_SOURCE_CLASS } from "../content/bilingual.js";
+import { decodeInlineText, escapeInlineText } from "./inlineMarkup.js";
+
+// =================== 属性与 SVG 文本 ===================
+// img@alt、@title 和 SVG 的 <text> 标签不在正文节点里（或随行内占位符原样还原），
+// 收集成纯文本条目，放进独立的文档单独分批翻译，译完再写回原来的属性或元素。
+export const TRANSLATABLE_ATTRIBUTES = ["alt", "title"];
+export const ATTRIBUTE_MARKER = "data-ta-id";
+
+// <link title> 是样式表名称，<head> 里的元素不面向读者
+const SKIPPED_ATTRIBUTE_TAGS = new Set(["html", "head", "link", "style", "script", "meta"]);
+const FILE_NAME_PATTERN = /^[\w.-]+\.(?:jpe?g|png|gif|svg|webp|bmp|tiff?)$/i;
+
+const isTranslatableText = (text) =>
+    /\p{L}/u.test(text) && !FILE_NAME_PATTERN.test(text);
+
+// 双语输出里的原文副本保留原文
+const isInBilingualSource = ($, el) =>
+    $(el).closest(`.${BILINGUAL_SOURCE_CLASS}`).length > 0;
+
+const SVG_TEXT_SELECTOR = "svg text, svg tspan";
+
+// SVG 里只取没有子元素的 <text> / <tspan>，坐标和样式留在原处；
+// 位于正文节点（带 markerAttrName）内的随正文一起翻译，这里排除
+export const findStandaloneSvgText = ($, markerAttrName) =>
+    new Set(
+        $(SVG_TEXT_SELECTOR)
+            .toArray()
+            .filter((el) => $(el).children().length === 0 && $(el).closest(`[${markerAttrName}]`).length === 0),
+    );
+
+/**
+ * 收集章节里待翻译的属性值与 SVG 文本；svgText 是 findStandaloneSvgText 在正文翻译前取得的元素。
+ * within 为元素列表时只收集这些元素内部的条目（重译只处理写回了新译文的节点）。
+ * 返回 [{ id, content, element, attribute }]，content 是转义后的纯文本；attribute 为 null 表示元素文字。
+ */
+export const collectAttributeEntries = ($, { svgText = new Set(), within = null } = {}) => {
+    const entries = [];
+    const root = $("body").length ? $("body") : $.root();
+    const scope = within ? new Set(within) : null;
+    const push = (element, attribute, rawText) => {
+        if (scope && !$(element).parents().toArray().some((parent) => scope.has(parent))) return;
+        const text = decodeInlineText(rawText).replace(/\s+/g, " ").trim();
+        if (!isTranslatableText(text)) return;
+        entries.push({
+            id: `attr_${entries.length}`,
+            content: escapeInlineText(text),
+            element,
+            attribute,
+        });
+    };
+
+    root.find(TRANSLATABLE_ATTRIBUTES.map((name) => `[${name}]`).join(", ")).each((_, el) => {
+        if (SKIPPED_ATTRIBUTE_TAGS.has(el.name) || isInBilingualSource($, el)) return;
+        for (const attribute of TRANSLATABLE_ATTRIBUTES) {
+            if (el.attribs[attribute] !== undefined) push(el, attribute, el.attribs[attribute]);
+        }
+    });
+
+    root.find(SVG_TEXT_SELECTOR).each((_, el) => {
+        if (!svgText.has(el) || isInBilingualSource($, el)) return;
+        push(el, null, $(el).text());
+    });
+
+    return entries;
+};
+
+export const ATTRIBUTE_TEXT_INSTRUCTIONS = `
+
+ATTRIBUTE TEXT: every node below is plain text taken from an image description (alt), a tooltip (title) or a label inside a figure. Translate it as a short, self-contained phrase and return plain text only, without markup.`;
+
+// 每个条目是独立文档里的一个 <t> 元素，批量队列按 ATTRIBUTE_MARKER 找到并写回
+export const buildAttributeDocument = (entries) =>
+    loadHtml(
+        `<attributes>${entries
+            .map((entry) => `<t ${ATTRIBUTE_MARKER}="${entry.id}">${entry.content}</t>`)
+            .join("")}</attributes>`,
+    );
+
+/**
+ * 把独立文档里的译文写回章节；仍带标记的条目（翻译失败）保留原文。
+ * 返回写回的条目数。
+ */
+export const applyAttributeTranslations = ($attributes, entries, $) => {
+    let applied = 0;
+    $attributes("t").each((index, el) => {
+        const entry = entries[index];
+        if (!entry || el.attribs[ATTRIBUTE_MARKER] !== undefined) return;
+        const text = decodeInlineText($attributes(el).text()).replace(/\s+/g, " ").trim();
+        if (!text) return;
+        if (entry.attribute) {
+            $(entry.element).attr(entry.attribute, escapeInlineText(text).replace(/"/g, "&quot;"));
+        } else {
+            $(entry.element).text(escapeInlineText(text));
+        }
+        applied += 1;
+    });
+    return applied;
+};
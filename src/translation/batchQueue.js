@@ -1,6 +1,15 @@
 import Queue from "better-queue";
 import * as cheerio from "cheerio";
 import { cleanAIResponse } from "../utils.js";
+import { isBudgetExceededError } from "../support/usage.js";
+import {
+    decodeInlineText,
+    escapeInlineText,
+    protectInlineMarkup,
+    restoreInlineMarkup,
+} from "./inlineMarkup.js";
+import { sleepBeforeRetry } from "./rateLimiter.js";
+import { isOutputTruncatedError } from "./aiProvider.js";
 
 const previewText = (text, maxLength = 300) => {
     const normalized = String(text ?? "").replace(/\s+/g, " ").trim();
@@ -39,70 +48,368 @@ const isTranslationMetaNote = (value) => {
     return false;
 };
 
+// 单词内部被 small/span 等切开的字母合并回去，再包成 <node id> 交给模型
+const INLINE_SPLIT_PATTERN = /([A-Za-z])<(small|span|strong|em)[^>]*>([\s\S]*?)<\/\2>/gi;
+
+const preprocessNodeContent = (content) =>
+    content.replace(
+        INLINE_SPLIT_PATTERN,
+        (match, p1, p2, p3) => (!p3.includes("<") ? p1 + p3 : match),
+    );
+
+// 每个节点的占位符版本 { text, tags }，同一 batch 的各次尝试共用
+export const protectBatchMarkup = (batch) =>
+    new Map(batch.map((n) => [n.id, protectInlineMarkup(preprocessNodeContent(n.content))]));
+
+// 传入 markupById 时节点正文是转义后的占位符文本，不再带原始标签
+export const formatBatchInput = (batch, markupById = null) =>
+    batch
+        .map((n) => {
+            const body = markupById
+                ? escapeInlineText(markupById.get(n.id).text)
+                : preprocessNodeContent(n.content);
+            return `<node id="${n.id}">${body}</node>`;
+        })
+        .join("\n");
+
+const INLINE_MARKER_RULES =
+    "Markers such as ⟨1⟩…⟨/1⟩ and ⟨2/⟩ stand for inline formatting (links, footnote references, styling). Keep every marker exactly once, around the corresponding translated words, keep marker pairs nested as in the input, and do not add HTML tags.";
+
+const XML_MARKER_INSTRUCTIONS = `
+
+INLINE MARKERS:
+${INLINE_MARKER_RULES}`;
+
+// 占位符还原成原始标签；XML 格式下译文仍是转义文本，出现真实标签说明模型没有按占位符输出
+const restoreNodeMarkup = (node, translation, markupById, rawResponse, { escaped = false } = {}) => {
+    try {
+        if (escaped && /<[^>]*>/.test(translation)) {
+            throw new Error("unexpected HTML tag instead of markers");
+        }
+        return restoreInlineMarkup(
+            escaped ? decodeInlineText(translation) : translation,
+            markupById.get(node.id).tags,
+        );
+    } catch (markupError) {
+        const invalidMarkupError = new Error(
+            `Node ${node.id} invalid inline markers: ${markupError.message}`,
+        );
+        invalidMarkupError.responsePreview = previewText(rawResponse);
+        throw invalidMarkupError;
+    }
+};
+
+// =================== JSON 批量格式 ===================
+// provider 的 batchFormat 为 json / json-schema 时，节点以 {id, text} 数组发送，译文以 {id, translation} 数组返回；
+// 行内标签总是换成占位符，模型不用处理 XML
+const JSON_BATCH_INSTRUCTIONS = `
+
+RESPONSE FORMAT (this replaces any earlier instruction about XML or <node> tags):
+The input is a JSON object {"items": [{"id": "...", "text": "..."}]}.
+Return only a JSON object {"translations": [{"id": "...", "translation": "..."}]} with exactly one entry per input item, using the same ids.
+${INLINE_MARKER_RULES}`;
+
+export const JSON_BATCH_SCHEMA = {
+    type: "object",
+    properties: {
+        translations: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    id: { type: "string" },
+                    translation: { type: "string" },
+                },
+                required: ["id", "translation"],
+                additionalProperties: false,
+            },
+        },
+    },
+    required: ["translations"],
+    additionalProperties: false,
+};
+
+export const formatJsonBatchInput = (batch, markupById) =>
+    JSON.stringify(
+        { items: batch.map((n) => ({ id: n.id, text: markupById.get(n.id).text })) },
+        null,
+        2,
+    );
+
+// 兼容直接返回数组的模型；按 id 索引译文
+const parseJsonBatchResponse = (rawResponse) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(rawResponse);
+    } catch (parseError) {
+        const error = new Error(`Batch response is not valid JSON: ${parseError.message}`);
+        error.responsePreview = previewText(rawResponse);
+        throw error;
+    }
+    const entries = Array.isArray(parsed) ? parsed : parsed?.translations;
+    if (!Array.isArray(entries)) {
+        const error = new Error(`Batch response has no "translations" array.`);
+        error.responsePreview = previewText(rawResponse);
+        throw error;
+    }
+    const translations = new Map();
+    for (const entry of entries) {
+        if (entry && typeof entry.translation === "string") {
+            translations.set(String(entry.id), entry.translation);
+        }
+    }
+    return translations;
+};
+
+// 流式响应里每出现一个完整的 <node id>…</node> 就回调一次。
+// push 收到的是当前请求的累计文本；文本不再以已扫描部分开头时（重试、切换 fallback）从头扫描
+const STREAMED_NODE_PATTERN = /<node id="([^"]+)">[\s\S]*?<\/node>/g;
+
+const createStreamedNodeCollector = (onNode) => {
+    let scannedPrefix = "";
+    let closed = false;
+
+    const push = (text) => {
+        if (closed) return;
+        if (!text.startsWith(scannedPrefix)) scannedPrefix = "";
+        const pattern = new RegExp(STREAMED_NODE_PATTERN.source, "g");
+        pattern.lastIndex = scannedPrefix.length;
+        let scannedUntil = scannedPrefix.length;
+        for (let match = pattern.exec(text); match; match = pattern.exec(text)) {
+            onNode(match[1], match[0]);
+            scannedUntil = pattern.lastIndex;
+        }
+        scannedPrefix = text.slice(0, scannedUntil);
+    };
+
+    // 请求结束（包括超时）后忽略迟到的片段
+    const close = () => {
+        closed = true;
+    };
+
+    return { push, close };
+};
+
+const MEMORY_REFERENCE_LIMIT = 5;
+
+const buildMemoryReferenceBlock = (matches) =>
+    matches.length === 0
+        ? ""
+        : `\n\nTRANSLATION MEMORY (similar segments translated earlier; reuse their wording and terminology where the meaning is the same, but translate the current text faithfully):\n${matches
+              .map((match) => `- SOURCE: ${match.source}\n  TRANSLATION: ${match.translation}`)
+              .join("\n")}`;
+
+const writeBackNode = (processor, $target, node, content) => {
+    if (typeof processor.writeBack === "function") {
+        processor.writeBack($target, content);
+    } else {
+        $target.html(content);
+    }
+    $target.removeAttr(processor.attrName);
+    processor.afterWriteBack?.(node, content, $target);
+};
+
 // =================== 批处理队列工厂 ===================
-export const createBatchQueue = (aiProvider, logger) => {
+export const createBatchQueue = (aiProvider, logger, { translationMemory = null } = {}) => {
     const queue = new Queue(
         async (task, cb) => {
-            const { batch, $parent, processor, onTaskSuccess, onTaskFailure } = task;
-            const resolvedPrompt =
-                batch.length === 1 && processor.singleNodePrompt
-                    ? typeof processor.singleNodePrompt === "function"
-                        ? processor.singleNodePrompt(batch[0])
-                        : processor.singleNodePrompt
-                    : typeof processor.prompt === "function"
-                      ? processor.prompt(batch)
-                      : processor.prompt;
+            const {
+                batch: taskBatch,
+                $parent,
+                processor,
+                onTaskSuccess,
+                onTaskFailure,
+            } = task;
+            const memoryScope = translationMemory?.enabled
+                ? processor.memoryScope || null
+                : null;
+
+            // 翻译记忆完全命中的节点直接写回，只把剩下的节点交给模型
+            let batch = taskBatch;
+            let memoryMatches = [];
+            if (memoryScope && processor.reuseMemory !== false) {
+                batch = [];
+                for (const node of taskBatch) {
+                    const remembered = translationMemory.lookupExact(memoryScope, node.content);
+                    const $target = remembered
+                        ? $parent(`[${processor.attrName}="${node.id}"]`)
+                        : null;
+                    if ($target?.length > 0) {
+                        writeBackNode(processor, $target, node, remembered);
+                    } else {
+                        batch.push(node);
+                    }
+                }
+                if (batch.length < taskBatch.length) {
+                    logger.write(
+                        "INFO",
+                        `Translation memory: ${taskBatch.length - batch.length}/${taskBatch.length} node(s) reused.`,
+                    );
+                }
+                if (batch.length === 0) {
+                    try {
+                        onTaskSuccess?.(taskBatch);
+                    } catch {}
+                    cb(null);
+                    return;
+                }
+
+                const seenSources = new Set();
+                for (const node of batch) {
+                    for (const match of translationMemory.findSimilar(memoryScope, node.content)) {
+                        if (seenSources.has(match.source)) continue;
+                        seenSources.add(match.source);
+                        memoryMatches.push(match);
+                    }
+                }
+                memoryMatches = memoryMatches
+                    .sort((a, b) => b.score - a.score)
+                    .slice(0, MEMORY_REFERENCE_LIMIT);
+            }
+
             const MAX_ATTEMPTS = 3;
             let attempts = 0;
             let success = false;
+            // 回复被输出上限截断后减半，剩下的节点分几次请求
+            let nodeLimit = batch.length;
+            // 流式响应中已经写回的节点；重试时只发送剩下的节点
+            const committedIds = new Set();
+            // 单独发送仍被截断的节点，留作原文，不再重试
+            const unresolvedIds = new Set();
+            let unresolvedError = null;
+            // processor.protectMarkup（EPUB / HTML 正文）或 JSON 批量格式下，行内标签以占位符发送
+            const markupById =
+                processor.protectMarkup || aiProvider.batchFormat !== "xml"
+                    ? protectBatchMarkup(batch)
+                    : null;
+
+            // 流式到达的完整节点：校验通过就立即写回，不通过的留给整段响应返回后的检查
+            const commitStreamedNode = (pending, nodeId, nodeXml, useMarkers) => {
+                const node = pending.find((entry) => entry.id === nodeId);
+                if (!node || committedIds.has(nodeId)) return;
+                let processedContent = cheerio
+                    .load(`<root>${nodeXml}</root>`, { xmlMode: true, decodeEntities: false })("node")
+                    .html()
+                    ?.trim();
+                if (!processedContent) return;
+                if (useMarkers) {
+                    try {
+                        processedContent = restoreNodeMarkup(node, processedContent, markupById, nodeXml, {
+                            escaped: true,
+                        });
+                    } catch {
+                        return;
+                    }
+                }
+                if (
+                    isTranslationMetaNote(extractTextFromFragment(processedContent)) &&
+                    !isTranslationMetaNote(extractTextFromFragment(node.content))
+                ) {
+                    return;
+                }
+                try {
+                    cheerio.load(processedContent, { xmlMode: true });
+                } catch {
+                    return;
+                }
+                const $target = $parent(`[${processor.attrName}="${nodeId}"]`);
+                if ($target.length === 0) return;
+                writeBackNode(processor, $target, node, processedContent);
+                if (memoryScope) {
+                    translationMemory.record(memoryScope, node.content, processedContent);
+                }
+                committedIds.add(nodeId);
+            };
 
             while (!success && attempts < MAX_ATTEMPTS) {
+                const pending = batch
+                    .filter((node) => !committedIds.has(node.id) && !unresolvedIds.has(node.id))
+                    .slice(0, nodeLimit);
+                const singleNodeRequest = pending.length === 1 && Boolean(processor.singleNodePrompt);
+                // 单条字幕等纯文本请求不受 batchFormat 与占位符影响
+                const jsonFormat = aiProvider.batchFormat !== "xml" && !singleNodeRequest;
+                const useMarkers = Boolean(markupById) && !singleNodeRequest;
+                const streamCollector = createStreamedNodeCollector((nodeId, nodeXml) =>
+                    commitStreamedNode(pending, nodeId, nodeXml, useMarkers),
+                );
                 try {
                     attempts++;
 
-                    const mergeRegex =
-                        /([A-Za-z])<(small|span|strong|em)[^>]*>([\s\S]*?)<\/\2>/gi;
-
-                    const batchInput =
-                        batch.length === 1 && processor.singleNodePrompt
-                            ? batch[0].content
-                            : batch
-                                  .map((n) => {
-                                      const preProcessedContent = n.content.replace(
-                                          mergeRegex,
-                                          (match, p1, p2, p3) =>
-                                              !p3.includes("<") ? p1 + p3 : match,
-                                      );
-                                      return `<node id="${n.id}">${preProcessedContent}</node>`;
-                                  })
-                                  .join("\n");
-
-                    const rawResponse = cleanAIResponse(
-                        await aiProvider.callAI(
-                            batchInput,
-                            resolvedPrompt,
-                            false,
-                        ),
-                    );
+                    const basePrompt = singleNodeRequest
+                        ? typeof processor.singleNodePrompt === "function"
+                            ? processor.singleNodePrompt(pending[0])
+                            : processor.singleNodePrompt
+                        : typeof processor.prompt === "function"
+                          ? processor.prompt(pending)
+                          : processor.prompt;
+                    const formatInstructions = jsonFormat
+                        ? JSON_BATCH_INSTRUCTIONS
+                        : useMarkers
+                          ? XML_MARKER_INSTRUCTIONS
+                          : "";
+                    const resolvedPrompt = `${basePrompt}${buildMemoryReferenceBlock(memoryMatches)}${formatInstructions}`;
+                    const batchInput = singleNodeRequest
+                        ? pending[0].content
+                        : jsonFormat
+                          ? formatJsonBatchInput(pending, markupById)
+                          : formatBatchInput(pending, useMarkers ? markupById : null);
+
+                    let rawResponse;
+                    try {
+                        rawResponse = cleanAIResponse(
+                            await aiProvider.callAI(
+                                batchInput,
+                                resolvedPrompt,
+                                jsonFormat,
+                                processor.usageContext,
+                                jsonFormat
+                                    ? { responseSchema: JSON_BATCH_SCHEMA }
+                                    : { onPartialText: streamCollector.push },
+                            ),
+                        );
+                    } finally {
+                        streamCollector.close();
+                    }
 
-                    const $response = cheerio.load(
-                        `<root>${rawResponse}</root>`,
-                        { xmlMode: true, decodeEntities: false },
-                    );
+                    // 两种格式都先取出每个节点的译文 HTML，之后走同样的校验与写回
+                    let readNodeContent;
+                    if (jsonFormat) {
+                        const translations = parseJsonBatchResponse(rawResponse);
+                        readNodeContent = (node) => {
+                            const translation = translations.get(node.id);
+                            if (translation === undefined) return null;
+                            return restoreNodeMarkup(node, translation, markupById, rawResponse);
+                        };
+                    } else {
+                        const $response = cheerio.load(
+                            `<root>${rawResponse}</root>`,
+                            { xmlMode: true, decodeEntities: false },
+                        );
+                        readNodeContent = (node) => {
+                            const $node = $response(`node[id="${node.id}"]`);
+                            if ($node.length === 0) return null;
+                            const nodeHtml = $node.html()?.trim() ?? "";
+                            if (!useMarkers || !nodeHtml) return nodeHtml;
+                            return restoreNodeMarkup(node, nodeHtml, markupById, rawResponse, {
+                                escaped: true,
+                            });
+                        };
+                    }
                     const updates = [];
                     const missingNodeIds = [];
                     const singleNodePlainTextFallback =
-                        shouldUseSingleNodePlainTextFallback(batch, rawResponse)
+                        !jsonFormat && shouldUseSingleNodePlainTextFallback(pending, rawResponse)
                             ? String(rawResponse ?? "").trim()
                             : null;
 
-                    for (const node of batch) {
-                        const $node = $response(`node[id="${node.id}"]`);
+                    for (const node of pending) {
+                        if (committedIds.has(node.id)) continue;
+                        const nodeContent = readNodeContent(node);
 
-                        if ($node.length === 0) {
+                        if (nodeContent === null) {
                             if (
                                 singleNodePlainTextFallback !== null &&
-                                batch.length === 1
+                                pending.length === 1
                             ) {
                                 const translatedPlainText = extractTextFromFragment(
                                     singleNodePlainTextFallback,
@@ -123,7 +430,15 @@ export const createBatchQueue = (aiProvider, logger) => {
                                 }
                                 updates.push({
                                     nodeId: node.id,
-                                    processedContent: singleNodePlainTextFallback,
+                                    processedContent: useMarkers
+                                        ? restoreNodeMarkup(
+                                              node,
+                                              singleNodePlainTextFallback,
+                                              markupById,
+                                              rawResponse,
+                                              { escaped: true },
+                                          )
+                                        : singleNodePlainTextFallback,
                                 });
                                 continue;
                             }
@@ -131,7 +446,7 @@ export const createBatchQueue = (aiProvider, logger) => {
                             continue;
                         }
 
-                        const processedContent = $node.html()?.trim();
+                        const processedContent = nodeContent.trim();
                         if (!processedContent) {
                             missingNodeIds.push(node.id);
                             continue;
@@ -171,6 +486,7 @@ export const createBatchQueue = (aiProvider, logger) => {
                         throw missingError;
                     }
 
+                    const nodeById = new Map(pending.map((node) => [node.id, node]));
                     for (const update of updates) {
                         const $target = $parent(
                             `[${processor.attrName}="${update.nodeId}"]`,
@@ -183,14 +499,41 @@ export const createBatchQueue = (aiProvider, logger) => {
                                 previewText(rawResponse);
                             throw targetMissingError;
                         }
-                        $target
-                            .html(update.processedContent)
-                            .removeAttr(processor.attrName);
+                        writeBackNode(
+                            processor,
+                            $target,
+                            nodeById.get(update.nodeId),
+                            update.processedContent,
+                        );
+                        committedIds.add(update.nodeId);
+                    }
+
+                    if (memoryScope) {
+                        for (const update of updates) {
+                            translationMemory.record(
+                                memoryScope,
+                                nodeById.get(update.nodeId).content,
+                                update.processedContent,
+                            );
+                        }
+                    }
+
+                    // 拆小后这一段已写回，继续发下一段；失败次数按段重新计
+                    if (committedIds.size + unresolvedIds.size < batch.length) {
+                        attempts = 0;
+                        continue;
+                    }
+                    if (unresolvedError) {
+                        try {
+                            onTaskFailure?.(taskBatch, unresolvedError);
+                        } catch {}
+                        cb(unresolvedError);
+                        return;
                     }
 
                     success = true;
                     try {
-                        onTaskSuccess?.(batch);
+                        onTaskSuccess?.(taskBatch);
                     } catch {}
                     cb(null);
                 } catch (e) {
@@ -198,13 +541,51 @@ export const createBatchQueue = (aiProvider, logger) => {
                         "ERROR",
                         `Batch Queue Attempt ${attempts} Failed: ${e.stack || e.message}${e.responsePreview ? `\nResponse Preview: ${e.responsePreview}` : ""}`,
                     );
-                    if (attempts >= MAX_ATTEMPTS) {
+                    const keptCount = pending.filter((node) => committedIds.has(node.id)).length;
+                    if (keptCount > 0) {
+                        logger.write(
+                            "INFO",
+                            `Streamed response kept ${keptCount}/${pending.length} node(s); ${pending.length - keptCount} left to retry.`,
+                        );
+                    }
+                    // 截断不算失败：同样大小重发还会截断，直接拆小
+                    if (isOutputTruncatedError(e) && pending.length > 1) {
+                        nodeLimit = Math.ceil(pending.length / 2);
+                        attempts -= 1;
+                        logger.write(
+                            "WARN",
+                            `Response hit the output token limit; sending ${pending.length} node(s) in requests of ${nodeLimit}.`,
+                        );
+                        continue;
+                    }
+                    // 单个节点也被截断：重发只会再次截断，直接留作原文，也不进入后续重试轮
+                    if (isOutputTruncatedError(e) && pending.length === 1) {
+                        const [node] = pending;
+                        $parent(`[${processor.attrName}="${node.id}"]`).removeAttr(processor.attrName);
+                        unresolvedIds.add(node.id);
+                        unresolvedError = e;
+                        logger.write(
+                            "WARN",
+                            `Node ${node.id} alone exceeds the output token limit and was left as source text: ${e.message}`,
+                        );
+                        if (committedIds.size + unresolvedIds.size < batch.length) {
+                            attempts = 0;
+                            continue;
+                        }
                         try {
-                            onTaskFailure?.(batch, e);
+                            onTaskFailure?.(taskBatch, e);
                         } catch {}
                         cb(e);
+                        return;
                     }
-                    else await new Promise((r) => setTimeout(r, 2000));
+                    // 预算用完后不再重试，排队中的 batch 也会立即以同样的错误结束
+                    if (attempts >= MAX_ATTEMPTS || isBudgetExceededError(e)) {
+                        try {
+                            onTaskFailure?.(taskBatch, e);
+                        } catch {}
+                        cb(e);
+                    }
+                    else await sleepBeforeRetry(attempts, e);
                 }
             }
         },
@@ -226,19 +607,36 @@ const BATCH_SIZE_LIMIT = 5000;
 const SUBTITLE_BATCH_SIZE_LIMIT = 6000;
 const SUBTITLE_BATCH_NODE_LIMIT = 24;
 
+// 带 unit 的节点（同一张表的单元格）尽量放进同一个 batch：
+// 当前 batch 放不下整个 unit、而新 batch 放得下时，在 unit 开头换批
 export const splitIntoBatches = (nodeList, options = {}) => {
     const {
         sizeLimit = BATCH_SIZE_LIMIT,
         nodeLimit = Number.POSITIVE_INFINITY,
     } = options;
+    const unitSizes = new Map();
+    for (const node of nodeList) {
+        if (!node.unit) continue;
+        const size = unitSizes.get(node.unit) || { length: 0, count: 0 };
+        size.length += node.content.length;
+        size.count += 1;
+        unitSizes.set(node.unit, size);
+    }
     const batches = [];
     let currentBatch = [];
     let currentLength = 0;
     for (const node of nodeList) {
+        const previous = currentBatch[currentBatch.length - 1];
+        const unit = node.unit && node.unit !== previous?.unit ? unitSizes.get(node.unit) : null;
+        const unitFitsAlone = unit && unit.length <= sizeLimit && unit.count <= nodeLimit;
+        const unitOverflows =
+            unit &&
+            (currentLength + unit.length > sizeLimit || currentBatch.length + unit.count > nodeLimit);
         if (
             currentBatch.length > 0 &&
             (currentLength + node.content.length > sizeLimit ||
-                currentBatch.length >= nodeLimit)
+                currentBatch.length >= nodeLimit ||
+                (unitFitsAlone && unitOverflows))
         ) {
             batches.push(currentBatch);
             currentBatch = [];
@@ -251,17 +649,19 @@ export const splitIntoBatches = (nodeList, options = {}) => {
     return batches;
 };
 
-export const getBatchingOptions = (translationMode) => {
-    if (translationMode === "subtitle") {
-        return {
-            sizeLimit: SUBTITLE_BATCH_SIZE_LIMIT,
-            nodeLimit: SUBTITLE_BATCH_NODE_LIMIT,
-        };
-    }
-    return {
-        sizeLimit: BATCH_SIZE_LIMIT,
-        nodeLimit: Number.POSITIVE_INFINITY,
-    };
+// overrides 来自项目配置文件的 batching.<mode>，只覆盖给出的字段
+export const getBatchingOptions = (translationMode, overrides = {}) => {
+    const defaults =
+        translationMode === "subtitle"
+            ? {
+                  sizeLimit: SUBTITLE_BATCH_SIZE_LIMIT,
+                  nodeLimit: SUBTITLE_BATCH_NODE_LIMIT,
+              }
+            : {
+                  sizeLimit: BATCH_SIZE_LIMIT,
+                  nodeLimit: Number.POSITIVE_INFINITY,
+              };
+    return { ...defaults, ...(overrides || {}) };
 };
 
 export const dispatchBatches = (
@@ -0,0 +1,73 @@
+// =================== 熔断 ===================
+// 连续失败这么多次后熔断
+const FAILURE_THRESHOLD = 3;
+const COOLDOWN_MS = 60_000;
+// 额度用尽、模型下线这类错误不会很快恢复，一次就熔断且冷却更久
+const PERSISTENT_ERROR_CLASSES = new Set(["quota", "deprecated-model"]);
+const PERSISTENT_COOLDOWN_MS = 10 * 60_000;
+// 内容审核与限流不代表 provider 不可用，不计入熔断
+const IGNORED_ERROR_CLASSES = new Set(["content-policy", "rate-limit"]);
+
+/**
+ * 单个 provider + 模型的熔断器。
+ * closed：正常放行；open：冷却期内跳过；冷却结束后放行一次试探请求（half-open），成功即恢复。
+ */
+export const createCircuitBreaker = () => {
+    let consecutiveFailures = 0;
+    let openUntil = 0;
+    let probing = false;
+    let lastErrorClass = null;
+
+    const isOpen = (now = Date.now()) => openUntil > now || probing;
+
+    // 冷却结束后只放一个请求过去试探，其余请求继续跳过
+    const allowRequest = () => {
+        const now = Date.now();
+        if (openUntil > now) return false;
+        if (openUntil === 0) return true;
+        if (probing) return false;
+        probing = true;
+        return true;
+    };
+
+    // 试探请求没有结果就结束（例如预算用完被中止）时调用，下一个请求可以重新试探
+    const releaseProbe = () => {
+        probing = false;
+    };
+
+    const recordSuccess = () => {
+        consecutiveFailures = 0;
+        openUntil = 0;
+        probing = false;
+    };
+
+    // 返回 true 表示这次失败让熔断器打开
+    const recordFailure = (errorClass) => {
+        if (!errorClass || IGNORED_ERROR_CLASSES.has(errorClass)) {
+            if (probing) {
+                // 试探请求碰到的不是可用性错误，说明 provider 已经恢复
+                recordSuccess();
+            }
+            return false;
+        }
+        lastErrorClass = errorClass;
+        consecutiveFailures += 1;
+        const persistent = PERSISTENT_ERROR_CLASSES.has(errorClass);
+        if (!probing && !persistent && consecutiveFailures < FAILURE_THRESHOLD) {
+            return false;
+        }
+        openUntil = Date.now() + (persistent ? PERSISTENT_COOLDOWN_MS : COOLDOWN_MS);
+        probing = false;
+        return true;
+    };
+
+    const snapshot = () => ({
+        open: isOpen(),
+        openUntil,
+        probing,
+        consecutiveFailures,
+        lastErrorClass,
+    });
+
+    return { allowRequest, releaseProbe, recordSuccess, recordFailure, snapshot };
+};
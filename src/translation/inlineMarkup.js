@@ -0,0 +1,128 @@
+// =================== 行内标记占位符 ===================
+// EPUB / HTML 节点与 JSON 批量格式下，节点内的行内标签和非基本实体换成 ⟨1⟩…⟨/1⟩、⟨2/⟩ 这样的占位符，
+// 模型只看到纯文本，返回后再按编号换回原样的标签，链接、脚注引用、样式不再依赖模型照抄。
+export const INLINE_TOKEN_PATTERN = /⟨(\/?)(\d+)(\/?)⟩/g;
+
+const TAG_OR_ENTITY_PATTERN = /<[^>]*>|&(?:#\d+|#x[\da-f]+|[a-z][\da-z]*);/gi;
+
+// 基本实体直接解码成字符，写回时再转义；其余实体（&nbsp; 等）保留为占位符
+const BASIC_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+const decodeBasicEntity = (entity) => {
+    const name = entity.slice(1, -1).toLowerCase();
+    if (BASIC_ENTITIES[name]) return BASIC_ENTITIES[name];
+    if (/^#x[\da-f]+$/.test(name)) return String.fromCodePoint(parseInt(name.slice(2), 16));
+    if (/^#\d+$/.test(name)) return String.fromCodePoint(Number(name.slice(1)));
+    return null;
+};
+
+export const escapeInlineText = (text) =>
+    String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+// 放进 <node> 发送后，响应里的文字仍是转义形式，先解码基本实体再还原
+export const decodeInlineText = (text) =>
+    String(text).replace(/&(?:#\d+|#x[\da-f]+|[a-z][\da-z]*);/gi, (entity) => decodeBasicEntity(entity) ?? entity);
+
+const tagNameOf = (tag) => /^<\/?\s*([^\s/>]+)/.exec(tag)?.[1]?.toLowerCase() || "";
+
+/**
+ * 把 HTML 片段转换成带占位符的纯文本。
+ * 返回 { text, tags }，tags[n] 是编号 n 对应的原始标签：{ open, close } 或 { void }。
+ */
+export const protectInlineMarkup = (html) => {
+    const tags = [];
+    const openStack = [];
+    let text = "";
+    let lastIndex = 0;
+
+    for (const match of String(html).matchAll(TAG_OR_ENTITY_PATTERN)) {
+        text += match.index > lastIndex ? html.slice(lastIndex, match.index) : "";
+        lastIndex = match.index + match[0].length;
+        const token = match[0];
+
+        if (token.startsWith("&")) {
+            const decoded = decodeBasicEntity(token);
+            if (decoded !== null) {
+                text += decoded;
+            } else {
+                tags.push({ void: token });
+                text += `⟨${tags.length}/⟩`;
+            }
+            continue;
+        }
+
+        if (/^<\//.test(token)) {
+            // 找到对应的开始标签；找不到（片段本身不配对）时当作独立占位符
+            const name = tagNameOf(token);
+            const openIndex = openStack.findLastIndex((entry) => entry.name === name);
+            if (openIndex !== -1) {
+                const [entry] = openStack.splice(openIndex, 1);
+                tags[entry.number - 1].close = token;
+                text += `⟨/${entry.number}⟩`;
+                continue;
+            }
+            tags.push({ void: token });
+            text += `⟨${tags.length}/⟩`;
+        } else if (/\/\s*>$/.test(token) || /^<[!?]/.test(token)) {
+            tags.push({ void: token });
+            text += `⟨${tags.length}/⟩`;
+        } else {
+            tags.push({ open: token, close: null });
+            openStack.push({ name: tagNameOf(token), number: tags.length });
+            text += `⟨${tags.length}⟩`;
+        }
+    }
+    text += html.slice(lastIndex);
+
+    // 没有结束标签的开始标签（如 HTML 里的 <br>）按独立占位符处理
+    for (const { number } of openStack) {
+        const entry = tags[number - 1];
+        tags[number - 1] = { void: entry.open };
+        text = text.replace(`⟨${number}⟩`, `⟨${number}/⟩`);
+    }
+
+    return { text, tags };
+};
+
+/**
+ * 把译文里的占位符换回原始标签，其余文字转义。
+ * 占位符缺失、重复、多出或嵌套交叉时抛出错误，由调用方按失败节点重试。
+ */
+export const restoreInlineMarkup = (text, tags) => {
+    const seen = new Set();
+    const openStack = [];
+    let html = "";
+    let lastIndex = 0;
+
+    for (const match of String(text).matchAll(INLINE_TOKEN_PATTERN)) {
+        html += escapeInlineText(text.slice(lastIndex, match.index));
+        lastIndex = match.index + match[0].length;
+        const [token, closing, numberText, selfClosing] = match;
+        const number = Number(numberText);
+        const entry = tags[number - 1];
+        const key = `${closing}${number}${selfClosing}`;
+        if (!entry || seen.has(key)) {
+            throw new Error(`unexpected inline marker ${token}`);
+        }
+        seen.add(key);
+
+        if (entry.void !== undefined) {
+            if (closing || !selfClosing) throw new Error(`inline marker ${token} should be ⟨${number}/⟩`);
+            html += entry.void;
+        } else if (closing) {
+            if (openStack.pop() !== number) throw new Error(`inline marker ${token} is out of order`);
+            html += entry.close;
+        } else {
+            if (selfClosing) throw new Error(`inline marker ${token} should be a ⟨${number}⟩…⟨/${number}⟩ pair`);
+            openStack.push(number);
+            html += entry.open;
+        }
+    }
+    html += escapeInlineText(String(text).slice(lastIndex));
+
+    const expectedCount = tags.reduce((count, entry) => count + (entry.void !== undefined ? 1 : 2), 0);
+    if (openStack.length > 0 || seen.size !== expectedCount) {
+        throw new Error(`inline markers missing (${seen.size}/${expectedCount} found)`);
+    }
+    return html;
+};
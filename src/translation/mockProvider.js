@@ -0,0 +1,242 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { estimateTokenCount } from "../support/usage.js";
+import { INLINE_TOKEN_PATTERN } from "./inlineMarkup.js";
+
+// =================== Mock provider ===================
+// 离线运行用：不发网络请求，也不产生费用。
+// bracket / reverse：生成确定的伪译文，保留 <node id> 结构和行内标签
+// replay：按请求内容回放之前某次运行日志里记录的响应
+export const MOCK_MODES = ["bracket", "reverse", "replay"];
+
+const MOCK_REPLAY_MISS = "MOCK_REPLAY_MISS";
+
+// 日志里 REQUEST / RESPONSE 条目开头的字段行，之后才是正文
+const LOG_HEADER_KEYS = new Set([
+    "PROVIDER",
+    "MODEL",
+    "REQUEST_ID",
+    "TIMEOUT_MS",
+    "ELAPSED_MS",
+    "TOKENS",
+]);
+const LOG_SEPARATOR = `\n${"=".repeat(50)}\n`;
+const LOG_ENTRY_HEAD = /^\n\[[^\]\n]*\] \[([A-Z_]+)\]\n/;
+
+const hashKey = (...parts) =>
+    crypto.createHash("sha1").update(parts.join("\u0000")).digest("hex");
+
+const splitLogHeaders = (content) => {
+    const headers = {};
+    const lines = content.split("\n");
+    let index = 0;
+    for (; index < lines.length; index++) {
+        const match = /^([A-Z_]+): ?(.*)$/.exec(lines[index]);
+        if (!match || !LOG_HEADER_KEYS.has(match[1])) break;
+        headers[match[1]] = match[2];
+    }
+    return { headers, body: lines.slice(index).join("\n") };
+};
+
+const parseTokens = (value) => {
+    const match = /prompt=(\d+) completion=(\d+)/.exec(value || "");
+    if (!match) return null;
+    return {
+        promptTokens: Number(match[1]),
+        completionTokens: Number(match[2]),
+        totalTokens: null,
+    };
+};
+
+/**
+ * 读取 logger 写出的日志，返回按请求内容索引的响应。
+ * 带 REQUEST_ID 的日志按编号配对；旧日志没有编号时，每个 RESPONSE 配给最近一个尚未配对的 REQUEST，
+ * 只有并发为 1 时录下的旧日志才能保证配对正确。
+ */
+export const loadReplayLog = (logPath) => {
+    const content = fs.readFileSync(logPath, "utf8");
+    const byExactKey = new Map();
+    const byUserKey = new Map();
+    const pendingById = new Map();
+    const pendingWithoutId = [];
+    let responseCount = 0;
+
+    const remember = (map, key, response) => {
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(response);
+    };
+
+    for (const chunk of content.split(LOG_SEPARATOR)) {
+        const head = LOG_ENTRY_HEAD.exec(chunk);
+        if (!head) continue;
+        const { headers, body } = splitLogHeaders(chunk.slice(head[0].length));
+
+        if (head[1] === "REQUEST") {
+            const userIndex = body.indexOf("\n\nUSER:\n");
+            if (!body.startsWith("SYSTEM:\n") || userIndex === -1) continue;
+            const request = {
+                system: body.slice("SYSTEM:\n".length, userIndex),
+                user: body.slice(userIndex + "\n\nUSER:\n".length),
+            };
+            if (headers.REQUEST_ID) {
+                pendingById.set(headers.REQUEST_ID, request);
+            } else {
+                pendingWithoutId.push(request);
+            }
+        } else if (head[1] === "RESPONSE") {
+            const request = headers.REQUEST_ID
+                ? pendingById.get(headers.REQUEST_ID)
+                : pendingWithoutId.pop();
+            if (!request) continue;
+            pendingById.delete(headers.REQUEST_ID);
+            const response = { text: body, usage: parseTokens(headers.TOKENS) };
+            remember(byExactKey, hashKey(request.system, request.user), response);
+            remember(byUserKey, hashKey(request.user), response);
+            responseCount += 1;
+        }
+    }
+
+    return { byExactKey, byUserKey, responseCount };
+};
+
+const createReplayCall = (providerConfig) => {
+    if (!providerConfig.replayLog) {
+        throw new Error("Mock replay needs a recorded log: set MOCK_REPLAY_LOG to a log/*.log file.");
+    }
+    const logPath = path.resolve(providerConfig.replayLog);
+    if (!fs.existsSync(logPath)) {
+        throw new Error(`Mock replay log not found: ${logPath}`);
+    }
+    const replay = loadReplayLog(logPath);
+    if (replay.responseCount === 0) {
+        throw new Error(`Mock replay log has no recorded responses: ${logPath}`);
+    }
+    // 同一请求录到多次（重试、重复段落）时按顺序回放，用完后一直返回最后一条
+    const cursors = new Map();
+    const take = (map, key) => {
+        const responses = map.get(key);
+        if (!responses) return null;
+        const index = cursors.get(key) || 0;
+        cursors.set(key, index + 1);
+        return responses[Math.min(index, responses.length - 1)];
+    };
+
+    // 系统提示里的翻译记忆参考、术语表可能与录制时不同，精确匹配失败时只按用户内容匹配
+    return async (systemInstruction, userContent) => {
+        const response =
+            take(replay.byExactKey, hashKey(systemInstruction, userContent)) ||
+            take(replay.byUserKey, hashKey(userContent));
+        if (!response) {
+            const error = new Error(
+                `Mock replay has no recorded response for this request (${path.basename(logPath)}).`,
+            );
+            error.code = MOCK_REPLAY_MISS;
+            throw error;
+        }
+        return response;
+    };
+};
+
+// 实体（&amp; 等）当作一个字符处理，避免反转后失效
+const transformText = (text, mode) => {
+    const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+    const [, leading, core, trailing] = match;
+    if (!core) return text;
+    const transformed =
+        mode === "reverse"
+            ? (core.match(/&#?\w+;|[\s\S]/gu) || []).reverse().join("")
+            : `⟦${core}⟧`;
+    return `${leading}${transformed}${trailing}`;
+};
+
+// 行内标记占位符原样保留，只改占位符之间的文字
+const transformTokenizedText = (text, mode) => {
+    const source = String(text);
+    const parts = [];
+    let lastIndex = 0;
+    for (const match of source.matchAll(INLINE_TOKEN_PATTERN)) {
+        parts.push(transformText(source.slice(lastIndex, match.index), mode), match[0]);
+        lastIndex = match.index + match[0].length;
+    }
+    parts.push(transformText(source.slice(lastIndex), mode));
+    return parts.join("");
+};
+
+// 只改标签之间的文字，标签本身（含属性）原样保留
+const transformFragment = (html, mode) =>
+    String(html)
+        .split(/(<[^>]*>)/)
+        .map((part) => (part.startsWith("<") ? part : transformTokenizedText(part, mode)))
+        .join("");
+
+const NODE_PATTERN = /<node id="([^"]*)">([\s\S]*?)<\/node>/g;
+
+const tryParseJson = (value) => {
+    try {
+        return JSON.parse(value);
+    } catch {
+        return null;
+    }
+};
+
+const buildPseudoJson = (userContent, usageContext, mode) => {
+    const parsed = tryParseJson(userContent);
+    // 正文 batch（JSON 批量格式）：逐条生成伪译文
+    if (Array.isArray(parsed?.items)) {
+        return {
+            translations: parsed.items.map((item) => ({
+                id: item.id,
+                translation: transformTokenizedText(item.text, mode),
+            })),
+        };
+    }
+    // 翻译计划：保持原有顺序，不标记目录
+    if (usageContext?.step === "plan" && Array.isArray(parsed)) {
+        return { tocId: null, order: parsed.map((chapter) => chapter.id) };
+    }
+    // PDF 修复：原样返回，视为无需修复
+    if (usageContext?.step === "pdf-repair" && Array.isArray(parsed?.blocks)) {
+        return {
+            blocks: parsed.blocks.map((block) => ({
+                id: block.id,
+                translatedText: block.translatedText,
+            })),
+        };
+    }
+    // 书名、简介、导航标签：逐条生成伪译文
+    if (usageContext?.step === "metadata" && Array.isArray(parsed)) {
+        return { translations: parsed.map((text) => transformText(String(text), mode)) };
+    }
+    // 标题格式、术语表等：返回空结果，相应步骤会跳过
+    return {};
+};
+
+const createPseudoCall = (mode) => async (systemInstruction, userContent, forceJson, { usageContext } = {}) => {
+    const nodes = forceJson ? [] : [...userContent.matchAll(NODE_PATTERN)];
+    let text;
+    if (forceJson) {
+        text = JSON.stringify(buildPseudoJson(userContent, usageContext, mode));
+    } else if (nodes.length > 0) {
+        text = nodes
+            .map(([, id, inner]) => `<node id="${id}">${transformFragment(inner, mode)}</node>`)
+            .join("\n");
+    } else {
+        text = transformFragment(userContent, mode);
+    }
+    const promptTokens = estimateTokenCount(systemInstruction) + estimateTokenCount(userContent);
+    const completionTokens = estimateTokenCount(text);
+    return {
+        text,
+        usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens },
+    };
+};
+
+// 模型名即模式：mock/bracket、mock/reverse、mock/replay
+export const createMockCall = (providerConfig) => {
+    const mode = providerConfig.modelName;
+    if (!MOCK_MODES.includes(mode)) {
+        throw new Error(`Unknown mock mode "${mode}". Use one of: ${MOCK_MODES.join(", ")}.`);
+    }
+    return mode === "replay" ? createReplayCall(providerConfig) : createPseudoCall(mode);
+};
@@ -0,0 +1,92 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// =================== Prompt 模板 ===================
+export const PROMPT_MODES = ["epub", "html", "pdf", "subtitle"];
+
+const BUILT_IN_PROMPT_TEMPLATES = Object.fromEntries(
+    PROMPT_MODES.map((mode) => [
+        mode,
+        fs.readFileSync(
+            path.resolve(__dirname, `../../prompts/${mode}_translation_prompt.txt`),
+            "utf8",
+        ),
+    ]),
+);
+
+// 缺少这些占位符时语言对或锁定术语会悄悄丢失，必须在调用 API 之前拦下
+const REQUIRED_PROMPT_PLACEHOLDERS = [
+    "SOURCE_LANGUAGE",
+    "TARGET_LANGUAGE",
+    "GLOSSARY_BLOCK",
+];
+const PROMPT_PLACEHOLDERS = new Set([
+    ...REQUIRED_PROMPT_PLACEHOLDERS,
+    "CHAPTER_TITLE",
+    "STYLE_GUIDE",
+]);
+const STYLE_PLACEHOLDERS = new Set(["SOURCE_LANGUAGE", "TARGET_LANGUAGE"]);
+
+const findPlaceholders = (template) =>
+    new Set([...String(template).matchAll(/\{\{\s*([A-Za-z_]+)\s*\}\}/g)].map((match) => match[1]));
+
+const formatPlaceholders = (names) => names.map((name) => `{{${name}}}`).join(", ");
+
+const assertKnownPlaceholders = (template, allowed, label) => {
+    const unknown = [...findPlaceholders(template)].filter((name) => !allowed.has(name));
+    if (unknown.length > 0) {
+        throw new Error(
+            `${label} uses unknown placeholder(s) ${formatPlaceholders(unknown)}. Allowed: ${formatPlaceholders([...allowed])}.`,
+        );
+    }
+};
+
+/**
+ * 校验自定义翻译 prompt：必需占位符齐全、没有拼错的占位符。
+ * label 用于错误信息，通常是文件名。
+ */
+export const validatePromptTemplate = (template, label = "Prompt template") => {
+    if (!String(template ?? "").trim()) {
+        throw new Error(`${label} is empty.`);
+    }
+    const placeholders = findPlaceholders(template);
+    const missing = REQUIRED_PROMPT_PLACEHOLDERS.filter((name) => !placeholders.has(name));
+    if (missing.length > 0) {
+        throw new Error(`${label} is missing required placeholder(s) ${formatPlaceholders(missing)}.`);
+    }
+    assertKnownPlaceholders(template, PROMPT_PLACEHOLDERS, label);
+    return template;
+};
+
+export const validateStyleGuide = (styleGuide, label = "Style guide") => {
+    if (!String(styleGuide ?? "").trim()) {
+        throw new Error(`${label} is empty.`);
+    }
+    assertKnownPlaceholders(styleGuide, STYLE_PLACEHOLDERS, label);
+    return styleGuide;
+};
+
+export const loadPromptTemplateFile = (filePath, kind = "prompt") => {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`${kind === "style" ? "Style" : "Prompt"} file not found: ${filePath}`);
+    }
+    const content = fs.readFileSync(filePath, "utf8").replace(/^\uFEFF/, "");
+    const label = path.basename(filePath);
+    return kind === "style"
+        ? validateStyleGuide(content, label)
+        : validatePromptTemplate(content, label);
+};
+
+export const getPromptTemplate = (translationMode, overrides = {}) =>
+    overrides?.[translationMode] ||
+    BUILT_IN_PROMPT_TEMPLATES[translationMode] ||
+    BUILT_IN_PROMPT_TEMPLATES.epub;
+
+export const renderPromptTemplate = (template, values) =>
+    String(template).replace(/\{\{\s*([A-Za-z_]+)\s*\}\}/g, (match, name) =>
+        values[name] ?? match,
+    );
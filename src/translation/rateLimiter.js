@@ -0,0 +1,183 @@
+// =================== 限流与退避 ===================
+const WINDOW_MS = 60_000;
+const BACKOFF_BASE_MS = 2000;
+const BACKOFF_MAX_MS = 60_000;
+// 服务端给出的 Retry-After 照办，但不超过这个上限
+const RETRY_AFTER_MAX_MS = 5 * 60_000;
+// 一次限流只降一次并发：同一时刻在途的多个请求往往一起收到 429
+const SHRINK_COOLDOWN_MS = 10_000;
+// 连续成功这么多次后把并发上限加回 1
+const RECOVERY_SUCCESSES = 20;
+
+export const isRateLimitError = (error) => {
+    if (error?.status === 429) return true;
+    const message = String(error?.message || "").toLowerCase();
+    return (
+        message.includes("429") ||
+        message.includes("rate limit") ||
+        message.includes("too many requests") ||
+        message.includes("resource_exhausted") ||
+        message.includes("resource has been exhausted")
+    );
+};
+
+const parseRetryAfterHeader = (value) => {
+    if (value == null || value === "") return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+};
+
+// OpenAI 兼容接口读响应头（retry-after-ms / retry-after），Gemini 读 errorDetails 里的 RetryInfo
+export const getRetryAfterMs = (error) => {
+    const headers = error?.headers;
+    const readHeader = (name) =>
+        typeof headers?.get === "function" ? headers.get(name) : headers?.[name];
+
+    const retryAfterMs = Number(readHeader("retry-after-ms"));
+    if (readHeader("retry-after-ms") != null && Number.isFinite(retryAfterMs)) {
+        return Math.max(0, retryAfterMs);
+    }
+    const fromHeader = parseRetryAfterHeader(readHeader("retry-after"));
+    if (fromHeader !== null) return fromHeader;
+
+    const retryInfo = Array.isArray(error?.errorDetails)
+        ? error.errorDetails.find((detail) =>
+              String(detail?.["@type"] || "").endsWith("RetryInfo"),
+          )
+        : null;
+    const match = /^([\d.]+)s$/.exec(String(retryInfo?.retryDelay || ""));
+    return match ? Number(match[1]) * 1000 : null;
+};
+
+/**
+ * 第 attempt 次失败后的等待时间。
+ * 有 Retry-After 时按它等待并加少量抖动；否则指数退避，在 [d/2, d) 内随机取值。
+ */
+export const computeBackoffMs = (attempt, error = null) => {
+    const retryAfterMs = getRetryAfterMs(error);
+    if (retryAfterMs !== null) {
+        return Math.min(retryAfterMs, RETRY_AFTER_MAX_MS) + Math.random() * 1000;
+    }
+    const ceiling = Math.min(
+        BACKOFF_MAX_MS,
+        BACKOFF_BASE_MS * 2 ** Math.max(0, attempt - 1),
+    );
+    return ceiling / 2 + Math.random() * (ceiling / 2);
+};
+
+export const sleepBeforeRetry = (attempt, error = null) =>
+    new Promise((resolve) => setTimeout(resolve, computeBackoffMs(attempt, error)));
+
+/**
+ * 单个 provider 的请求闸门：每分钟请求数、每分钟 token 数和自适应并发。
+ * 同一 provider 的所有调用（正文 batch、术语表、标题、计划、PDF 修复）共用一个实例。
+ * token 预算按估算值预占，请求返回后换成实际用量。
+ */
+export const createRateLimiter = ({
+    concurrency = 1,
+    requestsPerMinute = null,
+    tokensPerMinute = null,
+} = {}) => {
+    const maxConcurrency = Math.max(1, concurrency);
+    let concurrencyLimit = maxConcurrency;
+    let active = 0;
+    let successStreak = 0;
+    let pausedUntil = 0;
+    let lastShrinkAt = 0;
+    let throttledCount = 0;
+    // 最近一分钟内发出的请求 { at, tokens }
+    const recent = [];
+    const waiters = [];
+    let timer = null;
+
+    // 返回还需等待的毫秒数；null 表示要等在途请求结束
+    const waitTimeFor = (tokens, now) => {
+        if (active >= concurrencyLimit) return null;
+        if (pausedUntil > now) return pausedUntil - now;
+        while (recent.length > 0 && recent[0].at + WINDOW_MS <= now) recent.shift();
+        if (requestsPerMinute && recent.length >= requestsPerMinute) {
+            return recent[0].at + WINDOW_MS - now;
+        }
+        // 单个请求超过整个 TPM 时，只要窗口为空就放行，避免永远等下去
+        if (tokensPerMinute && recent.length > 0) {
+            const used = recent.reduce((total, entry) => total + entry.tokens, 0);
+            if (used + tokens > tokensPerMinute) return recent[0].at + WINDOW_MS - now;
+        }
+        return 0;
+    };
+
+    const pump = () => {
+        clearTimeout(timer);
+        timer = null;
+        while (waiters.length > 0) {
+            const now = Date.now();
+            const wait = waitTimeFor(waiters[0].tokens, now);
+            if (wait === null) return;
+            if (wait > 0) {
+                timer = setTimeout(pump, wait);
+                return;
+            }
+            const waiter = waiters.shift();
+            const entry = { at: now, tokens: waiter.tokens };
+            active += 1;
+            recent.push(entry);
+            waiter.resolve(entry);
+        }
+    };
+
+    // task 返回 { usage } 时按实际 token 数修正预占
+    const schedule = async (estimatedTokens, task) => {
+        const entry = await new Promise((resolve) => {
+            waiters.push({ tokens: estimatedTokens, resolve });
+            pump();
+        });
+        try {
+            const result = await task();
+            const usage = result?.usage;
+            if (usage) {
+                entry.tokens =
+                    usage.totalTokens ?? usage.promptTokens + usage.completionTokens;
+            }
+            successStreak += 1;
+            if (concurrencyLimit < maxConcurrency && successStreak >= RECOVERY_SUCCESSES) {
+                concurrencyLimit += 1;
+                successStreak = 0;
+            }
+            return result;
+        } finally {
+            active -= 1;
+            pump();
+        }
+    };
+
+    // 收到 429 后调用：并发减半，有 Retry-After 时整个 provider 暂停到指定时间
+    const recordThrottle = (error) => {
+        const now = Date.now();
+        const previousLimit = concurrencyLimit;
+        throttledCount += 1;
+        successStreak = 0;
+        if (now - lastShrinkAt >= SHRINK_COOLDOWN_MS) {
+            concurrencyLimit = Math.max(1, Math.floor(concurrencyLimit / 2));
+            lastShrinkAt = now;
+        }
+        const retryAfterMs = getRetryAfterMs(error);
+        if (retryAfterMs !== null) {
+            pausedUntil = Math.max(pausedUntil, now + Math.min(retryAfterMs, RETRY_AFTER_MAX_MS));
+        }
+        return { previousLimit, concurrencyLimit, retryAfterMs };
+    };
+
+    const snapshot = () => ({
+        concurrencyLimit,
+        maxConcurrency,
+        active,
+        waiting: waiters.length,
+        throttledCount,
+        requestsPerMinute,
+        tokensPerMinute,
+    });
+
+    return { schedule, recordThrottle, snapshot };
+};
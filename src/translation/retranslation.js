@@ -0,0 +1,132 @@
+import * as cheerio from "cheerio";
+import {
+    BILINGUAL_SOURCE_CLASS,
+    BILINGUAL_TRANSLATION_CLASS,
+} from "../content/bilingual.js";
+import { CHEERIO_OPTIONS } from "../utils.js";
+import { decodeInlineText } from "./inlineMarkup.js";
+
+// =================== 重译 ===================
+// 重译时用原文重新收集节点，只翻译选中的那些；译完的节点带上 RETRANSLATION_MARKER（值为节点 id），
+// 再按元素路径写回已有的译文输出，其余内容不动。
+export const RETRANSLATION_MARKER = "data-rt-id";
+
+const ELEMENT_TYPES = new Set(["tag", "script", "style"]);
+
+const isBilingualSource = (node) =>
+    String(node.attribs?.class || "").split(/\s+/).includes(BILINGUAL_SOURCE_CLASS);
+
+// 双语输出插入的原文副本不计入序号，原文章节与译文输出里同一个元素的路径因此相同
+const elementChildren = (node) =>
+    (node.children || []).filter((child) => ELEMENT_TYPES.has(child.type) && !isBilingualSource(child));
+
+export const getElementPath = (el) => {
+    const indexes = [];
+    for (let node = el; node?.parent; node = node.parent) {
+        indexes.unshift(elementChildren(node.parent).indexOf(node));
+    }
+    return indexes;
+};
+
+export const findElementByPath = ($, indexes) => {
+    let node = $.root().get(0);
+    for (const index of indexes) {
+        node = index >= 0 ? elementChildren(node)[index] : null;
+        if (!node) return null;
+    }
+    return node;
+};
+
+const normalizeSearchText = (value) => String(value || "").replace(/\s+/g, " ").trim();
+
+// 双语输出里包在节点内部的两侧只取译文一侧
+export const readTranslationText = ($, el) => {
+    const $translation = $(el).children(`.${BILINGUAL_TRANSLATION_CLASS}`);
+    return normalizeSearchText(decodeInlineText(($translation.length > 0 ? $translation : $(el)).text()));
+};
+
+// 输出里有原文副本时按它与译文的先后判断双语顺序；不是双语输出时返回 null
+export const detectBilingualOrder = ($) => {
+    const $source = $(`.${BILINGUAL_SOURCE_CLASS}`).first();
+    if ($source.length === 0) return null;
+    return $source.nextAll().not("br").first().hasClass(BILINGUAL_TRANSLATION_CLASS)
+        ? "source-first"
+        : "translation-first";
+};
+
+/**
+ * 重译节点的选择条件，传给 enqueueChapterTranslation 的 selectNode。
+ * nodeNumbers（--nodes）或 searchText（--find）任一命中即选中，两者都没给时选中全部节点。
+ * numberOf(el, node) 取节点编号；currentTextOf(el) 取输出里现有的译文，--find 同时查原文和现有译文，不区分大小写。
+ */
+export const createNodeSelector = ({
+    nodeNumbers = null,
+    searchText = null,
+    numberOf,
+    currentTextOf,
+}) => {
+    const needle = normalizeSearchText(searchText).toLowerCase();
+    return ($, el, node) => {
+        if (!nodeNumbers && !needle) return true;
+        if (nodeNumbers?.has(numberOf(el, node))) return true;
+        if (!needle) return false;
+        return [decodeInlineText($(el).text()), currentTextOf(el)].some((text) =>
+            normalizeSearchText(text).toLowerCase().includes(needle),
+        );
+    };
+};
+
+// 已有输出按这个方式解析：元素带上在原文本中的起止位置，写回时只替换这些片段
+export const loadRetranslationOutput = (outputText) =>
+    cheerio.load(outputText, { ...CHEERIO_OPTIONS, withStartIndices: true, withEndIndices: true });
+
+/**
+ * 把重译结果里带标记的节点写回已有的译文输出：按路径找到同一个元素，只替换它的内容，属性和其余节点不变。
+ * 标签名对不上时不写回。返回 { replaced: [{ nodeId, before, after }], unmatched: [nodeId], targets: [写回的元素] }。
+ */
+export const mergeRetranslatedNodes = ($output, $retranslated) => {
+    const replaced = [];
+    const unmatched = [];
+    const targets = [];
+    // 嵌套的节点（列表里的列表）随外层一起复制，先去掉全部标记、找好全部目标再写回
+    const matches = $retranslated(`[${RETRANSLATION_MARKER}]`)
+        .toArray()
+        .map((el) => {
+            const nodeId = el.attribs[RETRANSLATION_MARKER];
+            $retranslated(el).removeAttr(RETRANSLATION_MARKER);
+            const target = findElementByPath($output, getElementPath(el));
+            if (!target || target.name !== el.name) {
+                unmatched.push(nodeId);
+                return null;
+            }
+            return { el, nodeId, target, before: readTranslationText($output, target) };
+        })
+        .filter(Boolean);
+    for (const { el, nodeId, target, before } of matches) {
+        $output(target).html($retranslated(el).html());
+        targets.push(target);
+        replaced.push({ nodeId, before, after: readTranslationText($output, target) });
+    }
+    return { replaced, unmatched, targets };
+};
+
+/**
+ * 把写回后的元素按原位置拼回已有输出的文本，其余字节保持不变；$output 须由 loadRetranslationOutput 解析。
+ * 嵌套在另一个写回元素里的元素随外层一起写出。
+ */
+export const spliceMergedElements = (outputText, $output, targets) => {
+    const ranges = targets
+        .filter((el) => Number.isInteger(el.startIndex) && Number.isInteger(el.endIndex))
+        .map((el) => ({ start: el.startIndex, end: el.endIndex + 1, el }))
+        .sort((a, b) => a.start - b.start);
+
+    let text = "";
+    let lastIndex = 0;
+    for (const { start, end, el } of ranges) {
+        // 落在上一个片段里的是嵌套节点，已随外层写出
+        if (start < lastIndex) continue;
+        text += outputText.slice(lastIndex, start) + $output.xml(el);
+        lastIndex = end;
+    }
+    return text + outputText.slice(lastIndex);
+};
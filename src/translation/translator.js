@@ -1,38 +1,41 @@
 import { buildStyleGuide } from "../config.js";
-import fs from "fs";
 import { loadHtml } from "../utils.js";
 import {
     splitIntoBatches,
     getBatchingOptions,
     dispatchBatches,
     collectFailedNodes,
+    formatBatchInput,
+    protectBatchMarkup,
 } from "./batchQueue.js";
-import path from "path";
-import { fileURLToPath } from "url";
+import { findNoteContexts, isNoteElement } from "../epub/footnotes.js";
+import {
+    ATTRIBUTE_MARKER,
+    ATTRIBUTE_TEXT_INSTRUCTIONS,
+    applyAttributeTranslations,
+    buildAttributeDocument,
+    collectAttributeEntries,
+    findStandaloneSvgText,
+} from "./attributeText.js";
+import { RETRANSLATION_MARKER } from "./retranslation.js";
+import { getPromptTemplate, renderPromptTemplate } from "./promptTemplates.js";
+import { currentUsageJob, estimateTokenCount, isBudgetExceededError } from "../support/usage.js";
+import {
+    applyBilingualTranslation,
+    injectBilingualStyles,
+} from "../content/bilingual.js";
+import {
+    buildViolationRecord,
+    createGlossaryComplianceReport,
+    createGlossaryMatcher,
+} from "../content/glossaryCompliance.js";
 import {
     buildClassificationLog,
     classifyNode,
+    classifyTableCell,
     normalizeText,
 } from "../content/content-classifier.js";
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const EPUB_TRANSLATION_PROMPT_TEMPLATE = fs.readFileSync(
-    path.resolve(__dirname, "../../prompts/epub_translation_prompt.txt"),
-    "utf8",
-);
-const HTML_TRANSLATION_PROMPT_TEMPLATE = fs.readFileSync(
-    path.resolve(__dirname, "../../prompts/html_translation_prompt.txt"),
-    "utf8",
-);
-const PDF_TRANSLATION_PROMPT_TEMPLATE = fs.readFileSync(
-    path.resolve(__dirname, "../../prompts/pdf_translation_prompt.txt"),
-    "utf8",
-);
-const SUBTITLE_TRANSLATION_PROMPT_TEMPLATE = fs.readFileSync(
-    path.resolve(__dirname, "../../prompts/subtitle_translation_prompt.txt"),
-    "utf8",
-);
+import { describeTableCells, formatTableCellContext } from "../content/tables.js";
 
 function findContentRoot($) {
     const selectors = [
@@ -227,6 +230,8 @@ const hasShadowRootAttribute = (node) =>
 
 const isBlockedRegionNode = (node) => {
     if (!isElementNode(node)) return false;
+    // 标了 epub:type / role 的脚注、尾注（常放在 <aside> 里）是正文的一部分
+    if (isNoteElement(node)) return false;
     const tagName = getTagName(node);
     if (BLOCKED_ANCESTOR_TAGS.has(tagName)) return true;
 
@@ -779,17 +784,87 @@ const createTerminalProgressRenderer = () => {
     };
 };
 
-const getTranslationPromptTemplate = (translationMode) => {
-    if (translationMode === "html") {
-        return HTML_TRANSLATION_PROMPT_TEMPLATE;
-    }
-    if (translationMode === "pdf") {
-        return PDF_TRANSLATION_PROMPT_TEMPLATE;
-    }
-    if (translationMode === "subtitle") {
-        return SUBTITLE_TRANSLATION_PROMPT_TEMPLATE;
-    }
-    return EPUB_TRANSLATION_PROMPT_TEMPLATE;
+// 自定义风格指南（--style / 配置文件 style）优先；模板里没有 {{STYLE_GUIDE}} 时追加到末尾
+const buildTranslationPrompt = (translationMode, translationConfig, values) => {
+    const template = getPromptTemplate(
+        translationMode,
+        translationConfig.promptTemplates,
+    );
+    const languageValues = {
+        SOURCE_LANGUAGE: translationConfig.sourceLanguage,
+        TARGET_LANGUAGE: translationConfig.targetLanguage,
+    };
+    const styleGuide = translationConfig.styleGuide
+        ? renderPromptTemplate(translationConfig.styleGuide, languageValues).trim()
+        : buildStyleGuide(translationConfig.targetLanguage);
+    const prompt = renderPromptTemplate(template, {
+        ...languageValues,
+        ...values,
+        STYLE_GUIDE: styleGuide,
+    }).trim();
+    const promptWithStyle =
+        translationConfig.styleGuide && !/\{\{\s*STYLE_GUIDE\s*\}\}/.test(template)
+            ? `${prompt}\n\n${styleGuide}`
+            : prompt;
+    // retranslate --instructions：编辑针对这次重译给出的额外要求
+    return translationConfig.extraInstructions
+        ? `${promptWithStyle}\n\nADDITIONAL INSTRUCTIONS (from the editor; they take precedence over the style guide):\n${translationConfig.extraInstructions.trim()}`
+        : promptWithStyle;
+};
+
+// 纠正轮次（strictGlossary）把所有相关术语都升级为必须使用
+const buildGlossaryBlock = (glossaryMatcher, batchNodes, strictGlossary = false) => {
+    const relevantEntries = glossaryMatcher.findRelevant(
+        batchNodes.map((n) => n.content).join(" "),
+    );
+    const lockedEntries = relevantEntries.filter(
+        (entry) => strictGlossary || entry.locked,
+    );
+    const preferredEntries = relevantEntries.filter(
+        (entry) => !strictGlossary && !entry.locked,
+    );
+    const lockedMarkdown =
+        lockedEntries.length > 0
+            ? `\nLOCKED TERMS (Mandatory; always use exactly these translations):\n${lockedEntries
+                  .map((entry) => `- ${entry.term}: ${entry.translation}`)
+                  .join("\n")}\n`
+            : "";
+    return (
+        lockedMarkdown +
+        (preferredEntries.length > 0
+            ? `\nGLOSSARY (Prefer these, but adapt if context requires):\n${preferredEntries
+                  .map((entry) => `- ${entry.term}: ${entry.translation}`)
+                  .join("\n")}\n`
+            : "")
+    );
+};
+
+// 注释节点附上它所注释的正文句子，只作参考，避免脱离上下文的孤立译文
+const buildNoteContextBlock = ($, batchNodes, noteContexts) => {
+    if (!noteContexts?.size) return "";
+    const lines = batchNodes.flatMap((node) =>
+        findNoteContexts($, $(`[data-t-id="${node.id}"]`).get(0), noteContexts).map(
+            (sentence) => `- ${node.id} annotates: "${sentence}"`,
+        ),
+    );
+    return lines.length > 0
+        ? `\n\nNOTE CONTEXT (these items are footnotes or endnotes; the sentence each one annotates is given for reference only, so translate only the item itself, consistently with that sentence):\n${lines.join("\n")}`
+        : "";
+};
+
+// 表格单元格附上列 / 行标题，只作参考
+const buildTableContextBlock = (batchNodes, tableContexts) => {
+    if (!tableContexts?.size) return "";
+    const lines = batchNodes
+        .map((node) =>
+            tableContexts.has(node.id)
+                ? formatTableCellContext(node.id, tableContexts.get(node.id))
+                : null,
+        )
+        .filter(Boolean);
+    return lines.length > 0
+        ? `\n\nTABLE CONTEXT (these items are table cells; their headers are given for reference only, so translate only the cell itself, concisely, and keep numbers, units and symbols unchanged):\n${lines.join("\n")}`
+        : "";
 };
 
 const estimateNodeTextLength = (html) => {
@@ -960,39 +1035,30 @@ export const detectEpubBookStructuralMode = (
 };
 
 /**
- * 把章节内所有 batch 塞进全局队列，返回一个 Promise。
- * Promise resolve 时该章节已完全翻译完毕（含重试轮次）。
+ * 从章节 DOM 中收集待翻译节点并打上 data-t-id 标记。
+ * 返回 { nodesToTranslate, skippedNodes, tableContexts }，skippedNodes 是被 classifyNode 判定为跳过的元素，
+ * tableContexts 是表格单元格节点 id → 列 / 行标题。
  */
-const enqueueChapterTranslation = (
-    htmlContent,
-    chapterTitle,
-    glossary,
-    translationConfig,
-    batchQueue,
-    logger,
-    referencedIds,
-    definedClasses,
-    translationMode = "epub",
-    debugMode = false,
-    chapterTranslationOptions = {},
+const collectChapterNodes = (
+    $,
+    {
+        chapterTitle,
+        logger,
+        referencedIds,
+        definedClasses,
+        translationMode = "epub",
+        debugMode = false,
+        chapterTranslationOptions = {},
+    },
 ) => {
-    const $ = loadHtml(htmlContent);
-    let subtitleProgress = null;
-    const subtitleProgressRenderer =
-        translationMode === "subtitle" ? createTerminalProgressRenderer() : null;
-    const subtitleStatusLine = (line) => {
-        if (subtitleProgressRenderer) {
-            subtitleProgressRenderer.println(line);
-            return;
-        }
-        console.log(line);
-    };
-
     if (translationMode !== "html") {
         unwrapUselessSpans($, referencedIds, definedClasses);
     }
 
-    let skippedNodeCount = 0;
+    const skippedNodes = [];
+    const tableContexts = new Map();
+    // 表格单元格 → { unit, table, column, row }，只含未被判定为伪表格的表
+    const tableCells = new Map();
 
     $("table").each((i, el) => {
         const $el = $(el);
@@ -1007,14 +1073,19 @@ const enqueueChapterTranslation = (
             cellTexts,
         });
 
-        if (classification.action !== "PLACEHOLDER") return;
+        if (classification.action !== "PLACEHOLDER") {
+            for (const [cell, context] of describeTableCells($, el, `table_${i}`)) {
+                tableCells.set(cell, context);
+            }
+            return;
+        }
 
         const logEntry = buildClassificationLog(
             `table_${i}`,
             classification,
             $el.text(),
         );
-        skippedNodeCount++;
+        skippedNodes.push(el);
         logClassification(
             logger,
             enrichClassificationLog($, el, chapterTitle, logEntry, $.html($el)),
@@ -1034,21 +1105,34 @@ const enqueueChapterTranslation = (
 
     if (translationMode !== "html") {
         const explicitNodes = [];
+        // 已选中的元素；each 按文档顺序遍历，祖先总是先于单元格出现
+        const selectedElements = new Set();
 
-        $("p, li, h1, h2, h3, h4, h5, h6, caption, title").each((i, el) => {
+        $("p, li, h1, h2, h3, h4, h5, h6, caption, figcaption, title, th, td").each((i, el) => {
             const $el = $(el);
             const originalHtml = $el.html()?.trim();
             if (!originalHtml) return;
+            // 含段落的 figcaption 由里面的 <p> 翻译
+            if (el.name === "figcaption" && $el.find("p").length > 0) return;
+            // 单元格里有段落等元素时由它们翻译；伪表格的单元格不翻译
+            const isTableCell = el.name === "th" || el.name === "td";
+            if (isTableCell && !tableCells.has(el)) return;
+            // 表格在已选中的 li / p / figcaption 里时随它整体翻译，单元格不再单独成节点，避免节点重叠
+            if (isTableCell && $el.parents().toArray().some((parent) => selectedElements.has(parent))) {
+                return;
+            }
 
             const nodeId = `node_${i}`;
-            const classification = classifyNode({
-                tagName: el.name,
-                text: $el.text(),
-                html: originalHtml,
-            });
+            const classification = isTableCell
+                ? classifyTableCell($el.text())
+                : classifyNode({
+                      tagName: el.name,
+                      text: $el.text(),
+                      html: originalHtml,
+                  });
 
             if (shouldBypassClassification(classification, translationMode)) {
-                skippedNodeCount++;
+                skippedNodes.push(el);
                 const logEntry = buildClassificationLog(
                     nodeId,
                     classification,
@@ -1068,6 +1152,13 @@ const enqueueChapterTranslation = (
                 return;
             }
 
+            selectedElements.add(el);
+            if (isTableCell) {
+                const context = tableCells.get(el);
+                tableContexts.set(nodeId, context);
+                explicitNodes.push({ id: nodeId, content: originalHtml, node: el, unit: context.unit });
+                return;
+            }
             explicitNodes.push({ id: nodeId, content: originalHtml, node: el });
         });
 
@@ -1110,8 +1201,11 @@ const enqueueChapterTranslation = (
         if (nodesToTranslate.length === 0) {
             for (const node of explicitNodes) {
                 $(node.node).attr("data-t-id", node.id);
-                nodesToTranslate.push({ id: node.id, content: node.content });
+                nodesToTranslate.push({ id: node.id, content: node.content, unit: node.unit });
             }
+        } else {
+            // structural 节点的 id 与显式节点不对应
+            tableContexts.clear();
         }
     } else {
         for (const node of nodesToTranslate) {
@@ -1119,7 +1213,79 @@ const enqueueChapterTranslation = (
         }
     }
 
-    if (nodesToTranslate.length === 0) {
+    return { nodesToTranslate, skippedNodes, tableContexts };
+};
+
+/**
+ * 把章节内所有 batch 塞进全局队列，返回一个 Promise。
+ * Promise resolve 时该章节已完全翻译完毕（含重试轮次）。
+ */
+const enqueueChapterTranslation = (
+    htmlContent,
+    chapterTitle,
+    glossary,
+    translationConfig,
+    batchQueue,
+    logger,
+    referencedIds,
+    definedClasses,
+    translationMode = "epub",
+    debugMode = false,
+    chapterTranslationOptions = {},
+    complianceReport = null,
+) => {
+    const $ = loadHtml(htmlContent);
+    const batchingOptions = getBatchingOptions(
+        translationMode,
+        translationConfig.batching?.[translationMode],
+    );
+    let subtitleProgress = null;
+    const subtitleProgressRenderer =
+        translationMode === "subtitle" ? createTerminalProgressRenderer() : null;
+    const subtitleStatusLine = (line) => {
+        if (subtitleProgressRenderer) {
+            subtitleProgressRenderer.println(line);
+            return;
+        }
+        console.log(line);
+    };
+
+    const {
+        nodesToTranslate: collectedNodes,
+        skippedNodes,
+        tableContexts,
+    } = collectChapterNodes($, {
+        chapterTitle,
+        logger,
+        referencedIds,
+        definedClasses,
+        translationMode,
+        debugMode,
+        chapterTranslationOptions,
+    });
+
+    // 重译（retranslate）只翻译 selectNode 选中的节点，其余节点去掉标记、保持原样
+    const selectNode = chapterTranslationOptions.selectNode || null;
+    const nodesToTranslate = selectNode
+        ? collectedNodes.filter((node) => {
+              const el = node.node || $(`[data-t-id="${node.id}"]`).get(0);
+              if (selectNode($, el, node)) return true;
+              $(el).removeAttr("data-t-id");
+              return false;
+          })
+        : collectedNodes;
+    // nodeId -> 写回了重译译文的元素，章节结束时打上 RETRANSLATION_MARKER
+    const retranslatedNodes = new Map();
+
+    // alt / title 与 SVG 文本走独立的属性通道，EPUB 与 HTML 共用；
+    // 重译时只处理写回了新译文的节点内部：节点内容整体换掉，里面的 alt / title 回到了原文
+    const attributeChannel = translationMode === "epub" || translationMode === "html";
+    const svgText = attributeChannel ? findStandaloneSvgText($, "data-t-id") : new Set();
+
+    if (
+        nodesToTranslate.length === 0 &&
+        !(attributeChannel && !selectNode && collectAttributeEntries($, { svgText }).length > 0)
+    ) {
         $("[data-t-id]").removeAttr("data-t-id");
         return Promise.resolve($.xml());
     }
@@ -1137,41 +1303,54 @@ const enqueueChapterTranslation = (
         );
     }
 
-    const makeProcessor = () => ({
+    const bilingualOutput =
+        translationConfig.outputMode === "bilingual" &&
+        (translationMode === "epub" || translationMode === "html");
+
+    const glossaryMatcher = createGlossaryMatcher(
+        glossary,
+        translationConfig.userGlossary || [],
+    );
+    // nodeId -> { node, $target, translatedHtml }，章节结束后据此做术语检查
+    const writtenNodes = new Map();
+
+    const makeProcessor = ({ strictGlossary = false } = {}) => ({
         attrName: "data-t-id",
-        prompt: (batchNodes) => {
-            const batchText = batchNodes
-                .map((n) => n.content)
-                .join(" ")
-                .toLowerCase();
-            const relevantEntries = Object.entries(glossary).filter(([term]) =>
-                batchText.includes(term.toLowerCase()),
-            );
-            const glossaryMarkdown =
-                relevantEntries.length > 0
-                    ? `\nGLOSSARY (Prefer these, but adapt if context requires):\n${relevantEntries
-                          .map(([en, zh]) => `- ${en}: ${zh}`)
-                          .join("\n")}\n`
-                    : "";
-            const promptTemplate = getTranslationPromptTemplate(
-                translationMode,
-            );
-            return promptTemplate.replace(
-                "{{TARGET_LANGUAGE}}",
-                translationConfig.targetLanguage,
-            )
-                .replace(
-                    "{{SOURCE_LANGUAGE}}",
-                    translationConfig.sourceLanguage,
-                )
-                .replace("{{CHAPTER_TITLE}}", chapterTitle)
-                .replace("{{GLOSSARY_BLOCK}}", glossaryMarkdown)
-                .replace(
-                    "{{STYLE_GUIDE}}",
-                    buildStyleGuide(translationConfig.targetLanguage),
-                )
-                .trim();
+        memoryScope: {
+            sourceLanguage: translationConfig.sourceLanguage,
+            targetLanguage: translationConfig.targetLanguage,
+            mode: translationMode,
         },
+        // 术语纠正轮次不能直接复用记忆里那条违规的旧译文，重译也不能复用要替换掉的旧译文
+        reuseMemory: !strictGlossary && !selectNode,
+        // 批处理队列不在任务的异步上下文里执行，这里记下发起的任务
+        usageContext: { step: "translation", chapter: chapterTitle, job: currentUsageJob() },
+        // 正文行内标签（链接、脚注引用、ruby、图片等）换成占位符发送，返回后按编号还原
+        protectMarkup: translationMode === "epub" || translationMode === "html",
+        writeBack: bilingualOutput
+            ? ($target, translatedHtml) =>
+                  applyBilingualTranslation($, $target, translatedHtml, {
+                      sourceLanguage: translationConfig.sourceLanguage,
+                      targetLanguage: translationConfig.targetLanguage,
+                      order: translationConfig.bilingualOrder || "source-first",
+                      markerAttrName: "data-t-id",
+                  })
+            : null,
+        afterWriteBack:
+            glossaryMatcher.size > 0 || selectNode
+                ? (node, translatedHtml, $target) => {
+                      if (!node) return;
+                      if (selectNode) retranslatedNodes.set(node.id, $target.get(0));
+                      if (glossaryMatcher.size > 0) {
+                          writtenNodes.set(node.id, { node, $target, translatedHtml });
+                      }
+                  }
+                : null,
+        prompt: (batchNodes) =>
+            `${buildTranslationPrompt(translationMode, translationConfig, {
+                CHAPTER_TITLE: chapterTitle,
+                GLOSSARY_BLOCK: buildGlossaryBlock(glossaryMatcher, batchNodes, strictGlossary),
+            })}${buildNoteContextBlock($, batchNodes, chapterTranslationOptions.noteContexts)}${buildTableContextBlock(batchNodes, tableContexts)}`,
         singleNodePrompt:
             translationMode === "subtitle"
                 ? () =>
@@ -1182,11 +1361,22 @@ const enqueueChapterTranslation = (
                 : null,
     });
 
+    // 预算用完时整章停止：不再进入后续重试轮次，章节 Promise 以预算错误 reject，
+    // 由 performTranslation 跳过缓存写入，避免把半译的章节当成已完成
+    const dispatchAll = async (batches, processor, dispatchOptions = {}, $doc = $) => {
+        const results = await Promise.all(
+            dispatchBatches(batches, $doc, processor, batchQueue, logger, dispatchOptions),
+        );
+        const budgetFailure = results.find((result) => isBudgetExceededError(result.error));
+        if (budgetFailure) throw budgetFailure.error;
+        return results;
+    };
+
     const dispatchRound = async (nodes, processor) => {
         const batches =
             translationMode === "pdf"
                 ? nodes.map((node) => [node])
-                : splitIntoBatches(nodes, getBatchingOptions(translationMode));
+                : splitIntoBatches(nodes, batchingOptions);
         const dispatchOptions =
             translationMode === "subtitle"
                 ? {
@@ -1219,16 +1409,7 @@ const enqueueChapterTranslation = (
                       },
                   }
                 : {};
-        return Promise.all(
-            dispatchBatches(
-                batches,
-                $,
-                processor,
-                batchQueue,
-                logger,
-                dispatchOptions,
-            ),
-        );
+        return dispatchAll(batches, processor, dispatchOptions);
     };
 
     const dispatchSplitRetryRounds = async (
@@ -1247,17 +1428,12 @@ const enqueueChapterTranslation = (
             subtitleStatusLine(
                 `    - ↘️ [${roundLabel}] Retrying ${currentNodes.length} failed node(s) in smaller subtitle batches (Round ${round}/${maxRounds}, nodeLimit=${nextNodeLimit})...`,
             );
-            await Promise.all(
-                dispatchBatches(
-                    splitIntoBatches(currentNodes, {
-                        ...getBatchingOptions(translationMode),
-                        nodeLimit: nextNodeLimit,
-                    }),
-                    $,
-                    processor,
-                    batchQueue,
-                    logger,
-                ),
+            await dispatchAll(
+                splitIntoBatches(currentNodes, {
+                    ...batchingOptions,
+                    nodeLimit: nextNodeLimit,
+                }),
+                processor,
             );
             currentNodes = collectFailedNodes($, processor.attrName);
         }
@@ -1271,15 +1447,9 @@ const enqueueChapterTranslation = (
             `    - ↘️ [${roundLabel}] Falling back to single-node retries for ${failedNodes.length} node(s)...`,
         );
 
-        const singleNodeBatches = failedNodes.map((node) => [node]);
-        await Promise.all(
-            dispatchBatches(
-                singleNodeBatches,
-                $,
-                processor,
-                batchQueue,
-                logger,
-            ),
+        await dispatchAll(
+            failedNodes.map((node) => [node]),
+            processor,
         );
 
         const unresolvedNodes = collectFailedNodes($, processor.attrName);
@@ -1324,21 +1494,320 @@ const enqueueChapterTranslation = (
         await fallbackToSingleNodes(roundLabel, processor);
     };
 
+    const collectGlossaryViolations = (entries) =>
+        entries
+            .map((entry) => ({
+                ...entry,
+                violations: glossaryMatcher.findViolations(
+                    entry.node.content,
+                    entry.translatedHtml,
+                ),
+            }))
+            .filter((entry) => entry.violations.length > 0);
+
+    // 章节译完后逐节点核对术语；开启 enforce 时违规节点用严格 prompt 再译一轮，
+    // 仍不合规的保留上一轮译文并写入报告
+    const checkGlossaryCompliance = async (roundLabel) => {
+        if (writtenNodes.size === 0) return;
+        const violatingEntries = collectGlossaryViolations([...writtenNodes.values()]);
+        const records = [];
+
+        if (
+            violatingEntries.length > 0 &&
+            translationConfig.glossaryCompliance?.enforce
+        ) {
+            subtitleStatusLine(
+                `    - 🔁 [${roundLabel}] Re-translating ${violatingEntries.length} node(s) with glossary violations...`,
+            );
+            const processor = makeProcessor({ strictGlossary: true });
+            for (const entry of violatingEntries) {
+                entry.$target.attr(processor.attrName, entry.node.id);
+            }
+            await dispatchAll(
+                splitIntoBatches(
+                    violatingEntries.map((entry) => entry.node),
+                    batchingOptions,
+                ),
+                processor,
+            );
+            $(`[${processor.attrName}]`).removeAttr(processor.attrName);
+
+            for (const entry of violatingEntries) {
+                const latest = writtenNodes.get(entry.node.id);
+                const remaining = new Set(
+                    glossaryMatcher
+                        .findViolations(entry.node.content, latest.translatedHtml)
+                        .map((violation) => violation.term),
+                );
+                for (const violation of entry.violations) {
+                    records.push(
+                        buildViolationRecord(
+                            entry.node,
+                            latest.translatedHtml,
+                            violation,
+                            !remaining.has(violation.term),
+                        ),
+                    );
+                }
+            }
+        } else {
+            for (const entry of violatingEntries) {
+                for (const violation of entry.violations) {
+                    records.push(
+                        buildViolationRecord(entry.node, entry.translatedHtml, violation),
+                    );
+                }
+            }
+        }
+
+        complianceReport?.addChapter(chapterTitle, {
+            checkedNodes: writtenNodes.size,
+            violations: records,
+        });
+
+        const unresolved = records.filter((record) => !record.corrected);
+        const corrected = records.length - unresolved.length;
+        for (const record of unresolved) {
+            logger.write(
+                "WARN",
+                `Chapter "${chapterTitle}" node ${record.nodeId} did not use ${record.locked ? "locked " : ""}glossary term: ${record.term} -> ${record.expected}`,
+            );
+        }
+        if (unresolved.length > 0 || corrected > 0) {
+            subtitleStatusLine(
+                `    - 📘 [${roundLabel}] Glossary check: ${unresolved.length} violation(s) remaining${corrected > 0 ? `, ${corrected} corrected` : ""}.`,
+            );
+        }
+    };
+
+    // 正文写回之后再收集：行内 <img> 随占位符还原时带回的是原文 alt
+    const translateAttributes = async (roundLabel) => {
+        const entries = attributeChannel
+            ? collectAttributeEntries($, {
+                  svgText,
+                  within: selectNode ? [...retranslatedNodes.values()] : null,
+              })
+            : [];
+        if (entries.length === 0) return;
+        const $attributes = buildAttributeDocument(entries);
+        const processor = {
+            ...makeProcessor(),
+            attrName: ATTRIBUTE_MARKER,
+            writeBack: null,
+            afterWriteBack: null,
+            prompt: (batchNodes) =>
+                `${buildTranslationPrompt(translationMode, translationConfig, {
+                    CHAPTER_TITLE: chapterTitle,
+                    GLOSSARY_BLOCK: buildGlossaryBlock(glossaryMatcher, batchNodes),
+                })}${ATTRIBUTE_TEXT_INSTRUCTIONS}`,
+        };
+        let pendingNodes = entries.map(({ id, content }) => ({ id, content }));
+        for (let round = 0; round <= 2 && pendingNodes.length > 0; round++) {
+            await dispatchAll(
+                splitIntoBatches(pendingNodes, batchingOptions),
+                processor,
+                {},
+                $attributes,
+            );
+            pendingNodes = collectFailedNodes($attributes, ATTRIBUTE_MARKER);
+        }
+        applyAttributeTranslations($attributes, entries, $);
+        if (pendingNodes.length > 0) {
+            logger.write(
+                "WARN",
+                `Chapter "${roundLabel}" left ${pendingNodes.length} attribute/SVG text value(s) untranslated: ${pendingNodes.map((node) => node.id).join(", ")}`,
+            );
+        }
+    };
+
     // 返回整个异步链，但 enqueue 动作是立即发生的（不等 await）
-    return runRound(nodesToTranslate, chapterTitle).then(() => {
-        subtitleProgressRenderer?.finish(
-            subtitleProgress
-                ? `    - ✅ Subtitle progress: ${subtitleProgress.completedNodes}/${subtitleProgress.totalNodes} cues (100%), batches=${subtitleProgress.completedBatches}, failedBatches=${subtitleProgress.failedBatches}`
-                : null,
+    return runRound(nodesToTranslate, chapterTitle)
+        .then(() => checkGlossaryCompliance(chapterTitle))
+        .then(() => translateAttributes(chapterTitle))
+        .then(() => {
+            subtitleProgressRenderer?.finish(
+                subtitleProgress
+                    ? `    - ✅ Subtitle progress: ${subtitleProgress.completedNodes}/${subtitleProgress.totalNodes} cues (100%), batches=${subtitleProgress.completedBatches}, failedBatches=${subtitleProgress.failedBatches}`
+                    : null,
+            );
+            $("[data-t-id]").removeAttr("data-t-id");
+            for (const [nodeId, el] of retranslatedNodes) {
+                $(el).attr(RETRANSLATION_MARKER, nodeId);
+            }
+            if (bilingualOutput) {
+                injectBilingualStyles($, translationConfig);
+            }
+            if (debugMode && skippedNodes.length > 0) {
+                console.log(
+                    `    - ⏭️ Skipped translation for ${skippedNodes.length} classified node(s); original content preserved.`,
+                );
+            }
+            return $.xml();
+        });
+};
+
+// =================== 费用预估（dry-run） ===================
+/**
+ * 走与正式翻译相同的节点收集、分批和 prompt 拼装，但不调用模型。
+ * groupOf($, el) 决定节点归属的统计分组（PDF 按页），默认整章一组；
+ * 每个 batch 按首个节点归组。翻译记忆完全命中的节点不计入请求。
+ * 返回 { groups: [{ key, nodes, skippedNodes, memoryHits, requests, characters, promptTokens, completionTokens }],
+ *        correction: 术语纠正轮次的 { requests, promptTokens, completionTokens }，未开启 enforce 时为 null }。
+ */
+export const estimateChapterTranslation = (
+    htmlContent,
+    chapterTitle,
+    glossary,
+    translationConfig,
+    {
+        referencedIds = new Set(),
+        definedClasses = new Set(),
+        translationMode = "epub",
+        chapterTranslationOptions = {},
+        translationMemory = null,
+        groupOf = null,
+    } = {},
+) => {
+    const $ = loadHtml(htmlContent);
+    const { nodesToTranslate, skippedNodes, tableContexts } = collectChapterNodes($, {
+        chapterTitle,
+        logger: { write: () => {} },
+        referencedIds,
+        definedClasses,
+        translationMode,
+        chapterTranslationOptions,
+    });
+
+    const groups = new Map();
+    const groupFor = (el) => {
+        const key = groupOf ? groupOf($, el) : chapterTitle;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                key,
+                nodes: 0,
+                skippedNodes: 0,
+                memoryHits: 0,
+                requests: 0,
+                characters: 0,
+                promptTokens: 0,
+                completionTokens: 0,
+            });
+        }
+        return groups.get(key);
+    };
+    const elementOf = (node) => node.node || $(`[data-t-id="${node.id}"]`).get(0);
+
+    for (const node of nodesToTranslate) {
+        const group = groupFor(elementOf(node));
+        group.nodes += 1;
+        group.characters += estimateNodeTextLength(node.content);
+    }
+    for (const el of skippedNodes) {
+        groupFor(el).skippedNodes += 1;
+    }
+
+    const memoryScope = {
+        sourceLanguage: translationConfig.sourceLanguage,
+        targetLanguage: translationConfig.targetLanguage,
+        mode: translationMode,
+    };
+    const glossaryMatcher = createGlossaryMatcher(
+        glossary,
+        translationConfig.userGlossary || [],
+    );
+    const batchingOptions = getBatchingOptions(
+        translationMode,
+        translationConfig.batching?.[translationMode],
+    );
+    const batches =
+        translationMode === "pdf"
+            ? nodesToTranslate.map((node) => [node])
+            : splitIntoBatches(nodesToTranslate, batchingOptions);
+
+    // 属性通道（alt / title / SVG 文本）的条目单独分批，计入所在元素的分组
+    const attributeEntries =
+        translationMode === "epub" || translationMode === "html"
+            ? collectAttributeEntries($, { svgText: findStandaloneSvgText($, "data-t-id") })
+            : [];
+    for (const entry of attributeEntries) {
+        const group = groupFor(entry.element);
+        group.nodes += 1;
+        group.characters += estimateNodeTextLength(entry.content);
+    }
+    const attributeElements = new Map(attributeEntries.map((entry) => [entry.id, entry.element]));
+    const plannedBatches = [
+        ...batches.map((batch) => ({ batch, element: elementOf(batch[0]), instructions: "" })),
+        ...splitIntoBatches(
+            attributeEntries.map(({ id, content }) => ({ id, content })),
+            batchingOptions,
+        ).map((batch) => ({
+            batch,
+            element: attributeElements.get(batch[0].id),
+            instructions: ATTRIBUTE_TEXT_INSTRUCTIONS,
+        })),
+    ];
+
+    for (const { batch, element, instructions } of plannedBatches) {
+        const group = groupFor(element);
+        const pending = translationMemory?.enabled
+            ? batch.filter((node) => !translationMemory.lookupExact(memoryScope, node.content))
+            : batch;
+        group.memoryHits += batch.length - pending.length;
+        if (pending.length === 0) continue;
+
+        const singleSubtitleCue = translationMode === "subtitle" && pending.length === 1;
+        const systemPrompt = singleSubtitleCue
+            ? buildSubtitleSingleNodePrompt(
+                  translationConfig.sourceLanguage,
+                  translationConfig.targetLanguage,
+              )
+            : `${buildTranslationPrompt(translationMode, translationConfig, {
+                  CHAPTER_TITLE: chapterTitle,
+                  GLOSSARY_BLOCK: buildGlossaryBlock(glossaryMatcher, pending),
+              })}${buildTableContextBlock(pending, tableContexts)}${instructions}`;
+        const batchInput = singleSubtitleCue
+            ? pending[0].content
+            : formatBatchInput(
+                  pending,
+                  translationMode === "epub" || translationMode === "html"
+                      ? protectBatchMarkup(pending)
+                      : null,
+              );
+        // 译文长度按与原文相当估算
+        group.requests += 1;
+        group.promptTokens += estimateTokenCount(systemPrompt) + estimateTokenCount(batchInput);
+        group.completionTokens += estimateTokenCount(batchInput);
+    }
+
+    // 开启 enforce 时违规节点会用严格 prompt 再译一轮；按所有含术语的节点估算（上限）
+    let correction = null;
+    if (translationConfig.glossaryCompliance?.enforce) {
+        const correctionNodes = nodesToTranslate.filter(
+            (node) => glossaryMatcher.findRelevant(node.content).length > 0,
         );
-        $("[data-t-id]").removeAttr("data-t-id");
-        if (debugMode && skippedNodeCount > 0) {
-            console.log(
-                `    - ⏭️ Skipped translation for ${skippedNodeCount} classified node(s); original content preserved.`,
+        correction = {
+            requests: 0,
+            promptTokens: 0,
+            completionTokens: 0,
+        };
+        for (const batch of splitIntoBatches(correctionNodes, batchingOptions)) {
+            const systemPrompt = `${buildTranslationPrompt(translationMode, translationConfig, {
+                CHAPTER_TITLE: chapterTitle,
+                GLOSSARY_BLOCK: buildGlossaryBlock(glossaryMatcher, batch, true),
+            })}${buildTableContextBlock(batch, tableContexts)}`;
+            const batchInput = formatBatchInput(
+                batch,
+                translationMode === "epub" || translationMode === "html"
+                    ? protectBatchMarkup(batch)
+                    : null,
             );
+            correction.requests += 1;
+            correction.promptTokens += estimateTokenCount(systemPrompt) + estimateTokenCount(batchInput);
+            correction.completionTokens += estimateTokenCount(batchInput);
         }
-        return $.xml();
-    });
+    }
+
+    return { groups: [...groups.values()], correction };
 };
 
 // 兼容旧调用（headings.js 等地方可能直接调用）
@@ -1393,7 +1862,10 @@ export const performTranslation = async (
             : "\n✍️ Step 4: Translating Book Content...",
     );
     let skipped = 0;
+    let stoppedChapters = 0;
+    let budgetError = null;
     const total = sortedChapters.length;
+    const complianceReport = createGlossaryComplianceReport();
 
     // 过滤掉已缓存和 TOC，剩余章节同时入队
     const pending = [];
@@ -1427,7 +1899,11 @@ export const performTranslation = async (
             definedClasses,
             translationMode,
             debugMode,
-            bookTranslationOptions?.chapterModes?.[ch.id] || {},
+            {
+                ...bookTranslationOptions?.chapterModes?.[ch.id],
+                noteContexts: bookTranslationOptions?.footnotes?.contextsFor(ch.id),
+            },
+            complianceReport,
         );
 
         // 每章独立 then：完成后立即写 cache，不等其他章节
@@ -1442,6 +1918,12 @@ export const performTranslation = async (
                 }
             })
             .catch((e) => {
+                if (isBudgetExceededError(e)) {
+                    budgetError ??= e;
+                    stoppedChapters += 1;
+                    logger.write("WARN", `Chapter "${ch.title}" stopped: ${e.message}`);
+                    return;
+                }
                 logger.write(
                     "ERROR",
                     `Chapter "${ch.title}" Translation Failed: ${e.stack || e.message}`,
@@ -1455,4 +1937,12 @@ export const performTranslation = async (
     if (skipped > 0) {
         console.log(`  ℹ️  ${skipped} chapter(s) restored from cache.`);
     }
+    if (budgetError) {
+        console.log(
+            `⏸️  ${budgetError.message} ${stoppedChapters} unfinished chapter(s) were not cached and will be translated on the next run.`,
+        );
+    }
+
+    // budgetError 非空时调用方应停止后续步骤，已完成的章节已经写入缓存
+    return { glossaryCompliance: complianceReport, budgetError };
 };
@@ -1,4 +1,7 @@
 import * as cheerio from "cheerio";
+import { BILINGUAL_SOURCE_CLASS } from "./content/bilingual.js";
+import { isBudgetExceededError } from "./support/usage.js";
+import { sleepBeforeRetry } from "./translation/rateLimiter.js";
 
 // =================== Cheerio 基础配置 ===================
 export const CHEERIO_OPTIONS = { xmlMode: true, decodeEntities: false };
@@ -64,7 +67,10 @@ export const resolveAnchorTitle = ($doc, anchor) => {
                     if ($hg.length) return resolveHgroup($hg);
                     text = cleanText($heading);
                 } else {
-                    const $next = $el.nextAll("h1, h2, h3, h4").first();
+                    const $next = $el
+                        .nextAll("h1, h2, h3, h4")
+                        .not(`.${BILINGUAL_SOURCE_CLASS}`)
+                        .first();
                     const $hg = $next.closest("hgroup");
                     if ($hg.length) return resolveHgroup($hg);
                     text = cleanText($next);
@@ -83,7 +89,11 @@ export const resolveAnchorTitle = ($doc, anchor) => {
     // fallback：页面第一个标题，也检查 hgroup
     const $firstHgroup = $doc("hgroup").first();
     if ($firstHgroup.length) return resolveHgroup($firstHgroup);
-    return cleanText($doc("h1, h2, h3").first()) || null;
+    // 双语输出时跳过原文副本，目录取译文标题
+    return (
+        cleanText($doc("h1, h2, h3").not(`.${BILINGUAL_SOURCE_CLASS}`).first()) ||
+        null
+    );
 };
 
 // =================== href 规范化索引 ===================
@@ -110,6 +120,7 @@ export const callAIWithRetry = async (
     userContent,
     systemPrompt,
     maxAttempts = 3,
+    usageContext = null,
 ) => {
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
         try {
@@ -117,11 +128,12 @@ export const callAIWithRetry = async (
                 userContent,
                 systemPrompt,
                 true,
+                usageContext,
             );
             return JSON.parse(raw.replace(/```json|```/g, "").trim());
         } catch (e) {
-            if (attempt >= maxAttempts) throw e;
-            await new Promise((r) => setTimeout(r, 2000));
+            if (attempt >= maxAttempts || isBudgetExceededError(e)) throw e;
+            await sleepBeforeRetry(attempt, e);
         }
     }
 };
@@ -0,0 +1,123 @@
+import assert from "node:assert/strict";
+import http from "http";
+import { after, before, describe, test } from "node:test";
+import { createAIProvider, isOutputTruncatedError } from "../src/translation/aiProvider.js";
+import { createUsageTracker, isBudgetExceededError } from "../src/support/usage.js";
+
+const logger = { write: () => {} };
+
+// 本地 HTTP 服务代替真实接口：handler(payload, res) 决定怎么回复
+const startServer = async (handler) => {
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => {
+            body += chunk;
+        });
+        req.on("end", () => handler(JSON.parse(body), res));
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    return { server, baseURL: `http://127.0.0.1:${server.address().port}` };
+};
+
+const createProvider = (name, providerConfig, usageTracker) =>
+    createAIProvider(
+        name,
+        { [name]: { apiKey: "test-key", modelName: "test-model", concurrency: 1, timeoutMs: 10_000, ...providerConfig } },
+        logger,
+        [],
+        usageTracker,
+    );
+
+// =================== 失败但已计费的请求 ===================
+describe("usage of billed requests that fail", () => {
+    let anthropic;
+    let streaming;
+    before(async () => {
+        anthropic = await startServer((payload, res) => {
+            res.setHeader("content-type", "application/json");
+            res.end(
+                JSON.stringify({
+                    stop_reason: payload.system.includes("refuse") ? "refusal" : "max_tokens",
+                    content: [{ type: "text", text: '<node id="node_1">半截' }],
+                    usage: { input_tokens: 120, output_tokens: payload.max_tokens },
+                }),
+            );
+        });
+        // 发出两段内容后断开连接，模拟流式响应中途失败
+        streaming = await startServer((payload, res) => {
+            res.writeHead(200, { "content-type": "text/event-stream" });
+            for (const content of ['<node id="node_1">第一段', "译文</node>"]) {
+                res.write(`data: ${JSON.stringify({ choices: [{ index: 0, delta: { content } }] })}\n\n`);
+            }
+            setTimeout(() => res.destroy(), 20);
+        });
+    });
+    after(() => {
+        anthropic.server.close();
+        streaming.server.close();
+    });
+
+    test("records the usage of an Anthropic reply cut off at max_tokens and stops at the budget", async () => {
+        const usageTracker = createUsageTracker({ limits: { maxTokens: 300 } });
+        const provider = createProvider(
+            "anthropic-truncated",
+            { type: "anthropic", baseURL: anthropic.baseURL, maxTokens: 200 },
+            usageTracker,
+        );
+
+        await assert.rejects(
+            provider.callAI('<node id="node_1">Long text</node>', "Translate."),
+            (error) => isOutputTruncatedError(error) && /raise ANTHROPIC_MAX_TOKENS/.test(error.message),
+        );
+        assert.deepEqual(
+            (({ requests, promptTokens, completionTokens, totalTokens }) => ({ requests, promptTokens, completionTokens, totalTokens }))(
+                usageTracker.snapshot(),
+            ),
+            { requests: 1, promptTokens: 120, completionTokens: 200, totalTokens: 320 },
+        );
+        await assert.rejects(provider.callAI("More text", "Translate."), isBudgetExceededError);
+    });
+
+    test("records the usage of a refused Anthropic reply", async () => {
+        const usageTracker = createUsageTracker();
+        const provider = createProvider(
+            "anthropic-refusal",
+            { type: "anthropic", baseURL: anthropic.baseURL, maxTokens: 50 },
+            usageTracker,
+        );
+        await assert.rejects(provider.callAI("Text", "Please refuse."), /content policy refusal/);
+        assert.equal(usageTracker.snapshot().totalTokens, 170);
+    });
+
+    test("estimates the usage of a stream that breaks partway", async () => {
+        const usageTracker = createUsageTracker();
+        const provider = createProvider(
+            "stream-broken",
+            { type: "openai-compatible", baseURL: streaming.baseURL, stream: true },
+            usageTracker,
+        );
+        const partials = [];
+        await assert.rejects(
+            provider.callAI('<node id="node_1">First part</node>', "Translate.", false, null, {
+                onPartialText: (text) => partials.push(text),
+            }),
+        );
+        assert.equal(partials.at(-1), '<node id="node_1">第一段译文</node>');
+        const { requests, promptTokens, completionTokens } = usageTracker.snapshot();
+        assert.equal(requests, 1);
+        assert.ok(promptTokens > 0);
+        assert.ok(completionTokens > 0);
+    });
+
+    test("records nothing for requests refused by the budget before they are sent", async () => {
+        const usageTracker = createUsageTracker({ limits: { maxRequests: 1 } });
+        usageTracker.acquireRequest();
+        const provider = createProvider(
+            "anthropic-budget",
+            { type: "anthropic", baseURL: anthropic.baseURL },
+            usageTracker,
+        );
+        await assert.rejects(provider.callAI("Text", "Translate."), isBudgetExceededError);
+        assert.equal(usageTracker.snapshot().requests, 0);
+    });
+});
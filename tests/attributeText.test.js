@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { loadHtml } from "../src/utils.js";
+import { BILINGUAL_SOURCE_CLASS } from "../src/content/bilingual.js";
+import { collectAttributeEntries, findStandaloneSvgText } from "../src/translation/attributeText.js";
+import { createScriptedProvider, translateChapters, xhtmlChapter } from "./helpers/translation.js";
+
+describe("collectAttributeEntries", () => {
+    test("collects alt, title and standalone SVG text but skips file names, numbers and the head", () => {
+        const $ = loadHtml(
+            xhtmlChapter(
+                '<p title="Opening note">Hi</p><img src="a.png" alt="a.png"/><img src="b.png" alt="A red barn"/>' +
+                    `<div class="${BILINGUAL_SOURCE_CLASS}"><img src="c.png" alt="Kept as source"/></div>` +
+                    '<svg><text x="1">North gate</text><text x="2">12</text><text><tspan>Nested</tspan></text></svg>',
+            ).replace("</head>", '<link rel="stylesheet" title="Night mode" href="night.css"/></head>'),
+        );
+        const entries = collectAttributeEntries($, { svgText: findStandaloneSvgText($, "data-t-id") });
+        assert.deepEqual(
+            entries.map(({ id, content, attribute }) => ({ id, content, attribute })),
+            [
+                { id: "attr_0", content: "Opening note", attribute: "title" },
+                { id: "attr_1", content: "A red barn", attribute: "alt" },
+                { id: "attr_2", content: "North gate", attribute: null },
+                { id: "attr_3", content: "Nested", attribute: null },
+            ],
+        );
+    });
+});
+
+// =================== 章节翻译中的属性通道 ===================
+describe("attribute translation", () => {
+    test("translates alt, title and SVG labels in a separate plain-text request", async () => {
+        const provider = createScriptedProvider();
+        const { htmlById } = await translateChapters(
+            [
+                {
+                    id: "c1",
+                    title: "One",
+                    html: xhtmlChapter(
+                        '<p>See the <abbr title="United Nations">UN</abbr> report.</p>' +
+                            '<figure><img src="a.png" alt="A red barn"/><figcaption>Figure 1. The barn.</figcaption></figure>' +
+                            '<svg xmlns="http://www.w3.org/2000/svg"><text x="1" y="2">North gate</text><text x="3" y="4">12</text></svg>' +
+                            '<img src="b.png" alt=""/>',
+                    ),
+                },
+            ],
+            { provider },
+        );
+
+        const html = htmlById.get("c1");
+        assert.match(html, /<p>T:See the <abbr title="T:United Nations">UN<\/abbr> report\.<\/p>/);
+        assert.match(html, /<img src="a\.png" alt="T:A red barn"\/><figcaption>T:Figure 1\. The barn\.<\/figcaption>/);
+        assert.match(html, /<text x="1" y="2">T:North gate<\/text><text x="3" y="4">12<\/text>/);
+        assert.match(html, /<img src="b\.png" alt=""\/>/);
+        assert.doesNotMatch(html, /data-ta-id/);
+
+        const attributeCall = provider.calls.find((call) => call.input.includes("A red barn"));
+        assert.match(attributeCall.prompt, /ATTRIBUTE TEXT/);
+        assert.equal(
+            attributeCall.input,
+            '<node id="attr_0">United Nations</node>\n<node id="attr_1">A red barn</node>\n<node id="attr_2">North gate</node>',
+        );
+    });
+});
@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { createScriptedProvider, translateChapters, xhtmlChapter } from "./helpers/translation.js";
+
+// 含 LONG 的请求一律按输出上限截断，与 Anthropic 的 OUTPUT_TRUNCATED 错误相同
+const createTruncatingProvider = () =>
+    createScriptedProvider((text) => {
+        if (!text.includes("LONG")) return `T:${text}`;
+        const error = new Error(
+            "Anthropic response was cut off at max_tokens (8192); raise ANTHROPIC_MAX_TOKENS or use smaller batches.",
+        );
+        error.code = "OUTPUT_TRUNCATED";
+        throw error;
+    });
+
+describe("truncated batch responses", () => {
+    test("splits truncated batches and leaves a single truncated node as source text without retrying it", async () => {
+        const provider = createTruncatingProvider();
+        const { htmlById } = await translateChapters(
+            [
+                {
+                    id: "c1",
+                    title: "One",
+                    html: xhtmlChapter("<p>First paragraph.</p><p>LONG paragraph.</p><p>Last paragraph.</p>"),
+                },
+            ],
+            { provider },
+        );
+
+        const html = htmlById.get("c1");
+        assert.match(html, /<p>T:First paragraph\.<\/p>/);
+        assert.match(html, /<p>LONG paragraph\.<\/p>/);
+        assert.match(html, /<p>T:Last paragraph\.<\/p>/);
+        assert.doesNotMatch(html, /data-t-id/);
+        // 4 个节点 → 2 个 → 单独一个，之后不再有重试轮或单节点回退
+        const truncatedRequests = provider.calls.filter((call) => call.input.includes("LONG"));
+        assert.deepEqual(
+            truncatedRequests.map((call) => (call.input.match(/<node /g) || []).length),
+            [4, 2, 1],
+        );
+    });
+});
+
+// =================== JSON 批量格式 ===================
+describe("JSON batch format", () => {
+    const chapters = [
+        { id: "c1", title: "One", html: xhtmlChapter("<p>Read <em>this</em> now.</p><p>Second line.</p>") },
+    ];
+
+    test("sends items with markers in place of inline tags and restores the tags from the translations", async () => {
+        const provider = createScriptedProvider((text) => `T:${text}`, { batchFormat: "json" });
+        const { htmlById } = await translateChapters(chapters, { provider });
+
+        const [call] = provider.calls;
+        assert.equal(call.jsonFormat, true);
+        assert.match(call.prompt, /RESPONSE FORMAT/);
+        assert.deepEqual(
+            JSON.parse(call.input).items.slice(1),
+            [
+                { id: "node_1", text: "Read ⟨1⟩this⟨/1⟩ now." },
+                { id: "node_2", text: "Second line." },
+            ],
+        );
+        assert.match(htmlById.get("c1"), /<p>T:Read <em>this<\/em> now\.<\/p><p>T:Second line\.<\/p>/);
+    });
+
+    test("retries a reply that is not valid JSON and accepts a bare translations array", async () => {
+        const provider = createScriptedProvider((text) => `T:${text}`, { batchFormat: "json" });
+        const callAI = provider.callAI;
+        provider.callAI = async (...args) => {
+            const reply = await callAI(...args);
+            if (provider.calls.length === 1) return reply.slice(0, -2);
+            return JSON.stringify(JSON.parse(reply).translations);
+        };
+        const { htmlById } = await translateChapters(chapters, { provider });
+
+        assert.equal(provider.calls.length, 2);
+        assert.match(htmlById.get("c1"), /<p>T:Read <em>this<\/em> now\.<\/p>/);
+    });
+
+    test("rejects a translation that drops or changes the markers", async () => {
+        const provider = createScriptedProvider(
+            (text, { id }) => (id === "node_1" ? "T:Read this now." : `T:${text}`),
+            { batchFormat: "json" },
+        );
+        const { htmlById } = await translateChapters(chapters, { provider });
+
+        // 占位符对不上时整段重试，最终保留原文
+        assert.ok(provider.calls.length > 1);
+        assert.match(htmlById.get("c1"), /<p>Read <em>this<\/em> now\.<\/p>/);
+        assert.match(htmlById.get("c1"), /<p>T:Second line\.<\/p>/);
+    });
+});
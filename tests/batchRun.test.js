@@ -0,0 +1,39 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { formatBatchSummaryTable } from "../src/support/batchRun.js";
+
+describe("formatBatchSummaryTable", () => {
+    const rows = [
+        {
+            inputPath: "/books/a.epub",
+            status: "ok",
+            outputPath: "/out/a_zh.epub",
+            usage: { totalTokens: 1200 },
+            elapsedMs: 90_000,
+        },
+        {
+            inputPath: "/books/b.epub",
+            status: "failed",
+            error: "Invalid EPUB",
+            usage: null,
+            elapsedMs: 80_000,
+        },
+        {
+            inputPath: "/books/c.epub",
+            status: "stopped",
+            error: "Token budget reached.",
+            usage: { totalTokens: 300 },
+            elapsedMs: 100_000,
+        },
+    ];
+
+    test("prints one row per file and the wall-clock time of the batch in the total row", () => {
+        const lines = formatBatchSummaryTable(rows, { elapsedMs: 100_000 }).split("\n");
+        assert.equal(lines.length, 7);
+        assert.match(lines[2], /^1\s+a\.epub\s+ok\s+a_zh\.epub\s+1,200\s+1m30s$/);
+        assert.match(lines[3], /^2\s+b\.epub\s+FAILED\s+Invalid EPUB\s+-\s+1m20s$/);
+        assert.match(lines[4], /^3\s+c\.epub\s+STOPPED\s+Token budget reached\.\s+300\s+1m40s$/);
+        // 文件并发运行：合计是批次实际耗时，不是各行相加的 4m30s
+        assert.match(lines[6], /^\s+Total \(1 ok, 1 failed, 1 stopped\)\s+1,500\s+1m40s$/);
+    });
+});
@@ -0,0 +1,78 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import { createUsageTracker, isBudgetExceededError } from "../src/support/usage.js";
+import {
+    createProjectRoot,
+    removeProjectRoot,
+    runCli,
+    writeEpub,
+} from "./helpers/fixtures.js";
+
+describe("usage tracker budgets", () => {
+    test("refuses new requests once the token limit is reached", () => {
+        const tracker = createUsageTracker({ limits: { maxTokens: 100 } });
+        tracker.acquireRequest();
+        tracker.record({ promptTokens: 80, completionTokens: 30 }, { provider: "mock", model: "bracket" });
+        assert.throws(
+            () => tracker.acquireRequest(),
+            (error) => isBudgetExceededError(error) && /Budget reached: token limit 100\./.test(error.message),
+        );
+        assert.deepEqual(
+            { exceeded: tracker.budgetStatus().exceeded, totalTokens: tracker.budgetStatus().used.totalTokens },
+            { exceeded: true, totalTokens: 110 },
+        );
+    });
+
+    test("counts requests when they start and stops on unpriced models under a cost limit", () => {
+        const requests = createUsageTracker({ limits: { maxRequests: 2 } });
+        requests.acquireRequest();
+        requests.acquireRequest();
+        assert.throws(() => requests.acquireRequest(), /request limit 2/);
+
+        const cost = createUsageTracker({
+            pricing: { currency: "USD", models: {} },
+            limits: { maxCost: 1 },
+        });
+        cost.acquireRequest();
+        cost.record({ promptTokens: 10, completionTokens: 10 }, { model: "unknown-model" });
+        assert.throws(() => cost.acquireRequest(), /cost limit cannot be tracked, no price for unknown-model/);
+    });
+});
+
+// =================== 端到端：预算停止与续跑 ===================
+describe("budget stop with the mock provider", () => {
+    let root;
+    before(() => {
+        root = createProjectRoot();
+        writeEpub(path.join(root, "book.epub"), [
+            { id: "c1", title: "One", body: "<h1>One</h1><p>First chapter text.</p>" },
+            { id: "c2", title: "Two", body: "<h1>Two</h1><p>Second chapter text.</p>" },
+        ]);
+    });
+    after(() => removeProjectRoot(root));
+
+    test("exits with 75, keeps the cache and writes no output", () => {
+        // 规划与标题请求之后、第一章译完时用完预算（mock 按字符数估算 token）
+        const result = runCli(root, ["book.epub", "--max-tokens", "900"]);
+        assert.equal(result.status, 75, result.output);
+        assert.match(result.output, /Budget reached: token limit 900\./);
+        assert.match(result.output, /Raise the limit and rerun the same command to resume/);
+
+        const cacheDir = path.join(root, ".cache_book");
+        assert.ok(fs.existsSync(path.join(cacheDir, "c1.html")));
+        assert.ok(!fs.existsSync(path.join(cacheDir, "c2.html")));
+        assert.ok(!fs.existsSync(path.join(root, "output", "book_zh.epub")));
+        // 原文留在原处，重跑同一条命令即可续译
+        assert.ok(fs.existsSync(path.join(root, "book.epub")));
+    });
+
+    test("resumes from the cache when rerun", () => {
+        const result = runCli(root, ["book.epub"]);
+        assert.equal(result.status, 0, result.output);
+        assert.match(result.output, /Skipped \(cached\): "One"/);
+        assert.ok(fs.existsSync(path.join(root, "output", "book_zh.epub")));
+        assert.ok(!fs.existsSync(path.join(root, ".cache_book")));
+    });
+});
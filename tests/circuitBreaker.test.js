@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, mock, test } from "node:test";
+import { createCircuitBreaker } from "../src/translation/circuitBreaker.js";
+
+describe("createCircuitBreaker", () => {
+    let now = 1_000_000;
+    const advance = (ms) => {
+        now += ms;
+    };
+    mock.method(Date, "now", () => now);
+    afterEach(() => {
+        now = 1_000_000;
+    });
+
+    test("opens after three consecutive availability failures", () => {
+        const breaker = createCircuitBreaker();
+        assert.equal(breaker.recordFailure("server"), false);
+        assert.equal(breaker.recordFailure("timeout"), false);
+        assert.equal(breaker.allowRequest(), true);
+        assert.equal(breaker.recordFailure("server"), true);
+        assert.equal(breaker.allowRequest(), false);
+        assert.equal(breaker.snapshot().lastErrorClass, "server");
+    });
+
+    test("a success resets the failure count", () => {
+        const breaker = createCircuitBreaker();
+        breaker.recordFailure("server");
+        breaker.recordFailure("server");
+        breaker.recordSuccess();
+        assert.equal(breaker.recordFailure("server"), false);
+        assert.equal(breaker.snapshot().consecutiveFailures, 1);
+    });
+
+    test("ignores rate limits and content-policy errors", () => {
+        const breaker = createCircuitBreaker();
+        for (let i = 0; i < 5; i++) {
+            assert.equal(breaker.recordFailure("rate-limit"), false);
+            assert.equal(breaker.recordFailure("content-policy"), false);
+        }
+        assert.equal(breaker.snapshot().open, false);
+    });
+
+    test("opens at once with a longer cooldown for quota errors", () => {
+        const breaker = createCircuitBreaker();
+        assert.equal(breaker.recordFailure("quota"), true);
+        advance(5 * 60_000);
+        assert.equal(breaker.allowRequest(), false);
+        advance(5 * 60_000);
+        assert.equal(breaker.allowRequest(), true);
+    });
+
+    test("lets a single probe through after the cooldown", () => {
+        const breaker = createCircuitBreaker();
+        ["server", "server", "server"].forEach((errorClass) => breaker.recordFailure(errorClass));
+        advance(60_000);
+        assert.equal(breaker.allowRequest(), true);
+        assert.equal(breaker.allowRequest(), false);
+        assert.equal(breaker.snapshot().probing, true);
+
+        breaker.recordSuccess();
+        assert.deepEqual(
+            { open: breaker.snapshot().open, allowed: breaker.allowRequest() },
+            { open: false, allowed: true },
+        );
+    });
+
+    test("reopens when the probe fails", () => {
+        const breaker = createCircuitBreaker();
+        ["server", "server", "server"].forEach((errorClass) => breaker.recordFailure(errorClass));
+        advance(60_000);
+        breaker.allowRequest();
+        assert.equal(breaker.recordFailure("server"), true);
+        assert.equal(breaker.allowRequest(), false);
+        advance(60_000);
+        assert.equal(breaker.allowRequest(), true);
+    });
+
+    test("releaseProbe lets the next request probe again", () => {
+        const breaker = createCircuitBreaker();
+        ["server", "server", "server"].forEach((errorClass) => breaker.recordFailure(errorClass));
+        advance(60_000);
+        assert.equal(breaker.allowRequest(), true);
+        // 试探请求没有结果就结束，例如预算用完被中止
+        breaker.releaseProbe();
+        assert.equal(breaker.snapshot().probing, false);
+        assert.equal(breaker.allowRequest(), true);
+        assert.equal(breaker.allowRequest(), false);
+    });
+
+    test("a probe that hits a non-availability error closes the breaker", () => {
+        const breaker = createCircuitBreaker();
+        ["server", "server", "server"].forEach((errorClass) => breaker.recordFailure(errorClass));
+        advance(60_000);
+        breaker.allowRequest();
+        assert.equal(breaker.recordFailure("content-policy"), false);
+        assert.equal(breaker.snapshot().open, false);
+        assert.equal(breaker.snapshot().consecutiveFailures, 0);
+    });
+});
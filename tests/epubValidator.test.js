@@ -0,0 +1,95 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import AdmZip from "adm-zip";
+import { findXmlSyntaxError, validateEpubOutput } from "../src/epub/epubValidator.js";
+import { writeEpub } from "./helpers/fixtures.js";
+
+describe("findXmlSyntaxError", () => {
+    test("accepts well-formed XHTML", () => {
+        assert.equal(
+            findXmlSyntaxError(
+                '<?xml version="1.0"?><html><body><!-- note --><p class="a">x &amp; y<br/></p></body></html>',
+            ),
+            null,
+        );
+    });
+
+    test("reports mismatched and unclosed tags", () => {
+        assert.match(findXmlSyntaxError("<p><em>x</p></em>"), /<\/p> does not close <em>/);
+        assert.match(findXmlSyntaxError("<html><body>"), /unclosed <body>/);
+        assert.match(findXmlSyntaxError("<p>x</p></div>"), /unexpected <\/div>/);
+    });
+
+    test("reports bad entities, ampersands, and duplicate attributes", () => {
+        assert.match(findXmlSyntaxError("<p>Tom & Jerry</p>"), /unescaped '&'/);
+        assert.match(findXmlSyntaxError("<p>a&nbsp;b</p>"), /undefined entity &nbsp;/);
+        assert.match(findXmlSyntaxError('<p a="1" a="2">x</p>'), /duplicate attribute a/);
+        assert.match(findXmlSyntaxError("<p>\n1 < 2</p>"), /^line 2: malformed tag/);
+    });
+
+    test("allows named entities when a DTD is declared", () => {
+        const xhtml11 =
+            '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd"><html><p>a&nbsp;b</p></html>';
+        assert.equal(findXmlSyntaxError(xhtml11), null);
+    });
+});
+
+describe("validateEpubOutput", () => {
+    let dir;
+    const messages = [];
+    const logger = { write: (level, message) => messages.push({ level, message }) };
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "wasabi-validator-"));
+    });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test("passes a clean book and writes the report", async () => {
+        const epubPath = writeEpub(path.join(dir, "clean.epub"), [
+            { id: "c1", title: "One", body: '<p id="top">Hi <a href="c2.xhtml#end">next</a></p>' },
+            { id: "c2", title: "Two", body: '<p id="end">Bye <a href="https://example.com/">out</a></p>' },
+        ]);
+        const reportPath = path.join(dir, "clean.validation.json");
+
+        const report = await validateEpubOutput(epubPath, reportPath, logger);
+        assert.equal(report.status, "ok", JSON.stringify(report.issues));
+        assert.equal(report.checked.xhtmlDocuments, 3);
+        assert.equal(report.checked.manifestItems, 3);
+        assert.deepEqual(JSON.parse(fs.readFileSync(reportPath, "utf8")), report);
+    });
+
+    test("flags broken links, anchors, leaked markers, and malformed XHTML", async () => {
+        const epubPath = writeEpub(path.join(dir, "broken.epub"), [
+            {
+                id: "c1",
+                title: "One",
+                body: '<p data-t-id="node_0"><a href="c2.xhtml#missing">a</a> <img src="img/none.png"/></p>',
+            },
+            { id: "c2", title: "Two", body: "<p>Tom & Jerry</p>" },
+        ]);
+        messages.length = 0;
+
+        const report = await validateEpubOutput(epubPath, path.join(dir, "broken.validation.json"), logger);
+        assert.equal(report.status, "needs_review");
+        assert.deepEqual(report.issues.map((issue) => issue.type).sort(), [
+            "broken_anchor",
+            "broken_reference",
+            "leaked_attribute",
+            "malformed_xml",
+        ]);
+        assert.equal(messages[0].level, "WARN");
+    });
+
+    test("requires an uncompressed mimetype as the first entry", async () => {
+        const zip = new AdmZip(undefined, { noSort: true });
+        zip.addFile("META-INF/container.xml", Buffer.from("<container/>"));
+        zip.addFile("mimetype", Buffer.from("application/epub+zip"));
+        const epubPath = path.join(dir, "order.epub");
+        zip.writeZip(epubPath);
+
+        const report = await validateEpubOutput(epubPath, path.join(dir, "order.validation.json"), logger);
+        assert.deepEqual(report.issues, [{ type: "mimetype_not_first", entry: "META-INF/container.xml" }]);
+    });
+});
@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { buildFootnoteIndex, isNoteElement, verifyFootnoteLinks } from "../src/epub/footnotes.js";
+import { createScriptedProvider, translateChapters, xhtmlChapter } from "./helpers/translation.js";
+
+const createChapters = () => [
+    {
+        id: "c1",
+        href: "Text/c1.xhtml",
+        title: "One",
+        html: xhtmlChapter(
+            '<p>The river rose<a epub:type="noteref" id="r1" href="notes.xhtml#n1"><sup>1</sup></a> in spring. The town moved uphill.</p>' +
+                '<p>Bread was scarce.<sup><a id="r2" href="notes.xhtml#n2">2</a></sup></p>',
+        ),
+    },
+    {
+        id: "notes",
+        href: "Text/notes.xhtml",
+        title: "Notes",
+        html: xhtmlChapter(
+            '<aside epub:type="footnote" id="n1"><p>The flood of 1890.</p></aside>' +
+                '<p><a id="n2" href="c1.xhtml#r2">2</a> Rationing lasted two years.</p>',
+        ),
+    },
+];
+
+const indexOf = (chapters) =>
+    buildFootnoteIndex(new Map(chapters.map((chapter) => [chapter.id, chapter])), new Set(["n1", "n2"]));
+
+describe("footnote index", () => {
+    test("links note references to their notes and keeps the referencing sentence", () => {
+        const index = indexOf(createChapters());
+        assert.deepEqual(
+            index.links.map(({ refChapterId, refId, noteChapterId, noteId }) => ({ refChapterId, refId, noteChapterId, noteId })),
+            [
+                { refChapterId: "c1", refId: "r1", noteChapterId: "notes", noteId: "n1" },
+                { refChapterId: "c1", refId: "r2", noteChapterId: "notes", noteId: "n2" },
+            ],
+        );
+        assert.deepEqual(
+            [...index.contextsFor("notes")],
+            [
+                ["n1", ["The river rose in spring."]],
+                ["n2", ["Bread was scarce."]],
+            ],
+        );
+        assert.equal(index.contextsFor("c1").size, 0);
+    });
+
+    test("only treats footnote and endnote types as notes", () => {
+        assert.equal(isNoteElement({ attribs: { "epub:type": "footnote" } }), true);
+        assert.equal(isNoteElement({ attribs: { role: "doc-endnote" } }), true);
+        assert.equal(isNoteElement({ attribs: { role: "note" } }), false);
+    });
+});
+
+describe("footnote translation", () => {
+    test("sends each note with the sentence it annotates", async () => {
+        const chapters = createChapters();
+        const provider = createScriptedProvider();
+        await translateChapters(chapters, {
+            provider,
+            bookOptions: { footnotes: indexOf(chapters) },
+        });
+
+        const noteCall = provider.calls.find((call) => call.input.includes("The flood of 1890."));
+        assert.match(noteCall.prompt, /NOTE CONTEXT/);
+        assert.match(noteCall.prompt, /- node_\d+ annotates: "The river rose in spring\."/);
+        assert.match(noteCall.prompt, /- node_\d+ annotates: "Bread was scarce\."/);
+        const bodyCall = provider.calls.find((call) => call.input.includes("The town moved uphill."));
+        assert.doesNotMatch(bodyCall.prompt, /NOTE CONTEXT/);
+    });
+
+    test("restores reference ids lost in translation and reports missing note targets", () => {
+        const chapters = createChapters();
+        const index = indexOf(chapters);
+        const chapterMap = new Map(chapters.map((chapter) => [chapter.id, chapter]));
+        chapterMap.get("c1").html = chapterMap.get("c1").html.replace(' id="r1"', "");
+        chapterMap.get("notes").html = chapterMap.get("notes").html.replace('<a id="n2"', "<a");
+
+        const warnings = [];
+        const log = console.log;
+        console.log = () => {};
+        let result;
+        try {
+            result = verifyFootnoteLinks(chapterMap, index, {
+                write: (level, message) => warnings.push(`${level} ${message}`),
+            });
+        } finally {
+            console.log = log;
+        }
+
+        assert.deepEqual(result, { linked: 1, repaired: 1, broken: 1 });
+        assert.match(chapterMap.get("c1").html, /<a epub:type="noteref" href="notes\.xhtml#n1" id="r1">/);
+        assert.match(warnings.join("\n"), /notes#n2: note target missing/);
+    });
+});
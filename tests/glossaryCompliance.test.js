@@ -0,0 +1,121 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { describe, test } from "node:test";
+import {
+    createGlossaryComplianceReport,
+    createGlossaryMatcher,
+} from "../src/content/glossaryCompliance.js";
+import {
+    createScriptedProvider,
+    createTranslationConfig,
+    translateChapters,
+    xhtmlChapter,
+} from "./helpers/translation.js";
+
+describe("createGlossaryMatcher", () => {
+    test("matches Latin terms on word boundaries and other scripts anywhere", () => {
+        const matcher = createGlossaryMatcher({ Art: "艺术", "東京": "Tokyo" });
+        assert.deepEqual(matcher.findRelevant("<p>An <em>article</em> about art.</p>").map(({ term }) => term), ["Art"]);
+        assert.deepEqual(matcher.findRelevant("An article.").map(({ term }) => term), []);
+        assert.deepEqual(matcher.findRelevant("東京都に住む").map(({ term }) => term), ["東京"]);
+    });
+
+    test("reports terms whose agreed translation is missing from the output", () => {
+        const matcher = createGlossaryMatcher({ Force: "原力" }, [{ term: "Jedi", translation: "绝地" }]);
+        assert.equal(matcher.size, 2);
+        assert.deepEqual(matcher.findViolations("The Jedi used the Force.", "<p>杰迪使用了<b>原力</b>。</p>"), [
+            { term: "Jedi", translation: "绝地", locked: true },
+        ]);
+        assert.deepEqual(matcher.findViolations("No terms here.", "这里没有术语。"), []);
+    });
+});
+
+describe("compliance report", () => {
+    test("summarizes remaining, corrected, and locked violations and writes only failing chapters", () => {
+        const report = createGlossaryComplianceReport();
+        report.addChapter("One", {
+            checkedNodes: 3,
+            violations: [
+                { nodeId: "node_1", term: "Jedi", locked: true, corrected: false },
+                { nodeId: "node_2", term: "Force", locked: false, corrected: true },
+            ],
+        });
+        report.addChapter("Two", { checkedNodes: 2, violations: [] });
+        assert.deepEqual(report.summarize(), {
+            chapters: 2,
+            checkedNodes: 5,
+            violations: 1,
+            corrected: 1,
+            lockedViolations: 1,
+        });
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wasabi-compliance-"));
+        try {
+            const reportPath = path.join(dir, "book_zh.glossary_report.json");
+            report.write(reportPath);
+            const written = JSON.parse(fs.readFileSync(reportPath, "utf8"));
+            assert.deepEqual(written.chapters.map(({ chapterTitle }) => chapterTitle), ["One"]);
+            assert.equal(written.summary.violations, 1);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+// =================== 章节翻译后的检查与纠正轮次 ===================
+describe("glossary check after a chapter", () => {
+    const chapters = [
+        {
+            id: "c1",
+            title: "One",
+            html: xhtmlChapter("<p>The Jedi felt the Force.</p><p>Kenobi waited.</p><p>Nothing here.</p>"),
+        },
+    ];
+    const glossary = { Force: "原力", Kenobi: "克诺比" };
+    // 首轮故意不用约定译名；纠正轮次只有 Force 改对了
+    const translate = (text, { prompt }) => {
+        if (!prompt.includes("LOCKED TERMS")) return `T:${text}`;
+        return text.includes("Force") ? "绝地感受到了原力。" : `T:${text}`;
+    };
+
+    test("records violations without a second round by default", async () => {
+        const provider = createScriptedProvider(translate);
+        const { glossaryCompliance } = await translateChapters(chapters, { provider, glossary });
+        assert.equal(provider.calls.length, 1);
+        assert.deepEqual(
+            glossaryCompliance.chapters[0].violations.map(({ nodeId, term, corrected }) => [nodeId, term, corrected]),
+            [
+                ["node_1", "Force", false],
+                ["node_2", "Kenobi", false],
+            ],
+        );
+        // <title> 也是一个节点
+        assert.equal(glossaryCompliance.chapters[0].checkedNodes, 4);
+    });
+
+    test("re-translates violating nodes with every relevant term mandatory when enforced", async () => {
+        const provider = createScriptedProvider(translate);
+        const { glossaryCompliance, htmlById } = await translateChapters(chapters, {
+            provider,
+            glossary,
+            config: createTranslationConfig({ glossaryCompliance: { enforce: true } }),
+        });
+
+        const [, correction] = provider.calls;
+        assert.equal(provider.calls.length, 2);
+        assert.doesNotMatch(correction.input, /Nothing here/);
+        assert.match(correction.prompt, /LOCKED TERMS[^\n]*\n- Force: 原力\n- Kenobi: 克诺比\n/);
+        assert.deepEqual(glossaryCompliance.summarize(), {
+            chapters: 1,
+            checkedNodes: 4,
+            violations: 1,
+            corrected: 1,
+            lockedViolations: 0,
+        });
+        const html = htmlById.get("c1");
+        assert.match(html, /<p>绝地感受到了原力。<\/p>/);
+        assert.match(html, /<p>T:Kenobi waited\.<\/p>/);
+    });
+});
@@ -0,0 +1,146 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import {
+    loadGlossaryFile,
+    mergeLockedGlossary,
+    readSavedGlossary,
+    writeGlossaryFile,
+} from "../src/content/glossaryFile.js";
+import {
+    createProjectRoot,
+    removeProjectRoot,
+    runCli,
+    writeEpub,
+} from "./helpers/fixtures.js";
+import {
+    createScriptedProvider,
+    createTranslationConfig,
+    translateChapters,
+    xhtmlChapter,
+} from "./helpers/translation.js";
+
+describe("loadGlossaryFile", () => {
+    let dir;
+    const writeFile = (name, content) => {
+        const filePath = path.join(dir, name);
+        fs.writeFileSync(filePath, content, "utf8");
+        return filePath;
+    };
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "wasabi-glossary-"));
+    });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test("reads CSV with a header, quoted fields, comments, and a BOM", () => {
+        const filePath = writeFile(
+            "terms.csv",
+            '\uFEFFSource,Note,Target\r\n# 注释行\r\n"Kenobi, Obi-Wan",Jedi master,"欧比旺·克诺比"\r\nSith,"says ""no""",西斯\r\nempty,,\r\n',
+        );
+        assert.deepEqual(loadGlossaryFile(filePath), [
+            { term: "Kenobi, Obi-Wan", translation: "欧比旺·克诺比", note: "Jedi master" },
+            { term: "Sith", translation: "西斯", note: 'says "no"' },
+        ]);
+    });
+
+    test("reads TSV without a header as term, translation, note", () => {
+        const filePath = writeFile("terms.tsv", "Jedi\t绝地\tkeep\nForce\t原力\n");
+        assert.deepEqual(loadGlossaryFile(filePath), [
+            { term: "Jedi", translation: "绝地", note: "keep" },
+            { term: "Force", translation: "原力", note: "" },
+        ]);
+    });
+
+    test("reads JSON arrays, { terms } objects, and plain maps; the last duplicate wins", () => {
+        const arrayPath = writeFile(
+            "array.json",
+            JSON.stringify([
+                { source: "Jedi", target: "杰迪" },
+                { term: "jedi", translation: "绝地", note: "fixed" },
+            ]),
+        );
+        assert.deepEqual(loadGlossaryFile(arrayPath), [{ term: "jedi", translation: "绝地", note: "fixed" }]);
+
+        const termsPath = writeFile("terms.json", JSON.stringify({ terms: [{ en: "Force", suggested: "原力" }] }));
+        assert.deepEqual(loadGlossaryFile(termsPath), [{ term: "Force", translation: "原力", note: "" }]);
+
+        const mapPath = writeFile("map.json", JSON.stringify({ Sith: "西斯", Droid: { translation: "机器人" } }));
+        assert.deepEqual(
+            loadGlossaryFile(mapPath).map(({ term, translation }) => [term, translation]),
+            [
+                ["Sith", "西斯"],
+                ["Droid", "机器人"],
+            ],
+        );
+    });
+
+    test("rejects missing files, unknown extensions, and broken JSON", () => {
+        assert.throws(() => loadGlossaryFile(path.join(dir, "missing.csv")), /Glossary file not found/);
+        assert.throws(() => loadGlossaryFile(writeFile("terms.xlsx", "x")), /Use a \.csv, \.tsv, or \.json file/);
+        assert.throws(() => loadGlossaryFile(writeFile("broken.json", "{")), /Invalid glossary file broken\.json/);
+    });
+
+    test("writes the glossary with locked flags and reads it back", () => {
+        const filePath = path.join(dir, "book_zh.glossary.json");
+        writeGlossaryFile(filePath, { Jedi: "绝地", Force: "原力" }, [{ term: "jedi", translation: "绝地", note: "fixed" }], "json");
+        const saved = readSavedGlossary(filePath);
+        assert.deepEqual(saved.glossary, { Jedi: "绝地", Force: "原力" });
+        assert.deepEqual(saved.lockedEntries, [{ term: "Jedi", translation: "绝地", note: "fixed" }]);
+
+        const csvPath = path.join(dir, "export.csv");
+        writeGlossaryFile(csvPath, { "Kenobi, Obi-Wan": "克诺比" }, [], "csv");
+        assert.equal(fs.readFileSync(csvPath, "utf8"), 'term,translation,locked,note\n"Kenobi, Obi-Wan",克诺比,false,\n');
+    });
+});
+
+describe("locked terms", () => {
+    test("override AI glossary entries regardless of case", () => {
+        assert.deepEqual(
+            mergeLockedGlossary({ jedi: "杰迪", Force: "原力" }, [{ term: "Jedi", translation: "绝地" }]),
+            { Jedi: "绝地", Force: "原力" },
+        );
+    });
+
+    test("are sent as mandatory terms, apart from the preferred glossary", async () => {
+        const provider = createScriptedProvider();
+        await translateChapters(
+            [{ id: "c1", title: "One", html: xhtmlChapter("<p>The Jedi felt the Force.</p>") }],
+            {
+                provider,
+                glossary: { Force: "原力" },
+                config: createTranslationConfig({ userGlossary: [{ term: "Jedi", translation: "绝地", note: "" }] }),
+            },
+        );
+        const [{ prompt }] = provider.calls;
+        assert.match(prompt, /LOCKED TERMS \(Mandatory; always use exactly these translations\):\n- Jedi: 绝地\n/);
+        assert.match(prompt, /GLOSSARY \(Prefer these, but adapt if context requires\):\n- Force: 原力\n/);
+    });
+
+    test("are saved next to the output of a run with --glossary", () => {
+        const root = createProjectRoot();
+        try {
+            writeEpub(path.join(root, "book.epub"), [
+                { id: "c1", title: "One", body: "<h1>One</h1><p>Obi-Wan Kenobi met the Jedi Council.</p>" },
+            ]);
+            fs.writeFileSync(
+                path.join(root, "terms.csv"),
+                'term,translation,note\nKenobi,克诺比,"surname, keep"\nJedi Council,绝地委员会,\n',
+            );
+
+            const result = runCli(root, ["book.epub", "--glossary", "terms.csv"]);
+            assert.equal(result.status, 0, result.output);
+            assert.match(result.output, /Locked terms: 2 from user glossary/);
+            assert.deepEqual(
+                JSON.parse(fs.readFileSync(path.join(root, "output", "book_zh.glossary.json"), "utf8")),
+                [
+                    { term: "Kenobi", translation: "克诺比", locked: true, note: "surname, keep" },
+                    { term: "Jedi Council", translation: "绝地委员会", locked: true, note: "" },
+                ],
+            );
+        } finally {
+            removeProjectRoot(root);
+        }
+    });
+});
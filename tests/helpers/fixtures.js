@@ -0,0 +1,99 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+import AdmZip from "adm-zip";
+
+export const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..", "..");
+
+// =================== EPUB 样本 ===================
+const xhtmlDocument = (title, body) =>
+    `<?xml version="1.0" encoding="utf-8"?><html xmlns="http://www.w3.org/1999/xhtml"><head><title>${title}</title></head><body>${body}</body></html>`;
+
+/**
+ * 写出一本最小的 EPUB 3：chapters 为 [{ id, title, body }]，另带 nav.xhtml。
+ * extraEntries 为 { 条目名: 内容 }，用来放校验测试需要的坏文件。
+ */
+export const writeEpub = (filePath, chapters, { extraEntries = {}, language = "en" } = {}) => {
+    const zip = new AdmZip(undefined, { noSort: true });
+    zip.addFile("mimetype", Buffer.from("application/epub+zip"));
+    zip.getEntry("mimetype").header.method = 0;
+    zip.addFile(
+        "META-INF/container.xml",
+        Buffer.from(
+            `<?xml version="1.0"?><container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container"><rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>`,
+        ),
+    );
+    const manifest = chapters
+        .map(({ id }) => `<item id="${id}" href="${id}.xhtml" media-type="application/xhtml+xml"/>`)
+        .join("");
+    const spine = chapters.map(({ id }) => `<itemref idref="${id}"/>`).join("");
+    zip.addFile(
+        "OEBPS/content.opf",
+        Buffer.from(
+            `<?xml version="1.0"?><package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="id"><metadata xmlns:dc="http://purl.org/dc/elements/1.1/"><dc:title>Sample Book</dc:title><dc:language>${language}</dc:language><dc:identifier id="id">sample</dc:identifier><meta property="dcterms:modified">2020-01-01T00:00:00Z</meta></metadata><manifest><item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>${manifest}</manifest><spine>${spine}</spine></package>`,
+        ),
+    );
+    const navItems = chapters
+        .map(({ id, title }) => `<li><a href="${id}.xhtml">${title}</a></li>`)
+        .join("");
+    zip.addFile(
+        "OEBPS/nav.xhtml",
+        Buffer.from(
+            xhtmlDocument(
+                "Contents",
+                `<nav epub:type="toc" xmlns:epub="http://www.idpf.org/2007/ops"><ol>${navItems}</ol></nav>`,
+            ),
+        ),
+    );
+    for (const { id, title, body } of chapters) {
+        zip.addFile(`OEBPS/${id}.xhtml`, Buffer.from(xhtmlDocument(title, body)));
+    }
+    for (const [entryName, content] of Object.entries(extraEntries)) {
+        zip.addFile(entryName, Buffer.from(content));
+    }
+    zip.writeZip(filePath);
+    return filePath;
+};
+
+export const readEpubEntry = (filePath, entryName) =>
+    new AdmZip(filePath).getEntry(entryName)?.getData().toString("utf8") ?? null;
+
+// =================== 隔离的项目目录 ===================
+// index.js 以自身所在目录为项目根，input / output / log / 缓存都写在那里。
+// 测试在临时目录里放 index.js 的符号链接，配合 --preserve-symlinks-main 运行，不碰仓库里的目录。
+export const createProjectRoot = () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "wasabi-test-"));
+    for (const name of ["index.js", "src", "node_modules"]) {
+        fs.symlinkSync(path.join(REPO_ROOT, name), path.join(root, name));
+    }
+    return root;
+};
+
+export const removeProjectRoot = (root) => fs.rmSync(root, { recursive: true, force: true });
+
+/**
+ * 用 mock provider 运行 CLI。只传入 PATH / HOME / NODE_OPTIONS，
+ * 本机的 API key、.env 和 provider 设置都不会带进来，运行结果与环境无关。
+ */
+export const runCli = (root, args, env = {}) => {
+    const result = spawnSync(
+        process.execPath,
+        ["--preserve-symlinks-main", path.join(root, "index.js"), ...args],
+        {
+            cwd: root,
+            encoding: "utf8",
+            timeout: 120_000,
+            env: {
+                PATH: process.env.PATH,
+                HOME: root,
+                ...(process.env.NODE_OPTIONS ? { NODE_OPTIONS: process.env.NODE_OPTIONS } : {}),
+                PRIMARY_PROVIDER: "mock",
+                MOCK_MODEL: "bracket",
+                ...env,
+            },
+        },
+    );
+    return { ...result, output: `${result.stdout}${result.stderr}` };
+};
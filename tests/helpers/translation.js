@@ -0,0 +1,85 @@
+import { createBatchQueue } from "../../src/translation/batchQueue.js";
+import { performTranslation } from "../../src/translation/translator.js";
+
+// =================== provider 替身 ===================
+const NODE_PATTERN = /<node id="([^"]+)">([\s\S]*?)<\/node>/g;
+
+/**
+ * 逐节点回答的 provider：translate(text, { id, prompt }) 返回该节点的译文，
+ * XML 与 JSON 批量格式都按 batchQueue 的约定作答。
+ * calls 记下每次请求的 { input, prompt, jsonFormat, step }，用来检查发出的 prompt。
+ */
+export const createScriptedProvider = (
+    translate = (text) => `T:${text}`,
+    { batchFormat = "xml" } = {},
+) => {
+    const calls = [];
+    const callAI = async (input, prompt, jsonFormat = false, usageContext = null) => {
+        calls.push({ input, prompt, jsonFormat, step: usageContext?.step ?? null });
+        if (jsonFormat) {
+            const { items } = JSON.parse(input);
+            return JSON.stringify({
+                translations: items.map(({ id, text }) => ({ id, translation: translate(text, { id, prompt }) })),
+            });
+        }
+        const nodes = [...input.matchAll(NODE_PATTERN)];
+        // 单节点纯文本请求（属性、字幕单条等）没有 <node> 包裹
+        if (nodes.length === 0) return translate(input, { id: null, prompt });
+        return nodes
+            .map(([, id, text]) => `<node id="${id}">${translate(text, { id, prompt })}</node>`)
+            .join("\n");
+    };
+    return { calls, concurrency: 1, batchFormat, callAI };
+};
+
+export const createTranslationConfig = (overrides = {}) => ({
+    sourceLanguage: "English",
+    targetLanguage: "Chinese (Simplified)",
+    outputMode: "translated",
+    userGlossary: [],
+    glossaryCompliance: { enforce: false },
+    promptTemplates: {},
+    batching: {},
+    ...overrides,
+});
+
+// =================== 章节翻译 ===================
+export const xhtmlChapter = (body) =>
+    `<?xml version="1.0" encoding="utf-8"?><html xmlns="http://www.w3.org/1999/xhtml"><head><title>Chapter</title></head><body>${body}</body></html>`;
+
+/**
+ * 用 performTranslation 翻译 chapters（[{ id, title, html }]），不写缓存、不打印进度。
+ * 返回 performTranslation 的结果，外加 htmlById（章节 id -> 译后 HTML）。
+ */
+export const translateChapters = async (
+    chapters,
+    { provider, glossary = {}, config = createTranslationConfig(), mode = "epub", bookOptions = {} },
+) => {
+    const logger = { write: () => {}, logFile: null };
+    const chapterMap = new Map(chapters.map((chapter) => [chapter.id, { ...chapter }]));
+    const log = console.log;
+    console.log = () => {};
+    try {
+        const result = await performTranslation(
+            chapters.map((chapter) => ({ ...chapter })),
+            chapterMap,
+            glossary,
+            config,
+            provider,
+            createBatchQueue(provider, logger),
+            logger,
+            { load: () => null, save: () => {} },
+            new Set(),
+            new Set(),
+            mode,
+            false,
+            bookOptions,
+        );
+        return {
+            ...result,
+            htmlById: new Map([...chapterMap].map(([id, chapter]) => [id, chapter.html])),
+        };
+    } finally {
+        console.log = log;
+    }
+};
@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+    decodeInlineText,
+    escapeInlineText,
+    protectInlineMarkup,
+    restoreInlineMarkup,
+} from "../src/translation/inlineMarkup.js";
+
+describe("protectInlineMarkup", () => {
+    test("replaces tags and non-basic entities with numbered markers", () => {
+        const { text, tags } = protectInlineMarkup(
+            'Say <em>hi</em> to <a href="#n1">Tom</a>&nbsp;&amp; co<br/>.',
+        );
+        assert.equal(text, "Say ⟨1⟩hi⟨/1⟩ to ⟨2⟩Tom⟨/2⟩⟨3/⟩& co⟨4/⟩.");
+        assert.deepEqual(tags, [
+            { open: "<em>", close: "</em>" },
+            { open: '<a href="#n1">', close: "</a>" },
+            { void: "&nbsp;" },
+            { void: "<br/>" },
+        ]);
+    });
+
+    test("treats unclosed HTML tags and stray closing tags as void markers", () => {
+        const { text, tags } = protectInlineMarkup("one<br>two</span>");
+        assert.equal(text, "one⟨1/⟩two⟨2/⟩");
+        assert.deepEqual(tags, [{ void: "<br>" }, { void: "</span>" }]);
+    });
+});
+
+describe("restoreInlineMarkup", () => {
+    test("round-trips the protected text and escapes plain characters", () => {
+        const html = 'A <b>bold</b> &amp; <i class="x">brave</i>&nbsp;move';
+        const { text, tags } = protectInlineMarkup(html);
+        assert.equal(restoreInlineMarkup(text, tags), html);
+    });
+
+    test("accepts reordered markers from the translation", () => {
+        const { tags } = protectInlineMarkup("<em>red</em> <strong>car</strong>");
+        assert.equal(
+            restoreInlineMarkup("⟨2⟩车⟨/2⟩是⟨1⟩红色⟨/1⟩的", tags),
+            "<strong>车</strong>是<em>红色</em>的",
+        );
+    });
+
+    test("rejects missing, duplicated, crossed, and malformed markers", () => {
+        const { tags } = protectInlineMarkup("<em>a</em><br/>");
+        assert.throws(() => restoreInlineMarkup("⟨1⟩a⟨/1⟩", tags), /markers missing/);
+        assert.throws(() => restoreInlineMarkup("⟨1⟩a⟨/1⟩⟨2/⟩⟨2/⟩", tags), /unexpected inline marker/);
+        assert.throws(() => restoreInlineMarkup("⟨1⟩a⟨/1⟩⟨3/⟩", tags), /unexpected inline marker/);
+        assert.throws(() => restoreInlineMarkup("⟨1⟩a⟨/1⟩⟨2⟩", tags), /should be ⟨2\/⟩/);
+        assert.throws(() => restoreInlineMarkup("⟨1/⟩⟨2/⟩", tags), /should be a ⟨1⟩…⟨\/1⟩ pair/);
+
+        const nested = protectInlineMarkup("<b><i>x</i></b>");
+        assert.throws(() => restoreInlineMarkup("⟨1⟩⟨2⟩x⟨/1⟩⟨/2⟩", nested.tags), /out of order/);
+    });
+});
+
+describe("inline text escaping", () => {
+    test("escapes and decodes basic entities only", () => {
+        assert.equal(escapeInlineText("a < b & c > d"), "a &lt; b &amp; c &gt; d");
+        assert.equal(decodeInlineText("&lt;p&gt; &amp; &#65;&#x42; &nbsp;"), "<p> & AB &nbsp;");
+    });
+});
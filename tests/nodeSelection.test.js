@@ -0,0 +1,34 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { parseNodeSelector } from "../src/support/nodeSelection.js";
+
+describe("parseNodeSelector", () => {
+    test("returns null when no selector was given", () => {
+        assert.equal(parseNodeSelector(undefined), null);
+        assert.equal(parseNodeSelector(""), null);
+    });
+
+    test("accepts node ids, padded ids, bare numbers, and ranges", () => {
+        assert.deepEqual(parseNodeSelector("node_12, node_00015,7"), [7, 12, 15]);
+        assert.deepEqual(parseNodeSelector("node_3-node_5,10 - 11"), [3, 4, 5, 10, 11]);
+        assert.deepEqual(parseNodeSelector("NODE_0-2"), [0, 1, 2]);
+    });
+
+    test("merges duplicates and overlapping ranges", () => {
+        assert.deepEqual(parseNodeSelector("4-6,5,node_6,4"), [4, 5, 6]);
+        assert.deepEqual(parseNodeSelector("9-9"), [9]);
+    });
+
+    test("rejects blank and empty segments", () => {
+        assert.throws(() => parseNodeSelector("   "), /No node selector was provided/);
+        assert.throws(() => parseNodeSelector("1,,2"), /Empty node selector segment/);
+        assert.throws(() => parseNodeSelector("1,"), /Empty node selector segment/);
+    });
+
+    test("rejects reversed ranges and anything that is not a whole number", () => {
+        assert.throws(() => parseNodeSelector("5-3"), /Start must be less than or equal to end/);
+        for (const spec of ["abc", "node_x", "-1", "12abc", "1.5", "node_1-", "1-2-3"]) {
+            assert.throws(() => parseNodeSelector(spec), /Invalid node selector segment/, spec);
+        }
+    });
+});
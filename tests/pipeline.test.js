@@ -0,0 +1,166 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import {
+    createProjectRoot,
+    readEpubEntry,
+    removeProjectRoot,
+    runCli,
+    writeEpub,
+} from "./helpers/fixtures.js";
+
+// =================== 端到端：mock provider ===================
+describe("pipeline with the mock provider", () => {
+    let root;
+    before(() => {
+        root = createProjectRoot();
+    });
+    after(() => removeProjectRoot(root));
+
+    test("translates an EPUB and validates the output", () => {
+        writeEpub(path.join(root, "book.epub"), [
+            {
+                id: "c1",
+                title: "Chapter One",
+                body: `<h1>Chapter One</h1><p>It was a <em>quiet</em> morning.</p><p>The train was late.</p>`,
+            },
+            {
+                id: "c2",
+                title: "Chapter Two",
+                body: `<h1>Chapter Two</h1><ul><li>First item</li><li>Second item</li></ul>`,
+            },
+        ]);
+
+        const result = runCli(root, ["book.epub"]);
+        assert.equal(result.status, 0, result.output);
+
+        const outputPath = path.join(root, "output", "book_zh.epub");
+        const chapter = readEpubEntry(outputPath, "OEBPS/c1.xhtml");
+        assert.match(chapter, /<p>⟦It was a⟧ <em>⟦quiet⟧<\/em> ⟦morning\.⟧<\/p>/);
+        assert.match(chapter, /<p>⟦The train was late\.⟧<\/p>/);
+        assert.match(readEpubEntry(outputPath, "OEBPS/c2.xhtml"), /<li>⟦Second item⟧<\/li>/);
+        assert.match(chapter, /<html [^>]*xml:lang="zh-Hans"/);
+        assert.doesNotMatch(chapter, /data-t-id/);
+
+        const validation = JSON.parse(
+            fs.readFileSync(path.join(root, "output", "book_zh.validation.json"), "utf8"),
+        );
+        assert.equal(validation.status, "ok", JSON.stringify(validation.issues));
+        assert.ok(fs.existsSync(path.join(root, "output", "book_zh.usage.json")));
+        // 原文归档到 input/，缓存目录在成功后删除
+        assert.ok(fs.existsSync(path.join(root, "input", "book.epub")));
+        assert.ok(!fs.existsSync(path.join(root, ".cache_book")));
+    });
+
+    test("translates an HTML document", () => {
+        fs.writeFileSync(
+            path.join(root, "page.html"),
+            `<html><head><title>Sample</title></head><body><h1>Intro</h1><p>Hello world.</p><p>Another paragraph.</p></body></html>`,
+        );
+
+        const result = runCli(root, ["page.html"]);
+        assert.equal(result.status, 0, result.output);
+
+        const html = fs.readFileSync(path.join(root, "output", "page_zh.html"), "utf8");
+        assert.match(html, /⟦Hello world\.⟧/);
+        assert.match(html, /⟦Another paragraph\.⟧/);
+    });
+
+    test("translates an SRT file and keeps the timeline", () => {
+        fs.writeFileSync(
+            path.join(root, "episode.srt"),
+            "1\n00:00:01,000 --> 00:00:02,500\nHello there.\n\n2\n00:00:03,000 --> 00:00:04,000\nGeneral Kenobi!\n",
+        );
+
+        const result = runCli(root, ["episode.srt"]);
+        assert.equal(result.status, 0, result.output);
+
+        const srt = fs.readFileSync(path.join(root, "output", "episode_zh.srt"), "utf8");
+        assert.equal(
+            srt.trim(),
+            "1\n00:00:01,000 --> 00:00:02,500\n⟦Hello there.⟧\n\n2\n00:00:03,000 --> 00:00:04,000\n⟦General Kenobi!⟧",
+        );
+    });
+});
+
+// =================== 端到端：重译 ===================
+describe("retranslate with the mock provider", () => {
+    let root;
+    before(() => {
+        root = createProjectRoot();
+    });
+    after(() => removeProjectRoot(root));
+
+    test("re-translates one EPUB paragraph, its alt / title text, and nothing else", () => {
+        writeEpub(path.join(root, "novel.epub"), [
+            {
+                id: "c1",
+                title: "One",
+                body: `<h1>One</h1>\n<p>An <img src="a.png" alt="A red apple"/> on the <abbr title="table top">desk</abbr>.</p>\n<p>Second para.</p>`,
+            },
+        ]);
+        assert.equal(runCli(root, ["novel.epub"]).status, 0);
+        const outputPath = path.join(root, "output", "novel_zh.epub");
+        const previous = readEpubEntry(outputPath, "OEBPS/c1.xhtml");
+        fs.writeFileSync(
+            path.join(root, "output", "novel_zh.glossary.json"),
+            JSON.stringify([{ term: "desk", translation: "书桌", locked: true }]),
+        );
+
+        const result = runCli(root, ["retranslate", "novel_zh.epub", "--find", "desk"], {
+            MOCK_MODEL: "reverse",
+        });
+        assert.equal(result.status, 0, result.output);
+        assert.match(result.output, /Loading glossary saved with the output \(novel_zh\.glossary\.json\)/);
+
+        // 重译节点里的 alt / title 跟着重新翻译，不会回到原文；其余字节不变
+        assert.equal(
+            readEpubEntry(outputPath, "OEBPS/c1.xhtml"),
+            previous.replace(
+                /<p>⟦An⟧.*?<\/p>/,
+                '<p>nA <img src="a.png" alt="elppa der A"/> eht no <abbr title="pot elbat">ksed</abbr>.</p>',
+            ),
+        );
+        const report = JSON.parse(
+            fs.readFileSync(path.join(root, "output", "novel_zh.retranslate.json"), "utf8"),
+        );
+        assert.equal(report.replaced, 1);
+    });
+
+    test("keeps the bilingual layout of an HTML output", () => {
+        fs.writeFileSync(
+            path.join(root, "notes.html"),
+            "<!DOCTYPE html>\n<html><head><title>Notes</title></head><body>\n<p>Hello world.</p>\n<p>Another paragraph.</p>\n</body></html>\n",
+        );
+        assert.equal(runCli(root, ["notes.html", "--bilingual"]).status, 0);
+        const outputPath = path.join(root, "output", "notes_zh_bilingual.html");
+        const previous = fs.readFileSync(outputPath, "utf8");
+
+        const result = runCli(root, ["retranslate", "notes_zh_bilingual.html", "--find", "another"], {
+            MOCK_MODEL: "reverse",
+        });
+        assert.equal(result.status, 0, result.output);
+        assert.match(result.output, /No glossary found for notes_zh_bilingual\.html/);
+        assert.equal(
+            fs.readFileSync(outputPath, "utf8"),
+            previous.replace("⟦Another paragraph.⟧", ".hpargarap rehtonA"),
+        );
+    });
+
+    test("re-translates SRT cues by number and keeps CRLF line endings", () => {
+        fs.writeFileSync(
+            path.join(root, "talk.srt"),
+            "1\r\n00:00:01,000 --> 00:00:02,000\r\nGood morning.\r\n\r\n2\r\n00:00:03,000 --> 00:00:04,000\r\nSee you.\r\n",
+        );
+        assert.equal(runCli(root, ["talk.srt"]).status, 0);
+        const outputPath = path.join(root, "output", "talk_zh.srt");
+        // 模拟在别处编辑过的译文：CRLF 换行
+        fs.writeFileSync(outputPath, fs.readFileSync(outputPath, "utf8").replace(/\r?\n/g, "\r\n"));
+        const previous = fs.readFileSync(outputPath, "utf8");
+
+        const result = runCli(root, ["retranslate", "talk_zh.srt", "--nodes", "2"], { MOCK_MODEL: "reverse" });
+        assert.equal(result.status, 0, result.output);
+        assert.equal(fs.readFileSync(outputPath, "utf8"), previous.replace("⟦See you.⟧", ".uoy eeS"));
+    });
+});
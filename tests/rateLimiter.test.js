@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import {
+    computeBackoffMs,
+    createRateLimiter,
+    getRetryAfterMs,
+    isRateLimitError,
+} from "../src/translation/rateLimiter.js";
+
+describe("rate limit errors", () => {
+    test("recognizes 429 statuses and provider messages", () => {
+        assert.equal(isRateLimitError({ status: 429 }), true);
+        assert.equal(isRateLimitError(new Error("Resource has been exhausted (e.g. check quota).")), true);
+        assert.equal(isRateLimitError(new Error("Too Many Requests")), true);
+        assert.equal(isRateLimitError(new Error("socket hang up")), false);
+        assert.equal(isRateLimitError(null), false);
+    });
+
+    test("reads Retry-After from headers and Gemini RetryInfo", () => {
+        assert.equal(getRetryAfterMs({ headers: { "retry-after-ms": "1500" } }), 1500);
+        assert.equal(getRetryAfterMs({ headers: new Headers({ "retry-after": "2" }) }), 2000);
+        assert.equal(
+            getRetryAfterMs({
+                errorDetails: [{ "@type": "type.googleapis.com/google.rpc.RetryInfo", retryDelay: "3s" }],
+            }),
+            3000,
+        );
+        assert.equal(getRetryAfterMs(new Error("no hints")), null);
+    });
+
+    test("backs off exponentially within [d/2, d) and caps the delay", () => {
+        for (let i = 0; i < 20; i++) {
+            const first = computeBackoffMs(1);
+            assert.ok(first >= 1000 && first < 2000, `attempt 1: ${first}`);
+            const late = computeBackoffMs(30);
+            assert.ok(late >= 30_000 && late < 60_000, `attempt 30: ${late}`);
+        }
+        const hinted = computeBackoffMs(1, { headers: { "retry-after": "10" } });
+        assert.ok(hinted >= 10_000 && hinted < 11_000, `retry-after: ${hinted}`);
+    });
+});
+
+describe("createRateLimiter", () => {
+    test("never runs more tasks than the concurrency limit", async () => {
+        const limiter = createRateLimiter({ concurrency: 2 });
+        let active = 0;
+        let peak = 0;
+        const task = async () => {
+            active += 1;
+            peak = Math.max(peak, active);
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            active -= 1;
+            return "done";
+        };
+        const results = await Promise.all(Array.from({ length: 6 }, () => limiter.schedule(10, task)));
+        assert.deepEqual(results, Array(6).fill("done"));
+        assert.equal(peak, 2);
+        assert.equal(limiter.snapshot().active, 0);
+    });
+
+    test("releases the slot when a task throws", async () => {
+        const limiter = createRateLimiter({ concurrency: 1 });
+        await assert.rejects(
+            limiter.schedule(10, async () => {
+                throw new Error("boom");
+            }),
+            /boom/,
+        );
+        assert.equal(await limiter.schedule(10, async () => "next"), "next");
+    });
+
+    test("halves concurrency once per throttle burst", () => {
+        const limiter = createRateLimiter({ concurrency: 8 });
+        assert.deepEqual(limiter.recordThrottle(new Error("429")), {
+            previousLimit: 8,
+            concurrencyLimit: 4,
+            retryAfterMs: null,
+        });
+        // 同一时刻的其他 429 不再继续减半
+        assert.equal(limiter.recordThrottle(new Error("429")).concurrencyLimit, 4);
+        assert.equal(limiter.snapshot().throttledCount, 2);
+    });
+});
@@ -0,0 +1,167 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import * as cheerio from "cheerio";
+import {
+    RETRANSLATION_MARKER,
+    createNodeSelector,
+    detectBilingualOrder,
+    findElementByPath,
+    getElementPath,
+    loadRetranslationOutput,
+    mergeRetranslatedNodes,
+    readTranslationText,
+    spliceMergedElements,
+} from "../src/translation/retranslation.js";
+
+const loadXhtml = (body) =>
+    cheerio.load(`<html><body>${body}</body></html>`, { xmlMode: true, decodeEntities: false });
+
+describe("element paths", () => {
+    test("finds the same element again by its path", () => {
+        const $ = loadXhtml("<h1>Title</h1><div><p>One</p><!-- note --><p>Two</p></div>");
+        const el = $("p").get(1);
+        const indexes = getElementPath(el);
+        assert.deepEqual(indexes, [0, 0, 1, 1]);
+        assert.equal(findElementByPath($, indexes), el);
+        assert.equal(findElementByPath($, [0, 0, 5]), null);
+    });
+});
+
+describe("createNodeSelector", () => {
+    const $ = loadXhtml("<p>Mr. Darcy walked in.</p><p>It rained.</p>");
+    const [first, second] = $("p").toArray();
+    const numberOf = (el) => $("p").toArray().indexOf(el);
+    const currentTextOf = (el) => (el === second ? "下雨了。" : "达西先生走了进来。");
+
+    test("selects every node without criteria", () => {
+        const select = createNodeSelector({ numberOf, currentTextOf });
+        assert.equal(select($, first), true);
+        assert.equal(select($, second), true);
+    });
+
+    test("matches node numbers or text in the source and the current output", () => {
+        const byNumber = createNodeSelector({ nodeNumbers: new Set([1]), numberOf, currentTextOf });
+        assert.deepEqual([byNumber($, first), byNumber($, second)], [false, true]);
+
+        const bySource = createNodeSelector({ searchText: "  mr.   DARCY ", numberOf, currentTextOf });
+        assert.deepEqual([bySource($, first), bySource($, second)], [true, false]);
+
+        const byOutput = createNodeSelector({ searchText: "下雨", numberOf, currentTextOf });
+        assert.deepEqual([byOutput($, first), byOutput($, second)], [false, true]);
+    });
+});
+
+describe("mergeRetranslatedNodes", () => {
+    test("replaces the content of marked nodes and keeps the rest", () => {
+        const $output = loadXhtml('<h1>旧标题</h1><p class="lead">旧的第一段</p><p>第二段</p>');
+        const $retranslated = loadXhtml(
+            `<h1>Title</h1><p class="lead" ${RETRANSLATION_MARKER}="node_1">新的<em>第一段</em></p><p>Two</p>`,
+        );
+
+        const { replaced, unmatched, targets } = mergeRetranslatedNodes($output, $retranslated);
+        assert.deepEqual(replaced, [{ nodeId: "node_1", before: "旧的第一段", after: "新的第一段" }]);
+        assert.deepEqual(unmatched, []);
+        assert.deepEqual(targets, [$output("p").get(0)]);
+        assert.equal(
+            $output("body").html(),
+            '<h1>旧标题</h1><p class="lead">新的<em>第一段</em></p><p>第二段</p>',
+        );
+    });
+
+    test("reports nodes whose element no longer lines up", () => {
+        const $output = loadXhtml("<h2>标题</h2>");
+        const $retranslated = loadXhtml(`<p ${RETRANSLATION_MARKER}="node_0">Title</p>`);
+        const { replaced, unmatched, targets } = mergeRetranslatedNodes($output, $retranslated);
+        assert.deepEqual({ replaced, unmatched, targets }, { replaced: [], unmatched: ["node_0"], targets: [] });
+        assert.equal($output("body").html(), "<h2>标题</h2>");
+    });
+});
+
+describe("merging into bilingual output", () => {
+    test("skips the source copies when matching sibling paragraphs", () => {
+        // 输出里每段都有原文副本，重译结果里只有选中的节点有
+        const $output = loadXhtml(
+            '<h1 class="wasabi-source">Title</h1><h1 class="wasabi-translation">标题</h1>' +
+                '<p class="wasabi-source">One</p><p class="wasabi-translation">旧一</p>' +
+                '<p class="wasabi-source">Two</p><p class="wasabi-translation">旧二</p>',
+        );
+        const $retranslated = loadXhtml(
+            `<h1>Title</h1><p>One</p><p class="wasabi-source">Two</p><p class="wasabi-translation" ${RETRANSLATION_MARKER}="node_2">新二</p>`,
+        );
+
+        const { replaced, unmatched } = mergeRetranslatedNodes($output, $retranslated);
+        assert.deepEqual(replaced, [{ nodeId: "node_2", before: "旧二", after: "新二" }]);
+        assert.deepEqual(unmatched, []);
+        assert.deepEqual(
+            $output("p").toArray().map((el) => $output(el).text()),
+            ["One", "旧一", "Two", "新二"],
+        );
+    });
+
+    test("replaces both sides of nodes wrapped in place", () => {
+        const $output = loadXhtml(
+            '<ul><li><div class="wasabi-translation">旧项</div><div class="wasabi-source">First item</div></li></ul>',
+        );
+        const $retranslated = loadXhtml(
+            `<ul><li ${RETRANSLATION_MARKER}="node_1"><div class="wasabi-translation">新项</div><div class="wasabi-source">First item</div></li></ul>`,
+        );
+
+        const { replaced } = mergeRetranslatedNodes($output, $retranslated);
+        assert.deepEqual(replaced, [{ nodeId: "node_1", before: "旧项", after: "新项" }]);
+        assert.equal(
+            $output("ul").html(),
+            '<li><div class="wasabi-translation">新项</div><div class="wasabi-source">First item</div></li>',
+        );
+    });
+});
+
+describe("spliceMergedElements", () => {
+    test("changes only the replaced elements and keeps every other byte", () => {
+        const outputText =
+            "<?xml version='1.0' encoding='utf-8'?>\r\n<!DOCTYPE html>\r\n" +
+            '<html xmlns="http://www.w3.org/1999/xhtml"><body>\r\n' +
+            "<p class='keep'>旧一<br></br>&#160;</p>\r\n<p id='n2'>旧二</p>\r\n</body></html>\r\n";
+        const $output = loadRetranslationOutput(outputText);
+        const $retranslated = loadXhtml(
+            `\n<p class="keep">One<br/></p>\n<p id="n2" ${RETRANSLATION_MARKER}="node_1">新<em>二</em></p>\n`,
+        );
+
+        const { targets } = mergeRetranslatedNodes($output, $retranslated);
+        assert.equal(
+            spliceMergedElements(outputText, $output, targets),
+            outputText.replace("<p id='n2'>旧二</p>", '<p id="n2">新<em>二</em></p>'),
+        );
+    });
+
+    test("writes nested nodes once, together with the outer node", () => {
+        const outputText = "<html><body><ol><li>旧A<ol><li>旧B</li></ol></li></ol> <p>C</p></body></html>";
+        const $output = loadRetranslationOutput(outputText);
+        const $retranslated = loadXhtml(
+            `<ol><li ${RETRANSLATION_MARKER}="node_0">新A<ol><li ${RETRANSLATION_MARKER}="node_1">新B</li></ol></li></ol> <p>C</p>`,
+        );
+
+        const { replaced, targets } = mergeRetranslatedNodes($output, $retranslated);
+        assert.deepEqual(
+            replaced.map(({ nodeId, before }) => [nodeId, before]),
+            [
+                ["node_0", "旧A旧B"],
+                ["node_1", "旧B"],
+            ],
+        );
+        assert.equal(
+            spliceMergedElements(outputText, $output, targets),
+            "<html><body><ol><li>新A<ol><li>新B</li></ol></li></ol> <p>C</p></body></html>",
+        );
+    });
+});
+
+describe("bilingual output", () => {
+    test("detects the order and reads only the translation side", () => {
+        const $ = loadXhtml(
+            '<li><div class="wasabi-translation">第一项</div><div class="wasabi-source">First item</div></li>',
+        );
+        assert.equal(detectBilingualOrder($), "translation-first");
+        assert.equal(readTranslationText($, $("li").get(0)), "第一项");
+        assert.equal(detectBilingualOrder(loadXhtml("<p>单语</p>")), null);
+    });
+});
@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { parseSrt, replaceSrtCueTexts, serializeSrt } from "../src/subtitle/srt.js";
+
+const cuesOf = (...sourceTexts) =>
+    sourceTexts.map((sourceText, index) => ({
+        id: `node_${String(index + 1).padStart(5, "0")}`,
+        sourceText,
+    }));
+
+describe("parseSrt / serializeSrt", () => {
+    test("round-trips cues with CRLF line endings and multi-line text", () => {
+        const content = "1\r\n00:00:01,000 --> 00:00:02,500\r\nHello\r\nthere\r\n\r\n2\r\n00:00:03,000 --> 00:00:04,000\r\nBye\r\n";
+        const cues = parseSrt(content);
+        assert.deepEqual(
+            cues.map((cue) => [cue.start, cue.end, cue.sourceText]),
+            [
+                ["00:00:01,000", "00:00:02,500", "Hello\nthere"],
+                ["00:00:03,000", "00:00:04,000", "Bye"],
+            ],
+        );
+        assert.equal(
+            serializeSrt({ cues: [{ ...cues[0], translatedText: "你好" }, cues[1]] }),
+            "1\n00:00:01,000 --> 00:00:02,500\n你好\n\n2\n00:00:03,000 --> 00:00:04,000\nBye",
+        );
+    });
+});
+
+describe("replaceSrtCueTexts", () => {
+    test("replaces only the selected cues and keeps CRLF, numbering, and the trailing newline", () => {
+        const content =
+            "1\r\n00:00:01,000 --> 00:00:02,000\r\n你好\r\n\r\n2\r\n00:00:03,000 --> 00:00:04,000\r\n再见\r\n\r\n";
+        const { content: updated, replaced } = replaceSrtCueTexts(
+            content,
+            cuesOf("Hello", "Bye"),
+            new Map([["node_00002", "回头见\n朋友"]]),
+        );
+        assert.equal(
+            updated,
+            "1\r\n00:00:01,000 --> 00:00:02,000\r\n你好\r\n\r\n2\r\n00:00:03,000 --> 00:00:04,000\r\n回头见\r\n朋友\r\n\r\n",
+        );
+        assert.deepEqual(replaced, [{ nodeId: "node_00002", before: "再见", after: "回头见\n朋友" }]);
+    });
+
+    test("keeps the bilingual order of each cue", () => {
+        const content = [
+            "1\n00:00:01,000 --> 00:00:02,000\n你好\nHello",
+            "2\n00:00:03,000 --> 00:00:04,000\nBye\n再见",
+            "3\n00:00:05,000 --> 00:00:06,000\nHello",
+        ].join("\n\n");
+        const translations = new Map([
+            ["node_00001", "您好"],
+            ["node_00002", "回见"],
+            ["node_00003", "喂"],
+        ]);
+        const { content: updated } = replaceSrtCueTexts(
+            content,
+            cuesOf("Hello", "Bye", "Hello"),
+            translations,
+        );
+        assert.equal(
+            updated,
+            [
+                "1\n00:00:01,000 --> 00:00:02,000\n您好\nHello",
+                "2\n00:00:03,000 --> 00:00:04,000\nBye\n回见",
+                // 原来没翻译（与原文相同）的字幕按单语写回
+                "3\n00:00:05,000 --> 00:00:06,000\n喂",
+            ].join("\n\n"),
+        );
+    });
+
+    test("rejects an output whose cue count does not match the source", () => {
+        const content = "1\n00:00:01,000 --> 00:00:02,000\n你好\n\n2\n00:00:03,000 --> 00:00:04,000\n再见\n";
+        assert.throws(
+            () => replaceSrtCueTexts(content, cuesOf("Hello", "Bye", "Again"), new Map()),
+            (error) => {
+                assert.equal(error.code, "SUBTITLE_CUE_MISMATCH");
+                assert.match(error.message, /has 2 cue\(s\) but the source has 3/);
+                return true;
+            },
+        );
+    });
+});
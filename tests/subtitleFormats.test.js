@@ -0,0 +1,197 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { parseAss, serializeAss } from "../src/subtitle/ass.js";
+import { parseTtml, serializeTtml } from "../src/subtitle/ttml.js";
+import { parseVtt, serializeVtt } from "../src/subtitle/vtt.js";
+
+const translateAll = (parsed, translate) => ({
+    ...parsed,
+    targetLanguage: "Chinese (Simplified)",
+    cues: parsed.cues.map((cue) => ({ ...cue, translatedText: translate(cue.sourceText) })),
+});
+
+// =================== WebVTT ===================
+describe("WebVTT", () => {
+    const VTT = [
+        "WEBVTT - sample",
+        "",
+        "STYLE",
+        "::cue { color: yellow; }",
+        "",
+        "intro",
+        "00:01.000 --> 00:02.500 align:start",
+        "<v Roger>Hello <00:01.500>there.",
+        "",
+        "NOTE between cues",
+        "",
+        "01:00:03.000 --> 01:00:04.000",
+        "Second line",
+        "continues",
+        "",
+    ].join("\n");
+
+    test("parses cues, identifiers, voices, and header blocks", () => {
+        const { cues, formatMeta } = parseVtt(VTT);
+        assert.equal(formatMeta.header, "WEBVTT - sample");
+        assert.deepEqual(formatMeta.blocks, ["STYLE\n::cue { color: yellow; }"]);
+        assert.equal(cues.length, 2);
+        assert.deepEqual(
+            {
+                id: cues[0].id,
+                cueIdentifier: cues[0].cueIdentifier,
+                start: cues[0].start,
+                end: cues[0].end,
+                settings: cues[0].settings,
+                sourceText: cues[0].sourceText,
+                voice: cues[0].vtt.voice,
+            },
+            {
+                id: "node_00001",
+                cueIdentifier: "intro",
+                start: "00:00:01,000",
+                end: "00:00:02,500",
+                settings: "align:start",
+                sourceText: "Hello there.",
+                voice: "Roger",
+            },
+        );
+        assert.equal(cues[1].start, "01:00:03,000");
+        assert.equal(cues[1].sourceText, "Second line\ncontinues");
+    });
+
+    test("serializes translations and keeps untranslated cues verbatim", () => {
+        const parsed = parseVtt(VTT);
+        const output = serializeVtt({
+            ...parsed,
+            cues: [{ ...parsed.cues[0], translatedText: "你好。" }, parsed.cues[1]],
+        });
+        assert.equal(
+            output,
+            [
+                "WEBVTT - sample",
+                "",
+                "STYLE",
+                "::cue { color: yellow; }",
+                "",
+                "intro",
+                "00:00:01.000 --> 00:00:02.500 align:start",
+                "<v Roger>你好。",
+                "",
+                "01:00:03.000 --> 01:00:04.000",
+                "Second line",
+                "continues",
+                "",
+            ].join("\n"),
+        );
+    });
+
+    test("rejects files without a header or with a bad time range", () => {
+        assert.throws(() => parseVtt("00:01.000 --> 00:02.000\nHi\n"), /missing WEBVTT header/);
+        assert.throws(() => parseVtt("WEBVTT\n\n00:01 --> 00:02\nHi\n"), /Invalid WebVTT time range/);
+    });
+});
+
+// =================== ASS/SSA ===================
+describe("ASS", () => {
+    const ASS = [
+        "[Script Info]",
+        "ScriptType: v4.00+",
+        "",
+        "[Events]",
+        "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+        "Dialogue: 0,0:00:01.00,0:00:02.50,Default,Ann,0,0,0,,{\\an8}Hello, world\\Nagain",
+        "Comment: 0,0:00:02.00,0:00:03.00,Default,,0,0,0,,not shown",
+        "Dialogue: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,{\\k20}Sing{\\k30}ing",
+        "Dialogue: 0,0:00:05.00,0:00:06.00,Default,,0,0,0,,{\\p1}m 0 0 l 10 10{\\p0}",
+        "",
+        "[Fonts]",
+        "",
+    ].join("\r\n");
+
+    test("parses dialogue text, keeps commas in the text field, and skips drawings", () => {
+        const { cues, formatMeta } = parseAss(ASS);
+        assert.deepEqual(
+            cues.map((cue) => [cue.start, cue.end, cue.sourceText]),
+            [
+                ["00:00:01,000", "00:00:02,500", "Hello, world\nagain"],
+                ["00:00:03,000", "00:00:04,000", "Singing"],
+                ["00:00:05,000", "00:00:06,000", ""],
+            ],
+        );
+        assert.equal(cues[0].ass.name, "Ann");
+        assert.deepEqual(cues[1].ass.karaoke, { tag: "k", duration: 50 });
+        assert.deepEqual(formatMeta.eventLayout, [
+            { cue: 0 },
+            "Comment: 0,0:00:02.00,0:00:03.00,Default,,0,0,0,,not shown",
+            { cue: 1 },
+            { cue: 2 },
+        ]);
+        assert.deepEqual(formatMeta.postamble, ["[Fonts]"]);
+    });
+
+    test("serializes translations with leading overrides and merged karaoke", () => {
+        const parsed = parseAss(ASS);
+        const output = serializeAss(translateAll(parsed, (text) => (text ? `T:${text}` : "")));
+        const lines = output.split("\n");
+        assert.equal(lines[5], "Dialogue: 0,0:00:01.00,0:00:02.50,Default,Ann,0,0,0,,{\\an8}T:Hello, world\\Nagain");
+        assert.equal(lines[6], "Comment: 0,0:00:02.00,0:00:03.00,Default,,0,0,0,,not shown");
+        assert.equal(lines[7], "Dialogue: 0,0:00:03.00,0:00:04.00,Default,,0,0,0,,{\\k50}T:Singing");
+        assert.equal(lines[8], "Dialogue: 0,0:00:05.00,0:00:06.00,Default,,0,0,0,,{\\p1}m 0 0 l 10 10{\\p0}");
+        assert.ok(output.endsWith("{\\p0}\n\n[Fonts]\n"));
+    });
+
+    test("rejects files without events or with dialogue before the format line", () => {
+        assert.throws(() => parseAss("[Script Info]\nTitle: x\n"), /missing \[Events\] section/);
+        assert.throws(
+            () => parseAss("[Events]\nDialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,Hi\n"),
+            /Dialogue line before Format line/,
+        );
+    });
+});
+
+// =================== TTML ===================
+describe("TTML", () => {
+    const TTML = `<?xml version="1.0" encoding="utf-8"?>
+<tt xmlns="http://www.w3.org/ns/ttml" xmlns:ttp="http://www.w3.org/ns/ttml#parameter" ttp:frameRate="25" xml:lang="en">
+<body><div begin="10s">
+<p xml:id="s1" begin="00:00:01.500" end="00:00:02.000" style="s">Hello<br/>there &amp; you</p>
+<p begin="00:00:03:05" dur="2s">Frames</p>
+<p begin="500ms" end="1s"><span>Nested</span> text</p>
+</div></body>
+</tt>`;
+
+    test("resolves clock, frame, offset, and inherited times", () => {
+        const { cues } = parseTtml(TTML);
+        assert.deepEqual(
+            cues.map((cue) => [cue.cueIdentifier, cue.start, cue.end, cue.sourceText]),
+            [
+                ["s1", "00:00:11,500", "00:00:12,000", "Hello\nthere & you"],
+                [null, "00:00:13,200", "00:00:15,200", "Frames"],
+                [null, "00:00:10,500", "00:00:11,000", "Nested text"],
+            ],
+        );
+        assert.equal(cues[0].ttml.style, "s");
+    });
+
+    test("replaces paragraph text and sets the document language", () => {
+        const parsed = parseTtml(TTML);
+        const output = serializeTtml(translateAll(parsed, (text) => `${text} <zh>`));
+        assert.match(output, /<p xml:id="s1" begin="00:00:01.500" end="00:00:02.000" style="s">Hello<br\/>there &amp; you &lt;zh&gt;<\/p>/);
+        assert.match(output, /<tt [^>]*xml:lang="zh-Hans"/);
+    });
+
+    test("keeps the source language for bilingual output", () => {
+        const parsed = parseTtml(TTML);
+        const output = serializeTtml(translateAll(parsed, () => "译文"), { bilingual: true });
+        assert.match(output, /xml:lang="en"/);
+        assert.match(output, /译文<br\/>Frames/);
+    });
+
+    test("rejects documents without a <tt> root or usable timing", () => {
+        assert.throws(() => parseTtml("<html/>"), /missing <tt> root/);
+        assert.throws(
+            () => parseTtml('<tt xmlns="http://www.w3.org/ns/ttml"><body><p begin="1s">x</p></body></tt>'),
+            /Invalid TTML timing at paragraph 1/,
+        );
+    });
+});
@@ -0,0 +1,126 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import * as cheerio from "cheerio";
+import { describeTableCells, formatTableCellContext } from "../src/content/tables.js";
+import { createScriptedProvider, translateChapters, xhtmlChapter } from "./helpers/translation.js";
+
+const HARVEST_TABLE = `<table>
+<caption>Harvest by crop</caption>
+<thead><tr><th>Crop</th><th>Yield</th><th>Notes</th></tr></thead>
+<tbody>
+<tr><td>Wheat</td><td>12 kg</td><td>Failed in the north</td></tr>
+<tr><td rowspan="2">Barley</td><td colspan="2">Good year</td></tr>
+<tr><td>1,200</td><td><p>Blight destroyed most fields.</p></td></tr>
+</tbody>
+</table>`;
+
+const contextsByText = (html) => {
+    const $ = cheerio.load(html, { xmlMode: true });
+    const table = $("table").get(0);
+    const contexts = describeTableCells($, table, "table_0");
+    return new Map([...contexts].map(([cell, context]) => [$(cell).text(), context]));
+};
+
+describe("describeTableCells", () => {
+    test("labels cells with caption, column header, and row header", () => {
+        const contexts = contextsByText(HARVEST_TABLE);
+        assert.deepEqual(contexts.get("Failed in the north"), {
+            unit: "table_0",
+            table: "Harvest by crop",
+            column: "Notes",
+            row: "Wheat",
+        });
+        assert.deepEqual(contexts.get("Crop"), {
+            unit: "table_0",
+            table: "Harvest by crop",
+            column: null,
+            row: null,
+        });
+        // 首列本身不以自己为行标题
+        assert.equal(contexts.get("Wheat").row, null);
+    });
+
+    test("expands rowspan and colspan when looking up headers", () => {
+        const contexts = contextsByText(HARVEST_TABLE);
+        assert.equal(contexts.get("Good year").column, "Yield");
+        assert.equal(contexts.get("1,200").column, "Yield");
+        assert.equal(contexts.get("1,200").row, "Barley");
+    });
+
+    test("leaves cells with block content to their children", () => {
+        const contexts = contextsByText(HARVEST_TABLE);
+        assert.equal(contexts.has("Blight destroyed most fields."), false);
+    });
+
+    test("treats leading rows of <th> as headers when there is no <thead>", () => {
+        const contexts = contextsByText(
+            "<table><tr><th>Year</th><th>Event</th></tr><tr><td>1846</td><td>Famine</td></tr></table>",
+        );
+        assert.deepEqual(contexts.get("Famine"), {
+            unit: "table_0",
+            table: null,
+            column: "Event",
+            row: "1846",
+        });
+    });
+
+    test("ignores rows of nested tables", () => {
+        const $ = cheerio.load(
+            "<table><tr><th>Outer</th></tr><tr><td><table><tr><td>Inner</td></tr></table></td></tr></table>",
+            { xmlMode: true },
+        );
+        const contexts = describeTableCells($, $("table").get(0), "table_0");
+        assert.deepEqual(
+            [...contexts.keys()].map((cell) => $(cell).text()),
+            ["Outer"],
+        );
+    });
+});
+
+describe("formatTableCellContext", () => {
+    test("lists only the labels that exist", () => {
+        assert.equal(
+            formatTableCellContext("node_12", { table: "Harvest", column: "Crop", row: null }),
+            '- node_12: table "Harvest", column "Crop"',
+        );
+        assert.equal(formatTableCellContext("node_3", { table: null, column: null, row: null }), null);
+    });
+});
+
+// =================== 章节翻译中的表格 ===================
+describe("table translation", () => {
+    test("sends cells one by one with their headers in the prompt", async () => {
+        const provider = createScriptedProvider();
+        const { htmlById } = await translateChapters(
+            [{ id: "c1", title: "One", html: xhtmlChapter(HARVEST_TABLE) }],
+            { provider },
+        );
+
+        const [call] = provider.calls;
+        assert.match(call.input, /<node id="node_\d+">Failed in the north<\/node>/);
+        assert.doesNotMatch(call.input, /12 kg|1,200/);
+        assert.match(call.prompt, /TABLE CONTEXT/);
+        assert.match(call.prompt, /table "Harvest by crop", column "Notes", row "Wheat"/);
+        assert.match(htmlById.get("c1"), /<td>T:Failed in the north<\/td>/);
+        assert.match(htmlById.get("c1"), /<td>12 kg<\/td>/);
+    });
+
+    test("translates a table inside a selected list item together with the item", async () => {
+        const provider = createScriptedProvider();
+        await translateChapters(
+            [
+                {
+                    id: "c1",
+                    title: "One",
+                    html: xhtmlChapter("<ul><li>Options:<table><tr><td>Alpha</td><td>Beta</td></tr></table></li></ul>"),
+                },
+            ],
+            { provider },
+        );
+
+        const nodes = [...provider.calls[0].input.matchAll(/<node id="[^"]+">/g)];
+        assert.equal(nodes.length, 2);
+        // 整张表以占位符随列表项发送，单元格不再单独成节点
+        assert.match(provider.calls[0].input, /<node id="node_1">Options:⟨1⟩⟨2⟩⟨3⟩Alpha⟨\/3⟩⟨4⟩Beta⟨\/4⟩⟨\/2⟩⟨\/1⟩<\/node>/);
+    });
+});
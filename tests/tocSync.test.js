@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import {
+    createProjectRoot,
+    readEpubEntry,
+    removeProjectRoot,
+    runCli,
+    writeEpub,
+} from "./helpers/fixtures.js";
+
+// =================== 端到端：nav 与 OPF 同步 ===================
+describe("nav and package metadata sync with the mock provider", () => {
+    let root;
+    let outputPath;
+    let result;
+    before(() => {
+        root = createProjectRoot();
+        writeEpub(path.join(root, "book.epub"), [
+            { id: "c1", title: "Chapter One", body: "<h1>Chapter One</h1><p>Text one.</p>" },
+            { id: "c2", title: "Chapter Two", body: "<h1>Chapter Two</h1><p>Text two.</p>" },
+        ]);
+        result = runCli(root, ["book.epub"]);
+        outputPath = path.join(root, "output", "book_zh.epub");
+    });
+    after(() => removeProjectRoot(root));
+
+    test("replaces nav labels with the translated chapter titles and translates the rest", () => {
+        assert.equal(result.status, 0, result.output);
+        assert.match(result.output, /Nav document synchronized: 2 linked title\(s\), 1 label\(s\) translated/);
+
+        const nav = readEpubEntry(outputPath, "OEBPS/nav.xhtml");
+        assert.match(nav, /<li><a href="c1\.xhtml">⟦Chapter One⟧<\/a><\/li><li><a href="c2\.xhtml">⟦Chapter Two⟧<\/a><\/li>/);
+        assert.match(nav, /<title>⟦Contents⟧<\/title>/);
+        assert.match(nav, /<html [^>]*xml:lang="zh-Hans"/);
+    });
+
+    test("translates the title, sets the language and credits the translator in the OPF", () => {
+        const opf = readEpubEntry(outputPath, "OEBPS/content.opf");
+        assert.match(opf, /<dc:title>⟦Sample Book⟧<\/dc:title>/);
+        assert.match(opf, /<dc:language>zh-Hans<\/dc:language>/);
+        assert.match(opf, /<dc:identifier id="id">sample<\/dc:identifier>/);
+        assert.match(opf, /<dc:contributor id="wasabi-translator">Wasabi EPUB \(mock\/bracket\)<\/dc:contributor>/);
+        assert.match(opf, /<meta refines="#wasabi-translator" property="role" scheme="marc:relators">trl<\/meta>/);
+        assert.doesNotMatch(opf, /2020-01-01T00:00:00Z/);
+    });
+});
@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { after, before, describe, test } from "node:test";
+import { createTranslationMemory } from "../src/support/translationMemory.js";
+
+const SCOPE = { sourceLanguage: "English", targetLanguage: "Chinese (Simplified)", mode: "epub" };
+const SENTENCE = "The old lighthouse keeper climbed the stairs every night.";
+
+describe("translation memory", () => {
+    let dir;
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "wasabi-tm-"));
+    });
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    test("returns exact hits after whitespace normalization and keeps scopes apart", () => {
+        const memory = createTranslationMemory({ filePath: path.join(dir, "exact.jsonl") });
+        memory.record(SCOPE, SENTENCE, "老灯塔看守人每晚都爬楼梯。");
+
+        assert.equal(
+            memory.lookupExact(SCOPE, `  The old lighthouse keeper\nclimbed the stairs   every night. `),
+            "老灯塔看守人每晚都爬楼梯。",
+        );
+        assert.equal(memory.lookupExact({ ...SCOPE, targetLanguage: "Japanese" }, SENTENCE), null);
+        assert.equal(memory.lookupExact({ ...SCOPE, mode: "subtitle" }, SENTENCE), null);
+        assert.equal(memory.stats.exactHits, 1);
+    });
+
+    test("reloads the file across jobs and lets the last line win", () => {
+        const filePath = path.join(dir, "reload.jsonl");
+        const first = createTranslationMemory({ filePath });
+        first.record(SCOPE, SENTENCE, "旧译文");
+        first.record(SCOPE, SENTENCE, "旧译文");
+        first.record(SCOPE, SENTENCE, "修订后的译文");
+        assert.equal(first.stats.recorded, 2);
+        // 进程中断时写了一半的行会被跳过
+        fs.appendFileSync(filePath, '{"src":"broken', "utf8");
+
+        const second = createTranslationMemory({ filePath });
+        assert.equal(second.size(), 1);
+        assert.equal(second.lookupExact(SCOPE, SENTENCE), "修订后的译文");
+    });
+
+    test("offers near hits for similar long segments, best first", () => {
+        const memory = createTranslationMemory({ filePath: path.join(dir, "near.jsonl") });
+        memory.record(SCOPE, SENTENCE, "老灯塔看守人每晚都爬楼梯。");
+        memory.record(SCOPE, "The old lighthouse keeper climbed the hill every morning.", "老灯塔看守人每天早上爬山。");
+        memory.record(SCOPE, "A completely unrelated sentence about the weather today.", "关于今天天气的无关句子。");
+
+        const matches = memory.findSimilar(SCOPE, "The old lighthouse keeper climbed the stairs every evening.");
+        assert.deepEqual(
+            matches.map(({ translation }) => translation),
+            ["老灯塔看守人每晚都爬楼梯。", "老灯塔看守人每天早上爬山。"],
+        );
+        assert.ok(matches[0].score > matches[1].score && matches[1].score >= 0.75);
+        assert.equal(memory.stats.nearHits, 1);
+
+        // 完全相同的句子走精确匹配，不算近似；短句不做近似匹配
+        assert.deepEqual(
+            memory.findSimilar(SCOPE, SENTENCE).map(({ source }) => source),
+            ["The old lighthouse keeper climbed the hill every morning."],
+        );
+        assert.deepEqual(memory.findSimilar(SCOPE, "The old keeper"), []);
+    });
+
+    test("matches CJK sources by character bigrams", () => {
+        const scope = { sourceLanguage: "Chinese", targetLanguage: "English", mode: "epub" };
+        const memory = createTranslationMemory({ filePath: path.join(dir, "cjk.jsonl") });
+        memory.record(scope, "老灯塔看守人每天晚上都会爬上那段长长的楼梯去点灯", "Every night the old keeper climbed the long stairs to light the lamp");
+
+        const [match] = memory.findSimilar(scope, "老灯塔看守人每天晚上都会爬上那段长长的楼梯去看海");
+        assert.equal(match?.translation, "Every night the old keeper climbed the long stairs to light the lamp");
+    });
+
+    test("does nothing when disabled", () => {
+        const filePath = path.join(dir, "disabled.jsonl");
+        const memory = createTranslationMemory({ filePath, enabled: false });
+        memory.record(SCOPE, SENTENCE, "译文");
+        assert.equal(memory.enabled, false);
+        assert.equal(memory.lookupExact(SCOPE, SENTENCE), null);
+        assert.equal(fs.existsSync(filePath), false);
+    });
+});